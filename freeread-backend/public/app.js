@@ -7,41 +7,141 @@
   const titleEl = document.getElementById('title');
   const metaEl = document.getElementById('meta');
   const contentEl = document.getElementById('content');
+  const progressEl = document.getElementById('progress');
+  const apiKeyInput = document.getElementById('apiKey');
+  const asOfInput = document.getElementById('asOf');
+  const archiveInput = document.getElementById('archive');
+
+  apiKeyInput.value = localStorage.getItem('freeread.apiKey') || '';
+  apiKeyInput.addEventListener('change', () => {
+    localStorage.setItem('freeread.apiKey', apiKeyInput.value.trim());
+  });
 
   function setStatus(msg, isError) {
     statusEl.textContent = msg || '';
     statusEl.classList.toggle('error', !!isError);
   }
 
-  async function fetchArticle(u) {
-    const res = await fetch('/api/fetch', {
+  function summarizeAttempts(attempts) {
+    if (!Array.isArray(attempts) || attempts.length === 0) { return ''; }
+    return attempts.map(a => {
+      const parts = [a.outcome];
+      if (a.statusCode) { parts.push(`HTTP ${a.statusCode}`); }
+      if (typeof a.durationMs === 'number') { parts.push(`${(a.durationMs / 1000).toFixed(1)}s`); }
+      return `${a.strategy}: ${parts.join(', ')}`;
+    }).join(' → ');
+  }
+
+  function describeProgress(p) {
+    switch (p.type) {
+      case 'strategy-start': return `Trying ${p.strategy}…`;
+      case 'strategy-end': return `${p.strategy}: ${p.attempt.outcome}${p.attempt.error ? ` (${p.attempt.error})` : ''}`;
+      case 'cache-hit': return p.revalidated ? 'Found in cache (revalidated)' : 'Found in cache';
+      case 'extracting': return `Extracting content (method: ${p.method})…`;
+      case 'saving': return 'Requesting a Wayback Machine capture…';
+      case 'page': return `Fetching page ${p.page}…`;
+      default: return p.type;
+    }
+  }
+
+  function addProgress(msg) {
+    const li = document.createElement('li');
+    li.textContent = msg;
+    progressEl.appendChild(li);
+    progressEl.hidden = false;
+  }
+
+  function apiKey() {
+    return apiKeyInput.value.trim();
+  }
+
+  function jobError(error) {
+    const err = new Error((error && error.message) || 'Request failed');
+    err.attempts = error && error.details && error.details.attempts;
+    return err;
+  }
+
+  async function startJob(u) {
+    const res = await fetch('/api/jobs', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ url: u })
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey()}` },
+      body: JSON.stringify({ url: u, asOf: asOfInput.value || undefined, archive: archiveInput.checked })
     });
     const data = await res.json();
     if (!res.ok || !data.success) {
-      throw new Error((data && data.error && data.error.message) || 'Request failed');
+      throw jobError(data && data.error);
     }
     return data;
   }
 
+  // Follows job events until the job completes or fails; resolves with the fetch result
+  function followJob(eventsUrl, onProgress) {
+    return new Promise((resolve, reject) => {
+      // EventSource cannot send headers, so the key goes in the query string
+      const source = new EventSource(`${eventsUrl}?api_key=${encodeURIComponent(apiKey())}`);
+      source.addEventListener('progress', (e) => onProgress(JSON.parse(e.data)));
+      source.addEventListener('completed', (e) => {
+        source.close();
+        resolve(JSON.parse(e.data).result);
+      });
+      source.addEventListener('failed', (e) => {
+        source.close();
+        reject(jobError(JSON.parse(e.data).error));
+      });
+      source.onerror = () => {
+        if (source.readyState === EventSource.CLOSED) {
+          reject(new Error('Lost connection to progress stream'));
+        }
+      };
+    });
+  }
+
+  async function fetchArticle(u) {
+    const { links } = await startJob(u);
+    return followJob(links.events, (p) => {
+      const msg = describeProgress(p);
+      addProgress(msg);
+      setStatus(msg);
+    });
+  }
+
   form.addEventListener('submit', async (e) => {
     e.preventDefault();
     const u = urlInput.value.trim();
     if (!u) { return; }
     result.hidden = true;
+    progressEl.innerHTML = '';
+    progressEl.hidden = true;
     setStatus('Fetching article…');
     submit.disabled = true;
     try {
       const data = await fetchArticle(u);
       titleEl.textContent = data.content.title || '(Untitled)';
-      metaEl.textContent = `${new URL(u).hostname} • ${new Date(data.metadata.timestamp || Date.now()).toLocaleString()}`;
-      contentEl.innerHTML = data.content.html || `<pre>${(data.content.text || '').slice(0, 2000)}</pre>`;
+      const capture = data.metadata.capture;
+      const article = data.content.metadata || {};
+      const byline = [data.content.author, article.publishedAt && `published ${new Date(article.publishedAt).toLocaleDateString()}`]
+        .filter(Boolean).map(part => ` • ${part}`).join('');
+      metaEl.textContent = capture
+        ? `${new URL(u).hostname}${byline} • archived ${new Date(capture.capturedAt).toLocaleString()} (${capture.archive})`
+        : `${new URL(u).hostname}${byline} • ${new Date(data.metadata.timestamp || Date.now()).toLocaleString()}`;
+      // content.html is sanitized by the server; plain text is never parsed as HTML
+      if (data.content.html) {
+        contentEl.innerHTML = data.content.html;
+      } else {
+        const pre = document.createElement('pre');
+        pre.textContent = (data.content.text || '').slice(0, 2000);
+        contentEl.replaceChildren(pre);
+      }
       result.hidden = false;
-      setStatus(`Done (method: ${data.method})`);
+      const tried = summarizeAttempts(data.attempts);
+      const saved = data.archive
+        ? (data.archive.success ? ` — saved: ${data.archive.captureUrl}` : ` — save failed: ${data.archive.error.message}`)
+        : '';
+      const pages = data.content.pages > 1 ? ` — ${data.content.pages} pages` : '';
+      setStatus(`Done (method: ${data.method})${pages}${tried ? ` — ${tried}` : ''}${saved}`);
     } catch (err) {
-      setStatus(err.message || 'Failed to fetch article', true);
+      const tried = summarizeAttempts(err.attempts);
+      setStatus(`${err.message || 'Failed to fetch article'}${tried ? ` — ${tried}` : ''}`, true);
     } finally {
       submit.disabled = false;
     }
@@ -0,0 +1,97 @@
+(function () {
+  const form = document.getElementById('form');
+  const urlInput = document.getElementById('url');
+  const fromInput = document.getElementById('from');
+  const toInput = document.getElementById('to');
+  const apiKeyInput = document.getElementById('apiKey');
+  const submit = document.getElementById('submit');
+  const statusEl = document.getElementById('status');
+  const result = document.getElementById('result');
+  const titleEl = document.getElementById('title');
+  const bylineEl = document.getElementById('byline');
+  const metaEl = document.getElementById('meta');
+  const contentEl = document.getElementById('content');
+
+  apiKeyInput.value = localStorage.getItem('freeread.apiKey') || '';
+  apiKeyInput.addEventListener('change', () => {
+    localStorage.setItem('freeread.apiKey', apiKeyInput.value.trim());
+  });
+
+  function setStatus(msg, isError) {
+    statusEl.textContent = msg || '';
+    statusEl.classList.toggle('error', !!isError);
+  }
+
+  // Renders word segments into el as text with <ins>/<del> marks
+  function renderWords(el, words) {
+    words.forEach((segment, i) => {
+      if (i > 0) { el.appendChild(document.createTextNode(' ')); }
+      const tag = segment.type === 'insert' ? 'ins' : segment.type === 'delete' ? 'del' : null;
+      const node = tag ? document.createElement(tag) : document.createTextNode(segment.text);
+      if (tag) { node.textContent = segment.text; }
+      el.appendChild(node);
+    });
+  }
+
+  function renderParagraph(entry) {
+    const p = document.createElement('p');
+    p.className = entry.type;
+    if (entry.type === 'change') {
+      renderWords(p, entry.words);
+    } else if (entry.type === 'equal') {
+      p.textContent = entry.text;
+    } else {
+      const mark = document.createElement(entry.type === 'insert' ? 'ins' : 'del');
+      mark.textContent = entry.text;
+      p.appendChild(mark);
+    }
+    return p;
+  }
+
+  function describeCapture(capture) {
+    return `${new Date(capture.capturedAt).toLocaleString()} (${capture.archive})`;
+  }
+
+  function render(data) {
+    titleEl.textContent = '';
+    renderWords(titleEl, data.diff.title.words);
+    bylineEl.textContent = '';
+    renderWords(bylineEl, data.diff.byline.words);
+
+    const { paragraphs, words } = data.summary;
+    metaEl.textContent = `${describeCapture(data.from)} → ${describeCapture(data.to)} • ` +
+      `${paragraphs.changed} edited, ${paragraphs.added} added, ${paragraphs.removed} removed paragraphs ` +
+      `(+${words.added} / −${words.removed} words)`;
+
+    contentEl.innerHTML = '';
+    data.diff.body.forEach((entry) => contentEl.appendChild(renderParagraph(entry)));
+    result.hidden = false;
+  }
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const query = new URLSearchParams({ url: urlInput.value.trim(), from: fromInput.value, to: toInput.value });
+    result.hidden = true;
+    setStatus('Fetching both revisions…');
+    submit.disabled = true;
+    try {
+      const res = await fetch(`/api/diff?${query}`, {
+        headers: { 'Authorization': `Bearer ${apiKeyInput.value.trim()}` }
+      });
+      const data = await res.json();
+      if (!res.ok || !data.success) {
+        throw new Error((data && data.error && data.error.message) || 'Request failed');
+      }
+      render(data);
+      if (data.sameCapture) {
+        setStatus('Both dates resolved to the same capture; pick dates further apart.');
+      } else {
+        setStatus(data.changed ? 'Done' : 'Done — no changes between these captures');
+      }
+    } catch (err) {
+      setStatus(err.message || 'Failed to compare revisions', true);
+    } finally {
+      submit.disabled = false;
+    }
+  });
+})();
@@ -0,0 +1,121 @@
+const SiteRegistry = require('../../adapters/siteRegistry');
+const defaultRegistry = require('../../adapters');
+
+describe('SiteRegistry', () => {
+  let registry;
+  let createService;
+
+  beforeEach(() => {
+    registry = new SiteRegistry();
+    createService = jest.fn(() => ({ fetchArticle: jest.fn() }));
+  });
+
+  describe('register', () => {
+    test('creates the service for a registered adapter', () => {
+      registry.register({ id: 'example', domains: ['example.com'], createService });
+
+      expect(createService).toHaveBeenCalledTimes(1);
+      expect(registry.getService('example')).toBeDefined();
+      expect(registry.getService('example').fetchArticle).toBeDefined();
+    });
+
+    test('fills in defaults for optional fields', () => {
+      registry.register({ id: 'example', domains: ['example.com'], createService });
+
+      const adapter = registry.get('example');
+      expect(adapter.name).toBe('example');
+      expect(adapter.errors).toEqual({});
+      expect(adapter.extraction).toEqual({});
+    });
+
+    test('rejects adapter without id', () => {
+      expect(() => registry.register({ domains: ['example.com'], createService })).toThrow('id');
+    });
+
+    test('rejects adapter without domains', () => {
+      expect(() => registry.register({ id: 'example', domains: [], createService })).toThrow('domain');
+    });
+
+    test('rejects adapter without createService', () => {
+      expect(() => registry.register({ id: 'example', domains: ['example.com'] })).toThrow('createService');
+    });
+
+    test('rejects duplicate ids', () => {
+      registry.register({ id: 'example', domains: ['example.com'], createService });
+
+      expect(() => registry.register({ id: 'example', domains: ['example.org'], createService }))
+        .toThrow('already registered');
+    });
+  });
+
+  describe('findByUrl', () => {
+    beforeEach(() => {
+      registry.register({ id: 'example', domains: ['example.com'], createService });
+    });
+
+    test('matches exact domain', () => {
+      expect(registry.findByUrl('https://example.com/article').id).toBe('example');
+    });
+
+    test('matches subdomains', () => {
+      expect(registry.findByUrl('https://news.example.com/article').id).toBe('example');
+    });
+
+    test('does not match lookalike domains', () => {
+      expect(registry.findByUrl('https://notexample.com/article')).toBeNull();
+      expect(registry.findByUrl('https://example.com.evil.net/article')).toBeNull();
+    });
+
+    test('returns null for invalid URL', () => {
+      expect(registry.findByUrl('not-a-url')).toBeNull();
+    });
+  });
+
+  describe('getShareParams', () => {
+    test('returns the share parameters declared by the matching adapter', () => {
+      registry.register({
+        id: 'example',
+        domains: ['example.com'],
+        share: { access: ['gift'] },
+        createService
+      });
+
+      expect(registry.getShareParams('https://news.example.com/a?gift=1')).toEqual({ access: ['gift'], tracking: [] });
+    });
+
+    test('returns empty lists for unsupported sites', () => {
+      expect(registry.getShareParams('https://example.org/a')).toEqual({ access: [], tracking: [] });
+    });
+  });
+
+  describe('canonicalUrl', () => {
+    test('drops the NYT and WSJ share parameters declared by the default adapters', () => {
+      expect(defaultRegistry.canonicalUrl('https://www.nytimes.com/2024/01/15/story.html?unlocked_article_code=1.abc&smid=url-share&page=2'))
+        .toBe('https://www.nytimes.com/2024/01/15/story.html?page=2');
+      expect(defaultRegistry.canonicalUrl('https://www.wsj.com/articles/story-123?st=xyz&reflink=desktopwebshare_permalink'))
+        .toBe('https://www.wsj.com/articles/story-123');
+    });
+
+    test('leaves other sites\' parameters alone', () => {
+      expect(defaultRegistry.canonicalUrl('https://example.com/a?st=1&smid=2')).toBe('https://example.com/a?st=1&smid=2');
+    });
+  });
+
+  describe('default registry', () => {
+    test('registers NYT and WSJ adapters', () => {
+      expect(defaultRegistry.list().map(a => a.id)).toEqual(['nyt', 'wsj']);
+    });
+
+    test('routes NYT URLs to the NYT adapter', () => {
+      const adapter = defaultRegistry.findByUrl('https://www.nytimes.com/2024/01/15/article.html');
+      expect(adapter.id).toBe('nyt');
+      expect(defaultRegistry.getService(adapter).fetchArticle).toBeDefined();
+    });
+
+    test('routes WSJ URLs to the WSJ adapter', () => {
+      const adapter = defaultRegistry.findByUrl('https://www.wsj.com/articles/article');
+      expect(adapter.id).toBe('wsj');
+      expect(adapter.strategies).toContain('archive');
+    });
+  });
+});
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ApiKeyStore = require('../../services/apiKeyStore');
+const { run } = require('../../cli/apiKeys');
+
+describe('api keys CLI', () => {
+  let directory;
+  let store;
+  let output;
+  const log = (line) => output.push(line);
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'freeread-keys-'));
+    store = new ApiKeyStore({ filePath: path.join(directory, 'api-keys.json') });
+    output = [];
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('create prints the key once and saves limits', async () => {
+    const code = await run(['create', '--name', 'newsroom', '--burst', '20', '--quota', '500', '--period', 'month'], { store, log });
+
+    expect(code).toBe(0);
+    const key = output.find(line => line.startsWith('API key: ')).slice('API key: '.length);
+    const record = await store.verify(key);
+    expect(record).toMatchObject({
+      name: 'newsroom',
+      rateLimit: { burst: 20 },
+      quota: { limit: 500, period: 'month' }
+    });
+  });
+
+  test('create validates its options', async () => {
+    await expect(run(['create'], { store, log })).resolves.toBe(1);
+    await expect(run(['create', '--name', 'x', '--quota', '-5'], { store, log })).resolves.toBe(1);
+    await expect(run(['create', '--name', 'x', '--quota', '5', '--period', 'week'], { store, log })).resolves.toBe(1);
+
+    expect(output).toEqual([
+      'Error: --name is required',
+      'Error: --quota must be a positive integer',
+      'Error: --period must be day or month'
+    ]);
+    await expect(store.list()).resolves.toEqual([]);
+  });
+
+  test('list and revoke', async () => {
+    const { record } = await store.create({ name: 'reader' });
+
+    await run(['list'], { store, log });
+    expect(output[0]).toContain(record.id);
+    expect(output[0]).toContain('active');
+
+    await expect(run(['revoke', record.id], { store, log })).resolves.toBe(0);
+    await expect(run(['revoke', 'key_missing'], { store, log })).resolves.toBe(1);
+    output = [];
+    await run(['list'], { store, log });
+    expect(output[0]).toContain('revoked');
+  });
+
+  test('prints usage for unknown commands', async () => {
+    await expect(run(['rotate'], { store, log })).resolves.toBe(1);
+    expect(output[0]).toContain('Usage: npm run keys');
+  });
+});
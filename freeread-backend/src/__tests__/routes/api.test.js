@@ -1,24 +1,48 @@
 const request = require('supertest');
 const express = require('express');
 
+// Disable the article cache so each request reaches the mocked services
+process.env.CACHE_BACKEND = 'none';
+// API keys and rate limits are covered in apiAuth.test.js
+process.env.API_AUTH = 'off';
+// Publisher policy (robots.txt) is covered in policyService.test.js
+process.env.POLICY_ENFORCEMENT = 'off';
+// The local WARC archive is covered in warcArchive.test.js
+process.env.WARC_ARCHIVE = 'off';
+
 // Mock services BEFORE requiring routes
 jest.mock('../../services/nytimesService');
 jest.mock('../../services/contentProcessor');
+jest.mock('../../services/archiveService');
 
 const NYTimesService = require('../../services/nytimesService');
 const ContentProcessor = require('../../services/contentProcessor');
+const ArchiveService = require('../../services/archiveService');
 
 // Create mock instances
 const mockNYTService = {
-  fetchArticle: jest.fn()
+  fetchArticleResult: jest.fn()
 };
 
+const fetchResult = (html, strategy = 'cookie-clearing') => ({
+  html,
+  strategy,
+  attempts: [{ strategy, outcome: 'success', durationMs: 5, statusCode: 200, htmlLength: html.length }]
+});
+
 const mockContentProcessor = {
   extractContent: jest.fn()
 };
 
+const mockArchiveService = {
+  getTimeMaps: jest.fn(),
+  fetchFromArchive: jest.fn(),
+  savePage: jest.fn()
+};
+
 NYTimesService.mockImplementation(() => mockNYTService);
 ContentProcessor.mockImplementation(() => mockContentProcessor);
+ArchiveService.fromEnv.mockReturnValue(mockArchiveService);
 
 // Now require routes (they'll use mocked services)
 const apiRoutes = require('../../routes/api');
@@ -44,7 +68,7 @@ describe('API Routes', () => {
         length: 600
       };
 
-      mockNYTService.fetchArticle.mockResolvedValue(mockHtml);
+      mockNYTService.fetchArticleResult.mockResolvedValue(fetchResult(mockHtml));
       mockContentProcessor.extractContent.mockResolvedValue(mockExtracted);
 
       const response = await request(app)
@@ -68,6 +92,24 @@ describe('API Routes', () => {
       expect(response.body).toHaveProperty('error');
     });
 
+    test('returns 400 for URLs targeting internal hosts', async () => {
+      const response = await request(app)
+        .post('/api/fetch')
+        .send({ url: 'http://169.254.169.254/latest/meta-data/' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('UNSAFE_URL');
+    });
+
+    test('returns 400 for an unparsable asOf', async () => {
+      const response = await request(app)
+        .post('/api/fetch')
+        .send({ url: 'https://www.nytimes.com/2024/01/15/article.html', asOf: 'last tuesday' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_AS_OF');
+    });
+
     test('returns 400 for missing URL', async () => {
       const response = await request(app)
         .post('/api/fetch')
@@ -78,7 +120,7 @@ describe('API Routes', () => {
     });
 
     test('returns 500 when NYT service fails', async () => {
-      mockNYTService.fetchArticle.mockRejectedValue(new Error('Network error'));
+      mockNYTService.fetchArticleResult.mockRejectedValue(new Error('Network error'));
 
       const response = await request(app)
         .post('/api/fetch')
@@ -90,7 +132,7 @@ describe('API Routes', () => {
     });
 
     test('returns 500 when paywall detected', async () => {
-      mockNYTService.fetchArticle.mockRejectedValue(new Error('Paywall detected'));
+      mockNYTService.fetchArticleResult.mockRejectedValue(new Error('Paywall detected'));
 
       const response = await request(app)
         .post('/api/fetch')
@@ -103,7 +145,7 @@ describe('API Routes', () => {
     test('returns 500 when content extraction fails', async () => {
       const mockHtml = '<html><article>Content</article></html>';
 
-      mockNYTService.fetchArticle.mockResolvedValue(mockHtml);
+      mockNYTService.fetchArticleResult.mockResolvedValue(fetchResult(mockHtml));
       mockContentProcessor.extractContent.mockRejectedValue(new Error('Extraction failed'));
 
       const response = await request(app)
@@ -114,6 +156,46 @@ describe('API Routes', () => {
       expect(response.body.success).toBe(false);
     });
 
+    test('reports the strategy that succeeded and its attempts', async () => {
+      const mockHtml = '<html><article>Content</article></html>';
+      mockNYTService.fetchArticleResult.mockResolvedValue({
+        html: mockHtml,
+        strategy: 'search-engine',
+        attempts: [
+          { strategy: 'cookie-clearing', outcome: 'paywall', statusCode: 200, paywalled: true },
+          { strategy: 'search-engine', outcome: 'success', statusCode: 200, paywalled: false }
+        ]
+      });
+      mockContentProcessor.extractContent.mockResolvedValue({ title: 'Test', text: 'Content', html: mockHtml });
+
+      const response = await request(app)
+        .post('/api/fetch')
+        .send({ url: 'https://www.nytimes.com/2024/01/15/article.html' })
+        .expect(200);
+
+      expect(response.body.method).toBe('search-engine');
+      expect(response.body.attempts).toHaveLength(2);
+      expect(response.body.attempts[0]).toMatchObject({ strategy: 'cookie-clearing', outcome: 'paywall' });
+    });
+
+    test('includes attempt log in fetch failure details', async () => {
+      const error = new Error('NYT fetch failed: Paywall detected (method: search-engine)');
+      error.attempts = [
+        { strategy: 'cookie-clearing', outcome: 'error', error: 'Network error' },
+        { strategy: 'search-engine', outcome: 'paywall' }
+      ];
+      mockNYTService.fetchArticleResult.mockRejectedValue(error);
+
+      const response = await request(app)
+        .post('/api/fetch')
+        .send({ url: 'https://www.nytimes.com/2024/01/15/article.html' })
+        .expect(500);
+
+      expect(response.body.error.code).toBe('FETCH_FAILED');
+      expect(response.body.error.details.site).toBe('NYT');
+      expect(response.body.error.details.attempts).toEqual(error.attempts);
+    });
+
     test('returns 400 for non-NYT URLs in MVP', async () => {
       const response = await request(app)
         .post('/api/fetch')
@@ -134,7 +216,7 @@ describe('API Routes', () => {
         length: 600
       };
 
-      mockNYTService.fetchArticle.mockResolvedValue(mockHtml);
+      mockNYTService.fetchArticleResult.mockResolvedValue(fetchResult(mockHtml));
       mockContentProcessor.extractContent.mockResolvedValue(mockExtracted);
 
       const response = await request(app)
@@ -147,5 +229,218 @@ describe('API Routes', () => {
       expect(response.body.metadata.source).toBe('direct');
     });
   });
-});
 
+  describe('POST /api/fetch/batch', () => {
+    test('returns per-URL results with partial failures', async () => {
+      mockNYTService.fetchArticleResult.mockResolvedValue(fetchResult('<html><article>Content</article></html>'));
+      mockContentProcessor.extractContent.mockResolvedValue({ title: 'Test', text: 'Content' });
+
+      const response = await request(app)
+        .post('/api/fetch/batch')
+        .send({ urls: ['https://www.nytimes.com/a.html', 'https://www.example.com/b', 'https://www.nytimes.com/a.html'] })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.results).toHaveLength(2);
+      expect(response.body.results[0].success).toBe(true);
+      expect(response.body.results[1].error.code).toBe('UNSUPPORTED_SITE');
+      expect(response.body.summary).toMatchObject({ succeeded: 1, failed: 1, duplicates: 1 });
+    });
+
+    test('returns 400 when urls is missing', async () => {
+      const response = await request(app)
+        .post('/api/fetch/batch')
+        .send({ url: 'https://www.nytimes.com/a.html' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('MISSING_URLS');
+    });
+
+    test('returns 400 for oversized batches', async () => {
+      const urls = Array.from({ length: 51 }, (_, i) => `https://www.nytimes.com/${i}.html`);
+
+      const response = await request(app)
+        .post('/api/fetch/batch')
+        .send({ urls })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('TOO_MANY_URLS');
+    });
+
+    test('runs as a job when async is set', async () => {
+      mockNYTService.fetchArticleResult.mockResolvedValue(fetchResult('<html></html>'));
+      mockContentProcessor.extractContent.mockResolvedValue({ title: 'Test' });
+
+      const response = await request(app)
+        .post('/api/fetch/batch')
+        .send({ urls: ['https://www.nytimes.com/a.html'], async: true })
+        .expect(202);
+
+      expect(response.body.job.type).toBe('batch');
+      expect(response.body.links.self).toBe(`/api/jobs/${response.body.job.id}`);
+    });
+  });
+
+  describe('/api/sessions', () => {
+    test('requires an API key even when auth is off', async () => {
+      const response = await request(app).get('/api/sessions').expect(401);
+
+      expect(response.body.error.code).toBe('API_KEY_REQUIRED');
+    });
+  });
+
+  describe('GET /api/archive/timemap', () => {
+    test('lists captures across archives', async () => {
+      const timemap = {
+        mementos: [{ uri: 'https://web.archive.org/web/20240115000000/https://www.wsj.com/a', datetime: '2024-01-15T00:00:00.000Z', archive: 'wayback' }],
+        archives: [{ name: 'wayback', count: 1 }]
+      };
+      mockArchiveService.getTimeMaps.mockResolvedValue(timemap);
+
+      const response = await request(app)
+        .get('/api/archive/timemap')
+        .query({ url: 'https://www.wsj.com/a' })
+        .expect(200);
+
+      expect(mockArchiveService.getTimeMaps).toHaveBeenCalledWith('https://www.wsj.com/a');
+      expect(response.body).toEqual({ success: true, url: 'https://www.wsj.com/a', ...timemap });
+    });
+
+    test('validates the URL', async () => {
+      const response = await request(app).get('/api/archive/timemap').expect(400);
+
+      expect(response.body.error.code).toBe('MISSING_URL');
+    });
+  });
+
+  describe('POST /api/archive/save', () => {
+    test('returns the new capture of the canonical URL', async () => {
+      const saved = {
+        url: 'https://www.nytimes.com/a.html',
+        jobId: 'spn2-1',
+        timestamp: '20240115123456',
+        capturedAt: '2024-01-15T12:34:56.000Z',
+        captureUrl: 'https://web.archive.org/web/20240115123456/https://www.nytimes.com/a.html'
+      };
+      mockArchiveService.savePage.mockResolvedValue(saved);
+
+      const response = await request(app)
+        .post('/api/archive/save')
+        .send({ url: 'https://www.nytimes.com/a.html?unlocked_article_code=abc&smid=url-share' })
+        .expect(200);
+
+      expect(mockArchiveService.savePage).toHaveBeenCalledWith('https://www.nytimes.com/a.html');
+      expect(response.body).toEqual({ success: true, ...saved });
+    });
+
+    test('passes Save Page Now errors through', async () => {
+      const error = Object.assign(new Error('Save Page Now did not finish within 120s'), { code: 'SAVE_TIMEOUT', status: 504 });
+      mockArchiveService.savePage.mockRejectedValue(error);
+
+      const response = await request(app)
+        .post('/api/archive/save')
+        .send({ url: 'https://www.nytimes.com/a.html' })
+        .expect(504);
+
+      expect(response.body.error.code).toBe('SAVE_TIMEOUT');
+    });
+
+    test('runs as a job when async is set', async () => {
+      const saved = { url: 'https://www.nytimes.com/a.html', jobId: 'spn2-1', timestamp: '20240115123456' };
+      mockArchiveService.savePage.mockImplementation(async (url, { onProgress }) => {
+        onProgress({ type: 'save-submitted', jobId: 'spn2-1' });
+        return saved;
+      });
+
+      const response = await request(app)
+        .post('/api/archive/save')
+        .send({ url: 'https://www.nytimes.com/a.html', async: true })
+        .expect(202);
+
+      expect(response.body.job).toMatchObject({ type: 'save', input: { url: 'https://www.nytimes.com/a.html' } });
+      const job = await request(app).get(response.body.links.self).expect(200);
+      expect(job.body.job).toMatchObject({ status: 'completed', result: saved, progress: [{ type: 'save-submitted', jobId: 'spn2-1' }] });
+    });
+
+    test('saves after a fetch with archive: true', async () => {
+      mockNYTService.fetchArticleResult.mockResolvedValue(fetchResult('<html>article</html>'));
+      mockContentProcessor.extractContent.mockResolvedValue({ title: 'A', text: 'Body', html: '<p>Body</p>' });
+      mockArchiveService.savePage.mockResolvedValue({ jobId: 'spn2-1', timestamp: '20240115123456' });
+
+      const response = await request(app)
+        .post('/api/fetch')
+        .send({ url: 'https://www.nytimes.com/a.html', archive: true })
+        .expect(200);
+
+      expect(response.body.archive).toEqual({ success: true, jobId: 'spn2-1', timestamp: '20240115123456' });
+    });
+  });
+
+  describe('GET /api/diff', () => {
+    const capture = (timestamp) => ({
+      html: `<html>${timestamp}</html>`,
+      timestamp,
+      capturedAt: '2024-01-15T12:34:56.000Z',
+      archive: 'wayback',
+      source: 'archive'
+    });
+
+    test('diffs the captures nearest from and to', async () => {
+      mockArchiveService.fetchFromArchive
+        .mockResolvedValueOnce(capture('20240115123456'))
+        .mockResolvedValueOnce(capture('20240120080000'));
+      mockContentProcessor.extractContent
+        .mockResolvedValueOnce({ title: 'Headline', author: null, text: '', html: '<p>Ten people were hurt.</p>' })
+        .mockResolvedValueOnce({ title: 'Headline', author: null, text: '', html: '<p>Twelve people were hurt.</p>' });
+
+      const response = await request(app)
+        .get('/api/diff')
+        .query({ url: 'https://www.nytimes.com/2024/01/15/article.html', from: '20240115', to: '2024-01-20' })
+        .expect(200);
+
+      expect(mockArchiveService.fetchFromArchive).toHaveBeenCalledWith(
+        'https://www.nytimes.com/2024/01/15/article.html',
+        expect.objectContaining({ asOf: new Date('2024-01-15T00:00:00Z') })
+      );
+      expect(response.body).toMatchObject({
+        success: true,
+        from: { timestamp: '20240115123456' },
+        to: { timestamp: '20240120080000' },
+        changed: true,
+        diff: {
+          title: { changed: false },
+          body: [{
+            type: 'change',
+            words: [
+              { type: 'delete', text: 'Ten' },
+              { type: 'insert', text: 'Twelve' },
+              { type: 'equal', text: 'people were hurt.' }
+            ]
+          }]
+        }
+      });
+    });
+
+    test('returns 404 when a revision has no capture', async () => {
+      mockArchiveService.fetchFromArchive.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get('/api/diff')
+        .query({ url: 'https://www.nytimes.com/2024/01/15/article.html', from: '20240115', to: '20240120' })
+        .expect(404);
+
+      expect(response.body.error).toMatchObject({ code: 'ARCHIVE_NOT_FOUND', details: { revision: 'from' } });
+    });
+
+    test('requires a valid from/to range', async () => {
+      const url = 'https://www.nytimes.com/2024/01/15/article.html';
+
+      const missing = await request(app).get('/api/diff').query({ url, from: '20240115' }).expect(400);
+      const reversed = await request(app).get('/api/diff').query({ url, from: '20240120', to: '20240115' }).expect(400);
+
+      expect(missing.body.error.code).toBe('MISSING_DIFF_RANGE');
+      expect(reversed.body.error.code).toBe('INVALID_DIFF_RANGE');
+      expect(mockArchiveService.fetchFromArchive).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+
+const keyDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'freeread-keys-'));
+process.env.CACHE_BACKEND = 'none';
+process.env.API_KEYS_FILE = path.join(keyDirectory, 'api-keys.json');
+process.env.RATE_LIMIT_BURST = '2';
+process.env.RATE_LIMIT_PER_MINUTE = '1';
+delete process.env.API_AUTH;
+process.env.POLICY_ENFORCEMENT = 'off';
+process.env.WARC_ARCHIVE = 'off';
+
+jest.mock('../../services/nytimesService');
+jest.mock('../../services/contentProcessor');
+
+const NYTimesService = require('../../services/nytimesService');
+const ContentProcessor = require('../../services/contentProcessor');
+const ApiKeyStore = require('../../services/apiKeyStore');
+
+const mockNYTService = { fetchArticleResult: jest.fn() };
+const mockContentProcessor = { extractContent: jest.fn() };
+NYTimesService.mockImplementation(() => mockNYTService);
+ContentProcessor.mockImplementation(() => mockContentProcessor);
+
+const apiRoutes = require('../../routes/api');
+
+const app = express();
+app.use(express.json());
+app.use('/api', apiRoutes);
+
+describe('API authentication and rate limiting', () => {
+  const testUrl = 'https://www.nytimes.com/2024/01/15/article.html';
+  const store = new ApiKeyStore({ filePath: process.env.API_KEYS_FILE });
+
+  beforeEach(() => {
+    const html = '<html><article>Content</article></html>';
+    mockNYTService.fetchArticleResult.mockResolvedValue({
+      html,
+      strategy: 'cookie-clearing',
+      attempts: [{ strategy: 'cookie-clearing', outcome: 'success' }]
+    });
+    mockContentProcessor.extractContent.mockReturnValue({ title: 'Title', text: 'Text', html: '<p>Text</p>' });
+  });
+
+  afterAll(() => {
+    fs.rmSync(keyDirectory, { recursive: true, force: true });
+  });
+
+  test('leaves the health check open', async () => {
+    await request(app).get('/api/health').expect(200);
+  });
+
+  test('rejects requests without a key', async () => {
+    const response = await request(app).post('/api/fetch').send({ url: testUrl }).expect(401);
+
+    expect(response.headers['www-authenticate']).toBe('Bearer');
+    expect(response.body).toEqual({
+      success: false,
+      error: { code: 'MISSING_API_KEY', message: 'An API key is required' }
+    });
+  });
+
+  test('rejects unknown and revoked keys', async () => {
+    const { key, record } = await store.create({ name: 'revoked' });
+    await store.revoke(record.id);
+
+    const unknown = await request(app).post('/api/fetch')
+      .set('Authorization', 'Bearer fr_not-a-real-key')
+      .send({ url: testUrl })
+      .expect(401);
+    const revoked = await request(app).post('/api/fetch')
+      .set('X-API-Key', key)
+      .send({ url: testUrl })
+      .expect(401);
+
+    expect(unknown.body.error.code).toBe('INVALID_API_KEY');
+    expect(revoked.body.error.code).toBe('INVALID_API_KEY');
+  });
+
+  test('sets RateLimit headers and returns 429 once the bucket is empty', async () => {
+    const { key } = await store.create({ name: 'reader' });
+    const send = () => request(app).post('/api/fetch').set('Authorization', `Bearer ${key}`).send({ url: testUrl });
+
+    const first = await send().expect(200);
+    await send().expect(200);
+    const limited = await send().expect(429);
+
+    expect(first.headers['ratelimit-limit']).toBe('2');
+    expect(first.headers['ratelimit-remaining']).toBe('1');
+    expect(first.headers['ratelimit-policy']).toBe('2;w=120');
+    expect(limited.headers['ratelimit-remaining']).toBe('0');
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+    expect(limited.body).toEqual({
+      success: false,
+      error: {
+        code: 'RATE_LIMITED',
+        message: 'Too many requests, slow down',
+        details: { retryAfterSeconds: expect.any(Number) }
+      }
+    });
+    expect(mockNYTService.fetchArticleResult).toHaveBeenCalledTimes(2);
+  });
+
+  test('enforces per-key quotas', async () => {
+    const { key } = await store.create({ name: 'trial', rateLimit: { burst: 10 }, quota: { limit: 1, period: 'day' } });
+
+    const first = await request(app).post('/api/fetch').set('X-API-Key', key).send({ url: testUrl }).expect(200);
+    const second = await request(app).post('/api/fetch').set('X-API-Key', key).send({ url: testUrl }).expect(429);
+
+    expect(first.headers['quota-limit']).toBe('1');
+    expect(first.headers['quota-remaining']).toBe('0');
+    expect(second.body.error.code).toBe('QUOTA_EXCEEDED');
+    expect(second.body.error.details.quota).toMatchObject({ limit: 1, remaining: 0, period: 'day' });
+  });
+
+  test('charges a batch one request per unique URL before fetching', async () => {
+    const { key } = await store.create({ name: 'batch', rateLimit: { burst: 3 } });
+    const urls = [1, 2, 3, 4].map(i => `https://www.nytimes.com/2024/01/15/article-${i}.html`);
+    const batch = body => request(app).post('/api/fetch/batch').set('X-API-Key', key).send(body);
+
+    const limited = await batch({ urls }).expect(429);
+
+    expect(limited.body.error.code).toBe('RATE_LIMITED');
+    expect(limited.body.error.details.cost).toBe(4);
+    expect(mockNYTService.fetchArticleResult).not.toHaveBeenCalled();
+
+    // Duplicates (same canonical URL) are not charged
+    const allowed = await batch({ urls: [urls[0], urls[1], `${urls[0]}#comments`] }).expect(200);
+
+    expect(allowed.headers['ratelimit-remaining']).toBe('1');
+    expect(allowed.body.summary.unique).toBe(2);
+    await batch({ urls: [urls[2], urls[3]] }).expect(429);
+  });
+
+  test('charges a diff two requests', async () => {
+    const { key } = await store.create({ name: 'diff', rateLimit: { burst: 3 } });
+    const diff = () => request(app).get('/api/diff').query({ url: testUrl }).set('X-API-Key', key);
+
+    const charged = await diff().expect(400);
+
+    expect(charged.headers['ratelimit-remaining']).toBe('1');
+    const limited = await diff().expect(429);
+    expect(limited.body.error.details.cost).toBe(2);
+  });
+
+  test('rate limits job creation', async () => {
+    const { key } = await store.create({ name: 'ui', rateLimit: { burst: 1 } });
+
+    await request(app).post('/api/jobs').set('X-API-Key', key).send({ url: testUrl }).expect(202);
+    const limited = await request(app).post('/api/jobs').set('X-API-Key', key).send({ url: testUrl }).expect(429);
+
+    expect(limited.body.error.code).toBe('RATE_LIMITED');
+  });
+
+  test('accepts keys in the query string only for job event streams', async () => {
+    const { key } = await store.create({ name: 'events' });
+
+    const refused = await request(app).post(`/api/jobs?api_key=${key}`).send({ url: testUrl }).expect(401);
+    expect(refused.body.error.code).toBe('MISSING_API_KEY');
+    await request(app).post(`/api/fetch?api_key=${key}`).send({ url: testUrl }).expect(401);
+
+    const created = await request(app).post('/api/jobs').set('X-API-Key', key).send({ url: testUrl }).expect(202);
+    const events = await request(app).get(`${created.body.links.events}?api_key=${key}`).expect(200);
+
+    expect(events.headers['content-type']).toMatch(/^text\/event-stream/);
+  });
+});
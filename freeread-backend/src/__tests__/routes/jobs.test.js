@@ -0,0 +1,211 @@
+const request = require('supertest');
+const express = require('express');
+const createJobRouter = require('../../routes/jobs');
+const JobQueue = require('../../services/jobQueue');
+const { createApiError } = require('../../utils/apiError');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// Collects a text/event-stream body as a string
+const sseParser = (res, callback) => {
+  res.setEncoding('utf8');
+  let body = '';
+  res.on('data', chunk => { body += chunk; });
+  res.on('end', () => callback(null, body));
+};
+
+describe('Job Routes', () => {
+  let app;
+  let jobQueue;
+  let articleFetcher;
+
+  beforeEach(() => {
+    jobQueue = new JobQueue();
+    articleFetcher = { fetch: jest.fn() };
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/jobs', createJobRouter({ articleFetcher, jobQueue }));
+  });
+
+  describe('POST /api/jobs', () => {
+    test('enqueues a fetch and returns job links', async () => {
+      articleFetcher.fetch.mockResolvedValue({ method: 'cookie-clearing', content: {} });
+
+      const response = await request(app)
+        .post('/api/jobs')
+        .send({ url: 'https://www.nytimes.com/2024/01/15/article.html' })
+        .expect(202);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.job.id).toBeDefined();
+      expect(response.body.links.events).toBe(`/api/jobs/${response.body.job.id}/events`);
+      expect(articleFetcher.fetch).toHaveBeenCalledWith(
+        'https://www.nytimes.com/2024/01/15/article.html',
+        expect.objectContaining({ onProgress: expect.any(Function) })
+      );
+    });
+
+    test('returns 400 for invalid URL', async () => {
+      const response = await request(app)
+        .post('/api/jobs')
+        .send({ url: 'not-a-url' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_URL');
+    });
+
+    test('returns 429 once too many jobs are waiting', async () => {
+      jobQueue = new JobQueue({ concurrency: 1, maxPendingPerKey: 1 });
+      app = express();
+      app.use(express.json());
+      app.use('/api/jobs', createJobRouter({ articleFetcher, jobQueue }));
+      articleFetcher.fetch.mockReturnValue(new Promise(() => {}));
+      const enqueue = () => request(app).post('/api/jobs').send({ url: 'https://www.nytimes.com/2024/01/15/article.html' });
+
+      await enqueue().expect(202);
+      await enqueue().expect(202);
+      const response = await enqueue().expect(429);
+
+      expect(response.body.error.code).toBe('TOO_MANY_JOBS');
+    });
+  });
+
+  describe('GET /api/jobs/:id', () => {
+    test('returns completed job with result', async () => {
+      articleFetcher.fetch.mockResolvedValue({ method: 'cookie-clearing', content: { title: 'T' } });
+      const created = await request(app)
+        .post('/api/jobs')
+        .send({ url: 'https://www.nytimes.com/a.html' });
+      await flush();
+
+      const response = await request(app)
+        .get(`/api/jobs/${created.body.job.id}`)
+        .expect(200);
+
+      expect(response.body.job.status).toBe('completed');
+      expect(response.body.job.result.content.title).toBe('T');
+    });
+
+    test('returns failed job with error envelope', async () => {
+      articleFetcher.fetch.mockRejectedValue(createApiError('FETCH_FAILED', 'NYT fetch failed', 500));
+      const created = await request(app)
+        .post('/api/jobs')
+        .send({ url: 'https://www.nytimes.com/a.html' });
+      await flush();
+
+      const response = await request(app)
+        .get(`/api/jobs/${created.body.job.id}`)
+        .expect(200);
+
+      expect(response.body.job.status).toBe('failed');
+      expect(response.body.job.error.code).toBe('FETCH_FAILED');
+    });
+
+    test('returns 404 for unknown job', async () => {
+      const response = await request(app)
+        .get('/api/jobs/unknown')
+        .expect(404);
+
+      expect(response.body.error.code).toBe('JOB_NOT_FOUND');
+    });
+  });
+
+  describe('GET /api/jobs/:id/events', () => {
+    test('streams progress and closes after completion', async () => {
+      let release;
+      articleFetcher.fetch.mockImplementation((url, { onProgress }) => new Promise(resolve => {
+        onProgress({ type: 'strategy-start', strategy: 'cookie-clearing' });
+        release = () => resolve({ method: 'cookie-clearing' });
+      }));
+      const created = await request(app)
+        .post('/api/jobs')
+        .send({ url: 'https://www.nytimes.com/a.html' });
+
+      const stream = request(app)
+        .get(`/api/jobs/${created.body.job.id}/events`)
+        .buffer(true)
+        .parse(sseParser);
+      const pending = stream.then(res => res);
+      setTimeout(() => release(), 20);
+      const response = await pending;
+
+      expect(response.headers['content-type']).toContain('text/event-stream');
+      expect(response.body).toContain('event: progress');
+      expect(response.body).toContain('"strategy":"cookie-clearing"');
+      expect(response.body).toContain('event: completed');
+    });
+
+    test('replays only events after Last-Event-ID for finished jobs', async () => {
+      articleFetcher.fetch.mockResolvedValue({ method: 'cookie-clearing' });
+      const created = await request(app)
+        .post('/api/jobs')
+        .send({ url: 'https://www.nytimes.com/a.html' });
+      await flush();
+
+      const response = await request(app)
+        .get(`/api/jobs/${created.body.job.id}/events`)
+        .set('Last-Event-ID', '2')
+        .buffer(true)
+        .parse(sseParser);
+
+      expect(response.body).not.toContain('event: queued');
+      expect(response.body).toContain('id: 3\nevent: completed');
+    });
+
+    test('returns 404 for unknown job', async () => {
+      await request(app)
+        .get('/api/jobs/unknown/events')
+        .expect(404);
+    });
+  });
+
+  describe('job ownership', () => {
+    let keyedApp;
+
+    beforeEach(() => {
+      // Stands in for the API key middleware: X-Test-Key names the requesting key
+      keyedApp = express();
+      keyedApp.use(express.json());
+      keyedApp.use((req, res, next) => {
+        req.apiKey = { id: req.get('X-Test-Key') };
+        next();
+      });
+      keyedApp.use('/api/jobs', createJobRouter({ articleFetcher, jobQueue }));
+    });
+
+    test('hides a job and its events from other API keys', async () => {
+      articleFetcher.fetch.mockResolvedValue({ method: 'subscription', content: { title: 'Private' } });
+      const created = await request(keyedApp)
+        .post('/api/jobs')
+        .set('X-Test-Key', 'key-a')
+        .send({ url: 'https://www.nytimes.com/a.html' })
+        .expect(202);
+      await flush();
+
+      expect(articleFetcher.fetch).toHaveBeenCalledWith(
+        'https://www.nytimes.com/a.html',
+        expect.objectContaining({ apiKeyId: 'key-a' })
+      );
+
+      const own = await request(keyedApp)
+        .get(`/api/jobs/${created.body.job.id}`)
+        .set('X-Test-Key', 'key-a')
+        .expect(200);
+      expect(own.body.job.result.content.title).toBe('Private');
+
+      const other = await request(keyedApp)
+        .get(`/api/jobs/${created.body.job.id}`)
+        .set('X-Test-Key', 'key-b')
+        .expect(404);
+      expect(other.body.error.code).toBe('JOB_NOT_FOUND');
+      expect(JSON.stringify(other.body)).not.toContain('Private');
+
+      const events = await request(keyedApp)
+        .get(`/api/jobs/${created.body.job.id}/events`)
+        .set('X-Test-Key', 'key-b')
+        .expect(404);
+      expect(events.body.error.code).toBe('JOB_NOT_FOUND');
+    });
+  });
+});
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+
+const dataDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'freeread-sessions-'));
+process.env.CACHE_BACKEND = 'none';
+process.env.API_KEYS_FILE = path.join(dataDirectory, 'api-keys.json');
+process.env.SESSIONS_FILE = path.join(dataDirectory, 'sessions.json');
+process.env.SESSION_ENCRYPTION_KEY = 'test-secret';
+process.env.POLICY_ENFORCEMENT = 'off';
+process.env.WARC_ARCHIVE = 'off';
+delete process.env.API_AUTH;
+
+jest.mock('../../services/nytimesService');
+jest.mock('../../services/contentProcessor');
+
+const NYTimesService = require('../../services/nytimesService');
+const ContentProcessor = require('../../services/contentProcessor');
+const ApiKeyStore = require('../../services/apiKeyStore');
+
+const mockNYTService = { fetchArticleResult: jest.fn() };
+const mockContentProcessor = { extractContent: jest.fn() };
+NYTimesService.mockImplementation(() => mockNYTService);
+ContentProcessor.mockImplementation(() => mockContentProcessor);
+
+const apiRoutes = require('../../routes/api');
+
+const app = express();
+app.use(express.json());
+app.use('/api', apiRoutes);
+
+describe('Subscription sessions API', () => {
+  const testUrl = 'https://www.nytimes.com/2024/01/15/article.html';
+  const store = new ApiKeyStore({ filePath: process.env.API_KEYS_FILE });
+  let alice;
+  let bob;
+
+  beforeAll(async () => {
+    alice = (await store.create({ name: 'alice' })).key;
+    bob = (await store.create({ name: 'bob' })).key;
+  });
+
+  beforeEach(() => {
+    mockNYTService.fetchArticleResult.mockResolvedValue({ html: '<html>Story</html>', strategy: 'subscription', attempts: [] });
+    mockContentProcessor.extractContent.mockReturnValue({ title: 'Title', text: 'Text', html: '<p>Text</p>' });
+  });
+
+  afterAll(() => {
+    fs.rmSync(dataDirectory, { recursive: true, force: true });
+  });
+
+  test('registers a session without ever returning the cookies', async () => {
+    const response = await request(app).put('/api/sessions/www.nytimes.com')
+      .set('Authorization', `Bearer ${alice}`)
+      .send({ cookies: 'NYT-S=alice-secret; nyt-a=1', expiresAt: '2999-01-01T00:00:00Z' })
+      .expect(200);
+
+    expect(response.body.session).toMatchObject({
+      domain: 'nytimes.com',
+      cookieNames: ['NYT-S', 'nyt-a'],
+      status: 'active',
+      expiresAt: '2999-01-01T00:00:00.000Z'
+    });
+
+    const listed = await request(app).get('/api/sessions').set('Authorization', `Bearer ${alice}`).expect(200);
+    expect(JSON.stringify(listed.body)).not.toContain('alice-secret');
+    expect(listed.body.sessions).toHaveLength(1);
+  });
+
+  test('uses a session only for the key that registered it', async () => {
+    await request(app).post('/api/fetch').set('Authorization', `Bearer ${alice}`).send({ url: testUrl }).expect(200);
+    expect(mockNYTService.fetchArticleResult.mock.calls[0][1].session).toEqual({
+      domain: 'nytimes.com',
+      cookie: 'NYT-S=alice-secret; nyt-a=1'
+    });
+
+    mockNYTService.fetchArticleResult.mockResolvedValue({ html: '<html>Story</html>', strategy: 'cookie-clearing', attempts: [] });
+    const other = await request(app).post('/api/fetch').set('Authorization', `Bearer ${bob}`).send({ url: testUrl }).expect(200);
+    expect(mockNYTService.fetchArticleResult.mock.calls[1][1]).not.toHaveProperty('session');
+    expect(other.body.metadata).not.toHaveProperty('session');
+
+    const sessions = await request(app).get('/api/sessions').set('Authorization', `Bearer ${bob}`).expect(200);
+    expect(sessions.body.sessions).toEqual([]);
+  });
+
+  test('surfaces a rejected session as SESSION_INVALID', async () => {
+    const error = Object.assign(new Error('NYT fetch failed'), {
+      attempts: [
+        { strategy: 'subscription', outcome: 'error', code: 'SESSION_INVALID', error: 'Your nytimes.com session was not accepted: publisher answered HTTP 403' },
+        { strategy: 'cookie-clearing', outcome: 'paywall' }
+      ]
+    });
+    mockNYTService.fetchArticleResult.mockRejectedValue(error);
+
+    const response = await request(app).post('/api/fetch').set('Authorization', `Bearer ${alice}`).send({ url: testUrl }).expect(403);
+
+    expect(response.body.error).toMatchObject({
+      code: 'SESSION_INVALID',
+      message: 'Your nytimes.com session was not accepted: publisher answered HTTP 403'
+    });
+    const listed = await request(app).get('/api/sessions').set('Authorization', `Bearer ${alice}`);
+    expect(listed.body.sessions[0].status).toBe('invalid');
+  });
+
+  test('validates registrations', async () => {
+    const put = (domain, body) => request(app).put(`/api/sessions/${domain}`).set('Authorization', `Bearer ${alice}`).send(body);
+
+    expect((await put('example.com', { cookies: 'a=1' }).expect(400)).body.error.code).toBe('UNSUPPORTED_SITE');
+    expect((await put('not a domain', { cookies: 'a=1' }).expect(400)).body.error.code).toBe('INVALID_DOMAIN');
+    expect((await put('wsj.com', { cookies: '' }).expect(400)).body.error.code).toBe('MISSING_COOKIES');
+    expect((await put('wsj.com', { cookies: 'a=1', expiresAt: 'soon' }).expect(400)).body.error.code).toBe('INVALID_EXPIRY');
+  });
+
+  test('deletes sessions', async () => {
+    await request(app).delete('/api/sessions/nytimes.com').set('Authorization', `Bearer ${alice}`).expect(200);
+    const missing = await request(app).delete('/api/sessions/nytimes.com').set('Authorization', `Bearer ${alice}`).expect(404);
+
+    expect(missing.body.error.code).toBe('SESSION_NOT_FOUND');
+  });
+});
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ApiKeyStore = require('../../services/apiKeyStore');
+
+describe('ApiKeyStore', () => {
+  let directory;
+  let filePath;
+  let store;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'freeread-keys-'));
+    filePath = path.join(directory, 'nested', 'api-keys.json');
+    store = new ApiKeyStore({ filePath });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('creates keys and stores only their hash', async () => {
+    const { key, record } = await store.create({ name: 'alice', quota: { limit: 100, period: 'day' } });
+
+    expect(key).toMatch(/^fr_[A-Za-z0-9_-]{32}$/);
+    expect(record).toMatchObject({ name: 'alice', prefix: key.slice(0, 9), revokedAt: null, quota: { limit: 100, period: 'day' } });
+    expect(record).not.toHaveProperty('hash');
+
+    const raw = fs.readFileSync(filePath, 'utf8');
+    expect(raw).not.toContain(key);
+    expect(JSON.parse(raw).keys[0].hash).toBe(ApiKeyStore.hashKey(key));
+  });
+
+  test('verifies active keys', async () => {
+    const { key, record } = await store.create({ name: 'alice' });
+
+    await expect(store.verify(key)).resolves.toMatchObject({ id: record.id, name: 'alice' });
+    await expect(store.verify('fr_wrong')).resolves.toBeNull();
+    await expect(store.verify(undefined)).resolves.toBeNull();
+  });
+
+  test('revoked keys stop verifying', async () => {
+    const { key, record } = await store.create({ name: 'alice' });
+
+    const revoked = await store.revoke(record.id);
+
+    expect(revoked.revokedAt).toEqual(expect.any(String));
+    await expect(store.verify(key)).resolves.toBeNull();
+    await expect(store.revoke('key_missing')).resolves.toBeNull();
+  });
+
+  test('picks up keys written by another process', async () => {
+    await expect(store.list()).resolves.toEqual([]);
+
+    const { key } = await new ApiKeyStore({ filePath }).create({ name: 'from-cli' });
+
+    await expect(store.verify(key)).resolves.toMatchObject({ name: 'from-cli' });
+    await expect(store.list()).resolves.toHaveLength(1);
+  });
+
+  test('reads the key file location from the environment', () => {
+    expect(ApiKeyStore.fromEnv({ API_KEYS_FILE: '/tmp/keys.json' }).filePath).toBe('/tmp/keys.json');
+    expect(ApiKeyStore.fromEnv({}).filePath).toMatch(/data[\\/]api-keys\.json$/);
+  });
+});
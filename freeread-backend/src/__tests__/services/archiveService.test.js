@@ -226,6 +226,510 @@ describe('ArchiveService', () => {
       
       expect(archiveUrls.some(url => url.includes(oldTimestamp))).toBe(true);
     });
+
+    test('with preferOlder, scores captures older than six months before newer ones', async () => {
+      const url = 'https://www.wsj.com/article';
+      const monthsAgo = (months) => {
+        const date = new Date();
+        date.setMonth(date.getMonth() - months);
+        return date.toISOString().replace(/[-:T.Z]/g, '').substring(0, 14);
+      };
+      const recent = monthsAgo(1);
+      const older = monthsAgo(8);
+      const contentProcessor = { hasPaywall: jest.fn().mockReturnValue(false), extractContent: jest.fn() };
+      contentProcessor.extractContent.mockImplementation(async html => ({ text: html.includes(recent) ? 'r'.repeat(1900) : 'o'.repeat(1000) }));
+      archiveService = new ArchiveService({ contentProcessor });
+      axios.get.mockImplementation(async (requestUrl) => {
+        if (requestUrl.includes('/cdx/')) {
+          return { data: [['timestamp'], [recent], [older]] };
+        }
+        return { status: 200, data: `<html>${requestUrl.match(/web\/(\d{14})/)[1]}</html>` };
+      });
+
+      const result = await archiveService.fetchFromArchive(url, { preferOlder: true });
+
+      expect(axios.get.mock.calls[0][0]).toContain(`&closest=${monthsAgo(6).substring(0, 8)}`);
+      expect(result.timestamp).toBe(older);
+      expect(result.selection.candidates.map(candidate => candidate.timestamp)).toEqual([older]);
+    });
+
+    test('picks the captures nearest asOf first and reports the capture time', async () => {
+      const url = 'https://www.wsj.com/article';
+      const mockHtml = '<html>' + 'Archived paragraph. '.repeat(60) + '</html>';
+
+      axios.get.mockResolvedValueOnce({
+        data: [
+          ['urlkey', 'timestamp', 'original'],
+          ['wsj.com', '20240101000000', url],
+          ['wsj.com', '20240301000000', url],
+          ['wsj.com', '20240120000000', url]
+        ]
+      });
+      axios.get.mockResolvedValue({ data: mockHtml });
+
+      const result = await archiveService.fetchFromArchive(url, { asOf: new Date('2024-01-18T00:00:00Z') });
+
+      expect(axios.get.mock.calls[0][0]).toContain('&closest=20240118000000&sort=closest');
+      expect(axios.get.mock.calls[1][0]).toBe(`https://web.archive.org/web/20240120000000/${url}`);
+      expect(result).toMatchObject({
+        timestamp: '20240120000000',
+        capturedAt: '2024-01-20T00:00:00.000Z',
+        archive: 'wayback'
+      });
+    });
+  });
+
+  describe('getCaptures', () => {
+    const url = 'https://www.wsj.com/article';
+    const header = ['timestamp', 'statuscode', 'mimetype', 'digest', 'length'];
+
+    test('asks CDX for distinct 200 HTML captures nearest a time', async () => {
+      axios.get.mockResolvedValueOnce({ data: [header, ['20240115000000', '200', 'text/html', 'A', '900']] });
+
+      const result = await archiveService.getCaptures(url, { closest: new Date('2024-01-18T00:00:00Z') });
+
+      const cdxUrl = axios.get.mock.calls[0][0];
+      expect(cdxUrl).toContain('&filter=statuscode:200&filter=mimetype%3A(text%2Fhtml%7Capplication%2Fxhtml%5C%2Bxml)');
+      expect(cdxUrl).toContain('&collapse=digest&closest=20240118000000&sort=closest');
+      expect(cdxUrl).toContain('&showResumeKey=true');
+      expect(result).toEqual({
+        captures: [{ timestamp: '20240115000000', statusCode: 200, mimetype: 'text/html', digest: 'A', length: 900 }],
+        pages: 1
+      });
+    });
+
+    test('guards the CDX request against internal hosts', async () => {
+      axios.get.mockResolvedValueOnce({ data: [header] });
+
+      await archiveService.getCaptures(url);
+
+      expect(axios.get.mock.calls[0][1]).toEqual(expect.objectContaining({
+        lookup: expect.any(Function),
+        beforeRedirect: expect.any(Function)
+      }));
+    });
+
+    test('pages with resume keys and drops captures the server did not filter', async () => {
+      axios.get
+        .mockResolvedValueOnce({
+          data: [
+            header,
+            ['20240110000000', '200', 'text/html', 'A', '900'],
+            ['20240111000000', '302', 'text/html', 'B', '300'],
+            ['20240112000000', '200', 'application/pdf', 'C', '5000'],
+            [],
+            ['resume-1']
+          ]
+        })
+        .mockResolvedValueOnce({ data: [header, ['20240113000000', '200', 'application/xhtml+xml', 'D', '800']] });
+
+      const { captures, pages } = await archiveService.getCaptures(url, { closest: new Date('2024-01-13T00:00:00Z') });
+
+      expect(pages).toBe(2);
+      expect(axios.get.mock.calls[1][0]).toContain('&resumeKey=resume-1');
+      expect(captures.map(capture => capture.timestamp)).toEqual(['20240113000000', '20240110000000']);
+    });
+
+    test('keeps what it has when a later page fails', async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: [header, ['20240110000000', '200', 'text/html', 'A', '900'], [], ['resume-1']] })
+        .mockRejectedValueOnce(new Error('timeout'));
+
+      const { captures, pages } = await archiveService.getCaptures(url);
+
+      expect(pages).toBe(1);
+      expect(captures).toHaveLength(1);
+    });
+  });
+
+  describe('capture scoring', () => {
+    const url = 'https://www.wsj.com/article';
+    let contentProcessor;
+
+    beforeEach(() => {
+      contentProcessor = { hasPaywall: jest.fn(), extractContent: jest.fn() };
+      archiveService = new ArchiveService({ contentProcessor, maxCandidates: 3 });
+      axios.get.mockImplementation(async (requestUrl) => {
+        if (requestUrl.includes('/cdx/')) {
+          return {
+            data: [
+              ['timestamp', 'statuscode', 'mimetype'],
+              ['20240120000000', '200', 'text/html'],
+              ['20240119000000', '200', 'text/html'],
+              ['20240110000000', '200', 'text/html']
+            ]
+          };
+        }
+        return { status: 200, data: `<html>${requestUrl.match(/web\/(\d{14})/)[1]}</html>` };
+      });
+    });
+
+    test('chooses the capture with the most unpaywalled text and explains the choice', async () => {
+      const pages = {
+        20240120000000: { text: 'Teaser. '.repeat(100), paywalled: true },
+        20240119000000: { text: 'x'.repeat(1500), paywalled: false },
+        20240110000000: { text: 'short', paywalled: false }
+      };
+      contentProcessor.hasPaywall.mockImplementation(html => pages[html.match(/\d{14}/)[0]].paywalled);
+      contentProcessor.extractContent.mockImplementation(async html => ({ text: pages[html.match(/\d{14}/)[0]].text }));
+
+      const result = await archiveService.fetchFromArchive(url, { extraction: { selectors: ['.body'] } });
+
+      expect(contentProcessor.extractContent).toHaveBeenCalledWith(expect.stringContaining('20240120000000'), url, { selectors: ['.body'] });
+      expect(result.timestamp).toBe('20240119000000');
+      expect(result.html).toContain('20240119000000');
+      expect(result.selection).toEqual({
+        pages: 1,
+        candidates: [
+          { timestamp: '20240120000000', textLength: 799, paywalled: true, score: 200, selected: false },
+          { timestamp: '20240119000000', textLength: 1500, paywalled: false, score: 1500, selected: true },
+          { timestamp: '20240110000000', textLength: 5, paywalled: false, score: 0, error: 'Too little article text', selected: false }
+        ]
+      });
+    });
+
+    test('with asOf, never prefers a fuller capture much farther from the requested time', async () => {
+      const pages = {
+        20240120000000: { text: 'Teaser. '.repeat(100), paywalled: true },
+        20240119000000: { text: 'x'.repeat(1500), paywalled: false },
+        20240110000000: { text: 'z'.repeat(5000), paywalled: false }
+      };
+      contentProcessor.hasPaywall.mockImplementation(html => pages[html.match(/\d{14}/)[0]].paywalled);
+      contentProcessor.extractContent.mockImplementation(async html => ({ text: pages[html.match(/\d{14}/)[0]].text }));
+
+      const result = await archiveService.fetchFromArchive(url, { asOf: new Date('2024-01-20T06:00:00Z') });
+
+      // 20240119 is within a day of the nearest usable capture and wins on content; 20240110 is never fetched
+      expect(result.timestamp).toBe('20240119000000');
+      expect(result.selection).toEqual({
+        pages: 1,
+        windowMs: 24 * 60 * 60 * 1000,
+        candidates: [
+          { timestamp: '20240120000000', textLength: 799, paywalled: true, score: 200, distanceMs: 6 * 3600000, selected: false },
+          { timestamp: '20240119000000', textLength: 1500, paywalled: false, score: 1500, distanceMs: 30 * 3600000, selected: true }
+        ]
+      });
+      expect(contentProcessor.extractContent).toHaveBeenCalledTimes(2);
+    });
+
+    test('with asOf, keeps the nearest usable capture when the window is closed', async () => {
+      archiveService = new ArchiveService({ contentProcessor, maxCandidates: 3, asOfWindowMs: 0 });
+      contentProcessor.hasPaywall.mockImplementation(html => html.includes('20240120000000'));
+      contentProcessor.extractContent.mockResolvedValue({ text: 'w'.repeat(1500) });
+
+      const result = await archiveService.fetchFromArchive(url, { asOf: new Date('2024-01-20T00:00:00Z') });
+
+      expect(result.timestamp).toBe('20240120000000');
+      expect(result.selection.candidates.map(candidate => candidate.distanceMs)).toEqual([0]);
+    });
+
+    test('stops at the first complete capture', async () => {
+      contentProcessor.hasPaywall.mockReturnValue(false);
+      contentProcessor.extractContent.mockResolvedValue({ text: 'y'.repeat(2500) });
+
+      const result = await archiveService.fetchFromArchive(url);
+
+      expect(result.timestamp).toBe('20240120000000');
+      expect(result.selection.candidates).toHaveLength(1);
+    });
+
+    test('falls back to other archives when no capture has article text', async () => {
+      contentProcessor.hasPaywall.mockReturnValue(false);
+      contentProcessor.extractContent.mockRejectedValue(new Error('Failed to extract meaningful content'));
+
+      await expect(archiveService.fetchFromArchive(url)).resolves.toBeNull();
+      expect(contentProcessor.extractContent).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('archived HTML normalization', () => {
+    const url = 'https://www.wsj.com/article';
+    const page = [
+      '<html><head><script src="//archive.org/includes/athena.js"></script>',
+      '<script>__wm.init("https://web.archive.org/web");</script>',
+      '<link rel="stylesheet" href="/_static/css/banner-styles.css">',
+      '<!-- End Wayback Rewrite JS Include -->',
+      '</head><body>',
+      '<!-- BEGIN WAYBACK TOOLBAR INSERT --><div id="wm-ipp-base">Wayback Machine</div><!-- END WAYBACK TOOLBAR INSERT -->',
+      '<article><a href="/web/20240115123456/https://www.wsj.com/other">Other</a>',
+      '<img src="/web/20240115123456im_/https://images.wsj.net/photo.jpg">',
+      `<p>${'Archived article text. '.repeat(20)}</p></article>`,
+      '</body></html>',
+      '<!-- FILE ARCHIVED ON 12:34:56 Jan 15, 2024 AND RETRIEVED FROM THE INTERNET ARCHIVE ON 00:00:00 Feb 01, 2024. -->'
+    ].join('');
+
+    beforeEach(() => {
+      axios.get.mockImplementation(async requestUrl => (requestUrl.includes('/cdx/')
+        ? { data: [['timestamp', 'statuscode', 'mimetype'], ['20240115123456', '200', 'text/html']] }
+        : { status: 200, data: page }));
+    });
+
+    test('removes playback chrome and restores original URLs before extraction', async () => {
+      const result = await archiveService.fetchFromArchive(url);
+
+      expect(result.html).not.toMatch(/__wm|wm-ipp|banner-styles|FILE ARCHIVED/);
+      expect(result.html).toContain('href="https://www.wsj.com/other"');
+      expect(result.html).toContain('src="https://images.wsj.net/photo.jpg"');
+    });
+
+    test('can keep archived image URLs', async () => {
+      archiveService = new ArchiveService({ keepArchivedImages: true });
+
+      const result = await archiveService.fetchFromArchive(url);
+
+      expect(result.html).toContain('href="https://www.wsj.com/other"');
+      expect(result.html).toContain('src="https://web.archive.org/web/20240115123456im_/https://images.wsj.net/photo.jpg"');
+    });
+
+    test('fromEnv reads ARCHIVE_IMAGE_URLS', () => {
+      expect(ArchiveService.fromEnv({ WARC_ARCHIVE: 'off', ARCHIVE_IMAGE_URLS: 'archived' }).keepArchivedImages).toBe(true);
+      expect(ArchiveService.fromEnv({ WARC_ARCHIVE: 'off' }).keepArchivedImages).toBe(false);
+    });
   });
-});
 
+  describe('local WARC archive', () => {
+    const url = 'https://www.wsj.com/articles/test';
+    let local;
+    let contentProcessor;
+
+    beforeEach(() => {
+      local = { find: jest.fn() };
+      contentProcessor = {
+        hasPaywall: jest.fn(html => html.includes('paywall')),
+        extractContent: jest.fn(async html => ({ text: html.includes('paywall') ? 'p'.repeat(600) : 'a'.repeat(2500) }))
+      };
+      archiveService = new ArchiveService({ local, contentProcessor });
+    });
+
+    test('serves our own complete capture without going to the network', async () => {
+      local.find.mockResolvedValue({
+        html: '<html>ours</html>',
+        entry: { timestamp: '20240115123456', filename: 'FREEREAD-1.warc.gz', offset: 512 }
+      });
+
+      const result = await archiveService.fetchFromArchive(url);
+
+      expect(local.find).toHaveBeenCalledWith(url, {});
+      expect(axios.get).not.toHaveBeenCalled();
+      expect(result).toEqual({
+        html: '<html>ours</html>',
+        timestamp: '20240115123456',
+        capturedAt: '2024-01-15T12:34:56.000Z',
+        archive: 'local',
+        warc: { filename: 'FREEREAD-1.warc.gz', offset: 512 },
+        source: 'archive'
+      });
+    });
+
+    test('scores a paywalled capture of ours against the Wayback captures', async () => {
+      local.find.mockResolvedValue({
+        html: '<html>paywall</html>',
+        entry: { timestamp: '20240115123456', filename: 'FREEREAD-1.warc.gz', offset: 512 }
+      });
+      axios.get.mockImplementation(async (requestUrl) => {
+        if (requestUrl.includes('/cdx/')) {
+          return { data: [['timestamp'], ['20240110000000']] };
+        }
+        return { status: 200, data: '<html>full</html>' };
+      });
+
+      const result = await archiveService.fetchFromArchive(url);
+
+      expect(result).toMatchObject({ timestamp: '20240110000000', archive: 'wayback' });
+      expect(result.selection.candidates).toEqual([
+        { timestamp: '20240115123456', textLength: 600, paywalled: true, score: 150, archive: 'local', selected: false },
+        { timestamp: '20240110000000', textLength: 2500, paywalled: false, score: 2500, selected: true }
+      ]);
+    });
+
+    test('keeps a paywalled capture of ours when no archive has a better one', async () => {
+      local.find.mockResolvedValue({
+        html: '<html>paywall</html>',
+        entry: { timestamp: '20240115123456', filename: 'FREEREAD-1.warc.gz', offset: 512 }
+      });
+      axios.get.mockResolvedValueOnce({ data: [] });
+
+      const result = await archiveService.fetchFromArchive(url);
+
+      expect(result).toMatchObject({
+        html: '<html>paywall</html>',
+        archive: 'local',
+        warc: { filename: 'FREEREAD-1.warc.gz', offset: 512 },
+        selection: { candidates: [{ timestamp: '20240115123456', paywalled: true, archive: 'local', selected: true }] }
+      });
+    });
+
+    test('keeps a usable capture of ours when Wayback is unreachable', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      local.find.mockResolvedValue({
+        html: '<html>paywall</html>',
+        entry: { timestamp: '20240115123456', filename: 'FREEREAD-1.warc.gz', offset: 512 }
+      });
+      axios.get.mockRejectedValue(new Error('socket hang up'));
+
+      const result = await archiveService.fetchFromArchive(url);
+
+      expect(result).toMatchObject({ archive: 'local', timestamp: '20240115123456' });
+      expect(consoleError).toHaveBeenCalledWith('Wayback lookup failed, using our own capture:', 'Failed to fetch archive timestamps: socket hang up');
+      consoleError.mockRestore();
+    });
+
+    test('with preferOlder, tries older Wayback captures before a recent capture of ours', async () => {
+      const recent = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().replace(/[-:T.Z]/g, '').substring(0, 14);
+      local.find.mockResolvedValue({
+        html: '<html>ours</html>',
+        entry: { timestamp: recent, filename: 'FREEREAD-1.warc.gz', offset: 512 }
+      });
+      axios.get.mockImplementation(async (requestUrl) => {
+        if (requestUrl.includes('/cdx/')) {
+          return { data: [['timestamp'], ['20200101000000']] };
+        }
+        return { status: 200, data: '<html>older</html>' };
+      });
+
+      const result = await archiveService.fetchFromArchive(url, { preferOlder: true });
+
+      expect(result.timestamp).toBe('20200101000000');
+      expect(result.selection.candidates.map(candidate => candidate.timestamp)).toEqual(['20200101000000']);
+    });
+
+    test('only uses our capture for asOf reads within a day', async () => {
+      local.find.mockResolvedValue(null);
+      axios.get.mockResolvedValueOnce({ data: [] });
+
+      const asOf = new Date('2024-01-15T00:00:00Z');
+      await expect(archiveService.fetchFromArchive(url, { asOf })).resolves.toBeNull();
+
+      expect(local.find).toHaveBeenCalledWith(url, { asOf, maxDistanceMs: 24 * 60 * 60 * 1000 });
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('falls through to Wayback when the local archive fails', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      local.find.mockRejectedValue(new Error('corrupt index'));
+      axios.get.mockResolvedValueOnce({ data: [] });
+
+      await expect(archiveService.fetchFromArchive(url)).resolves.toBeNull();
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(consoleError).toHaveBeenCalledWith('Local WARC lookup failed:', 'corrupt index');
+      consoleError.mockRestore();
+    });
+  });
+
+  describe('Memento', () => {
+    const url = 'https://www.wsj.com/articles/story';
+    const pywb = { name: 'pywb', timemap: 'https://pywb.example/timemap/link/', timegate: 'https://pywb.example/' };
+    const memento = (archive, stamp, datetime) =>
+      `<https://${archive}/web/${stamp}/${url}>; rel="memento"; datetime="${datetime}"`;
+
+    beforeEach(() => {
+      archiveService = new ArchiveService({
+        archives: [
+          { name: 'wayback', timemap: 'https://web.archive.org/web/timemap/link/', timegate: 'https://web.archive.org/web/' },
+          pywb
+        ]
+      });
+    });
+
+    test('merges TimeMaps across archives and reports failures per archive', async () => {
+      axios.get.mockImplementation(async (requestUrl) => {
+        if (requestUrl.startsWith('https://web.archive.org')) {
+          return {
+            status: 200,
+            data: [
+              `<${url}>; rel="original"`,
+              memento('web.archive.org', '20240301000000', 'Fri, 01 Mar 2024 00:00:00 GMT'),
+              memento('web.archive.org', '20240115000000', 'Mon, 15 Jan 2024 00:00:00 GMT')
+            ].join(',\n')
+          };
+        }
+        throw new Error('connect ECONNREFUSED');
+      });
+
+      const result = await archiveService.getTimeMaps(url);
+
+      expect(axios.get).toHaveBeenCalledWith(`https://web.archive.org/web/timemap/link/${url}`, expect.any(Object));
+      expect(result.mementos.map(m => m.datetime)).toEqual(['2024-01-15T00:00:00.000Z', '2024-03-01T00:00:00.000Z']);
+      expect(result.mementos[0].archive).toBe('wayback');
+      expect(result.archives).toEqual([
+        { name: 'wayback', count: 2 },
+        { name: 'pywb', count: 0, error: 'connect ECONNREFUSED' }
+      ]);
+    });
+
+    test('treats a 404 TimeMap as no captures', async () => {
+      axios.get.mockResolvedValue({ status: 404, data: '' });
+
+      await expect(archiveService.getTimeMap(url, pywb)).resolves.toEqual([]);
+    });
+
+    test('picks the memento closest to a datetime', async () => {
+      axios.get.mockImplementation(async (requestUrl) => ({
+        status: 200,
+        data: requestUrl.startsWith('https://web.archive.org')
+          ? memento('web.archive.org', '20240101000000', 'Mon, 01 Jan 2024 00:00:00 GMT')
+          : memento('pywb.example', '20240210000000', 'Sat, 10 Feb 2024 00:00:00 GMT')
+      }));
+
+      const closest = await archiveService.findClosestMemento(url, '2024-02-01T00:00:00Z');
+
+      expect(closest).toMatchObject({
+        uri: `https://pywb.example/web/20240210000000/${url}`,
+        archive: 'pywb',
+        datetime: '2024-02-10T00:00:00.000Z',
+        distanceMs: 9 * 24 * 3600 * 1000
+      });
+    });
+
+    test('asks the TimeGate when an archive has no usable TimeMap', async () => {
+      archiveService = new ArchiveService({ archives: [{ name: 'gate-only', timegate: 'https://gate.example/' }] });
+      const location = `https://gate.example/20240120000000/${url}`;
+      axios.get.mockResolvedValue({
+        status: 302,
+        headers: {
+          location,
+          link: `<${url}>; rel="original", <${location}>; rel="memento"; datetime="Sat, 20 Jan 2024 00:00:00 GMT"`
+        }
+      });
+
+      const closest = await archiveService.findClosestMemento(url, '2024-01-18T00:00:00Z');
+
+      expect(axios.get.mock.calls[0][1].headers['Accept-Datetime']).toBe('Thu, 18 Jan 2024 00:00:00 GMT');
+      expect(closest).toMatchObject({ uri: location, datetime: '2024-01-20T00:00:00.000Z', archive: 'gate-only' });
+    });
+
+    test('falls back to other archives when Wayback has no capture', async () => {
+      const html = '<html><head></head><body><article>Archived</article></body></html>';
+      axios.get.mockImplementation(async (requestUrl) => {
+        if (requestUrl.includes('/cdx/')) {
+          return { data: [['urlkey', 'timestamp', 'original']] };
+        }
+        if (requestUrl.startsWith('https://pywb.example/timemap')) {
+          return { status: 200, data: memento('pywb.example', '20240110000000', 'Wed, 10 Jan 2024 00:00:00 GMT') };
+        }
+        return { status: 200, data: html };
+      });
+
+      const result = await archiveService.fetchFromArchive(url);
+
+      expect(result).toEqual({
+        html,
+        timestamp: '20240110000000',
+        capturedAt: '2024-01-10T00:00:00.000Z',
+        archive: 'pywb',
+        mementoUri: `https://pywb.example/web/20240110000000/${url}`,
+        source: 'archive'
+      });
+      expect(axios.get).not.toHaveBeenCalledWith(expect.stringContaining('web.archive.org/web/timemap'), expect.any(Object));
+    });
+
+    test('reads archives from the environment', () => {
+      const fromEnv = ArchiveService.fromEnv({ MEMENTO_ARCHIVES: JSON.stringify([pywb]) });
+
+      expect(fromEnv.archives).toEqual([pywb]);
+      expect(ArchiveService.fromEnv({}).archives[0].name).toBe('wayback');
+      expect(() => ArchiveService.fromEnv({ MEMENTO_ARCHIVES: '[{"name":"x"}]' })).toThrow('MEMENTO_ARCHIVES');
+    });
+  });
+});
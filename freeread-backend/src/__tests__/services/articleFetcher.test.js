@@ -0,0 +1,536 @@
+const ArticleFetcher = require('../../services/articleFetcher');
+const CacheService = require('../../services/cacheService');
+const MemoryCacheStore = require('../../services/memoryCacheStore');
+const SiteRegistry = require('../../adapters/siteRegistry');
+const PolicyService = require('../../services/policyService');
+const { createApiError } = require('../../utils/apiError');
+
+describe('ArticleFetcher', () => {
+  const url = 'https://www.nytimes.com/2024/01/15/article.html';
+  const html = '<html><article>Article content</article></html>';
+  const extracted = { title: 'Test Article', text: 'Article content', html: '<p>Article content</p>' };
+
+  let service;
+  let contentProcessor;
+  let cookieService;
+  let cache;
+  let fetcher;
+
+  beforeEach(() => {
+    service = { fetchArticleResult: jest.fn() };
+    contentProcessor = { extractContent: jest.fn() };
+    cookieService = { isNotModified: jest.fn() };
+    cache = new CacheService({ store: new MemoryCacheStore(), ttlSeconds: 60 });
+
+    const registry = new SiteRegistry().register({
+      id: 'nyt',
+      name: 'NYT',
+      domains: ['nytimes.com'],
+      extraction: { selectors: ['.story'] },
+      share: { access: ['unlocked_article_code'], tracking: ['smid'] },
+      createService: () => service
+    });
+
+    fetcher = new ArticleFetcher({ registry, contentProcessor, cache, cookieService });
+
+    service.fetchArticleResult.mockResolvedValue({
+      html,
+      strategy: 'cookie-clearing',
+      attempts: [{ strategy: 'cookie-clearing', outcome: 'success' }],
+      headers: { etag: '"v1"' }
+    });
+    contentProcessor.extractContent.mockResolvedValue(extracted);
+  });
+
+  test('fetches, extracts with adapter hints and reports source', async () => {
+    const result = await fetcher.fetch(url);
+
+    expect(contentProcessor.extractContent).toHaveBeenCalledWith(html, url, { selectors: ['.story'] });
+    expect(result.method).toBe('cookie-clearing');
+    expect(result.content).toEqual({ ...extracted, pages: 1 });
+    expect(result.metadata.source).toBe('direct');
+    expect(result.metadata.cache.hit).toBe(false);
+  });
+
+  test('serves repeat requests from cache', async () => {
+    await fetcher.fetch(url);
+    const result = await fetcher.fetch(url);
+
+    expect(service.fetchArticleResult).toHaveBeenCalledTimes(1);
+    expect(result.metadata.source).toBe('cache');
+    expect(result.metadata.cache).toMatchObject({ hit: true, revalidated: false });
+    expect(result.method).toBe('cookie-clearing');
+    expect(result.content).toEqual({ ...extracted, pages: 1 });
+  });
+
+  test('bypasses cache with no-cache directive', async () => {
+    await fetcher.fetch(url);
+    await fetcher.fetch(url, { cache: { noCache: true } });
+
+    expect(service.fetchArticleResult).toHaveBeenCalledTimes(2);
+  });
+
+  test('revalidates stale entries using stored validators', async () => {
+    cache.ttlSeconds = 0;
+    await fetcher.fetch(url);
+    cache.ttlSeconds = 60;
+    cookieService.isNotModified.mockResolvedValue(true);
+
+    const result = await fetcher.fetch(url);
+
+    expect(cookieService.isNotModified).toHaveBeenCalledWith(url, { etag: '"v1"' });
+    expect(service.fetchArticleResult).toHaveBeenCalledTimes(1);
+    expect(result.metadata.cache.revalidated).toBe(true);
+  });
+
+  test('refetches stale entries that changed upstream', async () => {
+    cache.ttlSeconds = 0;
+    await fetcher.fetch(url);
+    cookieService.isNotModified.mockResolvedValue(false);
+
+    const result = await fetcher.fetch(url);
+
+    expect(service.fetchArticleResult).toHaveBeenCalledTimes(2);
+    expect(result.metadata.source).toBe('direct');
+  });
+
+  test('treats cache failures as misses', async () => {
+    cache.get = jest.fn().mockRejectedValue(new Error('disk full'));
+    cache.set = jest.fn().mockRejectedValue(new Error('disk full'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await fetcher.fetch(url);
+
+    expect(result.metadata.source).toBe('direct');
+  });
+
+  test('caches gift-link fetches under the canonical article URL', async () => {
+    const giftUrl = `${url}?unlocked_article_code=abc&smid=url-share`;
+    service.fetchArticleResult.mockResolvedValue({ html, strategy: 'gift-link', attempts: [] });
+
+    const result = await fetcher.fetch(giftUrl);
+    const cached = await fetcher.fetch(url);
+
+    expect(service.fetchArticleResult).toHaveBeenCalledWith(giftUrl, expect.any(Object));
+    expect(result.method).toBe('gift-link');
+    expect(result.metadata).toMatchObject({ originalUrl: giftUrl, canonicalUrl: url });
+    expect(cached.metadata.source).toBe('cache');
+    expect(cached.method).toBe('gift-link');
+  });
+
+  test('rejects unsupported sites', async () => {
+    await expect(fetcher.fetch('https://example.com/article'))
+      .rejects.toMatchObject({ code: 'UNSUPPORTED_SITE', status: 400 });
+  });
+
+  test('wraps fetch failures with attempts', async () => {
+    const error = new Error('NYT fetch failed: Paywall detected (method: search-engine)');
+    error.attempts = [{ strategy: 'search-engine', outcome: 'paywall' }];
+    service.fetchArticleResult.mockRejectedValue(error);
+
+    await expect(fetcher.fetch(url)).rejects.toMatchObject({
+      code: 'FETCH_FAILED',
+      status: 500,
+      details: { site: 'NYT', attempts: error.attempts }
+    });
+  });
+
+  test('refuses pages that redirect to internal hosts', async () => {
+    const error = new Error('NYT fetch failed: Refusing to fetch internal address localhost');
+    error.attempts = [
+      { strategy: 'cookie-clearing', outcome: 'error', error: 'Refusing to fetch internal address localhost', code: 'UNSAFE_URL' }
+    ];
+    service.fetchArticleResult.mockRejectedValue(error);
+
+    await expect(fetcher.fetch(url)).rejects.toMatchObject({
+      code: 'UNSAFE_URL',
+      status: 400,
+      message: 'Refusing to fetch internal address localhost',
+      details: { site: 'NYT', attempts: error.attempts }
+    });
+  });
+
+  test('reports paywall extraction errors', async () => {
+    contentProcessor.extractContent.mockRejectedValue(new Error('Paywall detected in content'));
+
+    await expect(fetcher.fetch(url)).rejects.toMatchObject({ code: 'PAYWALL_DETECTED' });
+  });
+
+  describe('multi-page articles', () => {
+    const page = (body, next) => `<html><head>${next ? `<link rel="next" href="${next}">` : ''}</head><body>${body}</body></html>`;
+    const article = (paragraphs) => ({
+      title: 'Test Article',
+      text: paragraphs.join('\n\n'),
+      html: `<div id="readability-page-1" class="page">${paragraphs.map(text => `<p>${text}</p>`).join('')}</div>`
+    });
+
+    beforeEach(() => {
+      const pages = {
+        [url]: page('one', '?page=2'),
+        [`${url}?page=2`]: page('two', '?page=3'),
+        [`${url}?page=3`]: page('three')
+      };
+      service.fetchArticleResult.mockImplementation(async pageUrl => ({
+        html: pages[pageUrl],
+        strategy: 'cookie-clearing',
+        attempts: [{ strategy: 'cookie-clearing', outcome: 'success' }],
+        headers: {}
+      }));
+      contentProcessor.extractContent.mockImplementation(async (pageHtml) => {
+        if (pageHtml.includes('one')) {
+          return article(['Share this article', 'First page text.']);
+        }
+        return pageHtml.includes('two')
+          ? article(['Share this article', 'Second page text.'])
+          : article(['Share this article', 'Third page text.']);
+      });
+    });
+
+    test('fetches later pages through the same service and stitches them together', async () => {
+      const onProgress = jest.fn();
+
+      const result = await fetcher.fetch(url, { onProgress });
+
+      expect(service.fetchArticleResult.mock.calls.map(([pageUrl]) => pageUrl)).toEqual([url, `${url}?page=2`, `${url}?page=3`]);
+      expect(contentProcessor.extractContent).toHaveBeenCalledWith(page('two', '?page=3'), `${url}?page=2`, { selectors: ['.story'] });
+      expect(result.content.pages).toBe(3);
+      expect(result.content.text).toBe('Share this article\n\nFirst page text.\n\nSecond page text.\n\nThird page text.');
+      expect(result.content.html).toBe(
+        '<div id="readability-page-1" class="page"><p>Share this article</p><p>First page text.</p></div>' +
+        '<div id="readability-page-2" class="page"><p>Second page text.</p></div>' +
+        '<div id="readability-page-3" class="page"><p>Third page text.</p></div>'
+      );
+      expect(result.metadata.pagination).toEqual({ urls: [`${url}?page=2`, `${url}?page=3`] });
+      expect(onProgress).toHaveBeenCalledWith({ type: 'page', page: 2, url: `${url}?page=2` });
+
+      const cached = await fetcher.fetch(url);
+      expect(cached.content.pages).toBe(3);
+    });
+
+    test('stops at maxPages', async () => {
+      fetcher.maxPages = 2;
+
+      const result = await fetcher.fetch(url);
+
+      expect(service.fetchArticleResult).toHaveBeenCalledTimes(2);
+      expect(result.content.pages).toBe(2);
+    });
+
+    test('keeps the pages read when a later page fails', async () => {
+      const firstPage = service.fetchArticleResult.getMockImplementation();
+      service.fetchArticleResult.mockImplementation(async (pageUrl, options) => {
+        if (pageUrl.endsWith('page=3')) {
+          throw new Error('All methods failed');
+        }
+        return firstPage(pageUrl, options);
+      });
+
+      const result = await fetcher.fetch(url);
+
+      expect(result.content.pages).toBe(2);
+      expect(result.metadata.pagination).toEqual({
+        urls: [`${url}?page=2`],
+        error: `Page 3 (${url}?page=3): All methods failed`
+      });
+    });
+
+    test('never caches or archives an article when a later page needed the subscription', async () => {
+      const firstPage = service.fetchArticleResult.getMockImplementation();
+      service.fetchArticleResult.mockImplementation(async (pageUrl, options) => ({
+        ...(await firstPage(pageUrl, options)),
+        strategy: pageUrl.endsWith('page=2') ? 'subscription' : 'cookie-clearing'
+      }));
+      fetcher.sessions = { find: jest.fn().mockResolvedValue({ domain: 'nytimes.com', status: 'active', cookie: 'NYT-S=abc' }) };
+      fetcher.warc = { record: jest.fn() };
+
+      const result = await fetcher.fetch(url, { apiKeyId: 'key_a' });
+
+      expect(result.method).toBe('cookie-clearing');
+      expect(result.content.pages).toBe(3);
+      expect(result.metadata.session.used).toBe(true);
+      await expect(cache.get(url)).resolves.toBeNull();
+      expect(fetcher.warc.record).not.toHaveBeenCalled();
+    });
+
+    test('checks the publisher policy for every further page', async () => {
+      fetcher.policy = new PolicyService({
+        fetchRobots: jest.fn().mockResolvedValue({ statusCode: 200, body: 'User-agent: *\nDisallow: /*?page=3' })
+      });
+
+      const result = await fetcher.fetch(url);
+
+      expect(service.fetchArticleResult.mock.calls.map(([pageUrl]) => pageUrl)).toEqual([url, `${url}?page=2`]);
+      expect(result.content.pages).toBe(2);
+      expect(result.metadata.pagination.error).toMatch(/^Page 3 \(.*\?page=3\): /);
+    });
+
+    test('does not follow next links to other sites', async () => {
+      service.fetchArticleResult.mockResolvedValue({
+        html: page('one', 'https://www.example.com/2024/01/15/article.html?page=2'),
+        strategy: 'cookie-clearing',
+        attempts: [],
+        headers: {}
+      });
+
+      const result = await fetcher.fetch(url);
+
+      expect(service.fetchArticleResult).toHaveBeenCalledTimes(1);
+      expect(result.content.pages).toBe(1);
+      expect(result.metadata).not.toHaveProperty('pagination');
+    });
+  });
+
+  describe('WARC archiving', () => {
+    let warc;
+
+    beforeEach(() => {
+      warc = { record: jest.fn().mockResolvedValue({ filename: 'FREEREAD-1.warc.gz', offset: 0, timestamp: '20240115123456' }) };
+      fetcher.warc = warc;
+    });
+
+    test('records publisher responses with the extracted article', async () => {
+      service.fetchArticleResult.mockResolvedValue({
+        html,
+        strategy: 'cookie-clearing',
+        attempts: [{ strategy: 'cookie-clearing', outcome: 'success', statusCode: 200 }],
+        headers: { etag: '"v1"' }
+      });
+
+      const result = await fetcher.fetch(url);
+
+      expect(warc.record).toHaveBeenCalledWith(url, {
+        html,
+        statusCode: 200,
+        headers: { etag: '"v1"' },
+        content: { ...extracted, pages: 1 },
+        method: 'cookie-clearing'
+      });
+      expect(result.metadata.warc).toEqual({ filename: 'FREEREAD-1.warc.gz', offset: 0, timestamp: '20240115123456' });
+
+      await fetcher.fetch(url);
+      expect(warc.record).toHaveBeenCalledTimes(1); // Cache hits are not new captures
+    });
+
+    test('records gift links under the canonical URL, without the share token', async () => {
+      service.fetchArticleResult.mockResolvedValue({ html, strategy: 'gift-link', attempts: [], headers: {} });
+
+      await fetcher.fetch(`${url}?unlocked_article_code=abc&smid=url-share`);
+
+      expect(warc.record).toHaveBeenCalledWith(url, expect.objectContaining({ method: 'gift-link' }));
+    });
+
+    test('does not record pages from the archive strategy', async () => {
+      service.fetchArticleResult.mockResolvedValue({ html, strategy: 'archive', attempts: [], headers: {} });
+
+      const result = await fetcher.fetch(url);
+
+      expect(warc.record).not.toHaveBeenCalled();
+      expect(result.metadata).not.toHaveProperty('warc');
+    });
+
+    test('reports the capture the archive strategy read', async () => {
+      const capture = { archive: 'wayback', timestamp: '20240115123456', capturedAt: '2024-01-15T12:34:56.000Z' };
+      service.fetchArticleResult.mockResolvedValue({
+        html,
+        strategy: 'archive',
+        attempts: [{ strategy: 'archive', outcome: 'success', details: { capture } }],
+        headers: {}
+      });
+
+      const result = await fetcher.fetch(url);
+
+      expect(result.metadata.capture).toEqual(capture);
+    });
+
+    test('never fails the fetch when the archive cannot be written', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      warc.record.mockRejectedValue(new Error('disk full'));
+
+      const result = await fetcher.fetch(url);
+
+      expect(result.content).toEqual({ ...extracted, pages: 1 });
+      expect(consoleError).toHaveBeenCalledWith('WARC write failed:', 'disk full');
+      consoleError.mockRestore();
+    });
+  });
+
+  describe('Save Page Now', () => {
+    let archive;
+
+    beforeEach(() => {
+      archive = { savePage: jest.fn() };
+      fetcher.archive = archive;
+    });
+
+    test('requests a capture after a successful read', async () => {
+      const saved = { url, jobId: 'spn2-1', timestamp: '20240115123456', capturedAt: '2024-01-15T12:34:56.000Z', captureUrl: `https://web.archive.org/web/20240115123456/${url}` };
+      archive.savePage.mockResolvedValue(saved);
+      const events = [];
+
+      const result = await fetcher.fetch(url, { archive: true, onProgress: event => events.push(event.type) });
+
+      expect(archive.savePage).toHaveBeenCalledWith(url);
+      expect(result.archive).toEqual({ success: true, ...saved });
+      expect(result.content).toEqual({ ...extracted, pages: 1 });
+      expect(events.slice(-1)).toEqual(['saving']);
+    });
+
+    test('reports a failed save without failing the read', async () => {
+      archive.savePage.mockRejectedValue(createApiError('SAVE_TIMEOUT', 'Save Page Now did not finish within 120s', 504, { jobId: 'spn2-1' }));
+
+      const result = await fetcher.fetch(url, { archive: true });
+
+      expect(result.content).toEqual({ ...extracted, pages: 1 });
+      expect(result.archive).toEqual({
+        success: false,
+        error: { code: 'SAVE_TIMEOUT', message: 'Save Page Now did not finish within 120s', details: { jobId: 'spn2-1' } }
+      });
+    });
+
+    test('does not save pages that could not be read', async () => {
+      service.fetchArticleResult.mockRejectedValue(Object.assign(new Error('NYT fetch failed'), { attempts: [] }));
+
+      await expect(fetcher.fetch(url, { archive: true })).rejects.toMatchObject({ code: 'FETCH_FAILED' });
+      expect(archive.savePage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('point-in-time reads', () => {
+    const asOf = new Date('2024-01-18T00:00:00Z');
+    let archive;
+
+    beforeEach(() => {
+      archive = { fetchFromArchive: jest.fn() };
+      fetcher.archive = archive;
+    });
+
+    test('extracts the capture nearest asOf and reports its time', async () => {
+      await fetcher.fetch(url);
+      archive.fetchFromArchive.mockResolvedValue({
+        html: '<html>January version</html>',
+        timestamp: '20240120000000',
+        capturedAt: '2024-01-20T00:00:00.000Z',
+        archive: 'wayback',
+        source: 'archive'
+      });
+
+      const result = await fetcher.fetch(url, { asOf });
+
+      expect(archive.fetchFromArchive).toHaveBeenCalledWith(url, { asOf, extraction: { selectors: ['.story'] } });
+      expect(contentProcessor.extractContent).toHaveBeenLastCalledWith('<html>January version</html>', url, { selectors: ['.story'] });
+      expect(result.method).toBe('archive');
+      expect(result.metadata).toMatchObject({
+        source: 'archive',
+        capture: {
+          asOf: '2024-01-18T00:00:00.000Z',
+          capturedAt: '2024-01-20T00:00:00.000Z',
+          timestamp: '20240120000000',
+          archive: 'wayback'
+        }
+      });
+      // Neither served from nor stored in the cache of current versions
+      expect((await cache.get(url)).entry.html).toBe(html);
+    });
+
+    test('reports when no capture exists', async () => {
+      archive.fetchFromArchive.mockResolvedValue(null);
+
+      await expect(fetcher.fetch(url, { asOf })).rejects.toMatchObject({ code: 'ARCHIVE_NOT_FOUND', status: 404 });
+      expect(service.fetchArticleResult).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('publisher policy', () => {
+    const robots = (body) => new PolicyService({ fetchRobots: jest.fn().mockResolvedValue({ statusCode: 200, body }) });
+
+    test('refuses disallowed URLs before fetching or reading the cache', async () => {
+      await fetcher.fetch(url);
+      fetcher.policy = robots('User-agent: FreeRead\nDisallow: /2024/');
+
+      await expect(fetcher.fetch(url)).rejects.toMatchObject({
+        code: 'POLICY_BLOCKED',
+        status: 403,
+        details: { reason: 'robots' }
+      });
+      expect(service.fetchArticleResult).toHaveBeenCalledTimes(1);
+    });
+
+    test('refuses noarchive pages without caching them', async () => {
+      fetcher.policy = robots('');
+      service.fetchArticleResult.mockResolvedValue({
+        html: '<html><head><meta name="robots" content="noarchive"></head></html>',
+        strategy: 'cookie-clearing',
+        attempts: []
+      });
+
+      await expect(fetcher.fetch(url)).rejects.toMatchObject({ details: { reason: 'noarchive' } });
+      expect(contentProcessor.extractContent).not.toHaveBeenCalled();
+      await expect(cache.get(url)).resolves.toBeNull();
+    });
+  });
+
+  describe('subscription sessions', () => {
+    let sessions;
+
+    beforeEach(() => {
+      sessions = { find: jest.fn(), invalidate: jest.fn() };
+      fetcher.sessions = sessions;
+    });
+
+    test('passes the key\'s active session to the service and does not cache the result', async () => {
+      sessions.find.mockResolvedValue({ domain: 'nytimes.com', status: 'active', cookie: 'NYT-S=abc' });
+      service.fetchArticleResult.mockResolvedValue({ html, strategy: 'subscription', attempts: [] });
+
+      const result = await fetcher.fetch(url, { apiKeyId: 'key_a' });
+
+      expect(sessions.find).toHaveBeenCalledWith('key_a', url);
+      expect(service.fetchArticleResult).toHaveBeenCalledWith(url, expect.objectContaining({
+        session: { domain: 'nytimes.com', cookie: 'NYT-S=abc' }
+      }));
+      expect(result.metadata.session).toEqual({ domain: 'nytimes.com', used: true, status: 'active' });
+      await expect(cache.get(url)).resolves.toBeNull();
+    });
+
+    test('does not look up sessions without an API key', async () => {
+      const result = await fetcher.fetch(url);
+
+      expect(sessions.find).not.toHaveBeenCalled();
+      expect(result.metadata).not.toHaveProperty('session');
+    });
+
+    test('invalidates sessions the publisher rejected and reports them', async () => {
+      sessions.find.mockResolvedValue({ domain: 'nytimes.com', status: 'active', cookie: 'NYT-S=old' });
+      service.fetchArticleResult.mockResolvedValue({
+        html,
+        strategy: 'cookie-clearing',
+        attempts: [
+          { strategy: 'subscription', outcome: 'error', code: 'SESSION_INVALID', error: 'Your nytimes.com session was not accepted' },
+          { strategy: 'cookie-clearing', outcome: 'success' }
+        ]
+      });
+
+      const result = await fetcher.fetch(url, { apiKeyId: 'key_a' });
+
+      expect(sessions.invalidate).toHaveBeenCalledWith('key_a', 'nytimes.com', 'Your nytimes.com session was not accepted');
+      expect(result.metadata.session).toEqual({
+        domain: 'nytimes.com',
+        used: false,
+        status: 'invalid',
+        error: { code: 'SESSION_INVALID', message: 'Your nytimes.com session was not accepted' }
+      });
+    });
+
+    test('fails with SESSION_EXPIRED when an expired session left nothing else working', async () => {
+      sessions.find.mockResolvedValue({ domain: 'nytimes.com', status: 'expired', expiresAt: '2000-01-01T00:00:00.000Z', cookie: null });
+      const error = Object.assign(new Error('NYT fetch failed'), { attempts: [{ strategy: 'subscription', outcome: 'skipped' }] });
+      service.fetchArticleResult.mockRejectedValue(error);
+
+      await expect(fetcher.fetch(url, { apiKeyId: 'key_a' })).rejects.toMatchObject({
+        code: 'SESSION_EXPIRED',
+        status: 403,
+        details: { domain: 'nytimes.com', suggestion: 'Register fresh cookies with PUT /api/sessions/nytimes.com' }
+      });
+      expect(service.fetchArticleResult.mock.calls[0][1]).not.toHaveProperty('session');
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const BatchFetcher = require('../../services/batchFetcher');
+const registry = require('../../adapters');
+const { createApiError } = require('../../utils/apiError');
+
+describe('BatchFetcher', () => {
+  let articleFetcher;
+  let batchFetcher;
+
+  beforeEach(() => {
+    articleFetcher = { fetch: jest.fn() };
+    batchFetcher = new BatchFetcher({ articleFetcher, registry, concurrency: 2 });
+  });
+
+  describe('plan', () => {
+    test('deduplicates by canonical URL and flags invalid entries', () => {
+      const { items, duplicates } = batchFetcher.plan([
+        'https://www.nytimes.com/a.html',
+        'https://www.nytimes.com/a.html#comments',
+        'https://www.nytimes.com/a.html?unlocked_article_code=abc&smid=url-share',
+        'not-a-url',
+        'https://www.wsj.com/b'
+      ]);
+
+      expect(items.map(i => i.url)).toEqual(['https://www.nytimes.com/a.html', 'not-a-url', 'https://www.wsj.com/b']);
+      expect(items[1].error.code).toBe('INVALID_URL');
+      expect(duplicates).toEqual([
+        { url: 'https://www.nytimes.com/a.html#comments', duplicateOf: 'https://www.nytimes.com/a.html' },
+        { url: 'https://www.nytimes.com/a.html?unlocked_article_code=abc&smid=url-share', duplicateOf: 'https://www.nytimes.com/a.html' }
+      ]);
+    });
+  });
+
+  describe('run', () => {
+    test('returns per-URL results and errors without failing the batch', async () => {
+      articleFetcher.fetch.mockImplementation(async (url) => {
+        if (url.includes('wsj')) {
+          throw createApiError('FETCH_FAILED', 'WSJ fetch failed', 500);
+        }
+        return { method: 'cookie-clearing', content: { title: 'A' } };
+      });
+
+      const result = await batchFetcher.run([
+        'https://www.nytimes.com/a.html',
+        'https://www.wsj.com/b',
+        'https://www.nytimes.com/a.html',
+        ''
+      ]);
+
+      expect(result.results).toHaveLength(3);
+      expect(result.results[0]).toMatchObject({ url: 'https://www.nytimes.com/a.html', success: true, method: 'cookie-clearing' });
+      expect(result.results[1]).toMatchObject({ success: false, error: { code: 'FETCH_FAILED' } });
+      expect(result.results[2]).toMatchObject({ success: false, error: { code: 'MISSING_URL' } });
+      expect(result.summary).toEqual({ requested: 4, unique: 3, succeeded: 1, failed: 2, duplicates: 1 });
+      expect(articleFetcher.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('reports progress tagged with URL', async () => {
+      articleFetcher.fetch.mockImplementation(async (url, { onProgress }) => {
+        onProgress({ type: 'strategy-start', strategy: 'cookie-clearing' });
+        return {};
+      });
+      const onProgress = jest.fn();
+
+      await batchFetcher.run(['https://www.nytimes.com/a.html'], { onProgress });
+
+      expect(onProgress.mock.calls.map(c => c[0].type)).toEqual(['item-start', 'strategy-start', 'item-end']);
+      expect(onProgress.mock.calls[1][0].url).toBe('https://www.nytimes.com/a.html');
+    });
+
+    test('caps requested concurrency at the configured limit', async () => {
+      let active = 0;
+      let peak = 0;
+      articleFetcher.fetch.mockImplementation(async () => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+        return {};
+      });
+
+      await batchFetcher.run([
+        'https://www.nytimes.com/1', 'https://www.nytimes.com/2',
+        'https://www.nytimes.com/3', 'https://www.nytimes.com/4'
+      ], { concurrency: 10 });
+
+      expect(peak).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,207 @@
+const EventEmitter = require('events');
+const BrowserPool = require('../../services/browserPool');
+
+function createFakeLauncher() {
+  const browsers = [];
+  const launcher = {
+    browsers,
+    launch: jest.fn(async () => {
+      const browser = new EventEmitter();
+      browser.contexts = [];
+      browser.createBrowserContext = jest.fn(async () => {
+        const context = {
+          newPage: jest.fn(async () => ({ browser })),
+          close: jest.fn(async () => {})
+        };
+        browser.contexts.push(context);
+        return context;
+      });
+      browser.close = jest.fn(async () => {
+        browser.emit('disconnected');
+      });
+      browsers.push(browser);
+      return browser;
+    })
+  };
+  return launcher;
+}
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((r) => { resolve = r; });
+  return { promise, resolve };
+}
+
+describe('BrowserPool', () => {
+  let launcher;
+  let pool;
+
+  beforeEach(() => {
+    launcher = createFakeLauncher();
+    pool = new BrowserPool({ launcher, maxBrowsers: 2, maxPagesPerBrowser: 1, idleTimeoutMs: 0 });
+  });
+
+  afterEach(async () => {
+    await pool.close();
+  });
+
+  describe('withPage', () => {
+    test('reuses a warm browser across requests', async () => {
+      await pool.withPage(async () => 'first');
+      const result = await pool.withPage(async () => 'second');
+
+      expect(result).toBe('second');
+      expect(launcher.launch).toHaveBeenCalledTimes(1);
+      expect(pool.getStats()).toMatchObject({ browsers: 1, launched: 1, pagesServed: 2 });
+    });
+
+    test('gives every page a fresh context and closes it afterwards', async () => {
+      await pool.withPage(async () => {});
+      await expect(pool.withPage(async () => { throw new Error('Navigation failed'); }))
+        .rejects.toThrow('Navigation failed');
+
+      const contexts = launcher.browsers[0].contexts;
+      expect(contexts).toHaveLength(2);
+      contexts.forEach(context => expect(context.close).toHaveBeenCalled());
+      expect(pool.getStats().activePages).toBe(0);
+    });
+
+    test('falls back to createIncognitoBrowserContext on older Puppeteer', async () => {
+      const context = { newPage: jest.fn().mockResolvedValue({}), close: jest.fn() };
+      const browser = new EventEmitter();
+      browser.createIncognitoBrowserContext = jest.fn().mockResolvedValue(context);
+      browser.close = jest.fn();
+      pool = new BrowserPool({ launcher: { launch: jest.fn().mockResolvedValue(browser) }, idleTimeoutMs: 0 });
+
+      await pool.withPage(async () => {});
+
+      expect(browser.createIncognitoBrowserContext).toHaveBeenCalled();
+      expect(context.close).toHaveBeenCalled();
+    });
+  });
+
+  describe('concurrency', () => {
+    test('spreads pages across browsers up to the limit and queues the rest', async () => {
+      const gates = [deferred(), deferred()];
+      const running = gates.map(gate => pool.withPage(() => gate.promise));
+      const queued = pool.withPage(async () => 'queued');
+
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(launcher.launch).toHaveBeenCalledTimes(2);
+      expect(pool.getStats()).toMatchObject({ activePages: 2, waiting: 1, capacity: 2 });
+
+      gates.forEach(gate => gate.resolve());
+      await Promise.all(running);
+
+      await expect(queued).resolves.toBe('queued');
+      expect(launcher.launch).toHaveBeenCalledTimes(2);
+      expect(pool.getStats()).toMatchObject({ activePages: 0, waiting: 0 });
+    });
+
+    test('frees the slot and closes the context when the signal aborts', async () => {
+      const controller = new AbortController();
+      const running = pool.withPage(() => new Promise(() => {}), { signal: controller.signal });
+      await new Promise(resolve => setImmediate(resolve));
+
+      controller.abort(new Error('Timed out after 10ms'));
+
+      await expect(running).rejects.toThrow('Timed out after 10ms');
+      expect(launcher.browsers[0].contexts[0].close).toHaveBeenCalled();
+      expect(pool.getStats().activePages).toBe(0);
+    });
+
+    test('stops waiting for a slot when the signal aborts', async () => {
+      const gates = [deferred(), deferred()];
+      const running = gates.map(gate => pool.withPage(() => gate.promise));
+      const controller = new AbortController();
+      const queued = pool.withPage(async () => 'queued', { signal: controller.signal });
+      const next = pool.withPage(async () => 'next');
+      await new Promise(resolve => setImmediate(resolve));
+
+      controller.abort(new Error('Timed out after 10ms'));
+
+      await expect(queued).rejects.toThrow('Timed out after 10ms');
+      expect(pool.getStats().waiting).toBe(1);
+      gates.forEach(gate => gate.resolve());
+      await Promise.all(running);
+      await expect(next).resolves.toBe('next');
+    });
+
+    test('shares a launching browser between concurrent callers', async () => {
+      pool = new BrowserPool({ launcher, maxBrowsers: 1, maxPagesPerBrowser: 3, idleTimeoutMs: 0 });
+
+      await Promise.all([1, 2, 3].map(() => pool.withPage(async () => {})));
+
+      expect(launcher.launch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('recovery', () => {
+    test('replaces a browser that crashed', async () => {
+      await pool.withPage(async () => {});
+      launcher.browsers[0].emit('disconnected');
+
+      expect(pool.getStats()).toMatchObject({ browsers: 0, crashed: 1 });
+
+      await pool.withPage(async () => {});
+
+      expect(launcher.launch).toHaveBeenCalledTimes(2);
+      expect(pool.getStats().browsers).toBe(1);
+    });
+
+    test('frees the slot and reports launch failures', async () => {
+      launcher.launch.mockRejectedValueOnce(new Error('Chromium not found'));
+
+      await expect(pool.withPage(async () => {})).rejects.toThrow('Browser launch failed: Chromium not found');
+      expect(pool.getStats()).toMatchObject({ browsers: 0, activePages: 0, launchFailures: 1 });
+
+      await expect(pool.withPage(async () => 'ok')).resolves.toBe('ok');
+    });
+  });
+
+  describe('reap', () => {
+    test('closes idle browsers without counting them as crashes', async () => {
+      await pool.withPage(async () => {});
+      const browser = launcher.browsers[0];
+
+      pool.reap();
+
+      expect(browser.close).toHaveBeenCalled();
+      expect(pool.getStats()).toMatchObject({ browsers: 0, reaped: 1, crashed: 0 });
+    });
+
+    test('keeps browsers that are busy or recently used', async () => {
+      pool.idleTimeoutMs = 60000;
+      const gate = deferred();
+      const busy = pool.withPage(() => gate.promise);
+      await new Promise(resolve => setImmediate(resolve));
+
+      pool.reap();
+      gate.resolve();
+      await busy;
+      pool.reap();
+
+      expect(launcher.browsers[0].close).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('close', () => {
+    test('closes browsers and rejects waiting and new callers', async () => {
+      pool = new BrowserPool({ launcher, maxBrowsers: 1, maxPagesPerBrowser: 1, idleTimeoutMs: 0 });
+      const gate = deferred();
+      const running = pool.withPage(() => gate.promise);
+      const waiting = pool.withPage(async () => {});
+      await new Promise(resolve => setImmediate(resolve));
+
+      await pool.close();
+      gate.resolve();
+      await running;
+
+      await expect(waiting).rejects.toThrow('Browser pool closed');
+      await expect(pool.withPage(async () => {})).rejects.toThrow('Browser pool closed');
+      expect(launcher.browsers[0].close).toHaveBeenCalled();
+      expect(pool.getStats().crashed).toBe(0);
+    });
+  });
+});
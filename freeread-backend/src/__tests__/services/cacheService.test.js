@@ -0,0 +1,293 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CacheService = require('../../services/cacheService');
+const FileCacheStore = require('../../services/fileCacheStore');
+const MemoryCacheStore = require('../../services/memoryCacheStore');
+
+describe('CacheService', () => {
+  const url = 'https://www.nytimes.com/2024/01/15/article.html#comments';
+  const data = {
+    html: '<html>Article</html>',
+    content: { title: 'Article', text: 'Text' },
+    method: 'cookie-clearing',
+    validators: { etag: '"abc"' }
+  };
+
+  let cache;
+
+  beforeEach(() => {
+    cache = new CacheService({ store: new MemoryCacheStore(), ttlSeconds: 60 });
+  });
+
+  describe('get/set', () => {
+    test('returns null on miss', async () => {
+      expect(await cache.get(url)).toBeNull();
+    });
+
+    test('returns fresh entry after set', async () => {
+      await cache.set(url, data);
+
+      const found = await cache.get(url);
+
+      expect(found.fresh).toBe(true);
+      expect(found.entry.html).toBe(data.html);
+      expect(found.entry.content).toEqual(data.content);
+      expect(found.entry.method).toBe('cookie-clearing');
+      expect(found.entry.validators).toEqual({ etag: '"abc"' });
+    });
+
+    test('keys entries by normalized URL', async () => {
+      await cache.set(url, data);
+
+      const found = await cache.get('https://www.nytimes.com/2024/01/15/article.html');
+
+      expect(found).not.toBeNull();
+      expect(found.entry.key).toBe('https://www.nytimes.com/2024/01/15/article.html');
+    });
+
+    test('keys entries by the normalized URL', async () => {
+      await cache.set('https://www.nytimes.com/2024/01/15/article.html#comments', data);
+
+      const found = await cache.get('https://www.nytimes.com/2024/01/15/article.html');
+
+      expect(found.entry.key).toBe('https://www.nytimes.com/2024/01/15/article.html');
+    });
+
+    test('reports expired entries as stale', async () => {
+      const expired = new CacheService({ store: new MemoryCacheStore(), ttlSeconds: 0 });
+      await expired.set(url, data);
+
+      const found = await expired.get(url);
+
+      expect(found.fresh).toBe(false);
+    });
+
+    test('no-cache skips lookup but still stores', async () => {
+      await cache.set(url, data);
+
+      expect(await cache.get(url, { noCache: true })).toBeNull();
+      expect(await cache.set(url, data, { noCache: true })).not.toBeNull();
+    });
+
+    test('no-store skips storing', async () => {
+      await cache.set(url, data, { noStore: true });
+
+      expect(await cache.get(url)).toBeNull();
+    });
+
+    test('max-age treats older entries as stale', async () => {
+      await cache.set(url, data);
+      const found = await cache.get(url);
+      found.entry.storedAt = new Date(Date.now() - 30000).toISOString();
+
+      expect(cache.isFresh(found.entry, { maxAge: 10 })).toBe(false);
+      expect(cache.isFresh(found.entry, { maxAge: 60 })).toBe(true);
+    });
+
+    test('disabled cache never stores or returns entries', async () => {
+      const disabled = new CacheService({ enabled: false });
+
+      expect(await disabled.set(url, data)).toBeNull();
+      expect(await disabled.get(url)).toBeNull();
+    });
+
+    test('touch extends expiry', async () => {
+      const expired = new CacheService({ store: new MemoryCacheStore(), ttlSeconds: 0 });
+      const entry = await expired.set(url, data);
+      expired.ttlSeconds = 60;
+
+      await expired.touch(entry);
+
+      expect((await expired.get(url)).fresh).toBe(true);
+    });
+
+    test('invalidate removes entry', async () => {
+      await cache.set(url, data);
+      await cache.invalidate(url);
+
+      expect(await cache.get(url)).toBeNull();
+    });
+  });
+
+  describe('parseDirectives', () => {
+    test('parses no-cache', () => {
+      expect(CacheService.parseDirectives('no-cache')).toEqual({ noCache: true, noStore: false, maxAge: null });
+    });
+
+    test('no-store implies no-cache', () => {
+      expect(CacheService.parseDirectives('no-store')).toEqual({ noCache: true, noStore: true, maxAge: null });
+    });
+
+    test('parses max-age and body flag together', () => {
+      expect(CacheService.parseDirectives('max-age=300', 'no-store')).toEqual({ noCache: true, noStore: true, maxAge: 300 });
+    });
+
+    test('ignores missing and unknown directives', () => {
+      expect(CacheService.parseDirectives(undefined, 'public')).toEqual({ noCache: false, noStore: false, maxAge: null });
+    });
+  });
+
+  describe('validatorsFrom', () => {
+    test('extracts ETag and Last-Modified', () => {
+      expect(CacheService.validatorsFrom({ etag: '"x"', 'last-modified': 'Mon, 15 Jan 2024 00:00:00 GMT' }))
+        .toEqual({ etag: '"x"', lastModified: 'Mon, 15 Jan 2024 00:00:00 GMT' });
+    });
+
+    test('returns empty object without headers', () => {
+      expect(CacheService.validatorsFrom()).toEqual({});
+    });
+  });
+
+  describe('fromEnv', () => {
+    test('uses file backend by default', () => {
+      const fromEnv = CacheService.fromEnv({ CACHE_DIR: '/tmp/freeread-cache', CACHE_TTL_SECONDS: '120' });
+
+      expect(fromEnv.store).toBeInstanceOf(FileCacheStore);
+      expect(fromEnv.store.directory).toBe('/tmp/freeread-cache');
+      expect(fromEnv.ttlSeconds).toBe(120);
+      expect(fromEnv.enabled).toBe(true);
+    });
+
+    test('configures file cache eviction', () => {
+      const fromEnv = CacheService.fromEnv({ CACHE_TTL_SECONDS: '120', CACHE_STALE_SECONDS: '60', CACHE_MAX_MB: '2' });
+
+      expect(fromEnv.store).toMatchObject({ maxAgeMs: 180 * 1000, maxBytes: 2 * 1024 * 1024 });
+      expect(CacheService.fromEnv({}).store.maxAgeMs).toBe((3600 + 86400) * 1000);
+    });
+
+    test('configures memory cache eviction', () => {
+      const fromEnv = CacheService.fromEnv({ CACHE_BACKEND: 'memory', CACHE_TTL_SECONDS: '120', CACHE_STALE_SECONDS: '60', CACHE_MAX_ENTRIES: '50' });
+
+      expect(fromEnv.store).toBeInstanceOf(MemoryCacheStore);
+      expect(fromEnv.store).toMatchObject({ maxAgeMs: 180 * 1000, maxEntries: 50 });
+      expect(CacheService.fromEnv({ CACHE_BACKEND: 'memory' }).store.maxEntries).toBe(1000);
+    });
+
+    test('can be disabled', () => {
+      expect(CacheService.fromEnv({ CACHE_BACKEND: 'none' }).enabled).toBe(false);
+    });
+  });
+});
+
+describe('MemoryCacheStore', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('drops entries not written for maxAgeSeconds', async () => {
+    const store = new MemoryCacheStore({ maxAgeSeconds: 60 });
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+    await store.set('old', { ok: true });
+    now.mockReturnValue(1000000 + 30 * 1000);
+    await store.set('new', { ok: true });
+
+    now.mockReturnValue(1000000 + 90 * 1000);
+    await store.set('newest', { ok: true });
+
+    expect(store.entries.has('old')).toBe(false);
+    expect(await store.get('new')).toEqual({ ok: true });
+    now.mockReturnValue(1000000 + 100 * 1000);
+    expect(await store.get('new')).toBeNull();
+    expect(store.entries.size).toBe(1);
+  });
+
+  test('evicts the least recently written entries over maxEntries', async () => {
+    const store = new MemoryCacheStore({ maxEntries: 2 });
+    await store.set('a', { n: 1 });
+    await store.set('b', { n: 2 });
+    await store.set('a', { n: 3 });
+    await store.set('c', { n: 4 });
+
+    expect(await store.get('b')).toBeNull();
+    expect(await store.get('a')).toEqual({ n: 3 });
+    expect(await store.get('c')).toEqual({ n: 4 });
+  });
+});
+
+describe('FileCacheStore', () => {
+  let directory;
+  let store;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'freeread-cache-'));
+    store = new FileCacheStore(directory);
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('round-trips entries through disk', async () => {
+    await store.set('key', { html: '<html></html>' });
+
+    expect(await store.get('key')).toEqual({ html: '<html></html>' });
+    expect(fs.readdirSync(directory)).toHaveLength(1);
+  });
+
+  test('returns null for missing or corrupt entries', async () => {
+    expect(await store.get('missing')).toBeNull();
+
+    await store.set('key', { ok: true });
+    const [file] = fs.readdirSync(directory);
+    fs.writeFileSync(path.join(directory, file), '{not json');
+
+    expect(await store.get('key')).toBeNull();
+  });
+
+  test('deletes entries and ignores missing ones', async () => {
+    await store.set('key', { ok: true });
+    await store.delete('key');
+    await store.delete('key');
+
+    expect(await store.get('key')).toBeNull();
+  });
+
+  describe('sweep', () => {
+    // Backdates an entry's last write
+    const age = (key, seconds) => {
+      const file = store.filePath(key);
+      const when = new Date(Date.now() - seconds * 1000);
+      fs.utimesSync(file, when, when);
+    };
+
+    test('deletes entries older than maxAgeSeconds', async () => {
+      store = new FileCacheStore(directory, { maxAgeSeconds: 60, sweepIntervalMs: Infinity });
+      await store.set('old', { ok: true });
+      await store.set('new', { ok: true });
+      age('old', 120);
+
+      expect(await store.sweep()).toMatchObject({ removed: 1 });
+      expect(await store.get('old')).toBeNull();
+      expect(await store.get('new')).toEqual({ ok: true });
+    });
+
+    test('deletes the least recently written entries over maxBytes', async () => {
+      store = new FileCacheStore(directory, { maxBytes: 250, sweepIntervalMs: Infinity });
+      for (const [key, seconds] of [['a', 30], ['b', 20], ['c', 10]]) {
+        await store.set(key, { html: 'x'.repeat(100) });
+        age(key, seconds);
+      }
+
+      const result = await store.sweep();
+
+      expect(result).toEqual({ removed: 1, bytes: expect.any(Number) });
+      expect(result.bytes).toBeLessThanOrEqual(250);
+      expect(await store.get('a')).toBeNull();
+      expect(await store.get('c')).not.toBeNull();
+    });
+
+    test('runs after writes at most once per interval', async () => {
+      store = new FileCacheStore(directory, { maxBytes: 1, sweepIntervalMs: 60000 });
+      const sweep = jest.spyOn(store, 'sweep');
+
+      await store.set('a', { ok: true });
+      await store.sweeping;
+      await store.set('b', { ok: true });
+
+      expect(sweep).toHaveBeenCalledTimes(1);
+      expect(await store.get('a')).toBeNull();
+      expect(await store.get('b')).toEqual({ ok: true });
+    });
+  });
+});
@@ -47,7 +47,19 @@ describe('ContentProcessor', () => {
         html: '<article><h1>Article Title</h1><p>Article content here</p></article>',
         author: 'John Doe',
         excerpt: 'Article excerpt',
-        length: 600
+        length: 600,
+        metadata: {
+          canonicalUrl: null,
+          publishedAt: null,
+          modifiedAt: null,
+          section: null,
+          keywords: [],
+          authors: [],
+          publisher: null,
+          language: null,
+          image: null,
+          wordCount: 90
+        }
       });
     });
 
@@ -172,6 +184,190 @@ describe('ContentProcessor', () => {
     });
   });
 
+  describe('fallback extraction', () => {
+    const url = 'https://www.wsj.com/articles/story';
+    const paragraph = 'Markets rallied on Tuesday as investors weighed the latest inflation data from the Labor Department.';
+
+    beforeEach(() => {
+      Readability.mockImplementation(() => ({ parse: jest.fn(() => null) }));
+    });
+
+    test('keeps headings, lists, quotes and figures of the article container', async () => {
+      const html = `<html><body><div class="article-body">
+        <h2>What happened</h2>
+        <p>${paragraph}</p>
+        <figure><img data-src="/images/floor.jpg" src="/blank.gif" alt="Trading floor">
+          <figcaption>The trading floor.</figcaption><span class="credit">Photo: AP</span></figure>
+        <ul><li>Stocks rose</li><li>Bonds fell</li></ul>
+        <blockquote>We are watching closely.</blockquote>
+        <p>${paragraph}</p>
+      </div></body></html>`;
+
+      const result = await contentProcessor.extractContent(html, url, { selectors: ['.article-body'] });
+
+      expect(result.html).toContain('<h2>What happened</h2>');
+      expect(result.html).toContain(
+        '<figure><img src="https://www.wsj.com/images/floor.jpg" alt="Trading floor">' +
+        '<figcaption>The trading floor. <small>Photo: AP</small></figcaption></figure>'
+      );
+      expect(result.html).toContain('<ul><li>Stocks rose</li><li>Bonds fell</li></ul>');
+      expect(result.html).toContain('<blockquote>We are watching closely.</blockquote>');
+      expect(result.text).toContain('The trading floor. Photo: AP\n\nStocks rose');
+    });
+
+    test('aggressive extraction keeps structure and does not repeat nested matches', async () => {
+      const html = `<html><body><main><article><div class="article-body">
+        <p>${paragraph}</p><figure><img src="https://images.wsj.net/a.jpg"><figcaption>Caption</figcaption></figure>
+      </div></article></main></body></html>`;
+
+      const result = contentProcessor.extractAggressively(new JSDOM(html).window.document, url, []);
+
+      expect(result.html.match(/<figure>/g)).toHaveLength(1);
+      expect(result.html).toContain('<img src="https://images.wsj.net/a.jpg">');
+      expect(result.text.match(/Markets rallied/g)).toHaveLength(1);
+    });
+  });
+
+  describe('sanitization', () => {
+    test('sanitizes the html of every extraction path', async () => {
+      const url = 'https://www.nytimes.com/article';
+      Readability.mockImplementation(() => ({
+        parse: jest.fn(() => ({
+          title: 'Title',
+          textContent: 'Content that is long enough to pass validation. '.repeat(5),
+          content: '<div><p onclick="alert(1)">Text <a href="javascript:alert(1)">bad</a> <a href="/ok">ok</a></p><script>alert(1)</script></div>',
+          byline: null,
+          excerpt: null,
+          length: 250
+        }))
+      }));
+
+      const result = await contentProcessor.extractContent('<html><body><p>x</p></body></html>', url);
+
+      expect(result.html).toBe('<div><p>Text <a>bad</a> <a href="https://www.nytimes.com/ok" rel="noopener noreferrer">ok</a></p></div>');
+
+      Readability.mockImplementation(() => ({ parse: jest.fn(() => null) }));
+      const fallback = await contentProcessor.extractContent(
+        `<html><body><article><p>${'Paragraph text that is long enough. '.repeat(5)}<img src="x" onerror="alert(1)"></p></article></body></html>`,
+        url
+      );
+
+      expect(fallback.html).toContain('<img src="https://www.nytimes.com/x">');
+      expect(fallback.html).not.toContain('onerror');
+    });
+
+    test('uses the sanitizer it is given', async () => {
+      const sanitizer = { sanitize: jest.fn(() => '<p>clean</p>') };
+      contentProcessor = new ContentProcessor({ sanitizer });
+      Readability.mockImplementation(() => ({
+        parse: jest.fn(() => ({ title: 'T', textContent: 'Long enough text content here.', content: '<p>raw</p>', length: 30 }))
+      }));
+
+      const result = await contentProcessor.extractContent('<html><body></body></html>', 'https://www.wsj.com/a');
+
+      expect(sanitizer.sanitize).toHaveBeenCalledWith('<p>raw</p>', 'https://www.wsj.com/a');
+      expect(result.html).toBe('<p>clean</p>');
+    });
+  });
+
+  describe('metadata', () => {
+    const url = 'https://www.nytimes.com/2024/01/15/us/story.html';
+
+    beforeEach(() => {
+      Readability.mockImplementation(() => ({
+        parse: jest.fn(() => ({
+          title: 'Story',
+          textContent: 'Story text here. '.repeat(10),
+          content: '<p>Story text here.</p>',
+          byline: 'By The Times',
+          excerpt: null,
+          length: 170
+        }))
+      }));
+    });
+
+    test('reads schema.org NewsArticle JSON-LD', async () => {
+      const html = `<html lang="en"><head>
+        <script type="application/ld+json">{"@context": "https://schema.org", "@graph": [
+          {"@type": "WebSite", "name": "Site"},
+          {"@type": ["NewsArticle"], "headline": "Story",
+           "mainEntityOfPage": {"@id": "https://www.nytimes.com/2024/01/15/us/story.html"},
+           "datePublished": "2024-01-15T05:00:00-05:00", "dateModified": "2024-01-16T10:30:00Z",
+           "articleSection": ["U.S."], "keywords": "Elections, Voting",
+           "author": [{"@type": "Person", "name": "Jane Doe"}, {"@type": "Person", "name": "John Roe"}],
+           "publisher": {"@type": "Organization", "name": "The New York Times"},
+           "inLanguage": "en-US", "image": [{"@type": "ImageObject", "url": "/images/lead.jpg"}], "wordCount": 1432}
+        ]}</script>
+        <meta property="og:image" content="https://static.nytimes.com/og.jpg">
+      </head><body><p>Story</p></body></html>`;
+
+      const result = await contentProcessor.extractContent(html, url);
+
+      expect(result.author).toBe('Jane Doe, John Roe');
+      expect(result.metadata).toEqual({
+        canonicalUrl: 'https://www.nytimes.com/2024/01/15/us/story.html',
+        publishedAt: '2024-01-15T10:00:00.000Z',
+        modifiedAt: '2024-01-16T10:30:00.000Z',
+        section: 'U.S.',
+        keywords: ['Elections', 'Voting'],
+        authors: ['Jane Doe', 'John Roe'],
+        publisher: 'The New York Times',
+        language: 'en-US',
+        image: 'https://www.nytimes.com/images/lead.jpg',
+        wordCount: 1432
+      });
+    });
+
+    test('falls back to Open Graph, article:* and meta tags', async () => {
+      const html = `<html><head>
+        <script type="application/ld+json">{ not json</script>
+        <link rel="canonical" href="https://www.wsj.com/articles/story-123">
+        <meta property="og:url" content="https://www.wsj.com/articles/story-123?mod=og">
+        <meta property="og:site_name" content="The Wall Street Journal">
+        <meta property="og:locale" content="en_US">
+        <meta name="twitter:image" content="https://images.wsj.net/card.jpg">
+        <meta property="article:published_time" content="2024-02-01T12:00:00Z">
+        <meta property="article:section" content="Markets">
+        <meta property="article:tag" content="Stocks">
+        <meta property="article:tag" content="Bonds">
+        <meta property="article:author" content="https://www.wsj.com/news/author/jane-doe">
+        <meta name="author" content="Jane Doe and John Roe">
+        <meta name="keywords" content="ignored, because, tags, exist">
+      </head><body><p>Story</p></body></html>`;
+
+      const result = await contentProcessor.extractContent(html, 'https://www.wsj.com/articles/story-123');
+
+      expect(result.author).toBe('Jane Doe, John Roe');
+      expect(result.metadata).toEqual({
+        canonicalUrl: 'https://www.wsj.com/articles/story-123',
+        publishedAt: '2024-02-01T12:00:00.000Z',
+        modifiedAt: null,
+        section: 'Markets',
+        keywords: ['Stocks', 'Bonds'],
+        authors: ['Jane Doe', 'John Roe'],
+        publisher: 'The Wall Street Journal',
+        language: 'en-US',
+        image: 'https://images.wsj.net/card.jpg',
+        wordCount: 30
+      });
+    });
+
+    test('reads the NYT byline meta tag', async () => {
+      const html = '<html><head><meta name="byl" content="By Jane Doe, John Roe and Ann Poe"></head><body><p>Story</p></body></html>';
+
+      const result = await contentProcessor.extractContent(html, url);
+
+      expect(result.metadata.authors).toEqual(['Jane Doe', 'John Roe', 'Ann Poe']);
+    });
+
+    test('keeps the extracted byline when the page has no structured authors', async () => {
+      const result = await contentProcessor.extractContent('<html><body><p>Story</p></body></html>', url);
+
+      expect(result.author).toBe('By The Times');
+      expect(result.metadata.authors).toEqual([]);
+    });
+  });
+
   describe('hasPaywall', () => {
     test('detects paywall in HTML', () => {
       const html = '<div>Subscribe to The Times</div>';
@@ -36,6 +36,15 @@ describe('CookieService', () => {
       expect(config.withCredentials).toBe(false);
     });
 
+    test('passes the abort signal to axios', async () => {
+      const controller = new AbortController();
+      mockAxiosInstance.get.mockResolvedValue({ data: '<html>Test content</html>' });
+
+      await cookieService.fetchPage('https://www.nytimes.com/article', { signal: controller.signal });
+
+      expect(axios.create.mock.calls[0][0].signal).toBe(controller.signal);
+    });
+
     test('sets appropriate headers', async () => {
       const testUrl = 'https://www.nytimes.com/article';
       const mockResponse = { data: '<html>Test content</html>' };
@@ -120,6 +129,109 @@ describe('CookieService', () => {
     });
   });
 
+  describe('fetchPage', () => {
+    test('returns HTML with status code and headers', async () => {
+      const testUrl = 'https://www.nytimes.com/article';
+      mockAxiosInstance.get.mockResolvedValue({
+        data: '<html>Test</html>',
+        status: 403,
+        headers: { 'content-type': 'text/html' }
+      });
+
+      const result = await cookieService.fetchPage(testUrl);
+
+      expect(result).toEqual({
+        html: '<html>Test</html>',
+        statusCode: 403,
+        headers: { 'content-type': 'text/html' }
+      });
+    });
+
+    test('attaches status code to HTTP errors', async () => {
+      const error = new Error('Request failed');
+      error.response = { status: 503 };
+      mockAxiosInstance.get.mockRejectedValue(error);
+
+      await expect(cookieService.fetchPage('https://www.nytimes.com/article'))
+        .rejects.toMatchObject({ statusCode: 503 });
+    });
+  });
+
+  describe('fetchWithSession', () => {
+    const session = { domain: 'nytimes.com', cookie: 'NYT-S=abc; nyt-a=def' };
+
+    test('sends the session cookies and returns the page', async () => {
+      mockAxiosInstance.get.mockResolvedValue({ data: '<html>Full story</html>', status: 200, headers: {} });
+
+      const result = await cookieService.fetchWithSession('https://www.nytimes.com/article', session);
+
+      expect(axios.create.mock.calls[0][0].headers.Cookie).toBe('NYT-S=abc; nyt-a=def');
+      expect(result).toEqual({ html: '<html>Full story</html>', statusCode: 200, headers: {} });
+    });
+
+    test('drops the cookies on redirects to other domains', async () => {
+      mockAxiosInstance.get.mockResolvedValue({ data: '<html>Story</html>', status: 200 });
+      await cookieService.fetchWithSession('https://www.nytimes.com/article', session);
+      const { beforeRedirect } = axios.create.mock.calls[0][0];
+
+      const sameSite = { href: 'https://myaccount.nytimes.com/x', headers: { Cookie: session.cookie } };
+      const elsewhere = { href: 'https://tracker.example/x', headers: { Cookie: session.cookie } };
+      beforeRedirect(sameSite);
+      beforeRedirect(elsewhere);
+
+      expect(sameSite.headers.Cookie).toBe(session.cookie);
+      expect(elsewhere.headers).toEqual({});
+    });
+
+    test('reports sessions the publisher rejects', async () => {
+      mockAxiosInstance.get.mockResolvedValueOnce({ data: 'Forbidden', status: 403 });
+      await expect(cookieService.fetchWithSession('https://www.nytimes.com/article', session)).rejects.toMatchObject({
+        code: 'SESSION_INVALID',
+        status: 403,
+        message: 'Your nytimes.com session was not accepted: publisher answered HTTP 403'
+      });
+
+      mockAxiosInstance.get.mockResolvedValueOnce({
+        data: '<html>Log in</html>',
+        status: 200,
+        request: { res: { responseUrl: 'https://myaccount.nytimes.com/auth/login?response_type=cookie' } }
+      });
+      await expect(cookieService.fetchWithSession('https://www.nytimes.com/article', session))
+        .rejects.toThrow('publisher redirected to its login page');
+
+      mockAxiosInstance.get.mockResolvedValueOnce({ data: '<div class="paywall">Subscribe now</div>', status: 200 });
+      await expect(cookieService.fetchWithSession('https://www.nytimes.com/article', session))
+        .rejects.toThrow('publisher served the paywalled page');
+    });
+  });
+
+  describe('isNotModified', () => {
+    test('sends conditional headers and detects 304', async () => {
+      mockAxiosInstance.get.mockResolvedValue({ status: 304, data: '' });
+
+      const result = await cookieService.isNotModified('https://www.nytimes.com/article', {
+        etag: '"abc"',
+        lastModified: 'Mon, 15 Jan 2024 00:00:00 GMT'
+      });
+
+      const config = axios.create.mock.calls[0][0];
+      expect(config.headers['If-None-Match']).toBe('"abc"');
+      expect(config.headers['If-Modified-Since']).toBe('Mon, 15 Jan 2024 00:00:00 GMT');
+      expect(result).toBe(true);
+    });
+
+    test('returns false when content changed', async () => {
+      mockAxiosInstance.get.mockResolvedValue({ status: 200, data: '<html>New</html>' });
+
+      expect(await cookieService.isNotModified('https://www.nytimes.com/article', { etag: '"abc"' })).toBe(false);
+    });
+
+    test('returns false without validators', async () => {
+      expect(await cookieService.isNotModified('https://www.nytimes.com/article', {})).toBe(false);
+      expect(axios.create).not.toHaveBeenCalled();
+    });
+  });
+
   describe('hasPaywall', () => {
     test('detects NYT paywall message', () => {
       const html = '<div>Subscribe to The Times to read this article</div>';
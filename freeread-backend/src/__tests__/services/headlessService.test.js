@@ -0,0 +1,77 @@
+jest.mock('../../utils/urlSafety', () => ({ assertPublicTarget: jest.fn().mockResolvedValue(undefined) }));
+jest.mock('../../services/requestBlocker');
+
+const HeadlessService = require('../../services/headlessService');
+const RequestBlocker = require('../../services/requestBlocker');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function createPage(html) {
+  return {
+    evaluateOnNewDocument: jest.fn().mockResolvedValue(undefined),
+    setViewport: jest.fn().mockResolvedValue(undefined),
+    setUserAgent: jest.fn().mockResolvedValue(undefined),
+    setExtraHTTPHeaders: jest.fn().mockResolvedValue(undefined),
+    goto: jest.fn(() => sleep(60)),
+    content: jest.fn().mockResolvedValue(html),
+    waitForSelector: jest.fn().mockResolvedValue({}),
+    waitForNetworkIdle: jest.fn().mockResolvedValue(undefined),
+    waitForFunction: jest.fn().mockResolvedValue({}),
+    evaluate: jest.fn().mockResolvedValue(true)
+  };
+}
+
+describe('HeadlessService', () => {
+  beforeEach(() => {
+    RequestBlocker.mockImplementation(() => ({
+      attach: jest.fn().mockResolvedValue(undefined),
+      getReport: jest.fn().mockReturnValue({ enabled: true, blocked: 0 })
+    }));
+  });
+
+  const render = (page, wait) => {
+    const pool = { withPage: fn => fn(page) };
+    return new HeadlessService({ pool }).render('https://www.wsj.com/articles/x', { timeout: 20000, wait });
+  };
+
+  test('waits out bot protection with wait conditions inside the budget, navigation included', async () => {
+    const page = createPage('<html><script src="https://ct.captcha-delivery.com/c.js"></script></html>');
+    // The interstitial never clears: the challenge wait runs until the budget is spent
+    page.waitForFunction.mockImplementation((fn, { timeout }) => sleep(timeout).then(() => {
+      throw new Error('Waiting failed: timeout exceeded');
+    }));
+
+    const startedAt = Date.now();
+    const result = await render(page, { budgetMs: 300, conditions: [], scroll: false, settle: [] });
+
+    expect(page.goto).toHaveBeenCalledWith('https://www.wsj.com/articles/x', { waitUntil: 'domcontentloaded', timeout: expect.any(Number) });
+    expect(page.goto.mock.calls[0][1].timeout).toBeLessThanOrEqual(300);
+    const { timeout: challengeTimeout } = page.waitForFunction.mock.calls[0][1];
+    expect(challengeTimeout).toBeLessThanOrEqual(300 - 50);
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+    expect(result.wait).toMatchObject({ met: false, budgetMs: 300, challenge: { met: false } });
+    expect(result.wait.challenge.conditions.map(condition => condition.type)).toEqual(['contentAbsent', 'textLength']);
+  });
+
+  test('skips the challenge wait on ordinary pages', async () => {
+    const page = createPage('<html><article>Story</article></html>');
+
+    const result = await render(page, { budgetMs: 1000, conditions: [{ type: 'selector', selector: 'article' }], scroll: false, settle: [] });
+
+    expect(result.wait).toMatchObject({ met: true, challenge: null });
+    expect(page.waitForFunction).not.toHaveBeenCalled();
+  });
+
+  test('hands the abort signal to the pool', async () => {
+    const page = createPage('<html><article>Story</article></html>');
+    const pool = { withPage: jest.fn(fn => fn(page)) };
+    const controller = new AbortController();
+
+    await new HeadlessService({ pool }).render('https://www.wsj.com/articles/x', {
+      signal: controller.signal,
+      wait: { budgetMs: 1000, conditions: [], scroll: false, settle: [] }
+    });
+
+    expect(pool.withPage).toHaveBeenCalledWith(expect.any(Function), { signal: controller.signal });
+  });
+});
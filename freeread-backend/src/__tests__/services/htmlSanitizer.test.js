@@ -0,0 +1,123 @@
+const HtmlSanitizer = require('../../services/htmlSanitizer');
+
+describe('HtmlSanitizer', () => {
+  const baseUrl = 'https://www.nytimes.com/2024/01/15/us/story.html';
+  let sanitizer;
+
+  beforeEach(() => {
+    sanitizer = new HtmlSanitizer();
+  });
+
+  const sanitize = html => sanitizer.sanitize(html, baseUrl);
+
+  test('keeps article markup', () => {
+    const html = '<div class="page"><h2>Heading</h2><p>Text with <em>emphasis</em> and <strong>weight</strong>.</p>' +
+      '<ul><li>One</li></ul><blockquote>Quote</blockquote>' +
+      '<figure><img src="https://static01.nyt.com/a.jpg" alt="A"><figcaption>Caption</figcaption></figure></div>';
+
+    expect(sanitize(html)).toBe(html);
+  });
+
+  test('makes URLs absolute and adds rel="noopener noreferrer" to links', () => {
+    expect(sanitize('<a href="/section/us" target="_blank" rel="opener">US</a>'))
+      .toBe('<a href="https://www.nytimes.com/section/us" rel="noopener noreferrer">US</a>');
+    expect(sanitize('<img src="../images/a.jpg" srcset="/a-640.jpg 640w, //cdn.example/a-1280.jpg 1280w">'))
+      .toBe('<img src="https://www.nytimes.com/2024/01/15/images/a.jpg" srcset="https://www.nytimes.com/a-640.jpg 640w, https://cdn.example/a-1280.jpg 1280w">');
+    expect(sanitize('<a href="#footnote-1">1</a>')).toBe('<a href="#footnote-1" rel="noopener noreferrer">1</a>');
+    expect(sanitize('<a href="mailto:tips@nytimes.com">Tips</a>')).toBe('<a href="mailto:tips@nytimes.com" rel="noopener noreferrer">Tips</a>');
+  });
+
+  test('unwraps unknown tags and drops unknown attributes', () => {
+    expect(sanitize('<custom-widget data-x="1"><font color="red"><p id="p1" style="color:red" data-id="2">Text</p></font></custom-widget>'))
+      .toBe('<p>Text</p>');
+  });
+
+  describe('XSS payloads', () => {
+    const payloads = [
+      '<script>alert(1)</script>',
+      '<img src=x onerror=alert(1)>',
+      '<img src="javascript:alert(1)">',
+      '<img srcset="javascript:alert(1) 1x">',
+      '<body onload=alert(1)>',
+      '<svg onload=alert(1)><circle/></svg>',
+      '<svg><script>alert(1)</script></svg>',
+      '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+      '<a href="javascript:alert(1)">x</a>',
+      '<a href="JaVaScRiPt:alert(1)">x</a>',
+      '<a href="  javascript:alert(1)">x</a>',
+      '<a href="java&#x09;script:alert(1)">x</a>',
+      '<a href="jav&#97;script:alert(1)">x</a>',
+      '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">x</a>',
+      '<a href="vbscript:msgbox(1)">x</a>',
+      '<iframe src="javascript:alert(1)"></iframe>',
+      '<iframe srcdoc="<script>alert(1)</script>"></iframe>',
+      '<object data="javascript:alert(1)"></object>',
+      '<embed src="javascript:alert(1)">',
+      '<form action="javascript:alert(1)"><button>x</button></form>',
+      '<button formaction="javascript:alert(1)">x</button>',
+      '<input onfocus=alert(1) autofocus>',
+      '<details open ontoggle=alert(1)>',
+      '<div style="background:url(javascript:alert(1))">x</div>',
+      '<p style="behavior:url(x.htc)">x</p>',
+      '<meta http-equiv="refresh" content="0;url=javascript:alert(1)">',
+      '<base href="javascript:alert(1)//">',
+      '<link rel="stylesheet" href="javascript:alert(1)">',
+      '<style>@import "javascript:alert(1)";</style>',
+      '<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>',
+      '<template><img src=x onerror=alert(1)></template>',
+      '<!--<img src=x onerror=alert(1)>-->',
+      '<blockquote cite="javascript:alert(1)">x</blockquote>',
+      '<video poster="javascript:alert(1)"><source src="x" onerror="alert(1)"></video>',
+      '<table background="javascript:alert(1)"><tr><td>x</td></tr></table>',
+      '<a href="https://ok.example/" onclick="alert(1)" onmouseover="alert(1)">x</a>',
+      '<img src="https://ok.example/a.jpg" ONERROR="alert(1)">'
+    ];
+
+    test.each(payloads)('neutralizes %s', (payload) => {
+      const html = sanitize(payload);
+
+      expect(html).not.toMatch(/<(script|svg|math|iframe|object|embed|form|input|button|meta|base|link|style|noscript|template)\b/i);
+      expect(html).not.toMatch(/\son[a-z]+\s*=/i);
+      expect(html).not.toMatch(/(href|src|srcset|cite|poster|background|action)\s*=\s*"\s*(javascript|vbscript|data):/i);
+      expect(html).not.toMatch(/style\s*=|<!--/i);
+    });
+
+    test('keeps text that merely looks like markup escaped', () => {
+      expect(sanitize('<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>')).toBe('<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+      expect(sanitize('<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>')).not.toContain('<img');
+    });
+  });
+
+  test('drops images left without a safe source', () => {
+    expect(sanitize('<p>a<img src="javascript:alert(1)">b</p>')).toBe('<p>ab</p>');
+  });
+
+  test('returns an empty string for empty input', () => {
+    expect(sanitize('')).toBe('');
+    expect(sanitize(null)).toBe('');
+  });
+
+  describe('configuration', () => {
+    test('uses a custom allowlist', () => {
+      sanitizer = new HtmlSanitizer({ tags: ['p', 'a'], attributes: { a: ['href'] } });
+
+      expect(sanitize('<p class="x">Text <em>here</em> <a href="/a" title="t">link</a></p>'))
+        .toBe('<p>Text here <a href="https://www.nytimes.com/a" rel="noopener noreferrer">link</a></p>');
+    });
+
+    test('never allows event handlers, style or dropped tags', () => {
+      sanitizer = new HtmlSanitizer({ tags: ['p', 'script', 'iframe'], attributes: { '*': ['onclick', 'style'] } });
+
+      expect(sanitize('<p onclick="alert(1)" style="color:red">x</p><script>alert(1)</script><iframe src="https://a.example/"></iframe>'))
+        .toBe('<p>x</p>');
+    });
+
+    test('fromEnv extends the defaults', () => {
+      sanitizer = HtmlSanitizer.fromEnv({ SANITIZER_ALLOW_TAGS: 'video', SANITIZER_ALLOW_ATTRIBUTES: 'video:src, img:loading, *:id' });
+
+      expect(sanitize('<video src="/v.mp4" poster="/p.jpg" id="v">x</video><img src="/a.jpg" loading="lazy">'))
+        .toBe('<video src="https://www.nytimes.com/v.mp4" id="v">x</video><img src="https://www.nytimes.com/a.jpg" loading="lazy">');
+      expect(HtmlSanitizer.fromEnv({}).tags).toEqual(new Set(HtmlSanitizer.DEFAULT_TAGS));
+    });
+  });
+});
@@ -0,0 +1,118 @@
+const JobQueue = require('../../services/jobQueue');
+const { createApiError } = require('../../utils/apiError');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('JobQueue', () => {
+  let queue;
+
+  beforeEach(() => {
+    queue = new JobQueue({ concurrency: 1 });
+  });
+
+  test('runs a job and records its result', async () => {
+    const job = queue.enqueue('fetch', { url: 'https://www.nytimes.com/a' }, async () => ({ ok: true }));
+
+    expect(job.status).toBe('running');
+    await flush();
+
+    const finished = queue.get(job.id);
+    expect(finished.status).toBe('completed');
+    expect(finished.result).toEqual({ ok: true });
+    expect(finished.startedAt).toBeDefined();
+    expect(finished.finishedAt).toBeDefined();
+  });
+
+  test('records progress events in order', async () => {
+    const job = queue.enqueue('fetch', {}, async (report) => {
+      report({ type: 'strategy-start', strategy: 'cookie-clearing' });
+      report({ type: 'strategy-end', strategy: 'cookie-clearing' });
+      return {};
+    });
+    await flush();
+
+    expect(queue.getEvents(job.id).map(e => e.type))
+      .toEqual(['queued', 'running', 'progress', 'progress', 'completed']);
+    expect(queue.get(job.id).progress).toHaveLength(2);
+    expect(queue.getEvents(job.id, 3).map(e => e.id)).toEqual([4, 5]);
+  });
+
+  test('only shows a job to the API key that enqueued it', async () => {
+    const job = queue.enqueue('batch', { urls: [] }, async (report) => {
+      report({ type: 'url-done' });
+      return { results: [] };
+    }, { apiKeyId: 'key-a' });
+    await flush();
+
+    expect(queue.get(job.id, 'key-a').status).toBe('completed');
+    expect(queue.get(job.id, 'key-b')).toBeNull();
+    expect(queue.get(job.id)).toBeNull();
+    expect(queue.getEvents(job.id, 0, 'key-b')).toEqual([]);
+    expect(queue.getEvents(job.id, 0, 'key-a')).toHaveLength(4);
+  });
+
+  test('records API errors on failure', async () => {
+    const job = queue.enqueue('fetch', {}, async () => {
+      throw createApiError('FETCH_FAILED', 'NYT fetch failed', 500, { attempts: [] });
+    });
+    await flush();
+
+    const failed = queue.get(job.id);
+    expect(failed.status).toBe('failed');
+    expect(failed.error).toEqual({ code: 'FETCH_FAILED', message: 'NYT fetch failed', details: { attempts: [] } });
+  });
+
+  test('respects concurrency limit', async () => {
+    let release;
+    const first = queue.enqueue('fetch', {}, () => new Promise(resolve => { release = resolve; }));
+    const second = queue.enqueue('fetch', {}, async () => ({}));
+
+    expect(queue.get(first.id).status).toBe('running');
+    expect(queue.get(second.id).status).toBe('queued');
+
+    release({});
+    await flush();
+    await flush();
+
+    expect(queue.get(second.id).status).toBe('completed');
+  });
+
+  test('notifies subscribers until unsubscribed', async () => {
+    let release;
+    const job = queue.enqueue('fetch', {}, () => new Promise(resolve => { release = resolve; }));
+    const listener = jest.fn();
+    const unsubscribe = queue.subscribe(job.id, listener);
+
+    release({ done: true });
+    await flush();
+    unsubscribe();
+
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ type: 'completed', data: { result: { done: true } } }));
+  });
+
+  test('caps queued jobs per API key and in total', () => {
+    queue = new JobQueue({ concurrency: 1, maxPending: 3, maxPendingPerKey: 2 });
+    const never = () => new Promise(() => {});
+
+    queue.enqueue('fetch', {}, never, { apiKeyId: 'key_a' }); // Starts running
+    queue.enqueue('fetch', {}, never, { apiKeyId: 'key_a' });
+    queue.enqueue('fetch', {}, never, { apiKeyId: 'key_a' });
+
+    expect(() => queue.enqueue('fetch', {}, never, { apiKeyId: 'key_a' }))
+      .toThrow(expect.objectContaining({ code: 'TOO_MANY_JOBS', status: 429 }));
+    queue.enqueue('fetch', {}, never, { apiKeyId: 'key_b' });
+    expect(() => queue.enqueue('fetch', {}, never, { apiKeyId: 'key_c' }))
+      .toThrow(expect.objectContaining({ code: 'QUEUE_FULL', status: 503 }));
+  });
+
+  test('returns null for unknown jobs', () => {
+    expect(queue.get('missing')).toBeNull();
+    expect(queue.getEvents('missing')).toEqual([]);
+  });
+
+  test('identifies terminal statuses', () => {
+    expect(JobQueue.isFinished('completed')).toBe(true);
+    expect(JobQueue.isFinished('failed')).toBe(true);
+    expect(JobQueue.isFinished('running')).toBe(false);
+  });
+});
@@ -1,6 +1,7 @@
 const NYTimesService = require('../../services/nytimesService');
 const CookieService = require('../../services/cookieService');
 const SearchEngineService = require('../../services/searchEngineService');
+const nytimesAdapter = require('../../adapters/nytimesAdapter');
 
 // Mock services
 jest.mock('../../services/cookieService');
@@ -16,6 +17,11 @@ describe('NYTimesService', () => {
       fetchWithClearedCookies: jest.fn(),
       hasPaywall: jest.fn()
     };
+    // fetchPage returns the HTML stubbed through fetchWithClearedCookies plus a status code
+    mockCookieService.fetchPage = jest.fn(async (url, options) => ({
+      html: await mockCookieService.fetchWithClearedCookies(url, options),
+      statusCode: 200
+    }));
     
     mockSearchEngineService = {
       fetchWithSearchReferrer: jest.fn()
@@ -23,7 +29,7 @@ describe('NYTimesService', () => {
     
     CookieService.mockImplementation(() => mockCookieService);
     SearchEngineService.mockImplementation(() => mockSearchEngineService);
-    nytimesService = new NYTimesService();
+    nytimesService = new NYTimesService({ share: nytimesAdapter.share });
   });
 
   afterEach(() => {
@@ -150,6 +156,113 @@ describe('NYTimesService', () => {
     });
   });
 
+  describe('fetchArticleResult', () => {
+    test('reports the strategy that succeeded', async () => {
+      const testUrl = 'https://www.nytimes.com/2024/01/15/article.html';
+      const mockHtml = '<html><article>Content</article></html>';
+
+      mockCookieService.fetchWithClearedCookies.mockRejectedValue(new Error('Network error'));
+      mockSearchEngineService.fetchWithSearchReferrer.mockResolvedValue({ html: mockHtml });
+      mockCookieService.hasPaywall.mockReturnValue(false);
+
+      const result = await nytimesService.fetchArticleResult(testUrl);
+
+      expect(result.html).toBe(mockHtml);
+      expect(result.strategy).toBe('search-engine');
+      expect(result.attempts.map(a => a.strategy)).toEqual(['subscription', 'gift-link', 'cookie-clearing', 'search-engine']);
+      expect(result.attempts.slice(0, 2).map(a => a.outcome)).toEqual(['skipped', 'skipped']);
+    });
+
+    test('records diagnostics for each attempt', async () => {
+      const testUrl = 'https://www.nytimes.com/2024/01/15/article.html';
+      const paywallHtml = '<html>Subscribe to The Times</html>';
+      const mockHtml = '<html><article>Content</article></html>';
+
+      mockCookieService.fetchWithClearedCookies.mockResolvedValue(paywallHtml);
+      mockCookieService.hasPaywall.mockImplementation(html => html === paywallHtml);
+      mockSearchEngineService.fetchWithSearchReferrer.mockResolvedValue({ html: mockHtml, statusCode: 200 });
+
+      const result = await nytimesService.fetchArticleResult(testUrl);
+
+      expect(result.attempts[2]).toMatchObject({
+        strategy: 'cookie-clearing',
+        outcome: 'paywall',
+        statusCode: 200,
+        htmlLength: paywallHtml.length,
+        paywalled: true,
+        jsBlocked: false
+      });
+      expect(result.attempts[2].durationMs).toEqual(expect.any(Number));
+      expect(result.attempts[3]).toMatchObject({ strategy: 'search-engine', outcome: 'success' });
+    });
+
+    test('tries the user\'s own session first', async () => {
+      const testUrl = 'https://www.nytimes.com/2024/01/15/article.html';
+      const session = { domain: 'nytimes.com', cookie: 'NYT-S=abc' };
+      mockCookieService.fetchWithSession = jest.fn().mockResolvedValue({ html: '<html>Full story</html>', statusCode: 200 });
+      mockCookieService.hasPaywall.mockReturnValue(false);
+
+      const result = await nytimesService.fetchArticleResult(testUrl, { session });
+
+      expect(mockCookieService.fetchWithSession).toHaveBeenCalledWith(testUrl, session, { session });
+      expect(result.strategy).toBe('subscription');
+      expect(mockCookieService.fetchWithClearedCookies).not.toHaveBeenCalled();
+    });
+
+    test('falls back when the publisher rejects the session', async () => {
+      const testUrl = 'https://www.nytimes.com/2024/01/15/article.html';
+      const rejected = Object.assign(new Error('Your nytimes.com session was not accepted'), { code: 'SESSION_INVALID' });
+      mockCookieService.fetchWithSession = jest.fn().mockRejectedValue(rejected);
+      mockCookieService.fetchWithClearedCookies.mockResolvedValue('<html>Content</html>');
+      mockCookieService.hasPaywall.mockReturnValue(false);
+
+      const result = await nytimesService.fetchArticleResult(testUrl, { session: { domain: 'nytimes.com', cookie: 'x=1' } });
+
+      expect(result.strategy).toBe('cookie-clearing');
+      expect(result.attempts[0]).toMatchObject({ strategy: 'subscription', outcome: 'error', code: 'SESSION_INVALID' });
+    });
+
+    test('fetches gift links as shared and reports gift-link', async () => {
+      const giftUrl = 'https://www.nytimes.com/2024/01/15/article.html?unlocked_article_code=abc&smid=url-share';
+      mockCookieService.fetchWithClearedCookies.mockResolvedValue('<html>Full story</html>');
+      mockCookieService.hasPaywall.mockReturnValue(false);
+
+      const result = await nytimesService.fetchArticleResult(giftUrl);
+
+      expect(mockCookieService.fetchPage).toHaveBeenCalledWith(giftUrl, {});
+      expect(result.strategy).toBe('gift-link');
+    });
+
+    test('falls back to the plain article when the gift link fails', async () => {
+      const giftUrl = 'https://www.nytimes.com/2024/01/15/article.html?unlocked_article_code=abc&smid=url-share';
+      mockCookieService.fetchWithClearedCookies
+        .mockResolvedValueOnce('<html>Subscribe</html>')
+        .mockResolvedValueOnce('<html>Full story</html>');
+      mockCookieService.hasPaywall.mockReturnValueOnce(true).mockReturnValueOnce(false);
+
+      const result = await nytimesService.fetchArticleResult(giftUrl);
+
+      expect(mockCookieService.fetchPage.mock.calls.map(([url]) => url)).toEqual([
+        giftUrl,
+        'https://www.nytimes.com/2024/01/15/article.html'
+      ]);
+      expect(result.strategy).toBe('cookie-clearing');
+    });
+
+    test('only runs configured strategies', async () => {
+      const testUrl = 'https://www.nytimes.com/2024/01/15/article.html';
+      const service = new NYTimesService({ strategies: ['search-engine'] });
+
+      mockSearchEngineService.fetchWithSearchReferrer.mockResolvedValue({ html: '<html>Content</html>' });
+      mockCookieService.hasPaywall.mockReturnValue(false);
+
+      const result = await service.fetchArticleResult(testUrl);
+
+      expect(mockCookieService.fetchWithClearedCookies).not.toHaveBeenCalled();
+      expect(result.strategy).toBe('search-engine');
+    });
+  });
+
   describe('hasPaywall', () => {
     test('delegates to cookie service hasPaywall method', () => {
       const mockHtml = '<html>Content</html>';
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PolicyService = require('../../services/policyService');
+
+describe('PolicyService', () => {
+  const url = 'https://www.nytimes.com/2024/01/15/world/story.html';
+  let fetchRobots;
+  let policy;
+
+  beforeEach(() => {
+    fetchRobots = jest.fn().mockResolvedValue({
+      statusCode: 200,
+      body: 'User-agent: *\nDisallow: /search\n\nUser-agent: FreeRead\nDisallow: /private/'
+    });
+    policy = new PolicyService({ fetchRobots, denylist: ['optout.example'] });
+  });
+
+  test('allows URLs robots.txt permits and records the checks', async () => {
+    const decision = await policy.check(url);
+
+    expect(decision).toMatchObject({
+      allowed: true,
+      reason: null,
+      domain: 'www.nytimes.com',
+      checks: { denylist: { listed: false }, robots: { status: 200, allowed: true, group: 'freeread', rule: null } }
+    });
+    expect(fetchRobots).toHaveBeenCalledWith('https://www.nytimes.com/robots.txt');
+  });
+
+  test('blocks paths disallowed for our user agent', async () => {
+    await expect(policy.assertAllowed('https://www.nytimes.com/private/a')).rejects.toMatchObject({
+      code: 'POLICY_BLOCKED',
+      status: 403,
+      details: { reason: 'robots', domain: 'www.nytimes.com' }
+    });
+  });
+
+  test('blocks denylisted publishers without fetching robots.txt', async () => {
+    const decision = await policy.check('https://news.optout.example/a');
+
+    expect(decision).toMatchObject({ allowed: false, reason: 'denylist' });
+    expect(fetchRobots).not.toHaveBeenCalled();
+  });
+
+  test('caches robots.txt per origin', async () => {
+    await policy.check(url);
+    await policy.check('https://www.nytimes.com/other');
+    await policy.check('https://cooking.nytimes.com/recipe');
+
+    expect(fetchRobots).toHaveBeenCalledTimes(2);
+  });
+
+  test('treats missing robots.txt as allow-all and server errors as disallow-all', async () => {
+    fetchRobots.mockResolvedValueOnce({ statusCode: 404, body: '' });
+    await expect(policy.check(url)).resolves.toMatchObject({ allowed: true });
+
+    policy.clearCache();
+    fetchRobots.mockResolvedValueOnce({ statusCode: 503, body: '' });
+    await expect(policy.check(url)).resolves.toMatchObject({ allowed: false, reason: 'robots' });
+
+    policy.clearCache();
+    fetchRobots.mockRejectedValueOnce(new Error('ECONNRESET'));
+    await expect(policy.check(url)).resolves.toMatchObject({ allowed: false, checks: { robots: { status: 'unreachable' } } });
+  });
+
+  test('adapters can skip the robots check', async () => {
+    const decision = await policy.check('https://www.nytimes.com/private/a', { policy: { robots: false } });
+
+    expect(decision).toMatchObject({ allowed: true, checks: { robots: { skipped: true } }, overrides: { robots: false } });
+    expect(fetchRobots).not.toHaveBeenCalled();
+  });
+
+  describe('noarchive', () => {
+    const assertResponse = (response, adapter) => () => policy.assertResponseAllowed(url, response, adapter);
+
+    test('honours X-Robots-Tag, including headers scoped to our user agent', () => {
+      expect(assertResponse({ headers: { 'x-robots-tag': 'noarchive' } })).toThrow(expect.objectContaining({
+        code: 'POLICY_BLOCKED',
+        details: expect.objectContaining({ reason: 'noarchive', checks: { noarchive: { source: 'X-Robots-Tag' } } })
+      }));
+      expect(assertResponse({ headers: { 'X-Robots-Tag': 'googlebot: nosnippet, FreeRead: noindex, noarchive' } })).toThrow();
+      expect(assertResponse({ headers: { 'x-robots-tag': 'otherbot: noarchive' } })).not.toThrow();
+      expect(assertResponse({ headers: { 'x-robots-tag': 'max-snippet: 50, noarchive' } })).toThrow();
+    });
+
+    test('honours robots meta tags', () => {
+      expect(assertResponse({ html: '<meta content="noindex, NOARCHIVE" name="robots">' })).toThrow(/meta robots/);
+      expect(assertResponse({ html: "<meta name='freeread' content='noarchive'>" })).toThrow(/meta freeread/);
+      expect(assertResponse({ html: '<meta name="googlebot" content="noarchive">' })).not.toThrow();
+      expect(assertResponse({ html: '<meta name="robots" content="noarchive">' }, { policy: { noarchive: false } })).not.toThrow();
+    });
+  });
+
+  test('reads configuration from the environment', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'freeread-policy-'));
+    const file = path.join(directory, 'denylist.json');
+    fs.writeFileSync(file, JSON.stringify({ domains: ['file.example'] }));
+
+    try {
+      const fromEnv = PolicyService.fromEnv({ POLICY_DENYLIST: 'a.example, b.example', POLICY_DENYLIST_FILE: file, ROBOTS_USER_AGENT: 'Reader' });
+
+      expect(fromEnv.denylist).toEqual(['a.example', 'b.example', 'file.example']);
+      expect(fromEnv.userAgent).toBe('Reader');
+      expect(PolicyService.fromEnv({ POLICY_ENFORCEMENT: 'off' }).enabled).toBe(false);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,98 @@
+const RateLimiter = require('../../services/rateLimiter');
+
+describe('RateLimiter', () => {
+  let now;
+  let limiter;
+  const key = { id: 'key_1' };
+
+  beforeEach(() => {
+    now = Date.UTC(2024, 0, 15, 12, 0, 0);
+    limiter = new RateLimiter({ burst: 3, perMinute: 6, now: () => now });
+  });
+
+  test('allows a burst, then refuses until tokens refill', () => {
+    const results = [1, 2, 3, 4].map(() => limiter.consume(key));
+
+    expect(results.map(r => r.allowed)).toEqual([true, true, true, false]);
+    expect(results.map(r => r.remaining)).toEqual([2, 1, 0, 0]);
+    expect(results[3]).toMatchObject({ reason: 'rate', limit: 3, retryAfterSeconds: 10 });
+
+    now += 10000; // 6/min = one token every 10s
+    expect(limiter.consume(key).allowed).toBe(true);
+  });
+
+  test('reports seconds until the bucket is full again', () => {
+    limiter.consume(key);
+    const result = limiter.consume(key);
+
+    expect(result.resetSeconds).toBe(20);
+    expect(result.policy).toBe('3;w=30');
+  });
+
+  test('charges several requests at once, or none when they do not all fit', () => {
+    const batch = limiter.consume(key, 2);
+    const tooMany = limiter.consume(key, 2);
+
+    expect(batch).toMatchObject({ allowed: true, remaining: 1 });
+    expect(tooMany).toMatchObject({ allowed: false, reason: 'rate', remaining: 1, retryAfterSeconds: 10 });
+    expect(limiter.consume(key).allowed).toBe(true);
+  });
+
+  test('charges quotas by cost', () => {
+    const trial = { id: 'key_trial', rateLimit: { burst: 10 }, quota: { limit: 3, period: 'day' } };
+
+    expect(limiter.consume(trial, 2).quota.remaining).toBe(1);
+    expect(limiter.consume(trial, 2)).toMatchObject({ allowed: false, reason: 'quota', remaining: 8 });
+  });
+
+  test('never refills beyond the burst size', () => {
+    limiter.consume(key);
+    now += 60 * 60 * 1000;
+
+    expect(limiter.consume(key).remaining).toBe(2);
+  });
+
+  test('uses per-key limits over the defaults', () => {
+    const generous = { id: 'key_2', rateLimit: { burst: 100 } };
+
+    expect(limiter.consume(generous)).toMatchObject({ limit: 100, remaining: 99 });
+  });
+
+  test('keeps separate buckets per key', () => {
+    [1, 2, 3].forEach(() => limiter.consume(key));
+
+    expect(limiter.consume({ id: 'key_other' }).allowed).toBe(true);
+  });
+
+  test('enforces quotas per UTC day and resets at midnight', () => {
+    const trial = { id: 'key_trial', rateLimit: { burst: 10 }, quota: { limit: 2, period: 'day' } };
+
+    limiter.consume(trial);
+    const second = limiter.consume(trial);
+    const third = limiter.consume(trial);
+
+    expect(second.quota).toEqual({ limit: 2, remaining: 0, period: 'day', resetSeconds: 12 * 3600 });
+    expect(third).toMatchObject({ allowed: false, reason: 'quota', retryAfterSeconds: 12 * 3600 });
+    expect(third.remaining).toBe(8); // Refused requests do not use tokens
+
+    now = Date.UTC(2024, 0, 16, 0, 0, 1);
+    expect(limiter.consume(trial)).toMatchObject({ allowed: true, quota: { remaining: 1 } });
+  });
+
+  test('supports monthly quotas', () => {
+    const monthly = { id: 'key_month', quota: { limit: 5, period: 'month' } };
+
+    const result = limiter.consume(monthly);
+
+    expect(result.quota.period).toBe('month');
+    expect(result.quota.resetSeconds).toBe((Date.UTC(2024, 1, 1) - now) / 1000);
+  });
+
+  test('reads defaults from the environment', () => {
+    const fromEnv = RateLimiter.fromEnv({ RATE_LIMIT_BURST: '5', RATE_LIMIT_PER_MINUTE: '60' });
+
+    expect(fromEnv.burst).toBe(5);
+    expect(fromEnv.perMinute).toBe(60);
+    expect(RateLimiter.fromEnv({}).burst).toBe(10);
+  });
+});
@@ -0,0 +1,40 @@
+const http = require('http');
+const CookieService = require('../../services/cookieService');
+const SearchEngineService = require('../../services/searchEngineService');
+
+// The publisher is a local server that redirects to an internal host; only its own address is allowlisted
+process.env.SSRF_ALLOWLIST = '127.0.0.1';
+
+describe('redirects to internal hosts', () => {
+  let server;
+  let url;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      res.writeHead(302, { Location: `http://localhost:${server.address().port}/admin` });
+      res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/article.html`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const unsafe = { code: 'UNSAFE_URL', status: 400, message: 'Refusing to fetch internal address localhost' };
+
+  test('are refused as UNSAFE_URL by cookie clearing', async () => {
+    await expect(new CookieService().fetchPage(url)).rejects.toMatchObject(unsafe);
+  });
+
+  test('are refused as UNSAFE_URL with a subscription session', async () => {
+    const session = { domain: '127.0.0.1', cookie: 'nyt-s=1' };
+
+    await expect(new CookieService().fetchWithSession(url, session)).rejects.toMatchObject(unsafe);
+  });
+
+  test('are refused as UNSAFE_URL by the search engine referrer', async () => {
+    await expect(new SearchEngineService().fetchWithSearchReferrer(url)).rejects.toMatchObject(unsafe);
+  });
+});
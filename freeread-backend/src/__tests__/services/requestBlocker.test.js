@@ -0,0 +1,149 @@
+const EventEmitter = require('events');
+const RequestBlocker = require('../../services/requestBlocker');
+
+function createRequest(url, resourceType) {
+  return {
+    url: () => url,
+    resourceType: () => resourceType,
+    isInterceptResolutionHandled: () => false,
+    continue: jest.fn().mockResolvedValue(undefined),
+    abort: jest.fn().mockResolvedValue(undefined)
+  };
+}
+
+function createPage() {
+  const page = new EventEmitter();
+  page.setRequestInterception = jest.fn().mockResolvedValue(undefined);
+  return page;
+}
+
+describe('RequestBlocker', () => {
+  describe('check', () => {
+    const blocker = new RequestBlocker();
+
+    test('blocks default resource types', () => {
+      expect(blocker.check('https://static01.nyt.com/photo.jpg', 'image')).toEqual({ blocked: true, reason: 'type' });
+      expect(blocker.check('https://static01.nyt.com/font.woff2', 'font').blocked).toBe(true);
+      expect(blocker.check('https://static01.nyt.com/clip.mp4', 'media').blocked).toBe(true);
+    });
+
+    test('blocks tracker domains and their subdomains', () => {
+      expect(blocker.check('https://www.google-analytics.com/analytics.js', 'script'))
+        .toEqual({ blocked: true, reason: 'domain' });
+      expect(blocker.check('https://securepubads.g.doubleclick.net/tag.js', 'script').blocked).toBe(true);
+    });
+
+    test('allows scripts, stylesheets and XHR from the site', () => {
+      expect(blocker.check('https://www.nytimes.com/app.js', 'script').blocked).toBe(false);
+      expect(blocker.check('https://www.nytimes.com/app.css', 'stylesheet').blocked).toBe(false);
+      expect(blocker.check('https://samizdat-graphql.nytimes.com/graphql', 'fetch').blocked).toBe(false);
+    });
+
+    test('never blocks the document itself', () => {
+      expect(blocker.check('https://ad.doubleclick.net/page', 'document').blocked).toBe(false);
+    });
+
+    test('uses configured lists and allow overrides', () => {
+      const custom = new RequestBlocker({
+        resourceTypes: ['stylesheet'],
+        domains: [...RequestBlocker.DEFAULT_DOMAINS, 'tracker.example'],
+        allowDomains: ['googletagmanager.com']
+      });
+
+      expect(custom.check('https://www.nytimes.com/app.css', 'stylesheet').blocked).toBe(true);
+      expect(custom.check('https://www.nytimes.com/photo.jpg', 'image').blocked).toBe(false);
+      expect(custom.check('https://cdn.tracker.example/t.js', 'script').blocked).toBe(true);
+      expect(custom.check('https://www.googletagmanager.com/gtm.js', 'script').blocked).toBe(false);
+    });
+  });
+
+  describe('attach', () => {
+    test('aborts blocked requests and reports counts and estimated savings', async () => {
+      const page = createPage();
+      const blocker = new RequestBlocker();
+      await blocker.attach(page);
+
+      const image = createRequest('https://static01.nyt.com/photo.jpg', 'image');
+      const tracker = createRequest('https://www.google-analytics.com/analytics.js', 'script');
+      const script = createRequest('https://www.nytimes.com/app.js', 'script');
+      [image, tracker, script].forEach(request => page.emit('request', request));
+
+      expect(page.setRequestInterception).toHaveBeenCalledWith(true);
+      expect(image.abort).toHaveBeenCalledWith('blockedbyclient');
+      expect(tracker.abort).toHaveBeenCalled();
+      expect(script.continue).toHaveBeenCalled();
+      expect(blocker.getReport()).toEqual({
+        enabled: true,
+        blocked: 2,
+        allowed: 1,
+        unsafe: 0,
+        bytesSaved: expect.any(Number),
+        byType: { image: 1, script: 1 },
+        byDomain: { 'www.google-analytics.com': 1 }
+      });
+      expect(blocker.getReport().bytesSaved).toBeGreaterThan(0);
+    });
+
+    test('leaves requests alone when another handler already resolved them', async () => {
+      const page = createPage();
+      const blocker = new RequestBlocker();
+      await blocker.attach(page);
+
+      const request = createRequest('https://static01.nyt.com/photo.jpg', 'image');
+      request.isInterceptResolutionHandled = () => true;
+      page.emit('request', request);
+
+      expect(request.abort).not.toHaveBeenCalled();
+      expect(blocker.getReport().blocked).toBe(0);
+    });
+
+    test('aborts requests rejected by the guard, once per origin', async () => {
+      const page = createPage();
+      const guard = jest.fn(async (url) => {
+        if (url.includes('10.0.0.5')) {
+          throw new Error('Refusing to fetch internal address 10.0.0.5');
+        }
+      });
+      const blocker = new RequestBlocker({ enabled: false }, { guard });
+      await blocker.attach(page);
+
+      const redirect = createRequest('http://10.0.0.5/admin', 'document');
+      const first = createRequest('https://www.nytimes.com/a.js', 'script');
+      const second = createRequest('https://www.nytimes.com/b.js', 'script');
+      const inline = createRequest('data:image/png;base64,AAAA', 'image');
+      [redirect, first, second, inline].forEach(request => page.emit('request', request));
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(page.setRequestInterception).toHaveBeenCalledWith(true);
+      expect(redirect.abort).toHaveBeenCalledWith('addressunreachable');
+      expect(first.continue).toHaveBeenCalled();
+      expect(second.continue).toHaveBeenCalled();
+      expect(inline.continue).toHaveBeenCalled();
+      expect(guard).toHaveBeenCalledTimes(2);
+      expect(blocker.unsafeError.message).toContain('10.0.0.5');
+      expect(blocker.getReport()).toMatchObject({ unsafe: 1, allowed: 3 });
+    });
+
+    test('never lets the guard approve file URLs', async () => {
+      const page = createPage();
+      const blocker = new RequestBlocker({}, { guard: jest.fn() });
+      await blocker.attach(page);
+
+      const request = createRequest('file:///etc/passwd', 'document');
+      page.emit('request', request);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(request.abort).toHaveBeenCalled();
+    });
+
+    test('does not intercept when disabled', async () => {
+      const page = createPage();
+      const blocker = new RequestBlocker({ enabled: false });
+
+      await blocker.attach(page);
+
+      expect(page.setRequestInterception).not.toHaveBeenCalled();
+      expect(blocker.getReport()).toMatchObject({ enabled: false, blocked: 0 });
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const RevisionDiffer = require('../../services/revisionDiffer');
+const { createApiError } = require('../../utils/apiError');
+
+const URL = 'https://www.nytimes.com/2024/01/15/article.html';
+
+const revision = (timestamp, content) => ({
+  method: 'archive',
+  attempts: [],
+  content: { title: 'Title', author: 'By Jane Doe', text: '', html: '', ...content },
+  metadata: {
+    source: 'archive',
+    capture: {
+      asOf: `${timestamp.slice(0, 4)}-${timestamp.slice(4, 6)}-${timestamp.slice(6, 8)}T00:00:00.000Z`,
+      capturedAt: '2024-01-15T12:34:56.000Z',
+      timestamp,
+      archive: 'wayback'
+    }
+  }
+});
+
+describe('RevisionDiffer', () => {
+  let articleFetcher;
+  let differ;
+
+  beforeEach(() => {
+    articleFetcher = { fetch: jest.fn() };
+    differ = new RevisionDiffer({ articleFetcher });
+  });
+
+  test('reads both revisions as of their times and diffs title, byline and body', async () => {
+    const from = new Date('2024-01-15T00:00:00Z');
+    const to = new Date('2024-01-20T00:00:00Z');
+    articleFetcher.fetch
+      .mockResolvedValueOnce(revision('20240115123456', {
+        title: 'Mayor resigns',
+        html: '<p>The mayor resigned on Monday.</p><p>More to come.</p>'
+      }))
+      .mockResolvedValueOnce(revision('20240120080000', {
+        title: 'Mayor resigns amid inquiry',
+        html: '<p>The mayor resigned on Tuesday.</p><p>More to come.</p><p>Correction appended.</p>'
+      }));
+
+    const result = await differ.diff(URL, { from, to, apiKeyId: 'key-1' });
+
+    expect(articleFetcher.fetch).toHaveBeenNthCalledWith(1, URL, { asOf: from, apiKeyId: 'key-1' });
+    expect(articleFetcher.fetch).toHaveBeenNthCalledWith(2, URL, { asOf: to, apiKeyId: 'key-1' });
+    expect(result).toMatchObject({
+      url: URL,
+      from: { timestamp: '20240115123456', archive: 'wayback', requested: '2024-01-15T00:00:00.000Z' },
+      to: { timestamp: '20240120080000' },
+      sameCapture: false,
+      changed: true,
+      summary: {
+        paragraphs: { unchanged: 1, changed: 1, added: 1, removed: 0 },
+        words: { added: 3, removed: 1 }
+      }
+    });
+    expect(result.diff.title).toEqual({
+      from: 'Mayor resigns',
+      to: 'Mayor resigns amid inquiry',
+      changed: true,
+      words: [{ type: 'equal', text: 'Mayor resigns' }, { type: 'insert', text: 'amid inquiry' }]
+    });
+    expect(result.diff.byline.changed).toBe(false);
+    expect(result.diff.body.map(entry => entry.type)).toEqual(['change', 'equal', 'insert']);
+  });
+
+  test('reports an unchanged article read from the same capture', async () => {
+    const same = revision('20240115123456', { html: '<p>Nothing new.</p>' });
+    articleFetcher.fetch.mockResolvedValue(same);
+
+    const result = await differ.diff(URL, { from: new Date('2024-01-15'), to: new Date('2024-01-16') });
+
+    expect(result).toMatchObject({ sameCapture: true, changed: false });
+    expect(result.diff.body).toEqual([{ type: 'equal', text: 'Nothing new.' }]);
+  });
+
+  test('tags fetch errors with the revision that failed', async () => {
+    articleFetcher.fetch
+      .mockResolvedValueOnce(revision('20240115123456', {}))
+      .mockRejectedValueOnce(createApiError('ARCHIVE_NOT_FOUND', 'No archived capture', 404, { asOf: '2024-01-20T00:00:00.000Z' }));
+
+    await expect(differ.diff(URL, { from: new Date('2024-01-15'), to: new Date('2024-01-20') }))
+      .rejects.toMatchObject({
+        code: 'ARCHIVE_NOT_FOUND',
+        status: 404,
+        details: { asOf: '2024-01-20T00:00:00.000Z', revision: 'to' }
+      });
+  });
+
+  describe('toParagraphs', () => {
+    test('uses the innermost block elements of the extracted HTML', () => {
+      const paragraphs = differ.toParagraphs({
+        html: '<div><h2>Heading</h2><blockquote><p>Quoted  text</p></blockquote><ul><li>Item</li></ul><p></p></div>'
+      });
+
+      expect(paragraphs).toEqual(['Heading', 'Quoted text', 'Item']);
+    });
+
+    test('falls back to blank-line separated text', () => {
+      expect(differ.toParagraphs({ html: '<div>bare</div>', text: 'First.\n\nSecond\nline.' }))
+        .toEqual(['First.', 'Second line.']);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+const http = require('http');
+const ArchiveService = require('../../services/archiveService');
+
+// Save Page Now is exercised against a local stub of the SPN2 API
+process.env.SSRF_ALLOWLIST = '127.0.0.1';
+
+describe('ArchiveService Save Page Now', () => {
+  let server;
+  let endpoint;
+  let requests;
+  let jobs;
+  let submitResponse;
+
+  const service = (options = {}) => new ArchiveService({
+    savePageNow: {
+      endpoint,
+      replay: 'https://web.archive.org/web',
+      pollIntervalMs: 5,
+      timeoutMs: 1000,
+      ...options
+    }
+  });
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+        res.setHeader('Content-Type', 'application/json');
+
+        if (req.method === 'POST' && req.url === '/save') {
+          res.statusCode = submitResponse.status;
+          return res.end(JSON.stringify(submitResponse.body));
+        }
+
+        const status = req.url.match(/^\/save\/status\/(.+)$/);
+        const job = status && jobs[decodeURIComponent(status[1])];
+        if (!job) {
+          res.statusCode = 404;
+          return res.end('{}');
+        }
+        res.end(JSON.stringify(job.length > 1 ? job.shift() : job[0]));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${server.address().port}/save`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    jobs = {};
+    submitResponse = { status: 200, body: { url: 'https://www.nytimes.com/a.html', job_id: 'spn2-1' } };
+  });
+
+  test('submits the normalized URL and polls until the capture completes', async () => {
+    jobs['spn2-1'] = [
+      { status: 'pending', job_id: 'spn2-1' },
+      { status: 'success', job_id: 'spn2-1', timestamp: '20240115123456', original_url: 'https://www.nytimes.com/a.html' }
+    ];
+
+    const saved = await service({ accessKey: 'access', secretKey: 'secret' })
+      .savePage('https://www.nytimes.com/a.html#comments');
+
+    expect(saved).toEqual({
+      url: 'https://www.nytimes.com/a.html',
+      jobId: 'spn2-1',
+      timestamp: '20240115123456',
+      capturedAt: '2024-01-15T12:34:56.000Z',
+      captureUrl: 'https://web.archive.org/web/20240115123456/https://www.nytimes.com/a.html'
+    });
+    expect(requests[0]).toMatchObject({
+      method: 'POST',
+      body: 'url=https%3A%2F%2Fwww.nytimes.com%2Fa.html',
+      headers: { authorization: 'LOW access:secret', accept: 'application/json' }
+    });
+    expect(requests.slice(1).map(r => r.url)).toEqual(['/save/status/spn2-1', '/save/status/spn2-1']);
+  });
+
+  test('reports refused submissions', async () => {
+    submitResponse = {
+      status: 200,
+      body: { status: 'error', status_ext: 'error:too-many-daily-captures', message: 'This URL has been captured 10 times today.' }
+    };
+
+    await expect(service().savePage('https://www.nytimes.com/a.html')).rejects.toMatchObject({
+      code: 'SAVE_FAILED',
+      status: 502,
+      message: 'This URL has been captured 10 times today.',
+      details: { statusExt: 'error:too-many-daily-captures' }
+    });
+    expect(requests[0].headers).not.toHaveProperty('authorization');
+  });
+
+  test('reports failed captures', async () => {
+    jobs['spn2-1'] = [{ status: 'error', status_ext: 'error:blocked-url', message: 'Blocked' }];
+
+    await expect(service().savePage('https://www.nytimes.com/a.html')).rejects.toMatchObject({
+      code: 'SAVE_FAILED',
+      details: { jobId: 'spn2-1', statusExt: 'error:blocked-url' }
+    });
+  });
+
+  test('gives up after the timeout, keeping pending through failed status checks', async () => {
+    await expect(service({ timeoutMs: 50 }).savePage('https://www.nytimes.com/a.html')).rejects.toMatchObject({
+      code: 'SAVE_TIMEOUT',
+      status: 504,
+      details: { jobId: 'spn2-1' }
+    });
+    expect(requests.length).toBeGreaterThan(1);
+  });
+
+  test('never sleeps past the timeout', async () => {
+    const startedAt = Date.now();
+    const progress = [];
+
+    await expect(service({ pollIntervalMs: 10000, timeoutMs: 50 })
+      .savePage('https://www.nytimes.com/a.html', { onProgress: event => progress.push(event) }))
+      .rejects.toMatchObject({ code: 'SAVE_TIMEOUT' });
+
+    expect(Date.now() - startedAt).toBeLessThan(5000);
+    expect(progress).toEqual([{ type: 'save-submitted', jobId: 'spn2-1' }]);
+  });
+
+  test('is configured from the environment', () => {
+    const fromEnv = ArchiveService.fromEnv({
+      WARC_ARCHIVE: 'off',
+      SAVE_PAGE_NOW_URL: endpoint,
+      SAVE_PAGE_NOW_POLL_SECONDS: '0.5',
+      SAVE_PAGE_NOW_TIMEOUT_SECONDS: '30'
+    });
+
+    expect(fromEnv.savePageNow).toEqual({
+      endpoint,
+      replay: 'https://web.archive.org/web',
+      accessKey: null,
+      secretKey: null,
+      pollIntervalMs: 500,
+      timeoutMs: 30000
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SessionStore = require('../../services/sessionStore');
+
+describe('SessionStore', () => {
+  const url = 'https://www.nytimes.com/2024/01/15/article.html';
+  let directory;
+  let filePath;
+  let store;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'freeread-sessions-'));
+    filePath = path.join(directory, 'sessions.json');
+    store = new SessionStore({ filePath, secret: 'test-secret' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('encrypts cookies at rest and returns them only to the owning key', async () => {
+    const record = await store.set('key_a', 'nytimes.com', { cookie: 'NYT-S=secret-value' });
+
+    expect(record).toMatchObject({ domain: 'nytimes.com', cookieNames: ['NYT-S'], status: 'active', expiresAt: null });
+    expect(record).not.toHaveProperty('cookies');
+    expect(fs.readFileSync(filePath, 'utf8')).not.toContain('secret-value');
+
+    await expect(store.find('key_a', url)).resolves.toMatchObject({ domain: 'nytimes.com', status: 'active', cookie: 'NYT-S=secret-value' });
+    await expect(store.find('key_b', url)).resolves.toBeNull();
+    await expect(store.find(undefined, url)).resolves.toBeNull();
+  });
+
+  test('refuses records moved to another key', async () => {
+    await store.set('key_a', 'nytimes.com', { cookie: 'NYT-S=secret-value' });
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    data.sessions[0].apiKeyId = 'key_b';
+    fs.writeFileSync(filePath, JSON.stringify(data));
+
+    await expect(new SessionStore({ filePath, secret: 'test-secret' }).find('key_b', url)).rejects.toThrow();
+  });
+
+  test('needs the same secret to decrypt', async () => {
+    await store.set('key_a', 'nytimes.com', { cookie: 'NYT-S=secret-value' });
+
+    await expect(new SessionStore({ filePath, secret: 'other' }).find('key_a', url)).rejects.toThrow();
+  });
+
+  test('generates a key file when no secret is configured', async () => {
+    const keyless = new SessionStore({ filePath });
+    await keyless.set('key_a', 'wsj.com', { cookie: 'sso=1' });
+
+    const keyFile = path.join(directory, 'session.key');
+    expect(fs.statSync(keyFile).mode & 0o777).toBe(0o600);
+    await expect(new SessionStore({ filePath }).find('key_a', 'https://www.wsj.com/a')).resolves.toMatchObject({ cookie: 'sso=1' });
+  });
+
+  test('shares one generated key between stores created at the same time', async () => {
+    const files = ['a.json', 'b.json'].map(name => path.join(directory, name));
+
+    await Promise.all(files.map(file => new SessionStore({ filePath: file }).set('key_a', 'wsj.com', { cookie: 'sso=1' })));
+
+    for (const file of files) {
+      await expect(new SessionStore({ filePath: file }).find('key_a', 'https://www.wsj.com/a')).resolves.toMatchObject({ cookie: 'sso=1' });
+    }
+  });
+
+  test('uses the key file another process created first', async () => {
+    const keyFile = path.join(directory, 'session.key');
+    const readFile = fs.promises.readFile;
+    let raced = false;
+    jest.spyOn(fs.promises, 'readFile').mockImplementation(async (file, ...rest) => {
+      if (file === keyFile && !raced) {
+        // Lose the race: the file appears between our read and our exclusive create
+        raced = true;
+        fs.writeFileSync(keyFile, 'other-process-secret');
+        throw Object.assign(new Error('ENOENT: no such file'), { code: 'ENOENT' });
+      }
+      return readFile(file, ...rest);
+    });
+
+    try {
+      await new SessionStore({ filePath }).set('key_a', 'wsj.com', { cookie: 'sso=1' });
+    } finally {
+      fs.promises.readFile.mockRestore();
+    }
+
+    expect(raced).toBe(true);
+    expect(fs.readFileSync(keyFile, 'utf8')).toBe('other-process-secret');
+    await expect(new SessionStore({ filePath, secret: 'other-process-secret' }).find('key_a', 'https://www.wsj.com/a'))
+      .resolves.toMatchObject({ cookie: 'sso=1' });
+  });
+
+  test('reports expired and rejected sessions without their cookies', async () => {
+    await store.set('key_a', 'nytimes.com', { cookie: 'a=1', expiresAt: '2000-01-01T00:00:00.000Z' });
+    await expect(store.find('key_a', url)).resolves.toMatchObject({ status: 'expired', cookie: null });
+
+    await store.set('key_a', 'nytimes.com', { cookie: 'a=2' });
+    await store.invalidate('key_a', 'nytimes.com', 'publisher answered HTTP 403');
+    await expect(store.find('key_a', url)).resolves.toMatchObject({ status: 'invalid', invalidReason: 'publisher answered HTTP 403', cookie: null });
+
+    const [listed] = await store.list('key_a');
+    expect(listed).toMatchObject({ status: 'invalid' });
+  });
+
+  test('replaces and deletes sessions per key and domain', async () => {
+    await store.set('key_a', 'nytimes.com', { cookie: 'a=1' });
+    await store.set('key_a', 'nytimes.com', { cookie: 'a=2' });
+    await store.set('key_b', 'nytimes.com', { cookie: 'b=1' });
+
+    await expect(store.list('key_a')).resolves.toHaveLength(1);
+    await expect(store.delete('key_a', 'nytimes.com')).resolves.toBe(true);
+    await expect(store.delete('key_a', 'nytimes.com')).resolves.toBe(false);
+    await expect(store.find('key_b', url)).resolves.toMatchObject({ cookie: 'b=1' });
+  });
+
+  test('normalizes domains and cookies', () => {
+    expect(SessionStore.normalizeDomain('https://www.NYTimes.com/section')).toBe('nytimes.com');
+    expect(SessionStore.normalizeDomain('localhost')).toBeNull();
+
+    expect(SessionStore.toCookieHeader(' a=1 ; b = x=y ;junk')).toBe('a=1; b=x=y');
+    expect(SessionStore.toCookieHeader({ a: '1', 'bad name': '2' })).toBe('a=1');
+    expect(SessionStore.toCookieHeader([{ name: 'a', value: 'v;\r\nInjected: 1' }])).toBe('a=vInjected: 1');
+    expect(SessionStore.toCookieHeader(null)).toBe('');
+  });
+});
@@ -0,0 +1,253 @@
+const StrategyPipeline = require('../../services/strategyPipeline');
+
+describe('StrategyPipeline', () => {
+  const testUrl = 'https://www.nytimes.com/2024/01/15/article.html';
+  const cleanHtml = '<html><article>Article content</article></html>';
+  const paywallHtml = '<html><div class="paywall">Subscribe</div></html>';
+
+  const hasPaywall = (html) => html.includes('paywall');
+
+  describe('run', () => {
+    test('returns HTML and strategy name from first accepted strategy', async () => {
+      const first = jest.fn().mockResolvedValue(cleanHtml);
+      const second = jest.fn();
+      const pipeline = new StrategyPipeline({
+        label: 'NYT',
+        hasPaywall,
+        strategies: [
+          { name: 'cookie-clearing', fn: first },
+          { name: 'search-engine', fn: second }
+        ]
+      });
+
+      const result = await pipeline.run(testUrl);
+
+      expect(result.html).toBe(cleanHtml);
+      expect(result.strategy).toBe('cookie-clearing');
+      expect(result.attempts).toEqual([{
+        strategy: 'cookie-clearing',
+        outcome: 'success',
+        durationMs: expect.any(Number),
+        statusCode: null,
+        htmlLength: cleanHtml.length,
+        paywalled: false,
+        jsBlocked: false
+      }]);
+      expect(second).not.toHaveBeenCalled();
+    });
+
+    test('passes url and options through to strategies', async () => {
+      const fn = jest.fn().mockResolvedValue(cleanHtml);
+      const options = { timeout: 15000 };
+      const pipeline = new StrategyPipeline({ hasPaywall, strategies: [{ name: 'a', fn }] });
+
+      await pipeline.run(testUrl, options);
+
+      expect(fn).toHaveBeenCalledWith(testUrl, options);
+    });
+
+    test('moves on when paywall detected and records outcome', async () => {
+      const pipeline = new StrategyPipeline({
+        hasPaywall,
+        strategies: [
+          { name: 'cookie-clearing', fn: jest.fn().mockResolvedValue(paywallHtml) },
+          { name: 'search-engine', fn: jest.fn().mockResolvedValue(cleanHtml) }
+        ]
+      });
+
+      const result = await pipeline.run(testUrl);
+
+      expect(result.strategy).toBe('search-engine');
+      expect(result.attempts.map(a => a.outcome)).toEqual(['paywall', 'success']);
+    });
+
+    test('accepts paywalled HTML when strategy allows it', async () => {
+      const pipeline = new StrategyPipeline({
+        hasPaywall,
+        strategies: [
+          { name: 'archive', fn: jest.fn().mockResolvedValue(paywallHtml), accept: { allowPaywall: true } }
+        ]
+      });
+
+      const result = await pipeline.run(testUrl);
+
+      expect(result.html).toBe(paywallHtml);
+    });
+
+    test('rejects JS-block pages unless allowed', async () => {
+      const jsHtml = '<html>Please enable JS to continue</html>';
+      const pipeline = new StrategyPipeline({
+        hasPaywall,
+        strategies: [
+          { name: 'cookie-clearing', fn: jest.fn().mockResolvedValue(jsHtml) },
+          { name: 'headless', fn: jest.fn().mockResolvedValue(jsHtml), accept: { allowJsBlock: true } }
+        ]
+      });
+
+      const result = await pipeline.run(testUrl);
+
+      expect(result.strategy).toBe('headless');
+      expect(result.attempts[0].outcome).toBe('js-block');
+    });
+
+    test('reports status code from object results and errors', async () => {
+      const httpError = new Error('HTTP 403: Forbidden');
+      httpError.statusCode = 403;
+      const pipeline = new StrategyPipeline({
+        hasPaywall,
+        strategies: [
+          { name: 'cookie-clearing', fn: jest.fn().mockRejectedValue(httpError) },
+          { name: 'search-engine', fn: jest.fn().mockResolvedValue({ html: cleanHtml, statusCode: 200 }) }
+        ]
+      });
+
+      const result = await pipeline.run(testUrl);
+
+      expect(result.html).toBe(cleanHtml);
+      expect(result.attempts[0].statusCode).toBe(403);
+      expect(result.attempts[1].statusCode).toBe(200);
+    });
+
+    test('copies result details onto the attempt', async () => {
+      const details = { requests: { blocked: 12, bytesSaved: 540000 } };
+      const pipeline = new StrategyPipeline({
+        hasPaywall,
+        strategies: [{ name: 'headless', fn: jest.fn().mockResolvedValue({ html: cleanHtml, details }) }]
+      });
+
+      const result = await pipeline.run(testUrl);
+
+      expect(result.attempts[0].details).toEqual(details);
+    });
+
+    test('enforces minimum length', async () => {
+      const pipeline = new StrategyPipeline({
+        hasPaywall,
+        strategies: [
+          { name: 'headless', fn: jest.fn().mockResolvedValue('<html></html>'), accept: { minLength: 1000 } }
+        ]
+      });
+
+      await expect(pipeline.run(testUrl)).rejects.toThrow('Empty HTML received (method: headless)');
+    });
+
+    test('skips strategies by skip condition and by request option', async () => {
+      const skipped = jest.fn();
+      const excluded = jest.fn();
+      const pipeline = new StrategyPipeline({
+        hasPaywall,
+        strategies: [
+          { name: 'headless', fn: skipped, skip: () => true },
+          { name: 'search-engine', fn: excluded },
+          { name: 'archive', fn: jest.fn().mockResolvedValue(cleanHtml) }
+        ]
+      });
+
+      const result = await pipeline.run(testUrl, { skipStrategies: ['search-engine'] });
+
+      expect(skipped).not.toHaveBeenCalled();
+      expect(excluded).not.toHaveBeenCalled();
+      expect(result.attempts.map(a => a.outcome)).toEqual(['skipped', 'skipped', 'success']);
+    });
+
+    test('times out slow strategies and tries the next one', async () => {
+      const pipeline = new StrategyPipeline({
+        hasPaywall,
+        strategies: [
+          { name: 'headless', fn: () => new Promise(() => {}), timeout: 10 },
+          { name: 'archive', fn: jest.fn().mockResolvedValue(cleanHtml) }
+        ]
+      });
+
+      const result = await pipeline.run(testUrl);
+
+      expect(result.strategy).toBe('archive');
+      expect(result.attempts[0].outcome).toBe('timeout');
+      expect(result.attempts[0].error).toContain('Timed out after 10ms');
+    });
+
+    test('aborts the signal of a strategy that timed out', async () => {
+      let signal;
+      const pipeline = new StrategyPipeline({
+        hasPaywall,
+        strategies: [
+          { name: 'headless', fn: (url, options) => { signal = options.signal; return new Promise(() => {}); }, timeout: 10 },
+          { name: 'archive', fn: jest.fn().mockResolvedValue(cleanHtml) }
+        ]
+      });
+
+      await pipeline.run(testUrl);
+
+      expect(signal.aborted).toBe(true);
+      expect(signal.reason.timedOut).toBe(true);
+    });
+
+    test('throws labelled error with attempt log when all strategies fail', async () => {
+      const pipeline = new StrategyPipeline({
+        label: 'WSJ',
+        hasPaywall,
+        strategies: [
+          { name: 'cookie-clearing', fn: jest.fn().mockRejectedValue(new Error('Network error')) },
+          { name: 'search-engine', fn: jest.fn().mockResolvedValue(paywallHtml) }
+        ]
+      });
+
+      const error = await pipeline.run(testUrl).catch(e => e);
+
+      expect(error.message).toBe('WSJ fetch failed: Paywall detected (method: search-engine)');
+      expect(error.attempts).toHaveLength(2);
+      expect(error.attempts[0]).toMatchObject({ strategy: 'cookie-clearing', outcome: 'error', error: 'Network error' });
+      expect(error.attempts[1]).toMatchObject({ strategy: 'search-engine', outcome: 'paywall', paywalled: true });
+    });
+
+    test('uses failure message when every strategy was skipped', async () => {
+      const pipeline = new StrategyPipeline({
+        label: 'WSJ',
+        failureMessage: 'Nothing to try',
+        strategies: [{ name: 'archive', fn: jest.fn(), skip: () => true }]
+      });
+
+      await expect(pipeline.run(testUrl)).rejects.toThrow('WSJ fetch failed: Nothing to try');
+    });
+  });
+
+  describe('pageStrategies', () => {
+    const giftUrl = `${testUrl}?unlocked_article_code=abc&smid=url-share`;
+    let cookieService;
+    let searchEngineService;
+    let definitions;
+
+    beforeEach(() => {
+      cookieService = {
+        fetchPage: jest.fn().mockResolvedValue({ html: cleanHtml, statusCode: 200, headers: {} }),
+        fetchWithSession: jest.fn().mockResolvedValue({ html: cleanHtml, statusCode: 200, headers: {} })
+      };
+      searchEngineService = { fetchWithSearchReferrer: jest.fn().mockResolvedValue({ html: cleanHtml }) };
+      definitions = StrategyPipeline.pageStrategies({
+        cookieService,
+        searchEngineService,
+        share: { access: ['unlocked_article_code'], tracking: ['smid'] }
+      });
+    });
+
+    test('runs subscription only with a session and gift-link only for gift links', () => {
+      expect(definitions['subscription'].skip(testUrl, {})).toBe(true);
+      expect(definitions['subscription'].skip(testUrl, { session: {} })).toBe(false);
+      expect(definitions['gift-link'].skip(testUrl)).toBe(true);
+      expect(definitions['gift-link'].skip(giftUrl)).toBe(false);
+    });
+
+    test('sends share tokens only with gift-link', async () => {
+      await definitions['gift-link'].fn(giftUrl, {});
+      await definitions['cookie-clearing'].fn(giftUrl, {});
+
+      expect(cookieService.fetchPage.mock.calls.map(([url]) => url)).toEqual([giftUrl, testUrl]);
+    });
+
+    test('select keeps configured order and ignores unknown names', () => {
+      const strategies = StrategyPipeline.select(['search-engine', 'unknown', 'cookie-clearing'], definitions);
+
+      expect(strategies.map(strategy => strategy.name)).toEqual(['search-engine', 'cookie-clearing']);
+    });
+  });
+});
@@ -0,0 +1,176 @@
+const { DEFAULT_WAIT, resolveWaitConfig, waitForConditions, isChallengePage } = require('../../services/waitConditions');
+
+function timeoutError() {
+  const error = new Error('Waiting failed: timeout exceeded');
+  error.name = 'TimeoutError';
+  return error;
+}
+
+function createPage(overrides = {}) {
+  return {
+    waitForSelector: jest.fn().mockResolvedValue({}),
+    waitForNetworkIdle: jest.fn().mockResolvedValue(undefined),
+    waitForFunction: jest.fn().mockResolvedValue({}),
+    evaluate: jest.fn().mockResolvedValue(true),
+    ...overrides
+  };
+}
+
+describe('waitConditions', () => {
+  describe('resolveWaitConfig', () => {
+    test('returns defaults when nothing is configured', () => {
+      expect(resolveWaitConfig()).toEqual(DEFAULT_WAIT);
+    });
+
+    test('lets site config override individual fields', () => {
+      const conditions = [{ type: 'textLength', minLength: 3000 }];
+      const config = resolveWaitConfig({ budgetMs: 25000, conditions });
+
+      expect(config.budgetMs).toBe(25000);
+      expect(config.conditions).toBe(conditions);
+      expect(config.settle).toEqual(DEFAULT_WAIT.settle);
+    });
+
+    test('validates bot protection conditions', () => {
+      expect(() => resolveWaitConfig({ challenge: { markers: ['x'], conditions: [{ type: 'sleep' }] } }))
+        .toThrow('Unknown wait condition: sleep');
+    });
+
+    test('rejects unknown condition types, including nested ones', () => {
+      expect(() => resolveWaitConfig({ conditions: [{ type: 'sleep' }] }))
+        .toThrow('Unknown wait condition: sleep');
+      expect(() => resolveWaitConfig({ conditions: [{ type: 'any', conditions: [{ type: 'bogus' }] }] }))
+        .toThrow('Unknown wait condition: bogus');
+    });
+  });
+
+  describe('waitForConditions', () => {
+    test('maps each condition to the matching Puppeteer wait', async () => {
+      const page = createPage();
+
+      const report = await waitForConditions(page, [
+        { type: 'selector', selector: 'article' },
+        { type: 'networkIdle', idleMs: 750 },
+        { type: 'textLength', minLength: 1500, selector: 'main' },
+        { type: 'domQuiet', quietMs: 400 }
+      ], 5000);
+
+      expect(report.met).toBe(true);
+      expect(report.conditions.map(c => c.type)).toEqual(['selector', 'networkIdle', 'textLength', 'domQuiet']);
+      expect(page.waitForSelector).toHaveBeenCalledWith('article', { timeout: expect.any(Number) });
+      expect(page.waitForNetworkIdle).toHaveBeenCalledWith({ idleTime: 750, timeout: expect.any(Number) });
+      expect(page.waitForFunction).toHaveBeenCalledWith(
+        expect.any(Function), expect.objectContaining({ timeout: expect.any(Number) }), 'main', 1500
+      );
+      expect(page.evaluate).toHaveBeenCalledWith(expect.any(Function), 400, expect.any(Number));
+    });
+
+    test('waits for selectors and content to disappear', async () => {
+      const page = createPage();
+
+      const report = await waitForConditions(page, [
+        { type: 'selectorAbsent', selector: 'iframe[src*="captcha"]' },
+        { type: 'contentAbsent', text: ['DataDome CAPTCHA'] }
+      ], 5000);
+
+      expect(report.met).toBe(true);
+      expect(page.waitForSelector).toHaveBeenCalledWith('iframe[src*="captcha"]', { hidden: true, timeout: expect.any(Number) });
+      expect(page.waitForFunction).toHaveBeenCalledWith(
+        expect.any(Function), expect.objectContaining({ timeout: expect.any(Number) }), ['datadome captcha']
+      );
+    });
+
+    test('gives each condition only the remaining budget', async () => {
+      const page = createPage();
+
+      await waitForConditions(page, [{ type: 'selector', selector: 'article' }], 3000);
+
+      const { timeout } = page.waitForSelector.mock.calls[0][1];
+      expect(timeout).toBeGreaterThan(0);
+      expect(timeout).toBeLessThanOrEqual(3000);
+    });
+
+    test('reports timed-out conditions as unmet instead of throwing', async () => {
+      const page = createPage({
+        waitForSelector: jest.fn().mockRejectedValue(timeoutError()),
+        evaluate: jest.fn().mockResolvedValue(false)
+      });
+
+      const report = await waitForConditions(page, [
+        { type: 'selector', selector: '.never' },
+        { type: 'networkIdle' },
+        { type: 'domQuiet' }
+      ], 1000);
+
+      expect(report.met).toBe(false);
+      expect(report.conditions.map(c => c.met)).toEqual([false, true, false]);
+    });
+
+    test('skips remaining conditions once the budget is spent', async () => {
+      const page = createPage({
+        waitForSelector: jest.fn(() => new Promise((_, reject) => setTimeout(() => reject(timeoutError()), 30)))
+      });
+
+      const report = await waitForConditions(page, [
+        { type: 'selector', selector: '.slow' },
+        { type: 'networkIdle' }
+      ], 20);
+
+      expect(report.conditions[1].met).toBe(false);
+      expect(page.waitForNetworkIdle).not.toHaveBeenCalled();
+    });
+
+    test('any resolves as soon as one nested condition holds', async () => {
+      const page = createPage({
+        waitForSelector: jest.fn(() => new Promise(() => {})),
+        waitForFunction: jest.fn().mockResolvedValue({})
+      });
+
+      const report = await waitForConditions(page, [{
+        type: 'any',
+        conditions: [
+          { type: 'selector', selector: '.wsj-article-body' },
+          { type: 'textLength', minLength: 3000 }
+        ]
+      }], 5000);
+
+      expect(report.met).toBe(true);
+      expect(report.conditions).toEqual([{ type: 'any', met: true, durationMs: expect.any(Number) }]);
+    });
+
+    test('any is unmet when every nested condition fails', async () => {
+      const page = createPage({
+        waitForSelector: jest.fn().mockRejectedValue(timeoutError()),
+        waitForFunction: jest.fn().mockRejectedValue(timeoutError())
+      });
+
+      const report = await waitForConditions(page, [{
+        type: 'any',
+        conditions: [{ type: 'selector', selector: 'article' }, { type: 'textLength', minLength: 10 }]
+      }], 1000);
+
+      expect(report.met).toBe(false);
+    });
+
+    test('all requires every nested condition', async () => {
+      const page = createPage({ waitForNetworkIdle: jest.fn().mockRejectedValue(timeoutError()) });
+
+      const report = await waitForConditions(page, [{
+        type: 'all',
+        conditions: [{ type: 'selector', selector: 'article' }, { type: 'networkIdle' }]
+      }], 1000);
+
+      expect(report.met).toBe(false);
+      expect(page.waitForSelector).toHaveBeenCalled();
+    });
+  });
+
+  describe('isChallengePage', () => {
+    test('recognizes bot protection interstitials by their markers', () => {
+      expect(isChallengePage('<script src="https://ct.captcha-delivery.com/c.js"></script>', DEFAULT_WAIT.challenge)).toBe(true);
+      expect(isChallengePage('<title>Just a moment...</title>', DEFAULT_WAIT.challenge)).toBe(true);
+      expect(isChallengePage('<article>Story</article>', DEFAULT_WAIT.challenge)).toBe(false);
+      expect(isChallengePage('<title>Just a moment...</title>', null)).toBe(false);
+    });
+  });
+});
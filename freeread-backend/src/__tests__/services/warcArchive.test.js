@@ -0,0 +1,139 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const WarcArchive = require('../../services/warcArchive');
+
+describe('WarcArchive', () => {
+  const url = 'https://www.nytimes.com/2024/01/15/article.html';
+  const html = '<html><body><p>Article body</p></body></html>';
+  let directory;
+  let archive;
+
+  // Splits a .warc.gz into its records (one gzip member each)
+  const readRecords = (filename) => {
+    const text = zlib.gunzipSync(fs.readFileSync(path.join(directory, filename))).toString('utf8');
+    return text.split(/(?=WARC\/1\.1\r\n)/);
+  };
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'freeread-warc-'));
+    archive = new WarcArchive({ directory });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('writes warcinfo, response and metadata records and indexes the response', async () => {
+    const written = await archive.record(url, {
+      html,
+      statusCode: 200,
+      headers: { 'content-type': 'text/html; charset=ISO-8859-1', 'content-encoding': 'gzip', etag: '"v1"' },
+      content: { title: 'Article' },
+      method: 'cookie-clearing'
+    });
+
+    expect(written.filename).toMatch(/^FREEREAD-\d{14}-00000-\d+\.warc\.gz$/);
+    const [warcinfo, response, metadata] = readRecords(written.filename);
+    expect(warcinfo).toContain('WARC-Type: warcinfo');
+    expect(response).toContain('WARC-Type: response');
+    expect(response).toContain(`WARC-Target-URI: ${url}`);
+    expect(response).toContain('HTTP/1.1 200 OK\r\ncontent-type: text/html; charset=utf-8\r\netag: "v1"\r\nContent-Length: ');
+    expect(response).not.toContain('content-encoding');
+    expect(metadata).toContain('WARC-Type: metadata');
+    expect(metadata).toContain(`WARC-Concurrent-To: ${response.match(/WARC-Record-ID: (\S+)/)[1]}`);
+    expect(metadata).toContain('{"method":"cookie-clearing","article":{"title":"Article"}}');
+
+    const index = fs.readFileSync(path.join(directory, 'index.cdx'), 'utf8').split('\n');
+    expect(index[0]).toBe(' CDX N b a m s k r M S V g');
+    expect(index[1]).toMatch(new RegExp(`^com,nytimes\\)/2024/01/15/article.html ${written.timestamp} ${url} text/html 200 [A-Z2-7]{32} - - \\d+ ${written.offset} ${written.filename.replace(/\./g, '\\.')}$`));
+  });
+
+  test('reads captures back by normalized URL', async () => {
+    await archive.record(`${url}#comments`, { html, headers: {} });
+
+    const found = await archive.find(url);
+
+    expect(found).toMatchObject({ html, statusCode: 200, entry: { url } });
+    expect(found.headers['content-type']).toBe('text/html; charset=utf-8');
+  });
+
+  test('picks the capture nearest asOf, within maxDistanceMs', async () => {
+    jest.useFakeTimers({ now: new Date('2024-01-10T00:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    await archive.record(url, { html: '<p>old</p>' });
+    jest.setSystemTime(new Date('2024-01-20T00:00:00Z'));
+    await archive.record(url, { html: '<p>new</p>' });
+
+    await expect(archive.find(url)).resolves.toMatchObject({ html: '<p>new</p>' });
+    await expect(archive.find(url, { asOf: '2024-01-11T00:00:00Z' })).resolves.toMatchObject({ html: '<p>old</p>' });
+    await expect(archive.find(url, { asOf: '2024-01-15T00:00:00Z', maxDistanceMs: 60 * 60 * 1000 })).resolves.toBeNull();
+    expect((await archive.list(url)).map(entry => entry.timestamp)).toEqual(['20240110000000', '20240120000000']);
+  });
+
+  test('rolls over to a new file at maxFileSize', async () => {
+    archive = new WarcArchive({ directory, maxFileSize: 600 });
+
+    const first = await archive.record(url, { html: 'a'.repeat(400) });
+    const second = await archive.record('https://www.nytimes.com/other.html', { html: 'b'.repeat(400) });
+
+    expect(second.filename).not.toBe(first.filename);
+    expect(readRecords(second.filename)[0]).toContain('WARC-Type: warcinfo');
+    expect(fs.readdirSync(directory).filter(name => name.endsWith('.warc.gz'))).toHaveLength(2);
+    await expect(archive.find('https://www.nytimes.com/other.html')).resolves.toMatchObject({ html: 'b'.repeat(400) });
+  });
+
+  test('appends to the index and sorts it when a file is completed', async () => {
+    archive = new WarcArchive({ directory, maxFileSize: 600 });
+    const indexKeys = () => fs.readFileSync(path.join(directory, 'index.cdx'), 'utf8')
+      .split('\n').slice(1).filter(Boolean).map(line => line.split(' ')[0]);
+
+    await archive.record('https://www.nytimes.com/z.html', { html: 'z'.repeat(400) });
+    await archive.record('https://www.nytimes.com/a.html', { html: 'a'.repeat(400) });
+    expect(indexKeys()).toEqual(['com,nytimes)/z.html', 'com,nytimes)/a.html']);
+
+    await archive.record('https://www.nytimes.com/m.html', { html: 'm'.repeat(400) });
+    expect(indexKeys()).toEqual(['com,nytimes)/a.html', 'com,nytimes)/z.html', 'com,nytimes)/m.html']);
+    await expect(archive.find('https://www.nytimes.com/a.html')).resolves.toMatchObject({ html: 'a'.repeat(400) });
+  });
+
+  test('serializes concurrent writes', async () => {
+    await Promise.all([1, 2, 3].map(n => archive.record(`https://www.nytimes.com/${n}.html`, { html: `<p>${n}</p>` })));
+
+    for (const n of [1, 2, 3]) {
+      await expect(archive.find(`https://www.nytimes.com/${n}.html`)).resolves.toMatchObject({ html: `<p>${n}</p>` });
+    }
+  });
+
+  test('sees captures written by another instance', async () => {
+    const reader = new WarcArchive({ directory });
+    await expect(reader.find(url)).resolves.toBeNull();
+
+    await archive.record(url, { html });
+
+    await expect(reader.find(url)).resolves.toMatchObject({ html });
+  });
+
+  test('does nothing when disabled', async () => {
+    archive = new WarcArchive({ directory, enabled: false });
+
+    await expect(archive.record(url, { html })).resolves.toBeNull();
+    await expect(archive.find(url)).resolves.toBeNull();
+    expect(fs.readdirSync(directory)).toEqual([]);
+  });
+
+  test('is configured from the environment', () => {
+    const fromEnv = WarcArchive.fromEnv({ WARC_DIR: directory, WARC_MAX_FILE_SIZE_MB: '1' });
+
+    expect(fromEnv).toMatchObject({ enabled: true, directory, maxFileSize: 1024 * 1024 });
+    expect(WarcArchive.fromEnv({ WARC_ARCHIVE: 'off' }).enabled).toBe(false);
+  });
+
+  test('shares one archive per directory', () => {
+    const first = WarcArchive.fromEnv({ WARC_DIR: directory });
+
+    expect(WarcArchive.fromEnv({ WARC_DIR: `${directory}/` })).toBe(first);
+    expect(WarcArchive.fromEnv({ WARC_DIR: path.join(directory, 'other') })).not.toBe(first);
+  });
+});
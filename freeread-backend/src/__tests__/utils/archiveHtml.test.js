@@ -0,0 +1,96 @@
+const { parseReplayUrl, normalizeArchivedHtml } = require('../../utils/archiveHtml');
+
+describe('archiveHtml', () => {
+  describe('parseReplayUrl', () => {
+    test('recovers original URLs from replay URLs', () => {
+      expect(parseReplayUrl('https://web.archive.org/web/20240115123456/https://www.wsj.com/articles/x?mod=1')).toEqual({
+        original: 'https://www.wsj.com/articles/x?mod=1',
+        timestamp: '20240115123456'
+      });
+      expect(parseReplayUrl('/web/20240115123456im_/https://images.wsj.net/photo.jpg').original)
+        .toBe('https://images.wsj.net/photo.jpg');
+      expect(parseReplayUrl('//web.archive.org/web/2024/http:/example.com/').original).toBe('http://example.com/');
+      expect(parseReplayUrl('http://localhost:8080/pywb/20240115123456id_/https://example.com/a').original)
+        .toBe('https://example.com/a');
+    });
+
+    test('leaves other URLs alone', () => {
+      expect(parseReplayUrl('https://www.nytimes.com/2024/01/15/us/story.html')).toBeNull();
+      expect(parseReplayUrl('/2024/01/15/us/story.html')).toBeNull();
+      expect(parseReplayUrl('#comments')).toBeNull();
+      expect(parseReplayUrl(null)).toBeNull();
+    });
+  });
+
+  describe('normalizeArchivedHtml', () => {
+    const captureUrl = 'https://web.archive.org/web/20240115123456/https://www.wsj.com/articles/x';
+    const archived = `<html><head>
+<script src="https://web-static.archive.org/_static/js/bundle-playback.js"></script>
+<script src="https://web-static.archive.org/_static/js/wombat.js"></script>
+<script>window.RufflePlayer = window.RufflePlayer || {};</script>
+<script type="text/javascript">
+  __wm.init("https://web.archive.org/web");
+  __wm.wombat("https://www.wsj.com/articles/x","20240115123456","https://web.archive.org/","web");
+</script>
+<link rel="stylesheet" href="https://web-static.archive.org/_static/css/banner-styles.css">
+<!-- End Wayback Rewrite JS Include -->
+<title>Story</title>
+<script>window.dataLayer = [];</script>
+</head><body>
+<!-- BEGIN WAYBACK TOOLBAR INSERT -->
+<div id="wm-ipp-base"><div id="wm-ipp">Wayback Machine toolbar</div></div>
+<!-- END WAYBACK TOOLBAR INSERT -->
+<div id="donato">Donate</div>
+<article>
+<a href="https://web.archive.org/web/20240115123456/https://www.wsj.com/news/markets">Markets</a>
+<a href="#comments">Comments</a>
+<img src="/web/20240115123456im_/https://images.wsj.net/a.jpg"
+  srcset="/web/20240115123456im_/https://images.wsj.net/a-640.jpg 640w, /web/20240115123456im_/https://images.wsj.net/a-1280.jpg 1280w">
+<img data-src="/web/20240115123456im_/https://images.wsj.net/lazy.jpg">
+<p>Article text</p>
+</article>
+</body></html>
+<!--
+     FILE ARCHIVED ON 12:34:56 Jan 15, 2024 AND RETRIEVED FROM THE
+     INTERNET ARCHIVE ON 01:02:03 Feb 01, 2024.
+-->
+<!--
+playback timings (ms):
+  captures_list: 0.5
+-->`;
+
+    test('removes the toolbar, playback scripts and archive comments', () => {
+      const html = normalizeArchivedHtml(archived, { captureUrl });
+
+      expect(html).not.toMatch(/Wayback Machine toolbar|Donate|__wm|wombat|bundle-playback|RufflePlayer|banner-styles/);
+      expect(html).not.toMatch(/FILE ARCHIVED ON|playback timings/);
+      expect(html).toContain('<title>Story</title>');
+      expect(html).toContain('window.dataLayer');
+      expect(html).toContain('<p>Article text</p>');
+    });
+
+    test('restores original link and image URLs', () => {
+      const html = normalizeArchivedHtml(archived, { captureUrl });
+
+      expect(html).toContain('href="https://www.wsj.com/news/markets"');
+      expect(html).toContain('href="#comments"');
+      expect(html).toContain('src="https://images.wsj.net/a.jpg"');
+      expect(html).toContain('srcset="https://images.wsj.net/a-640.jpg 640w, https://images.wsj.net/a-1280.jpg 1280w"');
+      expect(html).toContain('data-src="https://images.wsj.net/lazy.jpg"');
+      expect(html).not.toContain('/web/20240115123456');
+    });
+
+    test('can keep archived image URLs, made absolute', () => {
+      const html = normalizeArchivedHtml(archived, { captureUrl, keepArchivedImages: true });
+
+      expect(html).toContain('href="https://www.wsj.com/news/markets"');
+      expect(html).toContain('src="https://web.archive.org/web/20240115123456im_/https://images.wsj.net/a.jpg"');
+      expect(html).toContain('https://web.archive.org/web/20240115123456im_/https://images.wsj.net/a-1280.jpg 1280w');
+    });
+
+    test('passes through non-HTML input', () => {
+      expect(normalizeArchivedHtml('')).toBe('');
+      expect(normalizeArchivedHtml(null)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,51 @@
+const { JSDOM } = require('jsdom');
+const { extractMetadata, countWords } = require('../../utils/articleMetadata');
+
+const parse = html => new JSDOM(html).window.document;
+
+describe('articleMetadata', () => {
+  const url = 'https://example.com/news/story';
+
+  test('returns empty metadata for pages without any', () => {
+    expect(extractMetadata(parse('<p>Hello</p>'), url)).toEqual({
+      canonicalUrl: null,
+      publishedAt: null,
+      modifiedAt: null,
+      section: null,
+      keywords: [],
+      authors: [],
+      publisher: null,
+      language: null,
+      image: null,
+      wordCount: null
+    });
+  });
+
+  test('finds the article among several JSON-LD blocks', () => {
+    const document = parse(`
+      <script type="application/ld+json">{"@type": "BreadcrumbList", "itemListElement": []}</script>
+      <script type="application/ld+json">[{"@type": "Organization", "name": "Org"},
+        {"@type": "BlogPosting", "author": "Jane Doe", "publisher": "Example News", "keywords": ["A", "b", "a"],
+         "image": "https://example.com/a.jpg", "datePublished": "not a date", "url": "/news/story"}]</script>`);
+
+    expect(extractMetadata(document, url)).toMatchObject({
+      canonicalUrl: 'https://example.com/news/story',
+      publishedAt: null,
+      keywords: ['A', 'b'],
+      authors: ['Jane Doe'],
+      publisher: 'Example News',
+      image: 'https://example.com/a.jpg'
+    });
+  });
+
+  test('prefers news_keywords over keywords', () => {
+    const document = parse('<meta name="keywords" content="x"><meta name="news_keywords" content="Politics; Congress">');
+
+    expect(extractMetadata(document, url).keywords).toEqual(['Politics', 'Congress']);
+  });
+
+  test('counts words', () => {
+    expect(countWords('  one two\n\nthree ')).toBe(3);
+    expect(countWords(null)).toBe(0);
+  });
+});
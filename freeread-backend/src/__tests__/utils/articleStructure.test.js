@@ -0,0 +1,84 @@
+const { JSDOM } = require('jsdom');
+const { extractStructure, resolveImageSource } = require('../../utils/articleStructure');
+
+const baseUrl = 'https://www.wsj.com/articles/story';
+const container = html => new JSDOM(`<body><article>${html}</article></body>`).window.document.querySelector('article');
+
+describe('articleStructure', () => {
+  describe('extractStructure', () => {
+    test('keeps semantic elements and unwraps layout wrappers', () => {
+      const { html, text } = extractStructure(container(`
+        <div class="row"><h2 class="headline" style="color:red">Section</h2></div>
+        <p onclick="steal()">Lead <span class="x"><em>text</em></span> <a href="/articles/other" target="_blank">link</a>.</p>
+        <ul><li>One</li><li>Two</li></ul>
+        <blockquote><p>Quoted</p></blockquote>
+        <table><tbody><tr><td colspan="2" class="c">Cell</td></tr></tbody></table>
+      `), baseUrl);
+
+      expect(html).toContain('<h2>Section</h2>');
+      expect(html).toContain('<p>Lead <em>text</em> <a href="https://www.wsj.com/articles/other">link</a>.</p>');
+      expect(html).toContain('<ul><li>One</li><li>Two</li></ul>');
+      expect(html).toContain('<blockquote><p>Quoted</p></blockquote>');
+      expect(html).toContain('<td colspan="2">Cell</td>');
+      expect(html).not.toMatch(/class=|style=|onclick|target=|<div|<span/);
+      expect(text).toBe('Section\n\nLead text link.\n\nOne\n\nTwo\n\nQuoted\n\nCell');
+    });
+
+    test('drops scripts, forms, navigation, hidden elements and subscription prompts', () => {
+      const { html } = extractStructure(container(`
+        <script>alert(1)</script><style>p{}</style><nav><a href="/">Home</a></nav>
+        <form><input name="q"><button>Go</button></form>
+        <p aria-hidden="true">Hidden</p><p>Subscribe to keep reading</p>
+        <p>Kept</p><a href="javascript:alert(1)">Unsafe</a>
+      `), baseUrl);
+
+      expect(html).toBe('<p>Kept</p>Unsafe');
+    });
+
+    test('keeps figures with lazy images, captions and credits together', () => {
+      const { html, text } = extractStructure(container(`
+        <figure class="media">
+          <div class="wrap"><img src="data:image/gif;base64,R0lGOD" data-src="/im-123?width=700" alt="Traders"></div>
+          <span class="image-credit">Photo: Jane Doe/Reuters</span>
+          <figcaption class="caption"><span>Traders on the floor.</span></figcaption>
+        </figure>
+      `), baseUrl);
+
+      expect(html).toBe(
+        '<figure><img src="https://www.wsj.com/im-123?width=700" alt="Traders">' +
+        '<figcaption>Traders on the floor. <small>Photo: Jane Doe/Reuters</small></figcaption></figure>'
+      );
+      expect(text).toBe('Traders on the floor. Photo: Jane Doe/Reuters');
+    });
+
+    test('keeps a figure without an image as its content', () => {
+      const { html } = extractStructure(container('<figure><blockquote>Pull quote</blockquote></figure>'), baseUrl);
+
+      expect(html).toBe('<blockquote>Pull quote</blockquote>');
+    });
+  });
+
+  describe('resolveImageSource', () => {
+    const image = html => new JSDOM(`<body>${html}</body>`).window.document.querySelector('img');
+
+    test('prefers lazy-loading attributes over placeholders', () => {
+      expect(resolveImageSource(image('<img src="/blank.gif" data-lazy-src="a.jpg">'), baseUrl))
+        .toBe('https://www.wsj.com/articles/a.jpg');
+      expect(resolveImageSource(image('<img src="https://img.example/real.jpg" data-src="data:,">'), baseUrl))
+        .toBe('https://img.example/real.jpg');
+    });
+
+    test('picks the largest srcset candidate, including <picture> sources', () => {
+      expect(resolveImageSource(image('<img data-srcset="/s.jpg 320w, /l.jpg 1280w, /m.jpg 640w">'), baseUrl))
+        .toBe('https://www.wsj.com/l.jpg');
+      expect(resolveImageSource(image(
+        '<picture><source srcset="//cdn.example/a.webp 1x, //cdn.example/a@2x.webp 2x"><img src="data:image/png;base64,x"></picture>'
+      ), baseUrl)).toBe('https://cdn.example/a@2x.webp');
+    });
+
+    test('returns null for images without a usable URL', () => {
+      expect(resolveImageSource(image('<img src="data:image/gif;base64,R0lGOD">'), baseUrl)).toBeNull();
+      expect(resolveImageSource(image('<img src="javascript:alert(1)">'), baseUrl)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,32 @@
+const { mapWithConcurrency } = require('../../utils/concurrency');
+
+describe('concurrency', () => {
+  describe('mapWithConcurrency', () => {
+    test('keeps input order', async () => {
+      const delays = [30, 10, 20];
+      const results = await mapWithConcurrency(delays, 3, (ms, i) =>
+        new Promise(resolve => setTimeout(() => resolve(i), ms))
+      );
+
+      expect(results).toEqual([0, 1, 2]);
+    });
+
+    test('never exceeds the limit', async () => {
+      let active = 0;
+      let peak = 0;
+
+      await mapWithConcurrency([1, 2, 3, 4, 5], 2, async () => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+      });
+
+      expect(peak).toBe(2);
+    });
+
+    test('handles empty input', async () => {
+      expect(await mapWithConcurrency([], 3, jest.fn())).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,39 @@
+const { parseLinkFormat, toHttpDate, timestampToDate, dateToTimestamp } = require('../../utils/memento');
+
+describe('memento', () => {
+  describe('parseLinkFormat', () => {
+    test('parses TimeMap entries with rel lists and HTTP datetimes', () => {
+      const timemap = [
+        '<https://www.wsj.com/articles/a>; rel="original",',
+        '<https://web.archive.org/web/timemap/link/https://www.wsj.com/articles/a>; rel="self"; type="application/link-format"; from="Mon, 15 Jan 2024 12:34:56 GMT",',
+        '<https://web.archive.org/web/20240115123456/https://www.wsj.com/articles/a>; rel="first memento"; datetime="Mon, 15 Jan 2024 12:34:56 GMT",',
+        '<https://web.archive.org/web/20240301000000/https://www.wsj.com/articles/a>; rel=memento; datetime="Fri, 01 Mar 2024 00:00:00 GMT"'
+      ].join('\n');
+
+      const links = parseLinkFormat(timemap);
+
+      expect(links).toHaveLength(4);
+      expect(links[0]).toEqual({ uri: 'https://www.wsj.com/articles/a', rel: ['original'], datetime: null });
+      expect(links[2]).toEqual({
+        uri: 'https://web.archive.org/web/20240115123456/https://www.wsj.com/articles/a',
+        rel: ['first', 'memento'],
+        datetime: '2024-01-15T12:34:56.000Z'
+      });
+      expect(links[3].rel).toEqual(['memento']);
+    });
+
+    test('returns nothing for empty input', () => {
+      expect(parseLinkFormat(undefined)).toEqual([]);
+      expect(parseLinkFormat('not link format')).toEqual([]);
+    });
+  });
+
+  test('converts between dates, HTTP dates and archive timestamps', () => {
+    expect(toHttpDate('2024-01-15T12:34:56Z')).toBe('Mon, 15 Jan 2024 12:34:56 GMT');
+    expect(dateToTimestamp('2024-01-15T12:34:56.789Z')).toBe('20240115123456');
+    expect(timestampToDate('20240115123456').toISOString()).toBe('2024-01-15T12:34:56.000Z');
+    expect(timestampToDate('202401').toISOString()).toBe('2024-01-01T00:00:00.000Z');
+    expect(timestampToDate('20241345')).toBeNull();
+    expect(timestampToDate('abc')).toBeNull();
+  });
+});
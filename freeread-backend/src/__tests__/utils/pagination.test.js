@@ -0,0 +1,75 @@
+const { findNextPage, mergePages } = require('../../utils/pagination');
+
+describe('pagination', () => {
+  describe('findNextPage', () => {
+    const url = 'https://www.nytimes.com/2024/01/15/us/story.html';
+
+    test('follows rel="next" within the article', () => {
+      expect(findNextPage('<link rel="next" href="/2024/01/15/us/story.html?page=2">', url))
+        .toBe('https://www.nytimes.com/2024/01/15/us/story.html?page=2');
+      expect(findNextPage('<a rel="nofollow next" href="story.html/2">Next</a>', url))
+        .toBe('https://www.nytimes.com/2024/01/15/us/story.html/2');
+    });
+
+    test('keeps path-based pages within the first page\'s article', () => {
+      const article = 'https://www.wsj.com/articles/story';
+
+      expect(findNextPage('<link rel="next" href="/articles/story/3">', `${article}/2`, article))
+        .toBe('https://www.wsj.com/articles/story/3');
+      expect(findNextPage('<link rel="next" href="/articles/other-story">', `${article}/2`, article)).toBeNull();
+    });
+
+    test('ignores rel="next" pointing at another story or site', () => {
+      expect(findNextPage('<link rel="next" href="/2024/01/16/us/next-story.html">', url)).toBeNull();
+      expect(findNextPage('<link rel="next" href="https://evil.example/2024/01/15/us/story.html?page=2">', url)).toBeNull();
+      expect(findNextPage('<link rel="next" href="javascript:void(0)">', url)).toBeNull();
+    });
+
+    test('finds the next ?page=N link', () => {
+      const html = '<a href="?page=1">1</a><a href="?page=3">3</a><a href="?page=4">4</a>';
+
+      expect(findNextPage(html, `${url}?page=2`)).toBe(`${url}?page=3`);
+      expect(findNextPage('<a href="?page=2">2</a>', url)).toBe(`${url}?page=2`);
+      expect(findNextPage('<a href="?page=2">2</a>', `${url}?page=2`)).toBeNull();
+      expect(findNextPage('<a href="/other.html?page=2">2</a>', url)).toBeNull();
+    });
+
+    test('returns null without HTML', () => {
+      expect(findNextPage('', url)).toBeNull();
+    });
+  });
+
+  describe('mergePages', () => {
+    test('drops blocks repeated from earlier pages', () => {
+      const merged = mergePages([
+        { title: 'Story', author: 'Jane Doe', text: 'Header\n\nOne', html: '<div id="readability-page-1"><h2>Header</h2><p>One</p></div>', length: 11 },
+        { title: 'Story (page 2)', text: 'Header\n\nTwo', html: '<div id="readability-page-1"><h2>Header</h2><p>Two</p></div>', length: 11 }
+      ]);
+
+      expect(merged).toEqual({
+        title: 'Story',
+        author: 'Jane Doe',
+        text: 'Header\n\nOne\n\nTwo',
+        html: '<div id="readability-page-1"><h2>Header</h2><p>One</p></div><div id="readability-page-2"><p>Two</p></div>',
+        length: 16,
+        pages: 2
+      });
+    });
+
+    test('does not count pages that add nothing new', () => {
+      const page = { text: 'One', html: '<p>One</p>' };
+
+      expect(mergePages([page, { ...page }]).pages).toBe(1);
+    });
+
+    test('compares block-less pages line by line', () => {
+      const merged = mergePages([
+        { text: 'Intro\nOne', html: 'Intro<br>One' },
+        { text: 'Intro\nTwo', html: 'Intro<br>Two' }
+      ]);
+
+      expect(merged.text).toBe('Intro\nOne\n\nTwo');
+      expect(merged.pages).toBe(2);
+    });
+  });
+});
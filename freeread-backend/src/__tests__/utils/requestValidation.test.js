@@ -0,0 +1,49 @@
+const { validateArticleUrl, parseAsOf, parseDiffRange } = require('../../utils/requestValidation');
+
+describe('requestValidation', () => {
+  describe('validateArticleUrl', () => {
+    test('accepts public http(s) URLs', () => {
+      expect(validateArticleUrl('https://www.nytimes.com/a.html')).toBeNull();
+    });
+
+    test('reports missing, malformed and unsafe URLs', () => {
+      expect(validateArticleUrl('')).toMatchObject({ code: 'MISSING_URL', status: 400 });
+      expect(validateArticleUrl('ftp://example.com')).toMatchObject({ code: 'INVALID_URL' });
+      expect(validateArticleUrl('http://127.0.0.1/')).toMatchObject({ code: 'UNSAFE_URL' });
+    });
+  });
+
+  describe('parseAsOf', () => {
+    test('accepts ISO dates and archive timestamps', () => {
+      expect(parseAsOf('2024-01-15T12:00:00Z').asOf.toISOString()).toBe('2024-01-15T12:00:00.000Z');
+      expect(parseAsOf('20240115').asOf.toISOString()).toBe('2024-01-15T00:00:00.000Z');
+      expect(parseAsOf(20240115123456).asOf.toISOString()).toBe('2024-01-15T12:34:56.000Z');
+    });
+
+    test('returns no asOf when none was given', () => {
+      expect(parseAsOf(undefined)).toEqual({ asOf: null, error: null });
+      expect(parseAsOf('')).toEqual({ asOf: null, error: null });
+    });
+
+    test('rejects unparsable values', () => {
+      expect(parseAsOf('yesterday').error).toMatchObject({ code: 'INVALID_AS_OF', status: 400 });
+      expect(parseAsOf('20241399').error).toMatchObject({ code: 'INVALID_AS_OF' });
+    });
+  });
+
+  describe('parseDiffRange', () => {
+    test('parses both ends', () => {
+      const { from, to, error } = parseDiffRange('20240115', '2024-01-20T00:00:00Z');
+
+      expect(error).toBeNull();
+      expect(from.toISOString()).toBe('2024-01-15T00:00:00.000Z');
+      expect(to.toISOString()).toBe('2024-01-20T00:00:00.000Z');
+    });
+
+    test('rejects missing, unparsable and reversed ranges', () => {
+      expect(parseDiffRange('20240115', undefined).error).toMatchObject({ code: 'MISSING_DIFF_RANGE', status: 400 });
+      expect(parseDiffRange('20240115', 'later').error).toMatchObject({ code: 'INVALID_DIFF_RANGE' });
+      expect(parseDiffRange('20240120', '20240115').error).toMatchObject({ code: 'INVALID_DIFF_RANGE' });
+    });
+  });
+});
@@ -0,0 +1,56 @@
+const { parseRobotsTxt, isAllowedByRobots } = require('../../utils/robotsTxt');
+
+describe('robotsTxt', () => {
+  const robots = parseRobotsTxt([
+    '# Publisher rules',
+    'User-agent: *',
+    'Disallow: /search',
+    'Allow: /search/about',
+    '',
+    'User-agent: FreeRead',
+    'User-agent: OtherBot',
+    'Disallow: /2024/*.html$',
+    'Allow: /2024/public/',
+    'Disallow:'
+  ].join('\n'));
+
+  test('parses groups and shares rules between consecutive user agents', () => {
+    expect(robots).toEqual([
+      {
+        userAgents: ['*'],
+        rules: [{ type: 'disallow', pattern: '/search' }, { type: 'allow', pattern: '/search/about' }]
+      },
+      {
+        userAgents: ['freeread', 'otherbot'],
+        rules: [{ type: 'disallow', pattern: '/2024/*.html$' }, { type: 'allow', pattern: '/2024/public/' }]
+      }
+    ]);
+  });
+
+  test('uses the group naming our product token', () => {
+    const result = isAllowedByRobots(robots, 'FreeRead/1.0', 'https://example.com/2024/01/story.html');
+
+    expect(result).toEqual({ allowed: false, group: 'freeread', rule: { type: 'disallow', pattern: '/2024/*.html$' } });
+    expect(isAllowedByRobots(robots, 'FreeRead', 'https://example.com/2024/01/story.html?page=2').allowed).toBe(true);
+    expect(isAllowedByRobots(robots, 'FreeRead', 'https://example.com/search').allowed).toBe(true);
+  });
+
+  test('falls back to the * group', () => {
+    expect(isAllowedByRobots(robots, 'Unknown', 'https://example.com/search?q=x')).toMatchObject({ allowed: false, group: '*' });
+    expect(isAllowedByRobots(robots, 'Unknown', 'https://example.com/search/about').allowed).toBe(true);
+  });
+
+  test('prefers the longest match, and allow on ties', () => {
+    const groups = parseRobotsTxt('User-agent: *\nDisallow: /a\nAllow: /a\nDisallow: /a/b');
+
+    expect(isAllowedByRobots(groups, 'x', 'https://example.com/a/c').allowed).toBe(true);
+    expect(isAllowedByRobots(groups, 'x', 'https://example.com/a/b').allowed).toBe(false);
+  });
+
+  test('always allows robots.txt and empty files', () => {
+    const groups = parseRobotsTxt('User-agent: *\nDisallow: /');
+
+    expect(isAllowedByRobots(groups, 'x', 'https://example.com/robots.txt').allowed).toBe(true);
+    expect(isAllowedByRobots(parseRobotsTxt(''), 'x', 'https://example.com/any').allowed).toBe(true);
+  });
+});
@@ -0,0 +1,30 @@
+const { JSDOM } = require('jsdom');
+const { innermostBlocks, blockTexts } = require('../../utils/textBlocks');
+
+const parse = html => new JSDOM(`<body>${html}</body>`).window.document;
+
+describe('textBlocks', () => {
+  test('keeps only the innermost blocks, with normalized text', () => {
+    const document = parse(`
+      <h2>Heading</h2>
+      <blockquote><p>Quoted   paragraph</p><p>Second
+        quote</p></blockquote>
+      <blockquote>Bare quote</blockquote>
+      <ul><li>Item</li><li><p>Nested item</p></li></ul>
+      <table><caption>Results</caption><tr><th>Team</th><td>3</td></tr></table>
+      <p>   </p>`);
+
+    expect(blockTexts(document)).toEqual([
+      'Heading', 'Quoted paragraph', 'Second quote', 'Bare quote', 'Item', 'Nested item', 'Results', 'Team', '3'
+    ]);
+  });
+
+  test('returns the elements for callers that edit the page', () => {
+    const container = parse('<div><p>One</p><p>Two</p></div>').querySelector('div');
+
+    const blocks = innermostBlocks(container);
+
+    expect(blocks.map(block => block.element.tagName)).toEqual(['P', 'P']);
+    expect(blocks[1]).toMatchObject({ text: 'Two' });
+  });
+});
@@ -0,0 +1,87 @@
+const { diffSequences, diffWords, diffParagraphs } = require('../../utils/textDiff');
+
+describe('textDiff', () => {
+  describe('diffSequences', () => {
+    test('reports equal, deleted and inserted tokens in order', () => {
+      expect(diffSequences(['a', 'b', 'c'], ['a', 'x', 'c'])).toEqual([
+        { type: 'equal', value: 'a' },
+        { type: 'delete', value: 'b' },
+        { type: 'insert', value: 'x' },
+        { type: 'equal', value: 'c' }
+      ]);
+    });
+
+    test('finds the longest common subsequence', () => {
+      const types = diffSequences(['a', 'b', 'c', 'd'], ['b', 'c', 'd', 'e']).map(op => `${op.type}:${op.value}`);
+      expect(types).toEqual(['delete:a', 'equal:b', 'equal:c', 'equal:d', 'insert:e']);
+    });
+
+    test('handles empty sides', () => {
+      expect(diffSequences([], ['a'])).toEqual([{ type: 'insert', value: 'a' }]);
+      expect(diffSequences(['a'], [])).toEqual([{ type: 'delete', value: 'a' }]);
+    });
+  });
+
+  describe('diffWords', () => {
+    test('groups runs of words and counts changes', () => {
+      const result = diffWords('The mayor said on Monday', 'The mayor  said on Tuesday');
+
+      expect(result.segments).toEqual([
+        { type: 'equal', text: 'The mayor said on' },
+        { type: 'delete', text: 'Monday' },
+        { type: 'insert', text: 'Tuesday' }
+      ]);
+      expect(result).toMatchObject({ added: 1, removed: 1 });
+    });
+
+    test('treats identical text as unchanged', () => {
+      expect(diffWords('Same words', 'Same words')).toEqual({
+        segments: [{ type: 'equal', text: 'Same words' }],
+        added: 0,
+        removed: 0
+      });
+    });
+  });
+
+  describe('diffParagraphs', () => {
+    test('reports edited paragraphs as changes with a word diff', () => {
+      const { entries, summary } = diffParagraphs(
+        ['Intro paragraph.', 'The company lost $5 million last year.', 'Outro.'],
+        ['Intro paragraph.', 'The company lost $50 million last year.', 'Outro.']
+      );
+
+      expect(entries[1]).toEqual({
+        type: 'change',
+        from: 'The company lost $5 million last year.',
+        to: 'The company lost $50 million last year.',
+        words: [
+          { type: 'equal', text: 'The company lost' },
+          { type: 'delete', text: '$5' },
+          { type: 'insert', text: '$50' },
+          { type: 'equal', text: 'million last year.' }
+        ]
+      });
+      expect(summary).toEqual({
+        paragraphs: { unchanged: 2, changed: 1, added: 0, removed: 0 },
+        words: { added: 1, removed: 1 }
+      });
+    });
+
+    test('reports unrelated replacements as a deletion and an insertion', () => {
+      const { entries, summary } = diffParagraphs(
+        ['Kept.', 'An entirely different sentence here.'],
+        ['Kept.', 'Correction: an earlier version misstated the date.', 'Added at the end.']
+      );
+
+      expect(entries.map(entry => entry.type)).toEqual(['equal', 'delete', 'insert', 'insert']);
+      expect(summary.paragraphs).toEqual({ unchanged: 1, changed: 0, added: 2, removed: 1 });
+      expect(summary.words).toEqual({ added: 11, removed: 5 });
+    });
+
+    test('ignores whitespace differences', () => {
+      const { entries } = diffParagraphs(['One  two\nthree'], ['One two three']);
+
+      expect(entries).toEqual([{ type: 'equal', text: 'One two three' }]);
+    });
+  });
+});
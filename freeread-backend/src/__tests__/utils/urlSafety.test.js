@@ -0,0 +1,185 @@
+const dns = require('dns');
+const http = require('http');
+const axios = require('axios');
+const {
+  isPrivateAddress,
+  isAllowedHost,
+  assertSafeUrl,
+  assertPublicTarget,
+  lookup,
+  safeRequestConfig,
+  unsafeCause
+} = require('../../utils/urlSafety');
+
+describe('urlSafety', () => {
+  const originalAllowlist = process.env.SSRF_ALLOWLIST;
+
+  afterEach(() => {
+    if (originalAllowlist === undefined) {
+      delete process.env.SSRF_ALLOWLIST;
+    } else {
+      process.env.SSRF_ALLOWLIST = originalAllowlist;
+    }
+    jest.restoreAllMocks();
+  });
+
+  describe('isPrivateAddress', () => {
+    test.each([
+      '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1',
+      '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1', '255.255.255.255',
+      '::1', '::', 'fc00::1', 'fd12:3456::1', 'fe80::1', 'ff02::1',
+      '::ffff:127.0.0.1', '::ffff:7f00:1', '64:ff9b::a9fe:a9fe', '[::1]'
+    ])('blocks %s', (address) => {
+      expect(isPrivateAddress(address)).toBe(true);
+    });
+
+    test.each([
+      '151.101.1.164', '8.8.8.8', '172.32.0.1', '192.169.0.1', '100.128.0.1',
+      '2606:4700::6810:84e5', '::ffff:8.8.8.8'
+    ])('allows %s', (address) => {
+      expect(isPrivateAddress(address)).toBe(false);
+    });
+
+    test('ignores hostnames', () => {
+      expect(isPrivateAddress('www.nytimes.com')).toBe(false);
+    });
+  });
+
+  describe('assertSafeUrl', () => {
+    test('accepts public http(s) URLs', () => {
+      expect(() => assertSafeUrl('https://www.nytimes.com/2024/01/15/article.html')).not.toThrow();
+      expect(() => assertSafeUrl('http://151.101.1.164/')).not.toThrow();
+    });
+
+    test.each([
+      'http://localhost:3000/',
+      'http://api.localhost/',
+      'http://127.0.0.1/',
+      'http://169.254.169.254/latest/meta-data/',
+      'http://[::1]:8080/',
+      'http://[::ffff:127.0.0.1]/',
+      'http://10.0.0.1/'
+    ])('rejects %s with UNSAFE_URL', (url) => {
+      expect(() => assertSafeUrl(url)).toThrow(expect.objectContaining({ code: 'UNSAFE_URL', status: 400 }));
+    });
+
+    test('rejects non-http protocols', () => {
+      expect(() => assertSafeUrl('file:///etc/passwd')).toThrow('Protocol file: is not allowed');
+    });
+
+    test('honours SSRF_ALLOWLIST', () => {
+      process.env.SSRF_ALLOWLIST = 'localhost, 127.0.0.1';
+
+      expect(isAllowedHost('LOCALHOST')).toBe(true);
+      expect(() => assertSafeUrl('http://localhost:3000/')).not.toThrow();
+      expect(() => assertSafeUrl('http://127.0.0.1:3000/')).not.toThrow();
+      expect(() => assertSafeUrl('http://10.0.0.1/')).toThrow();
+    });
+  });
+
+  describe('assertPublicTarget', () => {
+    test('rejects hostnames that resolve to internal addresses', async () => {
+      jest.spyOn(dns.promises, 'lookup').mockResolvedValue([
+        { address: '151.101.1.164', family: 4 },
+        { address: '10.0.0.7', family: 4 }
+      ]);
+
+      await expect(assertPublicTarget('https://rebind.example/')).rejects.toThrow(
+        'Refusing to fetch rebind.example: resolves to internal address 10.0.0.7'
+      );
+    });
+
+    test('passes public hostnames and leaves DNS failures to the request', async () => {
+      const lookupSpy = jest.spyOn(dns.promises, 'lookup').mockResolvedValueOnce([{ address: '151.101.1.164', family: 4 }]);
+      await expect(assertPublicTarget('https://www.nytimes.com/')).resolves.toBeUndefined();
+
+      lookupSpy.mockRejectedValueOnce(Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }));
+      await expect(assertPublicTarget('https://missing.example/')).resolves.toBeUndefined();
+    });
+  });
+
+  describe('lookup', () => {
+    test('fails resolution to internal addresses, for single and all results', (done) => {
+      jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+        if (options.all) {
+          callback(null, [{ address: '192.168.0.10', family: 4 }]);
+        } else {
+          callback(null, '192.168.0.10', 4);
+        }
+      });
+
+      lookup('intranet.example', {}, (error) => {
+        expect(error.code).toBe('UNSAFE_URL');
+        lookup('intranet.example', { all: true }, (allError) => {
+          expect(allError.code).toBe('UNSAFE_URL');
+          done();
+        });
+      });
+    });
+
+    test('passes public addresses through unchanged', (done) => {
+      jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => callback(null, '151.101.1.164', 4));
+
+      lookup('www.nytimes.com', (error, address, family) => {
+        expect(error).toBeNull();
+        expect(address).toBe('151.101.1.164');
+        expect(family).toBe(4);
+        done();
+      });
+    });
+  });
+
+  describe('safeRequestConfig with axios', () => {
+    let server;
+    let port;
+
+    beforeEach(async () => {
+      server = http.createServer((req, res) => {
+        if (req.url === '/to-localhost') {
+          res.writeHead(302, { Location: `http://localhost:${port}/secret` });
+        } else if (req.url === '/to-hostname') {
+          res.writeHead(302, { Location: `http://intranet.example:${port}/secret` });
+        } else {
+          res.writeHead(200, { 'Content-Type': 'text/plain' });
+        }
+        res.end('ok');
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      port = server.address().port;
+      process.env.SSRF_ALLOWLIST = '127.0.0.1';
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('allows allowlisted hosts', async () => {
+      const response = await axios.get(`http://127.0.0.1:${port}/`, safeRequestConfig());
+
+      expect(response.data).toBe('ok');
+    });
+
+    test('blocks a redirect hop to an internal host', async () => {
+      const error = await axios.get(`http://127.0.0.1:${port}/to-localhost`, safeRequestConfig()).catch(e => e);
+
+      expect(error.message).toContain('Refusing to fetch internal address localhost');
+      expect(unsafeCause(error)).toMatchObject({ code: 'UNSAFE_URL', status: 400 });
+      expect(unsafeCause(new Error('socket hang up'))).toBeNull();
+    });
+
+    test('blocks a redirect hop to a hostname resolving inward', async () => {
+      jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+        if (options.all) {
+          callback(null, [{ address: '127.0.0.1', family: 4 }]);
+        } else {
+          callback(null, '127.0.0.1', 4);
+        }
+      });
+
+      const error = await axios.get(`http://127.0.0.1:${port}/to-hostname`, safeRequestConfig()).catch(e => e);
+
+      expect(error.code).toBe('UNSAFE_URL');
+      expect(error.message).toContain('intranet.example');
+    });
+  });
+});
@@ -2,6 +2,10 @@ const {
   isValidUrl,
   getDomain,
   normalizeUrl,
+  parseShareLink,
+  canonicalUrl,
+  isGiftLink,
+  matchesDomain,
   isNYTimes,
   isWSJ
 } = require('../../utils/urlUtils');
@@ -82,6 +86,48 @@ describe('urlUtils', () => {
     });
   });
 
+  describe('share links', () => {
+    const article = 'https://www.nytimes.com/2024/01/15/world/story.html';
+    const share = { access: ['unlocked_article_code'], tracking: ['smid'] };
+
+    test('splits gift links into canonical URL and access token', () => {
+      expect(parseShareLink(`${article}?unlocked_article_code=1.abc&smid=url-share&page=2`, share)).toEqual({
+        canonicalUrl: `${article}?page=2`,
+        accessTokens: { unlocked_article_code: '1.abc' },
+        isGiftLink: true
+      });
+    });
+
+    test('drops tracking-only share parameters without treating them as gifts', () => {
+      expect(canonicalUrl(`${article}?smid=tw-share#comments`, share)).toBe(article);
+      expect(isGiftLink(`${article}?smid=tw-share`, share)).toBe(false);
+    });
+
+    test('only normalizes without share parameters', () => {
+      expect(canonicalUrl(`${article}?unlocked_article_code=1&smid=2#top`)).toBe(`${article}?unlocked_article_code=1&smid=2`);
+      expect(isGiftLink(`${article}?unlocked_article_code=1`)).toBe(false);
+      expect(isGiftLink('not a url', share)).toBe(false);
+    });
+  });
+
+  describe('matchesDomain', () => {
+    test('matches exact domain', () => {
+      expect(matchesDomain('https://nytimes.com/article', ['nytimes.com'])).toBe(true);
+    });
+
+    test('matches subdomain', () => {
+      expect(matchesDomain('https://www.wsj.com/article', ['nytimes.com', 'wsj.com'])).toBe(true);
+    });
+
+    test('does not match lookalike domain', () => {
+      expect(matchesDomain('https://fakenytimes.com/article', ['nytimes.com'])).toBe(false);
+    });
+
+    test('returns false for invalid URL', () => {
+      expect(matchesDomain('not-a-url', ['nytimes.com'])).toBe(false);
+    });
+  });
+
   describe('isNYTimes', () => {
     test('returns true for NYT URL', () => {
       expect(isNYTimes('https://www.nytimes.com/2024/01/15/article.html')).toBe(true);
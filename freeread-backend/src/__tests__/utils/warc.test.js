@@ -0,0 +1,73 @@
+const {
+  formatRecord,
+  parseRecord,
+  formatHttpResponse,
+  parseHttpResponse,
+  warcDate,
+  sha1Digest,
+  toSurt,
+  formatCdxLine,
+  parseCdxLine
+} = require('../../utils/warc');
+
+describe('warc', () => {
+  test('formats and parses records', () => {
+    const block = Buffer.from('hello');
+    const record = formatRecord({ 'WARC-Type': 'resource', 'WARC-Target-URI': 'https://a.example/' }, block);
+
+    expect(record.toString()).toBe(
+      'WARC/1.1\r\nWARC-Type: resource\r\nWARC-Target-URI: https://a.example/\r\nContent-Length: 5\r\n\r\nhello\r\n\r\n'
+    );
+    expect(parseRecord(record)).toEqual({
+      version: 'WARC/1.1',
+      headers: { 'warc-type': 'resource', 'warc-target-uri': 'https://a.example/', 'content-length': '5' },
+      block
+    });
+    expect(() => parseRecord(Buffer.from('HTTP/1.1 200 OK\r\n\r\n'))).toThrow('Malformed WARC record');
+  });
+
+  test('round-trips HTTP responses', () => {
+    const block = formatHttpResponse({
+      statusCode: 200,
+      headers: [['Content-Type', 'text/html'], ['ETag', '"v1"']],
+      body: Buffer.from('<p>é</p>')
+    });
+
+    expect(block.toString()).toMatch(/^HTTP\/1\.1 200 OK\r\nContent-Type: text\/html\r\nETag: "v1"\r\n\r\n/);
+    const parsed = parseHttpResponse(block);
+    expect(parsed.statusCode).toBe(200);
+    expect(parsed.headers).toEqual({ 'content-type': 'text/html', etag: '"v1"' });
+    expect(parsed.body.toString('utf8')).toBe('<p>é</p>');
+  });
+
+  test('formats dates and digests like other WARC tools', () => {
+    expect(warcDate(new Date('2024-01-15T12:34:56.789Z'))).toBe('2024-01-15T12:34:56Z');
+    // sha1('') = da39a3ee5e6b4b0d3255bfef95601890afd80709
+    expect(sha1Digest(Buffer.alloc(0))).toBe('sha1:3I42H3S6NNFQ2MSVX7XZKYAYSCX5QBYJ');
+  });
+
+  test('builds SURT keys', () => {
+    expect(toSurt('https://www.NYTimes.com/2024/01/15/Article.html#top')).toBe('com,nytimes)/2024/01/15/article.html');
+    expect(toSurt('http://example.com:8080/a?b=2&a=1')).toBe('com,example:8080)/a?a=1&b=2');
+  });
+
+  test('formats and parses CDX lines', () => {
+    const entry = {
+      urlkey: 'com,nytimes)/a.html',
+      timestamp: '20240115123456',
+      url: 'https://www.nytimes.com/a.html',
+      mime: 'text/html',
+      status: 200,
+      digest: '3I42H3S6NNFQ2MSVX7XZKYAYSCX5QBYJ',
+      length: 512,
+      offset: 1024,
+      filename: 'FREEREAD-20240115123456-00000-1.warc.gz'
+    };
+    const line = formatCdxLine(entry);
+
+    expect(line).toBe('com,nytimes)/a.html 20240115123456 https://www.nytimes.com/a.html text/html 200 ' +
+      '3I42H3S6NNFQ2MSVX7XZKYAYSCX5QBYJ - - 512 1024 FREEREAD-20240115123456-00000-1.warc.gz');
+    expect(parseCdxLine(line)).toEqual(entry);
+    expect(parseCdxLine(' CDX N b a m s k r M S V g')).toBeNull();
+  });
+});
@@ -0,0 +1,13 @@
+const SiteRegistry = require('./siteRegistry');
+const nytimesAdapter = require('./nytimesAdapter');
+const wsjAdapter = require('./wsjAdapter');
+
+/**
+ * Default site registry
+ * To support a new publisher, add an adapter module and register it here
+ */
+const registry = new SiteRegistry()
+  .register(nytimesAdapter)
+  .register(wsjAdapter);
+
+module.exports = registry;
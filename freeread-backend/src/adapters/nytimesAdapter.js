@@ -0,0 +1,41 @@
+const NYTimesService = require('../services/nytimesService');
+
+/**
+ * NYTimes adapter - metered paywall, cookie clearing usually succeeds
+ */
+module.exports = {
+  id: 'nyt',
+  name: 'NYT',
+  domains: ['nytimes.com'],
+  strategies: ['subscription', 'gift-link', 'cookie-clearing', 'search-engine', 'headless'],
+  extraction: {
+    selectors: [
+      '[data-testid="article-body"]',
+      'section[name="articleBody"]',
+      '#site-content article'
+    ]
+  },
+  headless: {
+    wait: {
+      conditions: [
+        { type: 'selector', selector: 'section[name="articleBody"], [data-testid="article-body"]' },
+        { type: 'textLength', minLength: 1500 },
+        { type: 'domQuiet', quietMs: 500 }
+      ]
+    }
+  },
+  // unlocked_article_code is the gift token; smid/smtyp/sgrp only attribute the share
+  share: {
+    access: ['unlocked_article_code'],
+    tracking: ['smid', 'smtyp', 'sgrp']
+  },
+  errors: {
+    fetchFailed: 'Failed to fetch NYT article',
+    suggestion: null
+  },
+  createService: (adapter) => new NYTimesService({
+    strategies: adapter.strategies,
+    headless: adapter.headless,
+    share: adapter.share
+  })
+};
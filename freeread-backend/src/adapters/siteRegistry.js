@@ -0,0 +1,120 @@
+const { matchesDomain, canonicalUrl } = require('../utils/urlUtils');
+
+/**
+ * Site Registry - Looks up the site adapter responsible for a URL
+ *
+ * An adapter is a plain object describing one publisher:
+ * {
+ *   id: 'nyt',                        // Stable identifier
+ *   name: 'NYT',                      // Display name used in messages
+ *   domains: ['nytimes.com'],         // Registrable domains (subdomains match too)
+ *   strategies: ['cookie-clearing'],  // Ordered retrieval strategies
+ *   extraction: { selectors: [] },    // Hints passed to ContentProcessor
+ *   headless: { wait, blocking },     // HeadlessService options (see waitConditions, RequestBlocker)
+ *   policy: { robots, noarchive },    // PolicyService overrides (false skips that check)
+ *   share: { access, tracking },      // Share-link query parameters: access tokens (gift links)
+ *                                     // and share attribution; both are dropped from canonical URLs
+ *   errors: { fetchFailed, suggestion }, // Error message and suggestion text
+ *   createService: (adapter) => service  // Builds the fetcher (must expose fetchArticleResult)
+ * }
+ */
+class SiteRegistry {
+  constructor() {
+    this.adapters = [];
+    this.services = new Map();
+  }
+
+  /**
+   * Registers a site adapter and creates its service
+   * @param {object} adapter - Site adapter definition
+   * @returns {SiteRegistry} - This registry (chainable)
+   * @throws {Error} - If adapter is invalid or id is already registered
+   */
+  register(adapter) {
+    if (!adapter || typeof adapter.id !== 'string' || !adapter.id) {
+      throw new Error('Adapter must have an id');
+    }
+    if (!Array.isArray(adapter.domains) || adapter.domains.length === 0) {
+      throw new Error(`Adapter "${adapter.id}" must declare at least one domain`);
+    }
+    if (typeof adapter.createService !== 'function') {
+      throw new Error(`Adapter "${adapter.id}" must provide createService()`);
+    }
+    if (this.get(adapter.id)) {
+      throw new Error(`Adapter "${adapter.id}" is already registered`);
+    }
+
+    const normalized = {
+      name: adapter.id,
+      strategies: [],
+      extraction: {},
+      headless: {},
+      policy: {},
+      errors: {},
+      ...adapter,
+      share: { access: [], tracking: [], ...adapter.share }
+    };
+
+    this.adapters.push(normalized);
+    this.services.set(normalized.id, normalized.createService(normalized));
+    return this;
+  }
+
+  /**
+   * Gets adapter by id
+   * @param {string} id - Adapter id
+   * @returns {object|null} - Adapter or null if not registered
+   */
+  get(id) {
+    return this.adapters.find(adapter => adapter.id === id) || null;
+  }
+
+  /**
+   * Finds the adapter responsible for a URL
+   * @param {string} url - Article URL
+   * @returns {object|null} - Matching adapter or null if site is unsupported
+   */
+  findByUrl(url) {
+    return this.adapters.find(adapter => matchesDomain(url, adapter.domains)) || null;
+  }
+
+  /**
+   * Gets the share-link parameters of the adapter responsible for a URL
+   * @param {string} url - Article URL
+   * @returns {{access: Array<string>, tracking: Array<string>}} - Empty lists for unsupported sites
+   */
+  getShareParams(url) {
+    const adapter = this.findByUrl(url);
+    return adapter ? adapter.share : { access: [], tracking: [] };
+  }
+
+  /**
+   * Canonical article URL, without the share-link parameters of the site's adapter
+   * @param {string} url - Article URL, possibly a gift/share link
+   * @returns {string} - Canonical URL (only normalized for unsupported sites)
+   * @throws {Error} - If the URL cannot be normalized
+   */
+  canonicalUrl(url) {
+    return canonicalUrl(url, this.getShareParams(url));
+  }
+
+  /**
+   * Gets the service instance created for an adapter
+   * @param {object|string} adapter - Adapter or adapter id
+   * @returns {object|null} - Service instance
+   */
+  getService(adapter) {
+    const id = typeof adapter === 'string' ? adapter : adapter && adapter.id;
+    return this.services.get(id) || null;
+  }
+
+  /**
+   * Lists registered adapters
+   * @returns {Array<object>} - Registered adapters in registration order
+   */
+  list() {
+    return [...this.adapters];
+  }
+}
+
+module.exports = SiteRegistry;
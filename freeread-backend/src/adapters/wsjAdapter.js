@@ -0,0 +1,54 @@
+const WSJService = require('../services/wsjService');
+
+/**
+ * WSJ adapter - hard paywall, falls back to headless rendering and the archive
+ */
+module.exports = {
+  id: 'wsj',
+  name: 'WSJ',
+  domains: ['wsj.com'],
+  strategies: ['subscription', 'gift-link', 'cookie-clearing', 'search-engine', 'headless', 'archive'],
+  extraction: {
+    selectors: [
+      '[data-module="ArticleBodyContainer"]',
+      '.wsj-article-body',
+      '[class*="ArticleBody"]'
+    ]
+  },
+  headless: {
+    // DataDome checks (10-20 s) and late-loading bodies make WSJ slow; the budget covers both
+    wait: {
+      budgetMs: 40000,
+      conditions: [
+        {
+          type: 'any',
+          conditions: [
+            { type: 'selector', selector: '.wsj-article-body, [data-module="ArticleBodyContainer"]' },
+            { type: 'textLength', minLength: 3000 }
+          ]
+        },
+        { type: 'networkIdle', idleMs: 1000 }
+      ]
+    }
+  },
+  // WSJ blocks archiving of new articles; captures older than six months are more often complete
+  archive: {
+    preferOlder: true
+  },
+  // st is the share token that unlocks the article; reflink only attributes the share
+  share: {
+    access: ['st'],
+    tracking: ['reflink']
+  },
+  errors: {
+    fetchFailed: 'Failed to fetch WSJ article. WSJ has a hard paywall - tried multiple methods (cookie clearing, search engine, headless browser, archive).',
+    suggestion: 'WSJ actively blocks bypass attempts. Pass asOf to read an archived capture from a given date. Recent articles are very difficult to access.'
+  },
+  createService: (adapter) => new WSJService({
+    strategies: adapter.strategies,
+    headless: adapter.headless,
+    extraction: adapter.extraction,
+    archive: adapter.archive,
+    share: adapter.share
+  })
+};
@@ -2,6 +2,7 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const apiRoutes = require('./routes/api');
+const BrowserPool = require('./services/browserPool');
 
 const app = express();
 
@@ -35,10 +36,18 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 3000;
 
 if (require.main === module) {
-  app.listen(PORT, () => {
+  const server = app.listen(PORT, () => {
     console.log(`FreeRead API server running on port ${PORT}`);
     console.log(`Health check: http://localhost:${PORT}/api/health`);
   });
+
+  // Close pooled browsers so no Chromium processes outlive the server
+  const shutdown = () => {
+    server.close();
+    BrowserPool.getDefault().close().finally(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
 }
 
 module.exports = app;
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+const ApiKeyStore = require('../services/apiKeyStore');
+const RateLimiter = require('../services/rateLimiter');
+
+const USAGE = `Usage: npm run keys -- <command> [options]
+
+Commands:
+  create --name <name> [--burst N] [--per-minute N] [--quota N] [--period day|month]
+      Creates a key and prints it once. Without --burst/--per-minute the server
+      defaults apply; without --quota the key is unlimited.
+  list
+      Lists keys (ids, names, limits, revoked state)
+  revoke <id>
+      Revokes a key
+
+The key file is API_KEYS_FILE (default: data/api-keys.json).`;
+
+/**
+ * Parses "--flag value" pairs and positional arguments
+ * @private
+ */
+function parseArgs(args) {
+  const flags = {};
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      flags[args[i].slice(2)] = args[i + 1];
+      i++;
+    } else {
+      positional.push(args[i]);
+    }
+  }
+  return { flags, positional };
+}
+
+/**
+ * Parses a positive integer flag
+ * @private
+ */
+function parseCount(flags, name) {
+  if (flags[name] === undefined) {
+    return undefined;
+  }
+  const value = parseInt(flags[name], 10);
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new Error(`--${name} must be a positive integer`);
+  }
+  return value;
+}
+
+/**
+ * Runs an API key management command
+ * @param {Array<string>} args - Command-line arguments (without node and script)
+ * @param {object} deps - Dependencies
+ * @param {ApiKeyStore} deps.store - Key store (default: from environment)
+ * @param {function(string)} deps.log - Output (default: console.log)
+ * @returns {Promise<number>} - Exit code
+ */
+async function run(args, { store = ApiKeyStore.fromEnv(), log = console.log } = {}) {
+  const [command, ...rest] = args;
+  const { flags, positional } = parseArgs(rest);
+
+  try {
+    switch (command) {
+      case 'create': {
+        if (!flags.name) {
+          throw new Error('--name is required');
+        }
+        const burst = parseCount(flags, 'burst');
+        const perMinute = parseCount(flags, 'per-minute');
+        const quotaLimit = parseCount(flags, 'quota');
+        const period = flags.period || 'day';
+        if (!RateLimiter.isValidPeriod(period)) {
+          throw new Error('--period must be day or month');
+        }
+
+        const { key, record } = await store.create({
+          name: flags.name,
+          rateLimit: burst || perMinute ? { burst, perMinute } : null,
+          quota: quotaLimit ? { limit: quotaLimit, period } : null
+        });
+        log(`Created ${record.id} (${record.name})`);
+        log(`API key: ${key}`);
+        log('Store it now - it cannot be shown again.');
+        return 0;
+      }
+
+      case 'list': {
+        const records = await store.list();
+        if (records.length === 0) {
+          log('No API keys.');
+        }
+        records.forEach((record) => {
+          const limits = record.rateLimit
+            ? `${record.rateLimit.burst || 'default'} burst, ${record.rateLimit.perMinute || 'default'}/min`
+            : 'default rate';
+          const quota = record.quota ? `${record.quota.limit}/${record.quota.period}` : 'no quota';
+          const state = record.revokedAt ? `revoked ${record.revokedAt}` : 'active';
+          log(`${record.id}  ${record.prefix}…  ${record.name}  ${limits}, ${quota}  ${state}`);
+        });
+        return 0;
+      }
+
+      case 'revoke': {
+        const [id] = positional;
+        if (!id) {
+          throw new Error('Key id is required');
+        }
+        const record = await store.revoke(id);
+        if (!record) {
+          throw new Error(`No key with id ${id}`);
+        }
+        log(`Revoked ${record.id} (${record.name})`);
+        return 0;
+      }
+
+      default:
+        log(USAGE);
+        return command ? 1 : 0;
+    }
+  } catch (error) {
+    log(`Error: ${error.message}`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { run };
@@ -0,0 +1,126 @@
+const { createApiError, toErrorResponse } = require('../utils/apiError');
+
+/**
+ * Job event stream route, the only one that takes the key from the query string
+ * @private
+ */
+const EVENT_STREAM_PATH = /\/jobs\/[^/]+\/events$/;
+
+/**
+ * Reads the API key from a request
+ * Accepted as "Authorization: Bearer <key>" or an X-API-Key header. The api_key
+ * query parameter is accepted only on GET /jobs/:id/events, for EventSource, which
+ * cannot set headers; elsewhere it would leak keys into logs and browser history.
+ * @param {express.Request} req - Request
+ * @returns {string|null} - Plain API key or null if none was sent
+ */
+function extractApiKey(req) {
+  const authorization = req.get('Authorization') || '';
+  const bearer = authorization.match(/^Bearer\s+(\S+)$/i);
+  if (bearer) {
+    return bearer[1];
+  }
+  if (req.get('X-API-Key')) {
+    return req.get('X-API-Key');
+  }
+  const queryKey = req.method === 'GET' && EVENT_STREAM_PATH.test(req.path) ? req.query.api_key : null;
+  return typeof queryKey === 'string' ? queryKey : null;
+}
+
+/**
+ * Creates middleware that rejects requests without a valid API key
+ * On success the key's public record is available as req.apiKey.
+ * @param {object} options - Middleware options
+ * @param {ApiKeyStore} options.store - Key store
+ * @param {boolean} options.required - Set false to let every request through (default true)
+ * @returns {function} - Express middleware
+ */
+function createApiKeyAuth({ store, required = true }) {
+  return async (req, res, next) => {
+    if (!required) {
+      return next();
+    }
+
+    const key = extractApiKey(req);
+    if (!key) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return sendError(res, createApiError('MISSING_API_KEY', 'An API key is required', 401));
+    }
+
+    try {
+      const record = await store.verify(key);
+      if (!record) {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return sendError(res, createApiError('INVALID_API_KEY', 'API key is invalid or revoked', 401));
+      }
+      req.apiKey = record;
+      next();
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+}
+
+/**
+ * Creates middleware that applies the key's rate limit and quota
+ * Sets RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset / RateLimit-Policy
+ * (and Quota-* when the key has a quota); refused requests get 429 with
+ * Retry-After and code RATE_LIMITED or QUOTA_EXCEEDED.
+ * Requests without req.apiKey (auth disabled) are not limited.
+ * @param {object} options - Middleware options
+ * @param {RateLimiter} options.limiter - Rate limiter
+ * @param {number|function(express.Request): number} options.cost - Requests charged per call, for routes
+ *   that make several upstream fetches (default 1)
+ * @returns {function} - Express middleware
+ */
+function createRateLimit({ limiter, cost = 1 }) {
+  return (req, res, next) => {
+    if (!req.apiKey) {
+      return next();
+    }
+
+    const units = Math.max(1, typeof cost === 'function' ? cost(req) : cost);
+    const result = limiter.consume(req.apiKey, units);
+    res.set({
+      'RateLimit-Limit': String(result.limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(result.resetSeconds),
+      'RateLimit-Policy': result.policy
+    });
+    if (result.quota) {
+      res.set({
+        'Quota-Limit': String(result.quota.limit),
+        'Quota-Remaining': String(result.quota.remaining),
+        'Quota-Reset': String(result.quota.resetSeconds)
+      });
+    }
+
+    if (result.allowed) {
+      return next();
+    }
+
+    res.set('Retry-After', String(result.retryAfterSeconds));
+    const details = units > 1
+      ? { retryAfterSeconds: result.retryAfterSeconds, cost: units }
+      : { retryAfterSeconds: result.retryAfterSeconds };
+    const error = result.reason === 'quota'
+      ? createApiError('QUOTA_EXCEEDED', `Request quota for this ${result.quota.period} is used up`, 429, { ...details, quota: result.quota })
+      : createApiError('RATE_LIMITED', units > result.limit
+        ? `This request costs ${units} requests, more than the limit of ${result.limit}`
+        : 'Too many requests, slow down', 429, details);
+    sendError(res, error);
+  };
+}
+
+/**
+ * @private
+ */
+function sendError(res, error) {
+  res.status(error.status || 500).json(toErrorResponse(error));
+}
+
+module.exports = {
+  extractApiKey,
+  createApiKeyAuth,
+  createRateLimit
+};
@@ -1,167 +1,433 @@
 const express = require('express');
 const router = express.Router();
-const NYTimesService = require('../services/nytimesService');
-const WSJService = require('../services/wsjService');
+const siteRegistry = require('../adapters');
 const ContentProcessor = require('../services/contentProcessor');
-const { isValidUrl, isNYTimes, isWSJ } = require('../utils/urlUtils');
+const HtmlSanitizer = require('../services/htmlSanitizer');
+const CacheService = require('../services/cacheService');
+const ArticleFetcher = require('../services/articleFetcher');
+const ArchiveService = require('../services/archiveService');
+const WarcArchive = require('../services/warcArchive');
+const BatchFetcher = require('../services/batchFetcher');
+const JobQueue = require('../services/jobQueue');
+const BrowserPool = require('../services/browserPool');
+const ApiKeyStore = require('../services/apiKeyStore');
+const RateLimiter = require('../services/rateLimiter');
+const PolicyService = require('../services/policyService');
+const SessionStore = require('../services/sessionStore');
+const RevisionDiffer = require('../services/revisionDiffer');
+const { createApiKeyAuth, createRateLimit } = require('../middleware/apiAuth');
+const createJobRouter = require('./jobs');
+const createSessionRouter = require('./sessions');
+const { validateArticleUrl, parseAsOf, parseDiffRange } = require('../utils/requestValidation');
+const { createApiError, toErrorResponse } = require('../utils/apiError');
 
-const nytimesService = new NYTimesService();
-const wsjService = new WSJService();
-const contentProcessor = new ContentProcessor();
+const contentProcessor = new ContentProcessor({ sanitizer: HtmlSanitizer.fromEnv() });
+const policy = PolicyService.fromEnv();
+const sessions = SessionStore.fromEnv();
+const archiveService = ArchiveService.fromEnv();
+const articleFetcher = new ArticleFetcher({
+  registry: siteRegistry,
+  contentProcessor,
+  cache: CacheService.fromEnv(),
+  policy,
+  sessions,
+  archive: archiveService,
+  warc: WarcArchive.fromEnv()
+});
+const revisionDiffer = new RevisionDiffer({ articleFetcher });
+const batchFetcher = new BatchFetcher({
+  articleFetcher,
+  registry: siteRegistry,
+  concurrency: parseInt(process.env.BATCH_CONCURRENCY, 10) || 3,
+  maxUrls: parseInt(process.env.BATCH_MAX_URLS, 10) || 50
+});
+const jobQueue = new JobQueue({
+  concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2,
+  maxPending: parseInt(process.env.JOB_MAX_PENDING, 10) || 100,
+  maxPendingPerKey: parseInt(process.env.JOB_MAX_PENDING_PER_KEY, 10) || 10
+});
+
+// API_AUTH=off disables key checks (local development only)
+const requireApiKey = createApiKeyAuth({
+  store: ApiKeyStore.fromEnv(),
+  required: process.env.API_AUTH !== 'off'
+});
+const rateLimiter = RateLimiter.fromEnv();
+const rateLimit = createRateLimit({ limiter: rateLimiter });
+// A batch is charged one request per unique article it fetches
+const batchRateLimit = createRateLimit({
+  limiter: rateLimiter,
+  cost: req => (Array.isArray(req.body.urls) && req.body.urls.length <= batchFetcher.maxUrls
+    ? batchFetcher.plan(req.body.urls).items.filter(item => !item.error).length
+    : 1)
+});
+// A diff reads two captures
+const diffRateLimit = createRateLimit({ limiter: rateLimiter, cost: 2 });
+
+/**
+ * GET /api/health
+ * Health check endpoint, including headless browser pool stats
+ */
+router.get('/health', (req, res) => {
+  res.json({
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    headless: BrowserPool.getDefault().getStats()
+  });
+});
+
+/**
+ * Everything below requires an API key
+ * Send "Authorization: Bearer <key>" (or X-API-Key); manage keys with `npm run keys`
+ */
+router.use(requireApiKey);
 
 /**
  * POST /api/fetch
  * Fetches and extracts article content from paywalled sites
+ * Rate limited per API key; every response carries RateLimit-* headers,
+ * and refused requests get 429 RATE_LIMITED / QUOTA_EXCEEDED
  * 
  * Request body:
  * {
- *   "url": "https://www.nytimes.com/article"
+ *   "url": "https://www.nytimes.com/article",
+ *   "cache": "no-cache",           // Optional: no-cache | no-store | max-age=N
+ *   "asOf": "2024-01-15T12:00:00Z", // Optional: read the archived capture nearest this time
+ *   "archive": true                // Optional: also ask Save Page Now to capture the article
  * }
+ *
+ * The same directives are accepted in a Cache-Control request header.
  * 
  * Response (success):
  * {
  *   "success": true,
- *   "method": "cookie-clearing",
- *   "content": { ... },
- *   "metadata": { ... }
+ *   "method": "cookie-clearing",   // Strategy that produced the HTML
+ *   "attempts": [ ... ],           // One entry per strategy tried (see StrategyPipeline)
+ *   "content": { ..., "metadata": { ... }, "pages": 1 },
+ *                                  // content.html is sanitized (see HtmlSanitizer, SANITIZER_ALLOW_*)
+ *                                  // pages > 1: a multi-page article stitched together;
+ *                                  // metadata.pagination = { urls, error? } lists the further pages read
+ *   "metadata": { "source": "direct" | "cache" | "archive", "cache": { "hit": true, ... }, ... }
+ *                                  // With asOf: metadata.capture = { asOf, capturedAt, timestamp, archive }
+ *                                  // New captures: metadata.warc = { filename, offset, timestamp } (see WarcArchive)
+ *   "archive": { "success": true, "captureUrl": "...", "timestamp": "...", ... }
+ *                                  // With archive: true (see POST /api/archive/save); a failed
+ *                                  // save is { "success": false, "error": { ... } } and does not fail the fetch
  * }
  * 
  * Response (error):
  * {
  *   "success": false,
- *   "error": { ... }
+ *   "error": { "code": "...", "message": "...", "details": { "attempts": [ ... ] } }
  * }
+ *
+ * Publishers that opt out (denylist, robots.txt, noarchive) get 403 POLICY_BLOCKED
+ *
+ * If the API key registered its own session for the site (see /api/sessions), it is
+ * tried first and metadata.session reports it; when every strategy fails and the
+ * session had expired or was rejected, the error is 403 SESSION_EXPIRED / SESSION_INVALID
  */
-router.post('/fetch', async (req, res) => {
+router.post('/fetch', rateLimit, async (req, res) => {
   const { url } = req.body;
 
   // Validate URL
-  if (!url) {
-    return res.status(400).json({
-      success: false,
-      error: {
-        code: 'MISSING_URL',
-        message: 'URL is required'
-      }
-    });
+  const validationError = validateArticleUrl(url);
+  if (validationError) {
+    return res.status(validationError.status).json(toErrorResponse(validationError));
   }
 
-  if (!isValidUrl(url)) {
-    return res.status(400).json({
-      success: false,
-      error: {
-        code: 'INVALID_URL',
-        message: 'Invalid URL format'
-      }
-    });
+  const { asOf, error: asOfError } = parseAsOf(req.body.asOf);
+  if (asOfError) {
+    return res.status(asOfError.status).json(toErrorResponse(asOfError));
   }
 
   try {
-    let html;
-    let method = 'unknown';
-    let serviceName = 'unknown';
-
-    // Route to appropriate service based on domain
-    if (isNYTimes(url)) {
-      serviceName = 'NYT';
-      method = 'cookie-clearing';
-      try {
-        html = await nytimesService.fetchArticle(url);
-      } catch (error) {
-        return res.status(500).json({
-          success: false,
-          error: {
-            code: 'FETCH_FAILED',
-            message: error.message || 'Failed to fetch NYT article'
-          }
-        });
-      }
-    } else if (isWSJ(url)) {
-      serviceName = 'WSJ';
-      method = 'multiple'; // WSJ tries multiple methods: cookie-clearing, search-engine, headless, archive
-      try {
-        html = await wsjService.fetchArticle(url);
-      } catch (error) {
-        return res.status(500).json({
-          success: false,
-          error: {
-            code: 'FETCH_FAILED',
-            message: error.message || 'Failed to fetch WSJ article. WSJ has a hard paywall - tried multiple methods (cookie clearing, search engine, headless browser, archive).',
-            details: {
-              site: 'WSJ',
-              suggestion: 'WSJ actively blocks bypass attempts. For older articles (>6 months), archive method may work. Recent articles are very difficult to access.'
-            }
-          }
-        });
-      }
-    } else {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'UNSUPPORTED_SITE',
-          message: 'Unsupported site. Currently supports NYT and WSJ only.'
-        }
-      });
-    }
+    const result = await articleFetcher.fetch(url, {
+      cache: CacheService.parseDirectives(req.get('Cache-Control'), req.body.cache),
+      apiKeyId: req.apiKey && req.apiKey.id,
+      asOf,
+      archive: req.body.archive === true
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    res.status(error.status || 500).json(toErrorResponse(error));
+  }
+});
 
-    // Extract content
-    let content;
+/**
+ * POST /api/fetch/batch
+ * Fetches a list of articles; per-URL failures do not fail the batch
+ * Rate limited like /api/fetch, charging one request per unique valid URL up front;
+ * a key without enough tokens or quota left for the whole batch gets 429 and nothing is fetched
+ *
+ * Request body:
+ * {
+ *   "urls": ["https://www.nytimes.com/a", "https://www.wsj.com/b"],
+ *   "concurrency": 2,              // Optional, capped at BATCH_CONCURRENCY
+ *   "cache": "no-cache",           // Optional, applies to every URL
+ *   "async": true                  // Optional: run as a job (see /api/jobs)
+ * }
+ *
+ * Response (success):
+ * {
+ *   "success": true,
+ *   "results": [ { "url", "key", "success": true, "method", "content", ... } |
+ *                { "url", "key", "success": false, "error": { ... } } ],
+ *   "duplicates": [ { "url", "duplicateOf" } ],
+ *   "summary": { "requested", "unique", "succeeded", "failed", "duplicates" }
+ * }
+ */
+router.post('/fetch/batch', batchRateLimit, async (req, res) => {
+  const { urls } = req.body;
+
+  if (!Array.isArray(urls) || urls.length === 0) {
+    const error = createApiError('MISSING_URLS', 'urls must be a non-empty array', 400);
+    return res.status(error.status).json(toErrorResponse(error));
+  }
+
+  if (urls.length > batchFetcher.maxUrls) {
+    const error = createApiError('TOO_MANY_URLS', `A batch can contain at most ${batchFetcher.maxUrls} URLs`, 400);
+    return res.status(error.status).json(toErrorResponse(error));
+  }
+
+  const options = {
+    cache: CacheService.parseDirectives(req.get('Cache-Control'), req.body.cache),
+    concurrency: parseInt(req.body.concurrency, 10) || undefined,
+    apiKeyId: req.apiKey && req.apiKey.id
+  };
+
+  if (req.body.async) {
+    const work = report => batchFetcher.run(urls, { ...options, onProgress: report });
+    let job;
     try {
-      content = await contentProcessor.extractContent(html, url);
+      job = jobQueue.enqueue('batch', { urls }, work, { apiKeyId: options.apiKeyId });
     } catch (error) {
-      // Provide more detailed error information
-      const errorMessage = error.message || 'Failed to extract content';
-      const isPaywallError = errorMessage.includes('Paywall detected');
-      
-      return res.status(500).json({
-        success: false,
-        error: {
-          code: isPaywallError ? 'PAYWALL_DETECTED' : 'EXTRACTION_FAILED',
-          message: errorMessage,
-          details: {
-            htmlLength: html ? html.length : 0,
-            suggestion: isPaywallError 
-              ? 'Cookie clearing may not have worked. Try search referrer method.'
-              : 'Content may be too short or Readability failed to parse HTML structure.'
-          }
-        }
-      });
+      return res.status(error.status || 500).json(toErrorResponse(error));
     }
+    return res.status(202).json({
+      success: true,
+      job,
+      links: {
+        self: `${req.baseUrl}/jobs/${job.id}`,
+        events: `${req.baseUrl}/jobs/${job.id}/events`
+      }
+    });
+  }
 
-    // Return successful response
+  try {
+    const result = await batchFetcher.run(urls, options);
     res.json({
       success: true,
-      method: method,
-      content: content,
-      metadata: {
-        originalUrl: url,
-        source: 'direct',
-        timestamp: new Date().toISOString()
-      }
+      ...result
+    });
+  } catch (error) {
+    res.status(error.status || 500).json(toErrorResponse(error));
+  }
+});
+
+/**
+ * GET /api/policy?url=...
+ * Explains the publisher policy decision for a URL (denylist and robots.txt checks)
+ * noarchive signals are only known after fetching and are reported by /api/fetch
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "policy": { "allowed": false, "reason": "robots", "message": "...", "domain": "...",
+ *               "userAgent": "FreeRead", "overrides": { ... }, "checks": { ... } }
+ * }
+ */
+router.get('/policy', async (req, res) => {
+  const { url } = req.query;
+
+  const validationError = validateArticleUrl(url);
+  if (validationError) {
+    return res.status(validationError.status).json(toErrorResponse(validationError));
+  }
+
+  try {
+    const decision = await policy.check(url, siteRegistry.findByUrl(url) || {});
+    res.json({
+      success: true,
+      policy: decision
+    });
+  } catch (error) {
+    res.status(error.status || 500).json(toErrorResponse(error));
+  }
+});
+
+/**
+ * GET /api/archive/timemap?url=...
+ * Lists known captures of a URL across the configured Memento archives (MEMENTO_ARCHIVES)
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "url": "https://www.wsj.com/articles/...",
+ *   "mementos": [ { "uri": "https://web.archive.org/web/2024.../...", "datetime": "2024-01-15T12:34:56.000Z", "archive": "wayback" } ],
+ *   "archives": [ { "name": "wayback", "count": 12 }, { "name": "pywb", "count": 0, "error": "..." } ]
+ * }
+ */
+router.get('/archive/timemap', async (req, res) => {
+  const { url } = req.query;
+
+  const validationError = validateArticleUrl(url);
+  if (validationError) {
+    return res.status(validationError.status).json(toErrorResponse(validationError));
+  }
+
+  try {
+    const timemap = await archiveService.getTimeMaps(url);
+    res.json({
+      success: true,
+      url,
+      ...timemap
     });
+  } catch (error) {
+    res.status(error.status || 500).json(toErrorResponse(error));
+  }
+});
 
+/**
+ * POST /api/archive/save
+ * Asks Save Page Now (SAVE_PAGE_NOW_URL, default Wayback) to capture a page and waits for the capture
+ * The canonical URL is submitted (share tokens are dropped); opted-out publishers get 403 POLICY_BLOCKED.
+ * Rate limited like /api/fetch.
+ *
+ * Request body:
+ * {
+ *   "url": "https://www.nytimes.com/2024/01/15/article.html",
+ *   "async": true                  // Optional: run as a job (see /api/jobs), since saves can take minutes
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "url": "https://www.nytimes.com/2024/01/15/article.html",
+ *   "jobId": "spn2-...",
+ *   "timestamp": "20240115123456",
+ *   "capturedAt": "2024-01-15T12:34:56.000Z",
+ *   "captureUrl": "https://web.archive.org/web/20240115123456/https://www.nytimes.com/2024/01/15/article.html"
+ * }
+ *
+ * Errors: 502 SAVE_FAILED (refused or failed capture), 504 SAVE_TIMEOUT (details.jobId)
+ * With async, the response is 202 with the job and its links; the job reports
+ * {type: 'save-submitted', jobId} progress and completes with the capture above.
+ */
+router.post('/archive/save', rateLimit, async (req, res) => {
+  const { url } = req.body;
+
+  const validationError = validateArticleUrl(url);
+  if (validationError) {
+    return res.status(validationError.status).json(toErrorResponse(validationError));
+  }
+
+  try {
+    await policy.assertAllowed(url, siteRegistry.findByUrl(url) || {});
   } catch (error) {
-    // Unexpected errors
-    res.status(500).json({
-      success: false,
-      error: {
-        code: 'INTERNAL_ERROR',
-        message: error.message || 'An unexpected error occurred'
+    return res.status(error.status || 500).json(toErrorResponse(error));
+  }
+
+  // Archive the article itself, not a gift link carrying the sharer's token
+  const target = siteRegistry.canonicalUrl(url);
+
+  if (req.body.async) {
+    const work = report => archiveService.savePage(target, { onProgress: report });
+    let job;
+    try {
+      job = jobQueue.enqueue('save', { url }, work, { apiKeyId: req.apiKey && req.apiKey.id });
+    } catch (error) {
+      return res.status(error.status || 500).json(toErrorResponse(error));
+    }
+    return res.status(202).json({
+      success: true,
+      job,
+      links: {
+        self: `${req.baseUrl}/jobs/${job.id}`,
+        events: `${req.baseUrl}/jobs/${job.id}/events`
       }
     });
   }
+
+  try {
+    const saved = await archiveService.savePage(target);
+    res.json({
+      success: true,
+      ...saved
+    });
+  } catch (error) {
+    res.status(error.status || 500).json(toErrorResponse(error));
+  }
 });
 
 /**
- * GET /api/health
- * Health check endpoint
+ * GET /api/diff?url=...&from=...&to=...
+ * Diffs two archived captures of an article (e.g. to spot stealth edits and corrections)
+ * from/to take the same formats as asOf; the capture nearest each is extracted like /api/fetch.
+ * Charged two requests against the rate limit, one per capture read.
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "url": "https://www.nytimes.com/...",
+ *   "from": { "requested": "...", "capturedAt": "...", "timestamp": "20240115123456", "archive": "wayback" },
+ *   "to": { ... },
+ *   "sameCapture": false,          // Both times resolved to the same capture
+ *   "changed": true,
+ *   "summary": { "paragraphs": { "unchanged", "changed", "added", "removed" }, "words": { "added", "removed" } },
+ *   "diff": {
+ *     "title": { "from": "...", "to": "...", "changed": true, "words": [ { "type": "equal" | "delete" | "insert", "text": "..." } ] },
+ *     "byline": { ... },
+ *     "body": [ { "type": "equal" | "delete" | "insert", "text": "..." } |
+ *               { "type": "change", "from": "...", "to": "...", "words": [ ... ] } ]
+ *   }
+ * }
+ *
+ * A missing capture is 404 ARCHIVE_NOT_FOUND with details.revision 'from' or 'to'
  */
-router.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    timestamp: new Date().toISOString()
-  });
+router.get('/diff', diffRateLimit, async (req, res) => {
+  const { url } = req.query;
+
+  const validationError = validateArticleUrl(url);
+  if (validationError) {
+    return res.status(validationError.status).json(toErrorResponse(validationError));
+  }
+
+  const { from, to, error: rangeError } = parseDiffRange(req.query.from, req.query.to);
+  if (rangeError) {
+    return res.status(rangeError.status).json(toErrorResponse(rangeError));
+  }
+
+  try {
+    const result = await revisionDiffer.diff(url, {
+      from,
+      to,
+      apiKeyId: req.apiKey && req.apiKey.id
+    });
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    res.status(error.status || 500).json(toErrorResponse(error));
+  }
 });
 
+/**
+ * /api/sessions - Users' own subscription cookies, per API key
+ * See routes/sessions.js
+ */
+router.use('/sessions', createSessionRouter({ sessions, registry: siteRegistry }));
+
+/**
+ * /api/jobs - Asynchronous fetches with polling and Server-Sent Events progress
+ * See routes/jobs.js
+ */
+router.use('/jobs', createJobRouter({ articleFetcher, jobQueue, rateLimit }));
+
 module.exports = router;
 
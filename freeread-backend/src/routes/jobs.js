@@ -0,0 +1,168 @@
+const express = require('express');
+const JobQueue = require('../services/jobQueue');
+const CacheService = require('../services/cacheService');
+const { validateArticleUrl, parseAsOf } = require('../utils/requestValidation');
+const { createApiError, toErrorResponse } = require('../utils/apiError');
+
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Creates the /api/jobs router
+ * @param {object} deps - Dependencies
+ * @param {ArticleFetcher} deps.articleFetcher - Fetcher shared with POST /api/fetch
+ * @param {JobQueue} deps.jobQueue - Background job queue
+ * @param {function} deps.rateLimit - Middleware applied when enqueuing (default: none)
+ * @returns {express.Router}
+ */
+function createJobRouter({ articleFetcher, jobQueue, rateLimit = (req, res, next) => next() }) {
+  const router = express.Router();
+
+  /**
+   * POST /api/jobs
+   * Enqueues an article fetch and returns immediately
+   *
+   * Request body: same as POST /api/fetch
+   *
+   * Response (202):
+   * {
+   *   "success": true,
+   *   "job": { "id": "...", "status": "queued", ... },
+   *   "links": { "self": "/api/jobs/<id>", "events": "/api/jobs/<id>/events" }
+   * }
+   * 429 TOO_MANY_JOBS when the key already has too many jobs waiting, 503 QUEUE_FULL when the queue is full
+   */
+  router.post('/', rateLimit, (req, res) => {
+    const { url } = req.body;
+
+    const validationError = validateArticleUrl(url);
+    if (validationError) {
+      return res.status(validationError.status).json(toErrorResponse(validationError));
+    }
+
+    const { asOf, error: asOfError } = parseAsOf(req.body.asOf);
+    if (asOfError) {
+      return res.status(asOfError.status).json(toErrorResponse(asOfError));
+    }
+
+    const cache = CacheService.parseDirectives(req.get('Cache-Control'), req.body.cache);
+    const apiKeyId = req.apiKey && req.apiKey.id;
+    const work = report => articleFetcher.fetch(url, {
+      cache,
+      apiKeyId,
+      asOf,
+      archive: req.body.archive === true,
+      onProgress: report
+    });
+    let job;
+    try {
+      job = jobQueue.enqueue('fetch', { url }, work, { apiKeyId });
+    } catch (error) {
+      return res.status(error.status || 500).json(toErrorResponse(error));
+    }
+
+    res.status(202).json({
+      success: true,
+      job,
+      links: jobLinks(req, job.id)
+    });
+  });
+
+  /**
+   * GET /api/jobs/:id
+   * Returns job status, progress so far and the result once completed
+   * Jobs are only visible to the API key that created them; other keys get 404
+   */
+  router.get('/:id', (req, res) => {
+    const job = jobQueue.get(req.params.id, ownerOf(req));
+    if (!job) {
+      return res.status(404).json(toErrorResponse(jobNotFound(req.params.id)));
+    }
+
+    res.json({
+      success: true,
+      job,
+      links: jobLinks(req, job.id)
+    });
+  });
+
+  /**
+   * GET /api/jobs/:id/events
+   * Streams job events as Server-Sent Events
+   * Past events are replayed first (honoring Last-Event-ID); the stream
+   * closes after the completed/failed event.
+   */
+  router.get('/:id/events', (req, res) => {
+    const owner = ownerOf(req);
+    const job = jobQueue.get(req.params.id, owner);
+    if (!job) {
+      return res.status(404).json(toErrorResponse(jobNotFound(req.params.id)));
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (event) => {
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    };
+
+    const lastEventId = parseInt(req.get('Last-Event-ID'), 10) || 0;
+    const replay = jobQueue.getEvents(job.id, lastEventId, owner);
+    replay.forEach(send);
+
+    if (replay.some(event => JobQueue.isFinished(event.type)) || JobQueue.isFinished(jobQueue.get(job.id, owner).status)) {
+      return res.end();
+    }
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+    const unsubscribe = jobQueue.subscribe(job.id, (event) => {
+      send(event);
+      if (JobQueue.isFinished(event.type)) {
+        cleanup();
+        res.end();
+      }
+    }, owner);
+
+    function cleanup() {
+      clearInterval(heartbeat);
+      unsubscribe();
+    }
+
+    req.on('close', cleanup);
+  });
+
+  return router;
+}
+
+/**
+ * Id of the API key making the request (null when auth is disabled)
+ * @private
+ */
+function ownerOf(req) {
+  return req.apiKey ? req.apiKey.id : null;
+}
+
+/**
+ * Builds links for a job
+ * @private
+ */
+function jobLinks(req, id) {
+  const base = `${req.baseUrl}/${id}`;
+  return {
+    self: base,
+    events: `${base}/events`
+  };
+}
+
+/**
+ * Builds the 404 error for an unknown job
+ * @private
+ */
+function jobNotFound(id) {
+  return createApiError('JOB_NOT_FOUND', `Job ${id} not found or expired`, 404);
+}
+
+module.exports = createJobRouter;
@@ -0,0 +1,135 @@
+const express = require('express');
+const SessionStore = require('../services/sessionStore');
+const { createApiError, toErrorResponse } = require('../utils/apiError');
+
+/**
+ * Creates the /api/sessions router
+ * Lets a user register their own subscription cookies for a supported site.
+ * Sessions belong to the API key that registered them and cookie values are
+ * never returned by the API.
+ * @param {object} deps - Dependencies
+ * @param {SessionStore} deps.sessions - Encrypted session store
+ * @param {SiteRegistry} deps.registry - Site adapter registry (only supported sites accept sessions)
+ * @returns {express.Router}
+ */
+function createSessionRouter({ sessions, registry }) {
+  const router = express.Router();
+
+  // Sessions are scoped to a key, so they are unavailable when API_AUTH=off
+  router.use((req, res, next) => {
+    if (!req.apiKey) {
+      return sendError(res, createApiError('API_KEY_REQUIRED', 'Sessions are tied to an API key; enable API_AUTH to use them', 401));
+    }
+    next();
+  });
+
+  /**
+   * GET /api/sessions
+   * Lists this key's sessions (domains, cookie names, status and expiry only)
+   *
+   * Response:
+   * {
+   *   "success": true,
+   *   "sessions": [ { "domain": "nytimes.com", "cookieNames": ["NYT-S"], "status": "active" | "expired" | "invalid", ... } ]
+   * }
+   */
+  router.get('/', async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        sessions: await sessions.list(req.apiKey.id)
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * PUT /api/sessions/:domain
+   * Registers (or replaces) this key's session for a supported site
+   *
+   * Request body:
+   * {
+   *   "cookies": "NYT-S=...; nyt-a=...",   // Cookie header, {name: value} or [{name, value}]
+   *   "expiresAt": "2025-01-01T00:00:00Z"  // Optional: stop using the session after this time
+   * }
+   */
+  router.put('/:domain', async (req, res) => {
+    const domain = resolveDomain(req.params.domain);
+    if (domain.error) {
+      return sendError(res, domain.error);
+    }
+
+    const cookie = SessionStore.toCookieHeader(req.body.cookies);
+    if (!cookie) {
+      return sendError(res, createApiError('MISSING_COOKIES', 'cookies must contain at least one name=value pair', 400));
+    }
+
+    const { expiresAt } = req.body;
+    if (expiresAt !== undefined && expiresAt !== null && Number.isNaN(Date.parse(expiresAt))) {
+      return sendError(res, createApiError('INVALID_EXPIRY', 'expiresAt must be an ISO 8601 date', 400));
+    }
+
+    try {
+      const session = await sessions.set(req.apiKey.id, domain.name, {
+        cookie,
+        expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null
+      });
+      res.json({
+        success: true,
+        session
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * DELETE /api/sessions/:domain
+   * Forgets this key's session for a site
+   */
+  router.delete('/:domain', async (req, res) => {
+    const domain = resolveDomain(req.params.domain);
+    if (domain.error) {
+      return sendError(res, domain.error);
+    }
+
+    try {
+      if (!(await sessions.delete(req.apiKey.id, domain.name))) {
+        return sendError(res, createApiError('SESSION_NOT_FOUND', `No session registered for ${domain.name}`, 404));
+      }
+      res.json({ success: true });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * Maps a user-supplied domain to a supported adapter domain
+   * @private
+   */
+  function resolveDomain(input) {
+    const name = SessionStore.normalizeDomain(input);
+    if (!name) {
+      return { error: createApiError('INVALID_DOMAIN', `"${input}" is not a domain name`, 400) };
+    }
+
+    const adapter = registry.findByUrl(`https://${name}/`);
+    if (!adapter) {
+      const supported = registry.list().flatMap(a => a.domains).join(', ');
+      return { error: createApiError('UNSUPPORTED_SITE', `Sessions are only supported for ${supported}`, 400) };
+    }
+    return { name: adapter.domains.find(candidate => name === candidate || name.endsWith(`.${candidate}`)) };
+  }
+
+  return router;
+}
+
+/**
+ * @private
+ */
+function sendError(res, error) {
+  res.status(error.status || 500).json(toErrorResponse(error));
+}
+
+module.exports = createSessionRouter;
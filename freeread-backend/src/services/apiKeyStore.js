@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'fr_';
+
+/**
+ * API Key Store - Keeps API keys in a local JSON file
+ * Only the SHA-256 hash of each key is stored; the plain key is shown once,
+ * when it is created. The file is re-read when it changes on disk, so keys
+ * created or revoked with the CLI (npm run keys) apply without a restart.
+ *
+ * Key record: {id, name, hash, prefix, createdAt, revokedAt, rateLimit, quota}
+ *   rateLimit: {burst, perMinute} - Token bucket size and refill rate (null: server default)
+ *   quota: {limit, period}        - Max requests per 'day' or 'month' (null: unlimited)
+ */
+class ApiKeyStore {
+  /**
+   * @param {object} options - Store options
+   * @param {string} options.filePath - JSON file holding the keys (created on first write)
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(__dirname, '../../data/api-keys.json');
+    this.records = [];
+    this.loadedMtimeMs = null;
+  }
+
+  /**
+   * Creates a store configured from environment variables
+   *   API_KEYS_FILE - Key file (default: ./data/api-keys.json)
+   * @param {object} env - Environment (default: process.env)
+   * @returns {ApiKeyStore}
+   */
+  static fromEnv(env = process.env) {
+    return new ApiKeyStore({ filePath: env.API_KEYS_FILE });
+  }
+
+  /**
+   * Hashes a plain API key for storage and lookup
+   * @param {string} key - Plain API key
+   * @returns {string} - Hex SHA-256 digest
+   */
+  static hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+  }
+
+  /**
+   * Creates a key
+   * @param {object} options - Key options
+   * @param {string} options.name - Label for the key owner
+   * @param {object} options.rateLimit - {burst, perMinute} (default: server default)
+   * @param {object} options.quota - {limit, period} (default: unlimited)
+   * @returns {Promise<{key: string, record: object}>} - Plain key (shown once) and public record
+   */
+  async create(options = {}) {
+    const records = await this.load();
+    const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const record = {
+      id: `key_${crypto.randomBytes(6).toString('hex')}`,
+      name: options.name || 'unnamed',
+      hash: ApiKeyStore.hashKey(key),
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      createdAt: new Date().toISOString(),
+      revokedAt: null,
+      rateLimit: options.rateLimit || null,
+      quota: options.quota || null
+    };
+
+    await this.save([...records, record]);
+    return { key, record: this.toPublic(record) };
+  }
+
+  /**
+   * Lists keys (without hashes)
+   * @returns {Promise<Array<object>>}
+   */
+  async list() {
+    const records = await this.load();
+    return records.map(record => this.toPublic(record));
+  }
+
+  /**
+   * Revokes a key
+   * @param {string} id - Key id
+   * @returns {Promise<object|null>} - Revoked record, or null if unknown
+   */
+  async revoke(id) {
+    const records = await this.load();
+    const record = records.find(candidate => candidate.id === id);
+    if (!record) {
+      return null;
+    }
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      await this.save(records);
+    }
+    return this.toPublic(record);
+  }
+
+  /**
+   * Looks up an active key
+   * @param {string} key - Plain API key from the request
+   * @returns {Promise<object|null>} - Public record, or null if unknown or revoked
+   */
+  async verify(key) {
+    if (!key || typeof key !== 'string') {
+      return null;
+    }
+
+    const records = await this.load();
+    const hash = Buffer.from(ApiKeyStore.hashKey(key), 'hex');
+    const record = records.find(candidate =>
+      !candidate.revokedAt && crypto.timingSafeEqual(Buffer.from(candidate.hash, 'hex'), hash)
+    );
+    return record ? this.toPublic(record) : null;
+  }
+
+  /**
+   * Reads the key file if it changed since the last read
+   * @private
+   */
+  async load() {
+    let stat;
+    try {
+      stat = await fs.promises.stat(this.filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.records = [];
+        this.loadedMtimeMs = null;
+        return this.records;
+      }
+      throw error;
+    }
+
+    if (stat.mtimeMs !== this.loadedMtimeMs) {
+      const raw = await fs.promises.readFile(this.filePath, 'utf8');
+      const data = JSON.parse(raw);
+      this.records = Array.isArray(data.keys) ? data.keys : [];
+      this.loadedMtimeMs = stat.mtimeMs;
+    }
+    return this.records;
+  }
+
+  /**
+   * Writes all records atomically (write to temp file, then rename)
+   * @private
+   */
+  async save(records) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    const temp = `${this.filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify({ keys: records }, null, 2), { encoding: 'utf8', mode: 0o600 });
+    await fs.promises.rename(temp, this.filePath);
+
+    this.records = records;
+    this.loadedMtimeMs = (await fs.promises.stat(this.filePath)).mtimeMs;
+  }
+
+  /**
+   * Record without the hash
+   * @private
+   */
+  toPublic(record) {
+    const { hash, ...rest } = record;
+    return { ...rest };
+  }
+}
+
+module.exports = ApiKeyStore;
@@ -1,132 +1,781 @@
 const axios = require('axios');
-const { getDomain } = require('../utils/urlUtils');
+const { safeRequestConfig } = require('../utils/urlSafety');
+const { getDomain, canonicalUrl } = require('../utils/urlUtils');
+const { createApiError } = require('../utils/apiError');
+const { parseLinkFormat, toHttpDate, dateToTimestamp, timestampToDate } = require('../utils/memento');
+const { normalizeArchivedHtml } = require('../utils/archiveHtml');
+const WarcArchive = require('./warcArchive');
+const ContentProcessor = require('./contentProcessor');
+
+const WAYBACK = {
+  name: 'wayback',
+  timemap: 'https://web.archive.org/web/timemap/link/',
+  timegate: 'https://web.archive.org/web/'
+};
+
+// Save Page Now (SPN2) API; status is polled at <endpoint>/status/<job_id>
+const SAVE_PAGE_NOW = {
+  endpoint: 'https://web.archive.org/save',
+  replay: 'https://web.archive.org/web',
+  accessKey: null,
+  secretKey: null,
+  pollIntervalMs: 5000,
+  timeoutMs: 120000
+};
+
+// CDX listing: fields requested, accepted mime types, rows per request and request cap
+const CDX_FIELDS = ['timestamp', 'statuscode', 'mimetype', 'digest', 'length'];
+const CDX_MIME_TYPES = ['text/html', 'application/xhtml+xml'];
+const CDX_MIME_FILTER = '(text/html|application/xhtml\\+xml)';
+const CDX_PAGE_SIZE = 25;
+const CDX_MAX_PAGES = 4;
+
+// Capture scoring: less text than MIN_TEXT_LENGTH is rejected, paywalled pages count for a
+// quarter of their text, and an unpaywalled capture with FULL_TEXT_LENGTH characters is taken at once
+const MIN_TEXT_LENGTH = 200;
+const PAYWALL_SCORE_FACTOR = 0.25;
+const FULL_TEXT_LENGTH = 2000;
+
+// For asOf reads, our own capture is used when it is at most this far from the requested time
+const LOCAL_AS_OF_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// WSJ blocks new archiving: with preferOlder, captures older than this are tried first
+const PREFER_OLDER_MONTHS = 6;
+
+// For asOf reads, a Wayback capture competes on content only when it is at most this much
+// farther from the requested time than the nearest usable capture
+const AS_OF_SCORE_WINDOW_MS = 24 * 60 * 60 * 1000;
 
 /**
  * Archive Service - Fetches content from Wayback Machine (Archive.org)
  * Primary method for WSJ articles and fallback for NYT old articles
+ *
+ * Also speaks Memento (RFC 7089) to any compliant archive: an archive is
+ * {name, timemap, timegate}, where the original URL is appended to the
+ * timemap / timegate base (e.g. a local pywb: 'http://localhost:8080/pywb/timemap/link/').
+ *
+ * Our own WARC archive (see WarcArchive), when configured, is consulted before any network archive.
+ *
+ * savePage asks a Save-Page-Now-compatible service (Wayback's SPN2 by default) to capture a page.
+ *
+ * HTML from network archives is normalized (see utils/archiveHtml) before it is scored or
+ * returned: playback chrome is removed and links and images point at the original URLs again.
  */
 class ArchiveService {
-  constructor() {
+  /**
+   * @param {object} options - Service options
+   * @param {Array<{name: string, timemap: string, timegate: string}>} options.archives - Memento archives
+   *   (default: Wayback Machine)
+   * @param {WarcArchive} options.local - Our own WARC archive, read first (optional)
+   * @param {object} options.savePageNow - Save Page Now settings, merged over the defaults:
+   *   {endpoint, replay, accessKey, secretKey, pollIntervalMs, timeoutMs}
+   * @param {ContentProcessor} options.contentProcessor - Used to score captures (default: a new one)
+   * @param {number} options.maxCandidates - Wayback captures scored per fetch (default 5)
+   * @param {number} options.asOfWindowMs - For asOf reads, how much farther than the nearest usable capture
+   *   another capture may be and still win on content (default 1 day)
+   * @param {boolean} options.keepArchivedImages - Keep image URLs pointing into the archive instead of
+   *   restoring the publisher's (default false)
+   */
+  constructor(options = {}) {
     this.cdxApiBase = 'https://web.archive.org/cdx/search/cdx';
     this.archiveBase = 'https://web.archive.org/web';
+    this.archives = options.archives || [WAYBACK];
+    this.local = options.local || null;
+    this.savePageNow = { ...SAVE_PAGE_NOW, ...options.savePageNow };
+    this.contentProcessor = options.contentProcessor || new ContentProcessor();
+    this.maxCandidates = options.maxCandidates || 5;
+    this.asOfWindowMs = options.asOfWindowMs ?? AS_OF_SCORE_WINDOW_MS;
+    this.keepArchivedImages = options.keepArchivedImages === true;
   }
 
   /**
-   * Gets available timestamps for a URL from Wayback Machine
-   * @param {string} url - URL to check
-   * @param {number} limit - Maximum number of timestamps to return
-   * @returns {Promise<Array<string>>} - Array of timestamps (YYYYMMDDHHmmss format)
+   * Creates a service configured from environment variables
+   *   MEMENTO_ARCHIVES - JSON array of {name, timemap, timegate} (default: Wayback Machine only)
+   *   WARC_*           - Our own WARC archive (see WarcArchive.fromEnv)
+   *   SAVE_PAGE_NOW_URL        - Save Page Now endpoint (default: https://web.archive.org/save)
+   *   SAVE_PAGE_NOW_REPLAY_URL - Replay base for new captures (default: https://web.archive.org/web)
+   *   SAVE_PAGE_NOW_ACCESS_KEY / SAVE_PAGE_NOW_SECRET_KEY - archive.org S3 keys (optional)
+   *   SAVE_PAGE_NOW_POLL_SECONDS    - Status polling interval (default 5)
+   *   SAVE_PAGE_NOW_TIMEOUT_SECONDS - How long to wait for a capture (default 120)
+   *   ARCHIVE_IMAGE_URLS - 'archived' keeps archived image URLs in captures (default: 'original')
+   * Archives on private hosts (e.g. a local pywb or a stub Save Page Now) must also be listed in SSRF_ALLOWLIST.
+   * @param {object} env - Environment (default: process.env)
+   * @returns {ArchiveService}
    */
-  async getAvailableTimestamps(url, limit = 10) {
+  static fromEnv(env = process.env) {
+    const pollSeconds = parseFloat(env.SAVE_PAGE_NOW_POLL_SECONDS);
+    const timeoutSeconds = parseFloat(env.SAVE_PAGE_NOW_TIMEOUT_SECONDS);
+    const options = {
+      local: WarcArchive.fromEnv(env),
+      keepArchivedImages: env.ARCHIVE_IMAGE_URLS === 'archived',
+      savePageNow: {
+        endpoint: env.SAVE_PAGE_NOW_URL || SAVE_PAGE_NOW.endpoint,
+        replay: env.SAVE_PAGE_NOW_REPLAY_URL || SAVE_PAGE_NOW.replay,
+        accessKey: env.SAVE_PAGE_NOW_ACCESS_KEY || null,
+        secretKey: env.SAVE_PAGE_NOW_SECRET_KEY || null,
+        pollIntervalMs: pollSeconds > 0 ? pollSeconds * 1000 : SAVE_PAGE_NOW.pollIntervalMs,
+        timeoutMs: timeoutSeconds > 0 ? timeoutSeconds * 1000 : SAVE_PAGE_NOW.timeoutMs
+      }
+    };
+    if (!env.MEMENTO_ARCHIVES) {
+      return new ArchiveService(options);
+    }
+
+    const archives = JSON.parse(env.MEMENTO_ARCHIVES);
+    if (!Array.isArray(archives) || archives.some(archive => !archive.name || (!archive.timemap && !archive.timegate))) {
+      throw new Error('MEMENTO_ARCHIVES must be a JSON array of {name, timemap, timegate}');
+    }
+    return new ArchiveService({ ...options, archives });
+  }
+
+  /**
+   * Asks Save Page Now to capture a page and waits for the capture
+   * Pass the canonical URL (SiteRegistry#canonicalUrl) so share tokens never reach the public archive.
+   * @param {string} url - Page URL
+   * @param {object} options - Options
+   * @param {function(object)} options.onProgress - Optional listener; receives
+   *   {type: 'save-submitted', jobId} once Save Page Now accepted the request
+   * @returns {Promise<{url: string, jobId: string, timestamp: string, capturedAt: string, captureUrl: string}>}
+   *   url is the URL that was captured; captureUrl replays the new (or a very recent existing) capture
+   * @throws {Error} - API error SAVE_FAILED (502) if the service refused or failed the capture,
+   *   SAVE_TIMEOUT (504) if it did not finish within timeoutMs (details.jobId can be checked later)
+   */
+  async savePage(url, options = {}) {
+    const config = this.savePageNow;
+    const target = canonicalUrl(url);
+    const headers = {
+      'User-Agent': 'FreeRead/1.0',
+      'Accept': 'application/json'
+    };
+    if (config.accessKey && config.secretKey) {
+      headers.Authorization = `LOW ${config.accessKey}:${config.secretKey}`;
+    }
+
+    let response;
     try {
-      const encodedUrl = encodeURIComponent(url);
-      const cdxUrl = `${this.cdxApiBase}?url=${encodedUrl}&output=json&limit=${limit}&collapse=timestamp:8`;
+      response = await axios.post(config.endpoint, new URLSearchParams({ url: target }).toString(), {
+        timeout: 30000,
+        headers: { ...headers, 'Content-Type': 'application/x-www-form-urlencoded' },
+        validateStatus: () => true,
+        ...safeRequestConfig()
+      });
+    } catch (error) {
+      throw createApiError('SAVE_FAILED', `Save Page Now request failed: ${error.message}`, 502, { url: target });
+    }
 
-      const response = await axios.get(cdxUrl, {
-        timeout: 10000,
-        headers: {
-          'User-Agent': 'FreeRead/1.0'
-        }
+    const submitted = response.data && typeof response.data === 'object' ? response.data : {};
+    if (response.status >= 400 || !submitted.job_id) {
+      throw createApiError('SAVE_FAILED', submitted.message || `Save Page Now refused the request (HTTP ${response.status})`, 502, {
+        url: target,
+        statusExt: submitted.status_ext || null
       });
+    }
+
+    const jobId = submitted.job_id;
+    if (typeof options.onProgress === 'function') {
+      options.onProgress({ type: 'save-submitted', jobId });
+    }
 
-      // CDX API returns array of arrays
-      // First row is headers: ['urlkey', 'timestamp', 'original', ...]
-      // Subsequent rows are data
-      const data = response.data;
+    const deadline = Date.now() + config.timeoutMs;
+    while (Date.now() < deadline) {
+      // The last poll happens at the deadline, not up to a whole interval after it
+      const wait = Math.min(config.pollIntervalMs, deadline - Date.now());
+      await new Promise(resolve => setTimeout(resolve, wait));
 
-      if (!Array.isArray(data) || data.length <= 1) {
-        return []; // No archives found
+      const job = await this.getSaveStatus(jobId, headers);
+      if (job.status === 'success' && job.timestamp) {
+        const capturedAt = timestampToDate(job.timestamp);
+        const captured = job.original_url || target;
+        return {
+          url: captured,
+          jobId,
+          timestamp: job.timestamp,
+          capturedAt: capturedAt ? capturedAt.toISOString() : null,
+          captureUrl: `${config.replay}/${job.timestamp}/${captured}`
+        };
+      }
+      if (job.status === 'error') {
+        throw createApiError('SAVE_FAILED', job.message || 'Save Page Now could not capture the page', 502, {
+          url: target,
+          jobId,
+          statusExt: job.status_ext || null
+        });
       }
+    }
 
-      // Extract timestamps (second column, index 1)
-      // Skip header row (index 0)
-      const timestamps = [];
-      for (let i = 1; i < data.length && timestamps.length < limit; i++) {
-        if (data[i] && data[i][1]) {
-          timestamps.push(data[i][1]);
-        }
+    throw createApiError('SAVE_TIMEOUT', `Save Page Now did not finish within ${Math.round(config.timeoutMs / 1000)}s`, 504, {
+      url: target,
+      jobId
+    });
+  }
+
+  /**
+   * Gets one archive's TimeMap for a URL
+   * @param {string} url - Original URL
+   * @param {object} archive - Archive {name, timemap}
+   * @returns {Promise<Array<{uri: string, datetime: string, archive: string}>>} - Mementos, oldest first
+   * @throws {Error} - If the archive could not be queried (404 means no captures and returns [])
+   */
+  async getTimeMap(url, archive) {
+    const response = await axios.get(`${archive.timemap}${url}`, {
+      timeout: 15000,
+      headers: {
+        'User-Agent': 'FreeRead/1.0',
+        'Accept': 'application/link-format'
+      },
+      responseType: 'text',
+      validateStatus: (status) => status < 500,
+      ...safeRequestConfig()
+    });
+
+    if (response.status === 404) {
+      return [];
+    }
+    if (response.status >= 400) {
+      throw new Error(`TimeMap request failed with HTTP ${response.status}`);
+    }
+
+    return parseLinkFormat(response.data)
+      .filter(link => link.rel.includes('memento') && link.datetime)
+      .map(link => ({ uri: link.uri, datetime: link.datetime, archive: archive.name }))
+      .sort((a, b) => a.datetime.localeCompare(b.datetime));
+  }
+
+  /**
+   * Lists captures of a URL across all configured archives
+   * One archive failing does not fail the others.
+   * @param {string} url - Original URL
+   * @param {Array<object>} archives - Archives to ask (default: all configured)
+   * @returns {Promise<{mementos: Array<object>, archives: Array<{name: string, count: number, error?: string}>}>}
+   *   mementos: {uri, datetime, archive}, oldest first
+   */
+  async getTimeMaps(url, archives = this.archives) {
+    const results = await Promise.all(archives.filter(archive => archive.timemap).map(async (archive) => {
+      try {
+        const mementos = await this.getTimeMap(url, archive);
+        return { archive: { name: archive.name, count: mementos.length }, mementos };
+      } catch (error) {
+        return { archive: { name: archive.name, count: 0, error: error.message }, mementos: [] };
       }
+    }));
 
-      return timestamps;
-    } catch (error) {
-      throw new Error(`Failed to fetch archive timestamps: ${error.message}`);
+    return {
+      mementos: results.flatMap(result => result.mementos).sort((a, b) => a.datetime.localeCompare(b.datetime)),
+      archives: results.map(result => result.archive)
+    };
+  }
+
+  /**
+   * Asks an archive's TimeGate for the memento closest to a datetime
+   * Handles both redirecting TimeGates (302 + Location) and gates that are
+   * the memento themselves (Memento-Datetime + Content-Location).
+   * @param {string} url - Original URL
+   * @param {Date|string} datetime - Desired datetime
+   * @param {object} archive - Archive {name, timegate}
+   * @returns {Promise<{uri: string, datetime: string|null, archive: string}|null>} - null if the archive has none
+   */
+  async queryTimeGate(url, datetime, archive) {
+    const gateUrl = `${archive.timegate}${url}`;
+    const response = await axios.get(gateUrl, {
+      timeout: 15000,
+      headers: {
+        'User-Agent': 'FreeRead/1.0',
+        'Accept-Datetime': toHttpDate(datetime)
+      },
+      maxRedirects: 0,
+      validateStatus: () => true,
+      ...safeRequestConfig()
+    });
+
+    const headers = response.headers || {};
+    let uri = null;
+    if (response.status >= 300 && response.status < 400 && headers.location) {
+      uri = new URL(headers.location, gateUrl).toString();
+    } else if (response.status === 200 && headers['memento-datetime']) {
+      uri = headers['content-location'] ? new URL(headers['content-location'], gateUrl).toString() : gateUrl;
+    }
+    if (!uri) {
+      return null;
+    }
+
+    const linked = parseLinkFormat(headers.link).find(link => link.uri === uri && link.datetime);
+    const mementoDatetime = headers['memento-datetime'] ? new Date(headers['memento-datetime']) : null;
+    return {
+      uri,
+      datetime: linked ? linked.datetime : (mementoDatetime && !Number.isNaN(mementoDatetime.getTime()) ? mementoDatetime.toISOString() : null),
+      archive: archive.name
+    };
+  }
+
+  /**
+   * Finds the memento closest to a datetime across all configured archives
+   * Uses the TimeMaps; archives without a TimeMap (or whose TimeMap failed) are asked through their TimeGate.
+   * @param {string} url - Original URL
+   * @param {Date|string} datetime - Desired datetime
+   * @param {object} options - Options
+   * @param {Array<object>} options.archives - Archives to ask (default: all configured)
+   * @returns {Promise<{uri: string, datetime: string|null, archive: string, distanceMs: number|null}|null>}
+   */
+  async findClosestMemento(url, datetime, options = {}) {
+    const target = new Date(datetime).getTime();
+    const archivesToAsk = options.archives || this.archives;
+    const { mementos, archives } = await this.getTimeMaps(url, archivesToAsk);
+
+    const candidates = mementos.map(memento => ({ ...memento, distanceMs: Math.abs(Date.parse(memento.datetime) - target) }));
+
+    const unanswered = archivesToAsk.filter(archive => archive.timegate &&
+      (!archive.timemap || archives.some(result => result.name === archive.name && result.error)));
+    const gated = await Promise.all(unanswered.map(archive =>
+      this.queryTimeGate(url, datetime, archive).catch(() => null)
+    ));
+    gated.filter(Boolean).forEach((memento) => {
+      candidates.push({ ...memento, distanceMs: memento.datetime ? Math.abs(Date.parse(memento.datetime) - target) : null });
+    });
+
+    if (candidates.length === 0) {
+      return null;
+    }
+    // Unknown distances (TimeGate without a datetime) rank last
+    return candidates.sort((a, b) => (a.distanceMs ?? Infinity) - (b.distanceMs ?? Infinity))[0];
+  }
+
+  /**
+   * Fetches a memento's HTML, normalized
+   * @param {string} uri - Memento URI
+   * @returns {Promise<string|null>} - HTML, or null if the archive returned an error page
+   */
+  async fetchMemento(uri) {
+    const response = await axios.get(uri, {
+      timeout: 15000,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; archive.org_bot +http://www.archive.org/details/archive.org_bot)',
+        'Accept': 'text/html,application/xhtml+xml'
+      },
+      maxRedirects: 5,
+      validateStatus: (status) => status < 500,
+      ...safeRequestConfig()
+    });
+
+    if (response.status >= 400 || typeof response.data !== 'string') {
+      return null;
     }
+    return this.normalize(response.data, uri);
+  }
+
+  /**
+   * Lists Wayback captures of a URL from the CDX API, paging with resume keys
+   * Only 200 responses with an HTML mime type are kept, and runs of captures with
+   * identical content (same digest) are collapsed to one.
+   * @param {string} url - Original URL
+   * @param {object} options - Options
+   * @param {Date|string} options.closest - Order captures by distance to this time (default: now, i.e. newest first)
+   * @param {number} options.limit - Maximum captures to return (default 10)
+   * @returns {Promise<{captures: Array<{timestamp: string, statusCode: number|null, mimetype: string|null,
+   *   digest: string|null, length: number|null}>, pages: number}>} - pages is the number of CDX requests made
+   * @throws {Error} - If the first CDX request fails (later pages failing end the listing early)
+   */
+  async getCaptures(url, options = {}) {
+    const limit = options.limit || 10;
+    const closest = new Date(options.closest || Date.now());
+    const captures = [];
+    const seen = new Set();
+    let resumeKey = null;
+    let pages = 0;
+
+    do {
+      let cdxUrl = `${this.cdxApiBase}?url=${encodeURIComponent(url)}&output=json` +
+        `&fl=${CDX_FIELDS.join(',')}&filter=statuscode:200&filter=${encodeURIComponent(`mimetype:${CDX_MIME_FILTER}`)}` +
+        `&collapse=digest&closest=${dateToTimestamp(closest)}&sort=closest&limit=${CDX_PAGE_SIZE}&showResumeKey=true`;
+      if (resumeKey) {
+        cdxUrl += `&resumeKey=${encodeURIComponent(resumeKey)}`;
+      }
+
+      let response;
+      try {
+        response = await axios.get(cdxUrl, {
+          timeout: 10000,
+          headers: {
+            'User-Agent': 'FreeRead/1.0'
+          },
+          ...safeRequestConfig()
+        });
+      } catch (error) {
+        if (pages === 0) {
+          throw new Error(`Failed to fetch archive timestamps: ${error.message}`);
+        }
+        break;
+      }
+      pages++;
+
+      const page = this.parseCdxPage(response.data);
+      page.captures.forEach((capture) => {
+        if (!seen.has(capture.timestamp) && this.isArticleCapture(capture)) {
+          seen.add(capture.timestamp);
+          captures.push(capture);
+        }
+      });
+      resumeKey = page.resumeKey;
+    } while (resumeKey && captures.length < limit && pages < CDX_MAX_PAGES);
+
+    // Servers without sort=closest list oldest first; order by distance either way (stable for ties)
+    const distance = capture => Math.abs(timestampToDate(capture.timestamp) - closest);
+    return {
+      captures: captures.sort((a, b) => distance(a) - distance(b)).slice(0, limit),
+      pages
+    };
+  }
+
+  /**
+   * Gets available timestamps for a URL from Wayback Machine
+   * @param {string} url - URL to check
+   * @param {number} limit - Maximum number of timestamps to return
+   * @param {object} options - Options
+   * @param {Date|string} options.closest - Return the captures nearest this time (default: the newest)
+   * @returns {Promise<Array<string>>} - Array of timestamps (YYYYMMDDHHmmss format), nearest first
+   */
+  async getAvailableTimestamps(url, limit = 10, options = {}) {
+    const { captures } = await this.getCaptures(url, { limit, closest: options.closest });
+    return captures.map(capture => capture.timestamp);
   }
 
   /**
-   * Fetches archived content from Wayback Machine
-   * Tries multiple timestamps until one succeeds
-   * 
+   * Fetches archived content, from our own WARC archive or Wayback Machine
+   * With asOf, our own capture is only considered when it is within a day of the requested time.
+   *
+   * Our own capture is scored like a Wayback one. When it is complete (and, with preferOlder,
+   * older than the cutoff) it is returned without going to the network; otherwise it is one
+   * more candidate, tried first among the captures on its side of the cutoff.
+   *
+   * Wayback captures are chosen by content, not just by date: the captures nearest
+   * options.asOf (or the newest) are each run through ContentProcessor and scored by
+   * extracted text length, discounted when the page shows paywall indicators. The best
+   * score wins (ties go to the nearer capture); a capture that is complete (no paywall and
+   * at least FULL_TEXT_LENGTH characters) ends the search early.
+   * With asOf, only captures within asOfWindowMs of the nearest usable capture's distance
+   * compete, so a fuller capture from months later never replaces the one asked for.
+   * Without asOf, preferOlder looks around PREFER_OLDER_MONTHS ago instead of now; newer
+   * captures are only scored when no older one is usable.
+   *
    * @param {string} url - Original URL
    * @param {object} options - Options
-   * @param {boolean} options.preferOlder - Prefer older timestamps (for WSJ)
-   * @returns {Promise<object|null>} - {html, timestamp, source} or null if not found
+   * @param {Date|string} options.asOf - Read the article as of this time
+   * @param {boolean} options.preferOlder - Prefer captures older than six months (for WSJ); ignored with asOf
+   * @param {object} options.extraction - Site adapter extraction hints for scoring
+   * @returns {Promise<object|null>} - {html, timestamp, capturedAt, archive, source, selection} or null if not found
+   *   timestamp is the capture's YYYYMMDDHHmmss, capturedAt the same as ISO 8601
+   *   archive is 'local' for our own captures (which also carry warc: {filename, offset})
+   *   selection explains a choice between captures: {pages, candidates: [{timestamp, textLength,
+   *   paywalled, score, error?, archive?, selected}]}, where archive: 'local' marks our own capture;
+   *   with asOf also windowMs, and distanceMs (from asOf) per candidate
+   *   Captures missing from Wayback are looked up in the other configured Memento archives
    */
   async fetchFromArchive(url, options = {}) {
     try {
-      // Get available timestamps
-      const timestamps = await this.getAvailableTimestamps(url, 10);
+      const asOf = options.asOf ? new Date(options.asOf) : null;
+      const cutoff = options.preferOlder && !asOf ? preferOlderCutoff() : null;
+      const isOlder = capture => cutoff !== null && timestampToDate(capture.timestamp) < cutoff;
 
-      if (timestamps.length === 0) {
-        return null; // No archives available
+      const local = await this.fetchFromLocal(url, asOf);
+      const localCandidate = local
+        ? { ...(await this.scoreHtml(url, local.timestamp, local.html, options.extraction)), archive: 'local' }
+        : null;
+      if (localCandidate && isComplete(localCandidate) && (!cutoff || isOlder(local))) {
+        return local;
       }
+      const localUsable = localCandidate !== null && localCandidate.score > 0;
 
-      // For WSJ, prioritize older timestamps (6+ months)
-      // WSJ actively blocks new content archiving
-      let timestampsToTry = timestamps;
-      if (options.preferOlder) {
-        const sixMonthsAgo = new Date();
-        sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
-        const cutoffTimestamp = sixMonthsAgo.toISOString().replace(/[-:T.Z]/g, '').substring(0, 14);
-
-        // Sort: older first
-        timestampsToTry = timestamps
-          .filter(ts => ts < cutoffTimestamp)
-          .sort()
-          .reverse(); // Most recent older timestamp first
-      } else {
-        // For other sites, prefer more recent
-        timestampsToTry = timestamps.reverse();
+      let found;
+      try {
+        found = await this.getCaptures(url, { closest: asOf || cutoff || undefined, limit: this.maxCandidates });
+      } catch (error) {
+        if (!localUsable) {
+          throw error;
+        }
+        console.error('Wayback lookup failed, using our own capture:', error.message);
+        found = { captures: [], pages: 0 };
+      }
+      const { captures: nearest, pages } = found;
+      if (nearest.length === 0) {
+        const other = await this.fetchFromOtherArchives(url, options); // Not in Wayback
+        if (other || !localUsable) {
+          return other;
+        }
       }
+      const older = nearest.filter(isOlder);
+      const newer = nearest.filter(capture => !isOlder(capture));
+      const captures = !local
+        ? [...older, ...newer]
+        : (isOlder(local) || !cutoff) ? [local, ...older, ...newer] : [...older, local, ...newer];
 
-      // Try each timestamp until we get valid content
-      for (const timestamp of timestampsToTry) {
-        try {
-          const archiveUrl = `${this.archiveBase}/${timestamp}/${url}`;
-          
-          const response = await axios.get(archiveUrl, {
-            timeout: 15000,
-            headers: {
-              'User-Agent': 'Mozilla/5.0 (compatible; archive.org_bot +http://www.archive.org/details/archive.org_bot)',
-              'Accept': 'text/html,application/xhtml+xml'
-            },
-            maxRedirects: 5,
-            validateStatus: (status) => status < 500
-          });
-
-          // Check if we got valid HTML (not an error page)
-          if (response.data && 
-              typeof response.data === 'string' && 
-              response.data.length > 1000 && // Must have substantial content
-              !response.data.includes('Wayback Machine doesn\'t have that page archived')) {
-            return {
-              html: response.data,
-              timestamp: timestamp,
-              source: 'archive'
-            };
-          }
-        } catch (error) {
-          // This timestamp failed, try next one
-          continue;
+      const candidates = [];
+      let best = null;
+      let nearestDistanceMs = null;
+      for (const capture of captures) {
+        const distanceMs = asOf ? Math.abs(timestampToDate(capture.timestamp) - asOf) : null;
+        // Captures are nearest first, so every later one is out of the window too
+        if (nearestDistanceMs !== null && distanceMs > nearestDistanceMs + this.asOfWindowMs) {
+          break;
+        }
+        if (cutoff && best && !isOlder(capture)) {
+          break;
+        }
+
+        const scored = capture === local
+          ? localCandidate
+          : await this.scoreCapture(url, capture.timestamp, options.extraction);
+        const candidate = asOf ? { ...scored, distanceMs } : scored;
+        candidates.push(candidate);
+        if (asOf && candidate.score > 0 && nearestDistanceMs === null) {
+          nearestDistanceMs = distanceMs;
+        }
+        if (candidate.score > 0 && (!best || candidate.score > best.score)) {
+          best = candidate;
+        }
+        if (candidate.score > 0 && isComplete(candidate)) {
+          break;
         }
       }
 
-      // All timestamps failed
-      return null;
+      if (!best) {
+        return await this.fetchFromOtherArchives(url, options);
+      }
+
+      const selection = {
+        pages,
+        ...(asOf && { windowMs: this.asOfWindowMs }),
+        candidates: candidates.map((candidate) => {
+          const { html, ...scores } = candidate;
+          return { ...scores, selected: candidate === best };
+        })
+      };
+      if (best === localCandidate) {
+        return { ...local, selection };
+      }
+
+      const capturedAt = timestampToDate(best.timestamp);
+      return {
+        html: best.html,
+        timestamp: best.timestamp,
+        capturedAt: capturedAt ? capturedAt.toISOString() : null,
+        archive: WAYBACK.name,
+        source: 'archive',
+        selection
+      };
     } catch (error) {
       throw new Error(`Archive fetch failed: ${error.message}`);
     }
   }
+
+  /**
+   * Fetches one Wayback capture and scores its article content
+   * @private
+   * @returns {Promise<{timestamp: string, textLength: number, paywalled: boolean, score: number, error?: string, html?: string}>}
+   */
+  async scoreCapture(url, timestamp, hints = {}) {
+    const captureUrl = `${this.archiveBase}/${timestamp}/${url}`;
+    let html;
+    try {
+      const response = await axios.get(captureUrl, {
+        timeout: 15000,
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (compatible; archive.org_bot +http://www.archive.org/details/archive.org_bot)',
+          'Accept': 'text/html,application/xhtml+xml'
+        },
+        maxRedirects: 5,
+        validateStatus: (status) => status < 500,
+        ...safeRequestConfig()
+      });
+      if (response.status >= 400) {
+        return { timestamp, textLength: 0, paywalled: false, score: 0, error: `HTTP ${response.status}` };
+      }
+      html = response.data;
+    } catch (error) {
+      return { timestamp, textLength: 0, paywalled: false, score: 0, error: error.message };
+    }
+
+    if (typeof html !== 'string' || html.includes('Wayback Machine doesn\'t have that page archived')) {
+      return { timestamp, textLength: 0, paywalled: false, score: 0, error: 'Not an archived page' };
+    }
+    return this.scoreHtml(url, timestamp, this.normalize(html, captureUrl), hints);
+  }
+
+  /**
+   * Scores a capture's article content: extracted text length, discounted when paywalled
+   * @private
+   * @returns {Promise<{timestamp: string, textLength: number, paywalled: boolean, score: number, error?: string, html?: string}>}
+   */
+  async scoreHtml(url, timestamp, html, hints = {}) {
+    const paywalled = this.contentProcessor.hasPaywall(html);
+    let textLength;
+    try {
+      const content = await this.contentProcessor.extractContent(html, url, hints);
+      textLength = String(content.text || '').trim().length;
+    } catch (error) {
+      return { timestamp, textLength: 0, paywalled, score: 0, error: error.message };
+    }
+
+    if (textLength < MIN_TEXT_LENGTH) {
+      return { timestamp, textLength, paywalled, score: 0, error: 'Too little article text' };
+    }
+    return {
+      timestamp,
+      textLength,
+      paywalled,
+      score: Math.round(textLength * (paywalled ? PAYWALL_SCORE_FACTOR : 1)),
+      html
+    };
+  }
+
+  /**
+   * Strips playback chrome and replay URLs from a capture
+   * @private
+   */
+  normalize(html, captureUrl) {
+    return normalizeArchivedHtml(html, { captureUrl, keepArchivedImages: this.keepArchivedImages });
+  }
+
+  /**
+   * Parses a CDX JSON page: a header row of field names, data rows, then
+   * (with showResumeKey) an empty row and a row holding the resume key
+   * @private
+   */
+  parseCdxPage(data) {
+    if (!Array.isArray(data) || data.length === 0) {
+      return { captures: [], resumeKey: null };
+    }
+
+    const fields = data[0];
+    const column = name => fields.indexOf(name);
+    const captures = [];
+    let resumeKey = null;
+
+    for (let i = 1; i < data.length; i++) {
+      const row = data[i];
+      if (!Array.isArray(row) || row.length === 0) {
+        resumeKey = data[i + 1] && data[i + 1][0] ? data[i + 1][0] : null;
+        break;
+      }
+      const value = name => (column(name) === -1 ? null : row[column(name)]);
+      if (!value('timestamp')) {
+        continue;
+      }
+      captures.push({
+        timestamp: value('timestamp'),
+        statusCode: parseInt(value('statuscode'), 10) || null,
+        mimetype: value('mimetype'),
+        digest: value('digest'),
+        length: parseInt(value('length'), 10) || null
+      });
+    }
+
+    return { captures, resumeKey };
+  }
+
+  /**
+   * Client-side check of the CDX filters, for servers that ignore them
+   * @private
+   */
+  isArticleCapture(capture) {
+    return (capture.statusCode === null || capture.statusCode === 200) &&
+      (!capture.mimetype || CDX_MIME_TYPES.includes(capture.mimetype.toLowerCase()));
+  }
+
+  /**
+   * Reads our own WARC archive; local failures fall through to the network archives
+   * @private
+   * @returns {Promise<object|null>} - {html, timestamp, capturedAt, archive: 'local', warc, source} or null
+   */
+  async fetchFromLocal(url, asOf) {
+    if (!this.local) {
+      return null;
+    }
+
+    let found;
+    try {
+      found = await this.local.find(url, asOf ? { asOf, maxDistanceMs: LOCAL_AS_OF_WINDOW_MS } : {});
+    } catch (error) {
+      console.error('Local WARC lookup failed:', error.message);
+      return null;
+    }
+    if (!found) {
+      return null;
+    }
+
+    return {
+      html: found.html,
+      timestamp: found.entry.timestamp,
+      capturedAt: timestampToDate(found.entry.timestamp).toISOString(),
+      archive: 'local',
+      warc: { filename: found.entry.filename, offset: found.entry.offset },
+      source: 'archive'
+    };
+  }
+
+  /**
+   * Polls a Save Page Now job; unreachable or failing status checks count as still pending
+   * @private
+   * @returns {Promise<object>} - SPN2 status body ({status: 'pending'|'success'|'error', timestamp, ...})
+   */
+  async getSaveStatus(jobId, headers) {
+    try {
+      const response = await axios.get(`${this.savePageNow.endpoint}/status/${encodeURIComponent(jobId)}`, {
+        timeout: 15000,
+        headers,
+        validateStatus: () => true,
+        ...safeRequestConfig()
+      });
+      return response.status < 400 && response.data && typeof response.data === 'object'
+        ? response.data
+        : { status: 'pending' };
+    } catch (error) {
+      return { status: 'pending' };
+    }
+  }
+
+  /**
+   * Falls back to the configured non-Wayback Memento archives
+   * @private
+   * @returns {Promise<object|null>} - {html, timestamp, capturedAt, archive, mementoUri, source} or null
+   */
+  async fetchFromOtherArchives(url, options) {
+    const others = this.archives.filter(archive => archive.name !== WAYBACK.name);
+    if (others.length === 0) {
+      return null;
+    }
+
+    const target = options.asOf || (options.preferOlder ? preferOlderCutoff() : new Date());
+    const memento = await this.findClosestMemento(url, target, { archives: others });
+    const html = memento ? await this.fetchMemento(memento.uri) : null;
+    if (!html) {
+      return null;
+    }
+    return {
+      html,
+      timestamp: memento.datetime ? dateToTimestamp(memento.datetime) : null,
+      capturedAt: memento.datetime,
+      archive: memento.archive,
+      mementoUri: memento.uri,
+      source: 'archive'
+    };
+  }
+}
+
+/**
+ * Whether a scored capture has the whole article (no paywall, enough text), ending the search
+ * @private
+ */
+function isComplete(candidate) {
+  return !candidate.paywalled && candidate.textLength >= FULL_TEXT_LENGTH;
+}
+
+/**
+ * Start of the capture range preferOlder tries first
+ * @private
+ */
+function preferOlderCutoff() {
+  const cutoff = new Date();
+  cutoff.setMonth(cutoff.getMonth() - PREFER_OLDER_MONTHS);
+  return cutoff;
 }
 
 module.exports = ArchiveService;
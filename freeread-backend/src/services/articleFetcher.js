@@ -0,0 +1,490 @@
+const CookieService = require('./cookieService');
+const CacheService = require('./cacheService');
+const ArchiveService = require('./archiveService');
+const { createApiError, toErrorResponse } = require('../utils/apiError');
+const { findNextPage, mergePages } = require('../utils/pagination');
+
+/**
+ * Article Fetcher - Fetches and extracts an article through its site adapter
+ * Shared by the API routes: cache lookup -> site service -> ContentProcessor -> cache store
+ * Articles split across pages are fetched page by page through the same service and stitched together.
+ */
+class ArticleFetcher {
+  /**
+   * @param {object} deps - Dependencies
+   * @param {SiteRegistry} deps.registry - Site adapter registry
+   * @param {ContentProcessor} deps.contentProcessor - Content extractor
+   * @param {CacheService} deps.cache - Article cache (optional)
+   * @param {CookieService} deps.cookieService - Used for conditional revalidation (optional)
+   * @param {PolicyService} deps.policy - Publisher opt-out / robots policy (optional)
+   * @param {SessionStore} deps.sessions - Users' own subscription sessions (optional)
+   * @param {ArchiveService} deps.archive - Archive used for point-in-time (asOf) reads
+   * @param {WarcArchive} deps.warc - Our own WARC archive; publisher responses are recorded there (optional)
+   * @param {number} deps.maxPages - Pages of a multi-page article fetched at most (default 10)
+   */
+  constructor(deps = {}) {
+    this.registry = deps.registry;
+    this.contentProcessor = deps.contentProcessor;
+    this.cache = deps.cache || new CacheService({ enabled: false });
+    this.cookieService = deps.cookieService || new CookieService();
+    this.policy = deps.policy || null;
+    this.sessions = deps.sessions || null;
+    this.archive = deps.archive || new ArchiveService();
+    this.warc = deps.warc || null;
+    this.maxPages = deps.maxPages || 10;
+  }
+
+  /**
+   * Fetches and extracts an article
+   * @param {string} url - Article URL (already validated)
+   * @param {object} options - Options
+   * @param {object} options.cache - Cache directives from CacheService.parseDirectives
+   * @param {string} options.apiKeyId - Requesting API key; its session for the site (if any) is
+   *   tried first, and metadata.session reports whether it was used
+   * @param {Date} options.asOf - Read the archived capture nearest this time instead of the live page
+   *   (the cache is bypassed; metadata.capture reports the capture time)
+   * @param {boolean} options.archive - After a successful read, ask Save Page Now to capture the
+   *   article; result.archive reports the capture ({success: true, captureUrl, timestamp, ...}) or
+   *   why it failed ({success: false, error}) without failing the fetch
+   * @param {function(object)} options.onProgress - Optional progress listener; receives the
+   *   pipeline's strategy-start/strategy-end events plus {type: 'cache-hit'}, {type: 'extracting'}
+   *   and {type: 'saving'}, and {type: 'page', page, url} before each further page of a multi-page article
+   * @returns {Promise<{method: string, attempts: Array<object>, content: object, metadata: object}>}
+   *   method is 'gift-link' when a publisher share token unlocked the article; metadata.canonicalUrl
+   *   is the article URL without share tokens (the cache key); content.pages is the number of pages
+   *   stitched together, and metadata.pagination ({urls, error?}) lists the further pages read
+   * @throws {Error} - API error with code UNSUPPORTED_SITE, POLICY_BLOCKED, FETCH_FAILED, UNSAFE_URL,
+   *   SESSION_EXPIRED, SESSION_INVALID, ARCHIVE_NOT_FOUND, PAYWALL_DETECTED or EXTRACTION_FAILED
+   */
+  async fetch(url, options = {}) {
+    if (options.archive) {
+      const { archive, ...readOptions } = options;
+      const result = await this.fetch(url, readOptions);
+      result.archive = await this.savePage(this.registry.canonicalUrl(url), readOptions.onProgress);
+      return result;
+    }
+
+    const adapter = this.registry.findByUrl(url);
+    if (!adapter) {
+      const supported = this.registry.list().map(a => a.name).join(' and ');
+      throw createApiError('UNSUPPORTED_SITE', `Unsupported site. Currently supports ${supported} only.`, 400);
+    }
+
+    // Opted-out publishers are refused before anything, including cached copies, is served
+    if (this.policy) {
+      await this.policy.assertAllowed(url, adapter);
+    }
+
+    // Cache entries, WARC captures and archive lookups use the URL without share tokens
+    const canonical = this.registry.canonicalUrl(url);
+    const directives = options.cache || {};
+    const onProgress = typeof options.onProgress === 'function' ? options.onProgress : () => {};
+
+    if (options.asOf) {
+      return await this.fetchAsOf(url, canonical, adapter, options.asOf, onProgress);
+    }
+
+    const cached = await this.lookupCache(url, canonical, directives);
+    if (cached) {
+      onProgress({ type: 'cache-hit', revalidated: cached.metadata.cache.revalidated });
+      return cached;
+    }
+
+    const service = this.registry.getService(adapter);
+    const session = await this.findSession(options.apiKeyId, url);
+    const fetchOptions = { onProgress };
+    if (session && session.status === 'active') {
+      fetchOptions.session = { domain: session.domain, cookie: session.cookie };
+    }
+
+    let fetchResult;
+    try {
+      fetchResult = await service.fetchArticleResult(url, fetchOptions);
+    } catch (error) {
+      await this.checkSession(session, options.apiKeyId, error.attempts || []);
+      if (session && session.error) {
+        throw createApiError(session.error.code, session.error.message, 403, {
+          site: adapter.name,
+          domain: session.domain,
+          attempts: error.attempts || [],
+          suggestion: `Register fresh cookies with PUT /api/sessions/${session.domain}`
+        });
+      }
+
+      // A redirect to an internal host is refused like an internal URL, not reported as a failed fetch
+      const unsafe = (error.attempts || []).find(attempt => attempt.code === 'UNSAFE_URL');
+      if (unsafe) {
+        throw createApiError('UNSAFE_URL', unsafe.error, 400, { site: adapter.name, attempts: error.attempts });
+      }
+
+      const details = {
+        site: adapter.name,
+        attempts: error.attempts || []
+      };
+      if (adapter.errors.suggestion) {
+        details.suggestion = adapter.errors.suggestion;
+      }
+      throw createApiError('FETCH_FAILED', error.message || adapter.errors.fetchFailed, 500, details);
+    }
+
+    const { html, strategy: method, attempts } = fetchResult;
+    await this.checkSession(session, options.apiKeyId, attempts);
+
+    if (this.policy) {
+      this.policy.assertResponseAllowed(url, { html, headers: fetchResult.headers }, adapter);
+    }
+
+    onProgress({ type: 'extracting', method });
+    const firstPage = await this.extract(html, url, adapter, method, attempts);
+    const { content, pagination, strategies } = await this.stitchPages(url, html, firstPage, {
+      adapter,
+      service,
+      fetchOptions,
+      onProgress
+    });
+    // Later pages may have needed the subscription even when the first did not
+    const usedSubscription = [method, ...strategies].includes('subscription');
+
+    // Pages fetched with someone's subscription are never shared through the cache
+    if (!usedSubscription) {
+      await this.storeInCache(canonical, {
+        html,
+        content,
+        method,
+        validators: CacheService.validatorsFrom(fetchResult.headers)
+      }, directives);
+    }
+
+    const metadata = {
+      originalUrl: url,
+      canonicalUrl: canonical,
+      source: 'direct',
+      timestamp: new Date().toISOString(),
+      cache: { hit: false }
+    };
+    if (pagination) {
+      metadata.pagination = pagination;
+    }
+
+    // Only publisher responses are archived: subscription pages are private and
+    // the archive strategy's pages are someone else's captures
+    if (!usedSubscription && method !== 'archive') {
+      const warc = await this.recordInWarc(canonical, {
+        html,
+        statusCode: attempts.length > 0 ? attempts[attempts.length - 1].statusCode : null,
+        headers: fetchResult.headers,
+        content,
+        method
+      });
+      if (warc) {
+        metadata.warc = warc;
+      }
+    }
+    // The archive strategy read someone else's capture; report when it was taken
+    const served = attempts[attempts.length - 1];
+    if (method === 'archive' && served && served.details && served.details.capture) {
+      metadata.capture = served.details.capture;
+    }
+    if (session) {
+      metadata.session = {
+        domain: session.domain,
+        used: usedSubscription,
+        status: session.status,
+        ...(session.error && { error: session.error })
+      };
+    }
+
+    return {
+      method,
+      attempts,
+      content,
+      metadata
+    };
+  }
+
+  /**
+   * Fetches the archived capture nearest a point in time and extracts it
+   * Archived versions are not cached: the cache holds the current article.
+   * @private
+   */
+  async fetchAsOf(url, canonical, adapter, asOf, onProgress) {
+    onProgress({ type: 'strategy-start', strategy: 'archive' });
+    const startedAt = Date.now();
+
+    let capture;
+    try {
+      capture = await this.archive.fetchFromArchive(canonical, { asOf, extraction: adapter.extraction });
+    } catch (error) {
+      throw createApiError('FETCH_FAILED', error.message, 500, { site: adapter.name, asOf: asOf.toISOString() });
+    }
+    if (!capture) {
+      throw createApiError('ARCHIVE_NOT_FOUND', `No archived capture of this article was found near ${asOf.toISOString()}`, 404, {
+        asOf: asOf.toISOString()
+      });
+    }
+
+    const attempt = {
+      strategy: 'archive',
+      outcome: 'success',
+      durationMs: Date.now() - startedAt,
+      statusCode: null,
+      htmlLength: capture.html.length
+    };
+    if (capture.selection) {
+      attempt.details = { selection: capture.selection };
+    }
+    onProgress({ type: 'strategy-end', strategy: 'archive', attempt });
+
+    if (this.policy) {
+      this.policy.assertResponseAllowed(url, { html: capture.html }, adapter);
+    }
+
+    onProgress({ type: 'extracting', method: 'archive' });
+    const content = { ...(await this.extract(capture.html, url, adapter, 'archive', [attempt])), pages: 1 };
+
+    return {
+      method: 'archive',
+      attempts: [attempt],
+      content,
+      metadata: {
+        originalUrl: url,
+        canonicalUrl: canonical,
+        source: 'archive',
+        timestamp: new Date().toISOString(),
+        cache: { hit: false },
+        capture: {
+          asOf: asOf.toISOString(),
+          capturedAt: capture.capturedAt,
+          timestamp: capture.timestamp,
+          archive: capture.archive,
+          ...(capture.mementoUri && { uri: capture.mementoUri }),
+          ...(capture.warc && { warc: capture.warc })
+        }
+      }
+    };
+  }
+
+  /**
+   * Requests a public capture; failures are reported, not thrown
+   * @private
+   */
+  async savePage(url, onProgress) {
+    if (typeof onProgress === 'function') {
+      onProgress({ type: 'saving' });
+    }
+    try {
+      return { success: true, ...(await this.archive.savePage(url)) };
+    } catch (error) {
+      return toErrorResponse(error);
+    }
+  }
+
+  /**
+   * Follows next-page links from the first page, fetching each page through the site's service
+   * Each page is checked against the publisher policy like the first. A page that is refused or
+   * cannot be fetched or extracted ends the article there; what was read is kept.
+   * @private
+   * @returns {Promise<{content: object, pagination: {urls: Array<string>, error?: string}|null,
+   *   strategies: Array<string>}>} - pagination is null for single-page articles; strategies holds
+   *   the strategy that fetched each further page
+   */
+  async stitchPages(url, html, firstPage, { adapter, service, fetchOptions, onProgress }) {
+    const pages = [firstPage];
+    const visited = new Set([this.registry.canonicalUrl(url)]);
+    const urls = [];
+    const strategies = [];
+    let pageHtml = html;
+    let pageUrl = url;
+    let error = null;
+
+    while (pages.length < this.maxPages) {
+      const next = findNextPage(pageHtml, pageUrl, url);
+      if (!next || visited.has(this.registry.canonicalUrl(next)) || this.registry.findByUrl(next) !== adapter) {
+        break;
+      }
+      visited.add(this.registry.canonicalUrl(next));
+
+      onProgress({ type: 'page', page: pages.length + 1, url: next });
+      try {
+        if (this.policy) {
+          await this.policy.assertAllowed(next, adapter);
+        }
+        const result = await service.fetchArticleResult(next, fetchOptions);
+        strategies.push(result.strategy);
+        if (this.policy) {
+          this.policy.assertResponseAllowed(next, { html: result.html, headers: result.headers }, adapter);
+        }
+        pages.push(await this.contentProcessor.extractContent(result.html, next, adapter.extraction));
+        urls.push(next);
+        pageHtml = result.html;
+        pageUrl = next;
+      } catch (pageError) {
+        error = `Page ${pages.length + 1} (${next}): ${pageError.message}`;
+        break;
+      }
+    }
+
+    if (urls.length === 0 && !error) {
+      return { content: { ...firstPage, pages: 1 }, pagination: null, strategies };
+    }
+    return {
+      content: mergePages(pages),
+      pagination: { urls, ...(error && { error }) },
+      strategies
+    };
+  }
+
+  /**
+   * Runs content extraction, mapping failures to PAYWALL_DETECTED / EXTRACTION_FAILED
+   * @private
+   */
+  async extract(html, url, adapter, method, attempts) {
+    try {
+      return await this.contentProcessor.extractContent(html, url, adapter.extraction);
+    } catch (error) {
+      // Provide more detailed error information
+      const errorMessage = error.message || 'Failed to extract content';
+      const isPaywallError = errorMessage.includes('Paywall detected');
+
+      throw createApiError(isPaywallError ? 'PAYWALL_DETECTED' : 'EXTRACTION_FAILED', errorMessage, 500, {
+        htmlLength: html ? html.length : 0,
+        method,
+        attempts,
+        suggestion: isPaywallError
+          ? 'Cookie clearing may not have worked. Try search referrer method.'
+          : 'Content may be too short or Readability failed to parse HTML structure.'
+      });
+    }
+  }
+
+  /**
+   * Looks up the requesting key's session for the URL
+   * Session store failures never fail the request; the fetch continues without one
+   * @private
+   * @returns {Promise<object|null>} - Session from SessionStore.find, with error set
+   *   ({code, message}) if it is expired or was rejected earlier
+   */
+  async findSession(apiKeyId, url) {
+    if (!this.sessions || !apiKeyId) {
+      return null;
+    }
+
+    let session;
+    try {
+      session = await this.sessions.find(apiKeyId, url);
+    } catch (error) {
+      console.error('Session lookup failed:', error.message);
+      return null;
+    }
+
+    if (session && session.status === 'expired') {
+      session.error = { code: 'SESSION_EXPIRED', message: `Your ${session.domain} session expired at ${session.expiresAt}` };
+    } else if (session && session.status === 'invalid') {
+      session.error = { code: 'SESSION_INVALID', message: session.invalidReason || `Your ${session.domain} session was rejected` };
+    }
+    return session;
+  }
+
+  /**
+   * Marks the session invalid if the publisher rejected it during this fetch
+   * @private
+   */
+  async checkSession(session, apiKeyId, attempts) {
+    const rejected = session && attempts.find(attempt => attempt.strategy === 'subscription' && attempt.code === 'SESSION_INVALID');
+    if (!rejected) {
+      return;
+    }
+
+    session.status = 'invalid';
+    session.error = { code: 'SESSION_INVALID', message: rejected.error };
+    try {
+      await this.sessions.invalidate(apiKeyId, session.domain, rejected.error);
+    } catch (error) {
+      console.error('Session update failed:', error.message);
+    }
+  }
+
+  /**
+   * Returns a cached response if there is a fresh (or successfully revalidated) entry
+   * Cache failures never fail the request; they are treated as misses
+   * @private
+   */
+  async lookupCache(url, canonical, directives) {
+    let found;
+    try {
+      found = await this.cache.get(canonical, directives);
+    } catch (error) {
+      console.error('Cache lookup failed:', error.message);
+      return null;
+    }
+
+    if (!found) {
+      return null;
+    }
+
+    let { entry } = found;
+    let revalidated = false;
+
+    if (!found.fresh) {
+      const hasValidators = entry.validators && Object.keys(entry.validators).length > 0;
+      if (!hasValidators || !(await this.cookieService.isNotModified(canonical, entry.validators))) {
+        return null;
+      }
+      try {
+        entry = await this.cache.touch(entry);
+      } catch (error) {
+        console.error('Cache update failed:', error.message);
+      }
+      revalidated = true;
+    }
+
+    return {
+      method: entry.method,
+      attempts: [],
+      content: entry.content,
+      metadata: {
+        originalUrl: url,
+        canonicalUrl: canonical,
+        source: 'cache',
+        timestamp: new Date().toISOString(),
+        cache: {
+          hit: true,
+          storedAt: entry.storedAt,
+          expiresAt: entry.expiresAt,
+          revalidated
+        }
+      }
+    };
+  }
+
+  /**
+   * Writes a fetch to the WARC archive, logging (not throwing) on failure
+   * @private
+   * @returns {Promise<object|null>} - {filename, offset, timestamp} or null
+   */
+  async recordInWarc(url, capture) {
+    if (!this.warc) {
+      return null;
+    }
+    try {
+      return await this.warc.record(url, capture);
+    } catch (error) {
+      console.error('WARC write failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Stores a result in the cache, logging (not throwing) on failure
+   * @private
+   */
+  async storeInCache(url, data, directives) {
+    try {
+      await this.cache.set(url, data, directives);
+    } catch (error) {
+      console.error('Cache store failed:', error.message);
+    }
+  }
+}
+
+module.exports = ArticleFetcher;
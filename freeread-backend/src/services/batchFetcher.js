@@ -0,0 +1,108 @@
+const { validateArticleUrl } = require('../utils/requestValidation');
+const { toErrorResponse } = require('../utils/apiError');
+const { mapWithConcurrency } = require('../utils/concurrency');
+
+/**
+ * Batch Fetcher - Fetches a reading list of URLs through ArticleFetcher
+ * URLs are validated and deduplicated by canonical URL (share tokens ignored), then fetched with
+ * bounded concurrency. One URL failing never fails the batch.
+ */
+class BatchFetcher {
+  /**
+   * @param {object} deps - Dependencies
+   * @param {ArticleFetcher} deps.articleFetcher - Single-article fetcher
+   * @param {SiteRegistry} deps.registry - Site registry, for each site's share-link parameters
+   * @param {number} deps.concurrency - Max articles fetched at once (default 3)
+   * @param {number} deps.maxUrls - Max URLs accepted per batch (default 50)
+   */
+  constructor(deps = {}) {
+    this.articleFetcher = deps.articleFetcher;
+    this.registry = deps.registry;
+    this.concurrency = deps.concurrency || 3;
+    this.maxUrls = deps.maxUrls || 50;
+  }
+
+  /**
+   * Splits input into unique valid URLs, invalid entries and duplicates
+   * @param {Array<string>} urls - URLs as supplied by the client
+   * @returns {{items: Array<object>, duplicates: Array<object>}}
+   *   items: [{url, key, error}] in first-seen order; duplicates: [{url, duplicateOf}]
+   */
+  plan(urls) {
+    const items = [];
+    const duplicates = [];
+    const seen = new Map();
+
+    for (const url of urls) {
+      const validationError = validateArticleUrl(url);
+      if (validationError) {
+        items.push({ url, key: null, error: validationError });
+        continue;
+      }
+
+      const key = this.registry.canonicalUrl(url);
+      if (seen.has(key)) {
+        duplicates.push({ url, duplicateOf: seen.get(key) });
+        continue;
+      }
+
+      seen.set(key, url);
+      items.push({ url, key, error: null });
+    }
+
+    return { items, duplicates };
+  }
+
+  /**
+   * Fetches all URLs
+   * @param {Array<string>} urls - URLs to fetch
+   * @param {object} options - Options
+   * @param {object} options.cache - Cache directives applied to every URL
+   * @param {number} options.concurrency - Override for the concurrency limit (capped at the default)
+   * @param {string} options.apiKeyId - Requesting API key (selects its subscription sessions)
+   * @param {function(object)} options.onProgress - Optional progress listener; receives
+   *   {type: 'item-start'|'item-end', url, index} and per-URL fetch events tagged with url
+   * @returns {Promise<{results: Array<object>, duplicates: Array<object>, summary: object}>}
+   */
+  async run(urls, options = {}) {
+    const { items, duplicates } = this.plan(urls);
+    const onProgress = typeof options.onProgress === 'function' ? options.onProgress : () => {};
+    const concurrency = Math.min(options.concurrency || this.concurrency, this.concurrency);
+
+    const results = await mapWithConcurrency(items, concurrency, async (item, index) => {
+      if (item.error) {
+        return { url: item.url, key: null, ...toErrorResponse(item.error) };
+      }
+
+      onProgress({ type: 'item-start', url: item.url, index });
+      try {
+        const result = await this.articleFetcher.fetch(item.url, {
+          cache: options.cache,
+          apiKeyId: options.apiKeyId,
+          onProgress: (event) => onProgress({ ...event, url: item.url })
+        });
+        onProgress({ type: 'item-end', url: item.url, index, success: true });
+        return { url: item.url, key: item.key, success: true, ...result };
+      } catch (error) {
+        onProgress({ type: 'item-end', url: item.url, index, success: false });
+        return { url: item.url, key: item.key, ...toErrorResponse(error) };
+      }
+    });
+
+    const succeeded = results.filter(result => result.success).length;
+
+    return {
+      results,
+      duplicates,
+      summary: {
+        requested: urls.length,
+        unique: items.length,
+        succeeded,
+        failed: results.length - succeeded,
+        duplicates: duplicates.length
+      }
+    };
+  }
+}
+
+module.exports = BatchFetcher;
@@ -0,0 +1,346 @@
+const puppeteer = require('puppeteer');
+
+const DEFAULT_LAUNCH_OPTIONS = {
+  headless: 'new',
+  args: [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-gpu',
+    '--disable-blink-features=AutomationControlled',
+    '--disable-features=IsolateOrigins,site-per-process',
+    '--window-size=1920,1080'
+  ]
+};
+
+let defaultPool = null;
+
+/**
+ * Browser Pool - Keeps warm Puppeteer browsers and hands out isolated pages
+ * Every page runs in a fresh incognito browser context (no shared cookies or storage).
+ * Total concurrency is maxBrowsers * maxPagesPerBrowser; extra callers wait.
+ * Idle browsers are closed after idleTimeoutMs, and crashed browsers are dropped
+ * so the next caller gets a freshly launched one.
+ */
+class BrowserPool {
+  /**
+   * @param {object} options - Pool options
+   * @param {number} options.maxBrowsers - Max browser processes (default 2)
+   * @param {number} options.maxPagesPerBrowser - Max concurrent pages per browser (default 2)
+   * @param {number} options.idleTimeoutMs - Close browsers idle this long (default 60s, 0 disables reaping)
+   * @param {object} options.launchOptions - puppeteer.launch options
+   * @param {object} options.launcher - Object with launch(options) (default: puppeteer)
+   */
+  constructor(options = {}) {
+    this.launcher = options.launcher || puppeteer;
+    this.launchOptions = options.launchOptions || DEFAULT_LAUNCH_OPTIONS;
+    this.maxBrowsers = options.maxBrowsers || 2;
+    this.maxPagesPerBrowser = options.maxPagesPerBrowser || 2;
+    this.idleTimeoutMs = typeof options.idleTimeoutMs === 'number' ? options.idleTimeoutMs : 60000;
+
+    this.entries = [];
+    this.activeSlots = 0;
+    this.waiters = [];
+    this.reaper = null;
+    this.closed = false;
+    this.counters = { launched: 0, launchFailures: 0, crashed: 0, reaped: 0, pagesServed: 0 };
+  }
+
+  /**
+   * Gets the shared pool, configured from environment variables
+   *   BROWSER_POOL_SIZE      - Max browsers (default 2)
+   *   BROWSER_POOL_PAGES     - Max pages per browser (default 2)
+   *   BROWSER_IDLE_TIMEOUT_MS - Idle reaping threshold (default 60000)
+   * @returns {BrowserPool}
+   */
+  static getDefault() {
+    if (!defaultPool) {
+      const idle = parseInt(process.env.BROWSER_IDLE_TIMEOUT_MS, 10);
+      defaultPool = new BrowserPool({
+        maxBrowsers: parseInt(process.env.BROWSER_POOL_SIZE, 10) || undefined,
+        maxPagesPerBrowser: parseInt(process.env.BROWSER_POOL_PAGES, 10) || undefined,
+        idleTimeoutMs: Number.isNaN(idle) ? undefined : idle
+      });
+    }
+    return defaultPool;
+  }
+
+  /**
+   * Total concurrent pages allowed
+   * @returns {number}
+   */
+  get capacity() {
+    return this.maxBrowsers * this.maxPagesPerBrowser;
+  }
+
+  /**
+   * Runs fn with a fresh page in its own incognito context
+   * The context is always closed afterwards, even if fn throws
+   * @param {function(Page): Promise<*>} fn - Work to do with the page
+   * @param {object} options - Options
+   * @param {AbortSignal} options.signal - Aborting stops waiting for a slot, or rejects with
+   *   signal.reason and closes the page's context right away, freeing the slot
+   * @returns {Promise<*>} - fn's result
+   */
+  async withPage(fn, options = {}) {
+    const { signal } = options;
+    const entry = await this.acquire(signal);
+    let context = null;
+    let onAbort = null;
+    try {
+      context = await this.createContext(entry.browser);
+      const page = await context.newPage();
+      this.counters.pagesServed++;
+      if (!signal) {
+        return await fn(page);
+      }
+
+      // Closing the context below fails whatever fn is still waiting on
+      signal.throwIfAborted();
+      const aborted = new Promise((_, reject) => {
+        onAbort = () => reject(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+      });
+      return await Promise.race([fn(page), aborted]);
+    } finally {
+      if (onAbort) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      if (context) {
+        try { await context.close(); } catch (_) {}
+      }
+      this.release(entry);
+    }
+  }
+
+  /**
+   * Reports pool health
+   * @returns {object} - Browser/page counts, queue length and lifetime counters
+   */
+  getStats() {
+    return {
+      browsers: this.entries.filter(entry => entry.browser).length,
+      launching: this.entries.filter(entry => !entry.browser).length,
+      activePages: this.activeSlots,
+      waiting: this.waiters.length,
+      capacity: this.capacity,
+      ...this.counters
+    };
+  }
+
+  /**
+   * Closes all browsers and rejects waiting callers
+   */
+  async close() {
+    this.closed = true;
+    this.stopReaper();
+
+    const waiters = this.waiters.splice(0);
+    waiters.forEach(waiter => waiter.reject(new Error('Browser pool closed')));
+
+    const entries = this.entries.splice(0);
+    await Promise.all(entries.map(entry => this.closeEntry(entry)));
+  }
+
+  /**
+   * Reserves a page slot and a browser with spare capacity
+   * @private
+   */
+  async acquire(signal) {
+    await this.takeSlot(signal);
+
+    let entry = null;
+    try {
+      entry = this.entries
+        .filter(candidate => candidate.activePages < this.maxPagesPerBrowser)
+        .sort((a, b) => a.activePages - b.activePages)[0] || this.launch();
+      entry.activePages++;
+      entry.lastUsedAt = Date.now();
+      await entry.ready;
+      return entry;
+    } catch (error) {
+      if (entry) {
+        entry.activePages--;
+      }
+      this.releaseSlot();
+      throw error;
+    }
+  }
+
+  /**
+   * Returns a page slot to the pool
+   * @private
+   */
+  release(entry) {
+    entry.activePages--;
+    entry.lastUsedAt = Date.now();
+    this.releaseSlot();
+  }
+
+  /**
+   * Waits for a free page slot; an aborted signal gives up the place in the queue
+   * @private
+   */
+  takeSlot(signal) {
+    if (this.closed) {
+      return Promise.reject(new Error('Browser pool closed'));
+    }
+    if (signal && signal.aborted) {
+      return Promise.reject(signal.reason);
+    }
+    if (this.activeSlots < this.capacity) {
+      this.activeSlots++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      if (signal) {
+        const onAbort = () => {
+          this.waiters.splice(this.waiters.indexOf(waiter), 1);
+          reject(signal.reason);
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        waiter.resolve = () => {
+          signal.removeEventListener('abort', onAbort);
+          resolve();
+        };
+      }
+      this.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Frees a page slot, handing it straight to the next waiter if any
+   * @private
+   */
+  releaseSlot() {
+    const waiter = this.waiters.shift();
+    if (waiter) {
+      waiter.resolve();
+    } else {
+      this.activeSlots--;
+    }
+  }
+
+  /**
+   * Launches a browser and adds it to the pool
+   * The entry is registered immediately so concurrent callers can share it
+   * @private
+   */
+  launch() {
+    const entry = { browser: null, activePages: 0, lastUsedAt: Date.now(), closing: false, ready: null };
+
+    entry.ready = Promise.resolve()
+      .then(() => this.launcher.launch(this.launchOptions))
+      .then((browser) => {
+        entry.browser = browser;
+        this.counters.launched++;
+        browser.on('disconnected', () => this.handleDisconnect(entry));
+        return browser;
+      }, (error) => {
+        this.counters.launchFailures++;
+        this.remove(entry);
+        throw new Error(`Browser launch failed: ${error.message}`);
+      });
+
+    this.entries.push(entry);
+    this.startReaper();
+    return entry;
+  }
+
+  /**
+   * Creates an isolated browser context
+   * Puppeteer >= 22 uses createBrowserContext; older versions use createIncognitoBrowserContext
+   * @private
+   */
+  async createContext(browser) {
+    if (typeof browser.createBrowserContext === 'function') {
+      return await browser.createBrowserContext();
+    }
+    return await browser.createIncognitoBrowserContext();
+  }
+
+  /**
+   * Drops a browser that disconnected without being closed by the pool
+   * @private
+   */
+  handleDisconnect(entry) {
+    if (entry.closing) {
+      return;
+    }
+    this.counters.crashed++;
+    this.remove(entry);
+  }
+
+  /**
+   * Closes browsers that have been idle for longer than idleTimeoutMs
+   * @private
+   */
+  reap() {
+    const now = Date.now();
+    const idle = this.entries.filter(entry =>
+      entry.browser && entry.activePages === 0 && now - entry.lastUsedAt >= this.idleTimeoutMs
+    );
+
+    idle.forEach((entry) => {
+      this.remove(entry);
+      this.counters.reaped++;
+      this.closeEntry(entry);
+    });
+
+    if (this.entries.length === 0) {
+      this.stopReaper();
+    }
+  }
+
+  /**
+   * Closes an entry's browser, ignoring errors
+   * @private
+   */
+  async closeEntry(entry) {
+    entry.closing = true;
+    try {
+      const browser = entry.browser || await entry.ready;
+      await browser.close();
+    } catch (_) {}
+  }
+
+  /**
+   * Removes an entry from the pool
+   * @private
+   */
+  remove(entry) {
+    const index = this.entries.indexOf(entry);
+    if (index !== -1) {
+      this.entries.splice(index, 1);
+    }
+  }
+
+  /**
+   * @private
+   */
+  startReaper() {
+    if (this.reaper || this.idleTimeoutMs <= 0) {
+      return;
+    }
+    const interval = Math.max(1000, Math.min(this.idleTimeoutMs, 30000));
+    this.reaper = setInterval(() => this.reap(), interval);
+    if (this.reaper.unref) {
+      this.reaper.unref();
+    }
+  }
+
+  /**
+   * @private
+   */
+  stopReaper() {
+    if (this.reaper) {
+      clearInterval(this.reaper);
+      this.reaper = null;
+    }
+  }
+}
+
+BrowserPool.DEFAULT_LAUNCH_OPTIONS = DEFAULT_LAUNCH_OPTIONS;
+
+module.exports = BrowserPool;
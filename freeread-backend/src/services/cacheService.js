@@ -0,0 +1,207 @@
+const path = require('path');
+const { canonicalUrl } = require('../utils/urlUtils');
+const FileCacheStore = require('./fileCacheStore');
+const MemoryCacheStore = require('./memoryCacheStore');
+
+/**
+ * Cache Service - Article cache in front of the site services
+ * Stores raw HTML and extracted content keyed by normalized URL, with a TTL.
+ * Callers pass canonical URLs (SiteRegistry#canonicalUrl) so gift links share an entry.
+ * Stale entries that carry origin validators (ETag / Last-Modified) can be
+ * revalidated instead of re-running the whole strategy chain.
+ */
+class CacheService {
+  /**
+   * @param {object} options - Cache options
+   * @param {object} options.store - Backend with async get/set/delete (default: in-memory)
+   * @param {number} options.ttlSeconds - Time-to-live for entries (default: 1 hour)
+   * @param {boolean} options.enabled - Set false to disable caching entirely
+   */
+  constructor(options = {}) {
+    this.store = options.store || new MemoryCacheStore();
+    this.ttlSeconds = typeof options.ttlSeconds === 'number' ? options.ttlSeconds : 3600;
+    this.enabled = options.enabled !== false;
+  }
+
+  /**
+   * Creates a cache configured from environment variables
+   *   CACHE_BACKEND     - 'file' (default), 'memory' or 'none'
+   *   CACHE_DIR         - Directory for the file backend (default: ./cache)
+   *   CACHE_TTL_SECONDS - Entry time-to-live (default: 3600)
+   *   CACHE_STALE_SECONDS - How long expired entries are kept for revalidation before
+   *                         the backend deletes them (default: 86400)
+   *   CACHE_MAX_MB      - Size cap for the file backend (default: 512)
+   *   CACHE_MAX_ENTRIES - Entry cap for the memory backend (default: 1000)
+   * @param {object} env - Environment (default: process.env)
+   * @returns {CacheService}
+   */
+  static fromEnv(env = process.env) {
+    const backend = (env.CACHE_BACKEND || 'file').toLowerCase();
+    const parsedTtl = parseInt(env.CACHE_TTL_SECONDS, 10);
+    const ttlSeconds = Number.isNaN(parsedTtl) ? undefined : parsedTtl;
+    const staleSeconds = parseInt(env.CACHE_STALE_SECONDS, 10);
+    const maxMb = parseFloat(env.CACHE_MAX_MB);
+    const maxAgeSeconds = (ttlSeconds ?? 3600) + (Number.isNaN(staleSeconds) ? 86400 : staleSeconds);
+    const store = backend === 'file'
+      ? new FileCacheStore(env.CACHE_DIR || path.join(__dirname, '../../cache'), {
+        maxAgeSeconds,
+        maxBytes: maxMb > 0 ? Math.round(maxMb * 1024 * 1024) : undefined
+      })
+      : new MemoryCacheStore({ maxAgeSeconds, maxEntries: parseInt(env.CACHE_MAX_ENTRIES, 10) || undefined });
+
+    return new CacheService({
+      store,
+      ttlSeconds,
+      enabled: backend !== 'none'
+    });
+  }
+
+  /**
+   * Parses request cache directives from a Cache-Control header and/or body flag
+   * Supported: no-cache (skip lookup, still store), no-store (skip lookup and store),
+   * max-age=N (only accept entries younger than N seconds)
+   * @param {string} headerValue - Cache-Control request header
+   * @param {string} bodyFlag - Optional `cache` value from the request body
+   * @returns {{noCache: boolean, noStore: boolean, maxAge: number|null}}
+   */
+  static parseDirectives(headerValue, bodyFlag) {
+    const directives = { noCache: false, noStore: false, maxAge: null };
+    const parts = [headerValue, bodyFlag]
+      .filter(value => typeof value === 'string')
+      .join(',')
+      .split(',')
+      .map(part => part.trim().toLowerCase())
+      .filter(Boolean);
+
+    for (const part of parts) {
+      if (part === 'no-cache') {
+        directives.noCache = true;
+      } else if (part === 'no-store') {
+        directives.noCache = true;
+        directives.noStore = true;
+      } else if (part.startsWith('max-age=')) {
+        const maxAge = parseInt(part.slice('max-age='.length), 10);
+        if (!Number.isNaN(maxAge) && maxAge >= 0) {
+          directives.maxAge = maxAge;
+        }
+      }
+    }
+
+    return directives;
+  }
+
+  /**
+   * Gets cache key for a URL
+   * @param {string} url - Article URL
+   * @returns {string} - Normalized URL
+   */
+  key(url) {
+    return canonicalUrl(url);
+  }
+
+  /**
+   * Looks up an entry
+   * @param {string} url - Article URL
+   * @param {object} directives - Parsed request directives (see parseDirectives)
+   * @returns {Promise<{entry: object, fresh: boolean}|null>} - Entry with freshness, or null on miss
+   */
+  async get(url, directives = {}) {
+    if (!this.enabled || directives.noCache) {
+      return null;
+    }
+
+    const entry = await this.store.get(this.key(url));
+    if (!entry) {
+      return null;
+    }
+
+    return { entry, fresh: this.isFresh(entry, directives) };
+  }
+
+  /**
+   * Stores an entry
+   * @param {string} url - Article URL
+   * @param {object} data - {html, content, method, validators}
+   * @param {object} directives - Parsed request directives
+   * @returns {Promise<object|null>} - Stored entry, or null if not stored
+   */
+  async set(url, data, directives = {}) {
+    if (!this.enabled || directives.noStore) {
+      return null;
+    }
+
+    const now = Date.now();
+    const entry = {
+      key: this.key(url),
+      url,
+      html: data.html,
+      content: data.content,
+      method: data.method,
+      validators: data.validators || {},
+      storedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.ttlSeconds * 1000).toISOString()
+    };
+
+    await this.store.set(entry.key, entry);
+    return entry;
+  }
+
+  /**
+   * Marks a stale entry fresh again after successful revalidation
+   * @param {object} entry - Cached entry
+   * @returns {Promise<object>} - Updated entry
+   */
+  async touch(entry) {
+    const now = Date.now();
+    const updated = {
+      ...entry,
+      storedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.ttlSeconds * 1000).toISOString()
+    };
+    await this.store.set(updated.key, updated);
+    return updated;
+  }
+
+  /**
+   * Removes the entry for a URL
+   * @param {string} url - Article URL
+   */
+  async invalidate(url) {
+    await this.store.delete(this.key(url));
+  }
+
+  /**
+   * Checks if an entry is still fresh
+   * @param {object} entry - Cached entry
+   * @param {object} directives - Parsed request directives
+   * @returns {boolean}
+   */
+  isFresh(entry, directives = {}) {
+    const now = Date.now();
+    if (Date.parse(entry.expiresAt) <= now) {
+      return false;
+    }
+    if (typeof directives.maxAge === 'number') {
+      return now - Date.parse(entry.storedAt) <= directives.maxAge * 1000;
+    }
+    return true;
+  }
+
+  /**
+   * Extracts validators from origin response headers
+   * @param {object} headers - Response headers
+   * @returns {{etag?: string, lastModified?: string}}
+   */
+  static validatorsFrom(headers = {}) {
+    const validators = {};
+    if (headers.etag) {
+      validators.etag = headers.etag;
+    }
+    if (headers['last-modified']) {
+      validators.lastModified = headers['last-modified'];
+    }
+    return validators;
+  }
+}
+
+module.exports = CacheService;
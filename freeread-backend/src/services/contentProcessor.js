@@ -1,25 +1,39 @@
 const { Readability } = require('@mozilla/readability');
 const { JSDOM } = require('jsdom');
 const DebugService = require('./debugService');
+const HtmlSanitizer = require('./htmlSanitizer');
+const { extractMetadata, countWords } = require('../utils/articleMetadata');
+const { extractStructure } = require('../utils/articleStructure');
 
 /**
  * Content Processor - Extracts clean article content from HTML
- * Uses Mozilla Readability for content extraction
+ * Uses Mozilla Readability for content extraction, and the page's structured
+ * data (JSON-LD, Open Graph, meta tags) for the article's metadata.
+ * The returned html is always sanitized (see HtmlSanitizer); it comes from the publisher.
  */
 class ContentProcessor {
-  constructor() {
+  /**
+   * @param {object} options - Processor options
+   * @param {HtmlSanitizer} options.sanitizer - Sanitizer for the returned html (default: the default allowlist)
+   */
+  constructor(options = {}) {
     this.minContentLength = 20; // Minimum characters for valid article (MVP lenient)
     this.debugService = new DebugService();
+    this.sanitizer = options.sanitizer || new HtmlSanitizer();
   }
 
   /**
    * Extracts article content from HTML using Readability
    * @param {string} html - Raw HTML content
    * @param {string} url - Original article URL
-   * @returns {Promise<object>} - Extracted article content
+   * @param {object} hints - Site-specific extraction hints from the site adapter
+   * @param {Array<string>} hints.selectors - Extra article body selectors, tried first
+   * @returns {Promise<object>} - Extracted article content: {title, text, html, author, excerpt, length, metadata}
+   *   metadata: {canonicalUrl, publishedAt, modifiedAt, section, keywords, authors, publisher,
+   *   language, image, wordCount} (see utils/articleMetadata; wordCount falls back to the extracted text's)
    * @throws {Error} - If extraction fails or paywall detected
    */
-  async extractContent(html, url) {
+  async extractContent(html, url, hints = {}) {
     if (!html || typeof html !== 'string') {
       throw new Error('Invalid HTML input');
     }
@@ -39,35 +53,38 @@ class ContentProcessor {
       const dom = new JSDOM(html, { url });
       const document = dom.window.document;
 
+      // Read before Readability, which rewrites the document
+      const metadata = extractMetadata(document, url);
+
       // Extract article using Readability first
       const reader = new Readability(document);
       let article = reader.parse();
 
       // If Readability failed or is too short, try fallback selectors
       if (!article || !article.textContent || article.textContent.length < this.minContentLength) {
-        const fallback = this.extractWithFallback(document, url);
+        const fallback = this.extractWithFallback(document, url, hints.selectors);
         
         // Return fallback if it has any text at all
         if (fallback && fallback.text && fallback.text.length > 0) {
-          return fallback;
+          return this.finalize(fallback, metadata, url);
         }
 
         // Try aggressive extraction - extract content even if paywall is detected
-        const aggressiveExtract = this.extractAggressively(document, url);
+        const aggressiveExtract = this.extractAggressively(document, url, hints.selectors);
         if (aggressiveExtract && aggressiveExtract.text && aggressiveExtract.text.length > this.minContentLength) {
-          return aggressiveExtract;
+          return this.finalize(aggressiveExtract, metadata, url);
         }
 
         // Final attempt: if Readability produced anything, return it even if short
         if (article && article.textContent && article.textContent.length > 0) {
-          return {
+          return this.finalize({
             title: article.title || 'Untitled',
             text: article.textContent || '',
             html: article.content || '',
             author: article.byline || null,
             excerpt: article.excerpt || null,
             length: article.length || (article.textContent ? article.textContent.length : 0)
-          };
+          }, metadata, url);
         }
 
         // Last resort: try to extract ANY paragraphs from the page
@@ -80,28 +97,28 @@ class ContentProcessor {
                        (document.querySelector('title') && document.querySelector('title').textContent) || 
                        'Untitled';
           const text = anyParas.join('\n\n');
-          return {
+          return this.finalize({
             title: title.trim(),
             text: text,
             html: '<div id="readability-page-1" class="page">' + anyParas.map(p => `<p>${this.escapeHtml(p)}</p>`).join('') + '</div>',
             author: null,
             excerpt: null,
             length: text.length
-          };
+          }, metadata, url);
         }
 
         throw new Error('Failed to extract meaningful content');
       }
 
       // Return formatted content (Readability success)
-      return {
+      return this.finalize({
         title: article.title || 'Untitled',
         text: article.textContent || '',
         html: article.content || '',
         author: article.byline || null,
         excerpt: article.excerpt || null,
         length: article.length || 0
-      };
+      }, metadata, url);
     } catch (error) {
       // Re-throw with context if not already our error
       if (error.message.includes('Paywall') || error.message.includes('Failed to extract')) {
@@ -114,11 +131,13 @@ class ContentProcessor {
 
   /**
    * Fallback extraction using common article selectors (works for NYT, WSJ, and other sites)
+   * The container keeps its headings, lists, quotes and figures (see utils/articleStructure)
    * @param {Document} document
    * @param {string} url - Original article URL (for domain detection)
+   * @param {Array<string>} siteSelectors - Site-specific selectors, tried before the common ones
    * @returns {{title:string, text:string, html:string, author:string|null, excerpt:string|null, length:number}|null}
    */
-  extractWithFallback(document, url) {
+  extractWithFallback(document, url, siteSelectors = []) {
     try {
       // Get domain from URL for fallback title
       let fallbackTitle = 'Untitled';
@@ -137,6 +156,7 @@ class ContentProcessor {
       
       // Common article selectors (works for NYT, WSJ, and other news sites)
       const candidates = [
+        ...(siteSelectors || []),
         'article',
         '[data-testid="article-body"]',
         'section[name="articleBody"]',
@@ -187,17 +207,12 @@ class ContentProcessor {
           text = allParas.map(p => p.text).join('\n\n');
         }
       } else {
-        // Build HTML using only text paragraphs within container
-        const paras = Array.from(container.querySelectorAll('p'))
-          .map(p => ({
-            text: (p.textContent || '').trim(),
-            html: p.outerHTML
-          }))
-          .filter(p => p.text.length > 30 && !p.text.toLowerCase().includes('subscribe'));
-        
-        if (paras.length > 0) {
-          html = '<div id="readability-page-1" class="page">' + paras.map(p => p.html).join('') + '</div>';
-          text = paras.map(p => p.text).join('\n\n');
+        // Keep the container's structure: headings, lists, quotes and figures with their images
+        const structured = extractStructure(container, url);
+
+        if (structured.text) {
+          html = '<div id="readability-page-1" class="page">' + structured.html + '</div>';
+          text = structured.text;
         } else {
           // Fallback: use container's text content directly
           const containerText = container.textContent.trim();
@@ -221,6 +236,20 @@ class ContentProcessor {
     }
   }
 
+  /**
+   * Sanitizes an extracted article's html and attaches the page metadata
+   * Structured authors replace the byline selectors' guess; the word count falls back to the extracted text's.
+   * @private
+   */
+  finalize(article, metadata, url) {
+    return {
+      ...article,
+      html: this.sanitizer.sanitize(article.html, url),
+      author: metadata.authors.length > 0 ? metadata.authors.join(', ') : article.author,
+      metadata: { ...metadata, wordCount: metadata.wordCount || countWords(article.text) }
+    };
+  }
+
   escapeHtml(s) {
     return s
       .replace(/&/g, '&amp;')
@@ -233,11 +262,13 @@ class ContentProcessor {
   /**
    * Aggressive extraction - tries to extract content even when paywall is detected
    * Looks for article content in various places, including hidden elements
+   * Matched containers keep their structure; the page-wide paragraph scan is the last resort
    * @param {Document} document
    * @param {string} url - Original article URL
+   * @param {Array<string>} siteSelectors - Site-specific selectors, tried before the common ones
    * @returns {{title:string, text:string, html:string, author:string|null, excerpt:string|null, length:number}|null}
    */
-  extractAggressively(document, url) {
+  extractAggressively(document, url, siteSelectors = []) {
     try {
       // Get title
       const title = (document.querySelector('h1') && document.querySelector('h1').textContent) || 
@@ -246,6 +277,7 @@ class ContentProcessor {
 
       // Try to find article content in various ways
       const contentSelectors = [
+        ...(siteSelectors || []),
         'article',
         '[data-module="ArticleBody"]',
         '[data-module="ArticleBodyContainer"]',
@@ -262,22 +294,22 @@ class ContentProcessor {
 
       let allText = '';
       let allHtml = '';
+      const used = [];
 
-      // Try each selector
+      // Try each selector, keeping each container's structure (images, figures, lists, ...)
       for (const selector of contentSelectors) {
         try {
           const elements = document.querySelectorAll(selector);
           elements.forEach(el => {
-            if (el) {
-              // Get all paragraphs from this element
-              const paras = el.querySelectorAll('p');
-              paras.forEach(p => {
-                const text = (p.textContent || '').trim();
-                if (text.length > 50 && !text.toLowerCase().includes('subscribe') && !text.toLowerCase().includes('cookie')) {
-                  allText += text + '\n\n';
-                  allHtml += p.outerHTML;
-                }
-              });
+            // Nested matches (article > .article-body) would repeat the same content
+            if (!el || used.some(other => other.contains(el) || el.contains(other))) {
+              return;
+            }
+            const structured = extractStructure(el, url);
+            if (structured.text.length > 50) {
+              used.push(el);
+              allText += structured.text + '\n\n';
+              allHtml += structured.html;
             }
           });
         } catch (e) {}
@@ -297,7 +329,8 @@ class ContentProcessor {
                 !text.toLowerCase().includes('sign up') &&
                 !p.closest('nav') &&
                 !p.closest('footer') &&
-                !p.closest('[class*="paywall"]')) {
+                !p.closest('[class*="paywall"]') &&
+                !used.some(el => el.contains(p))) {
               allText += text + '\n\n';
               allHtml += p.outerHTML;
             }
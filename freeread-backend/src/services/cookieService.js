@@ -1,4 +1,10 @@
 const axios = require('axios');
+const { assertSafeUrl, safeRequestConfig, unsafeCause } = require('../utils/urlSafety');
+const { matchesDomain } = require('../utils/urlUtils');
+const { createApiError } = require('../utils/apiError');
+
+// Where publishers send visitors whose session they do not accept
+const LOGIN_PATH = /\/(login|signin|sign-in|auth|account\/login)(\/|$)/i;
 
 /**
  * Cookie Service - Handles fetching content with cleared/no cookies
@@ -56,9 +62,24 @@ class CookieService {
    * @returns {Promise<string>} - HTML content
    */
   async fetchWithClearedCookies(url, options = {}) {
+    const page = await this.fetchPage(url, options);
+    return page.html;
+  }
+
+  /**
+   * Fetches content without cookies and keeps response details
+   * @param {string} url - URL to fetch
+   * @param {object} options - Options (timeout, userAgent, signal)
+   * @returns {Promise<{html: string, statusCode: number, headers: object}>}
+   * @throws {Error} - UNSAFE_URL if the URL or a redirect targets an internal host
+   */
+  async fetchPage(url, options = {}) {
+    assertSafeUrl(url);
+
     // CRITICAL: Create fresh axios instance with NO cookies
     const client = axios.create({
       timeout: options.timeout || 10000,
+      signal: options.signal,
       withCredentials: false, // Don't send any cookies
       headers: {
         'User-Agent': options.userAgent || 
@@ -76,16 +97,28 @@ class CookieService {
         // Explicitly NO Cookie header
       },
       maxRedirects: 5,
-      validateStatus: (status) => status < 500 // Accept 4xx but not 5xx
+      validateStatus: (status) => status < 500, // Accept 4xx but not 5xx
+      ...safeRequestConfig()
     });
 
     try {
       const response = await client.get(url);
-      return response.data;
+      return {
+        html: response.data,
+        statusCode: response.status,
+        headers: response.headers || {}
+      };
     } catch (error) {
+      // Redirects to internal hosts are the caller's fault, not a network failure
+      const unsafe = unsafeCause(error);
+      if (unsafe) {
+        throw unsafe;
+      }
       // Re-throw with more context
       if (error.response) {
-        throw new Error(`HTTP ${error.response.status}: ${error.message}`);
+        const httpError = new Error(`HTTP ${error.response.status}: ${error.message}`);
+        httpError.statusCode = error.response.status;
+        throw httpError;
       } else if (error.request) {
         throw new Error(`Network error: ${error.message}`);
       } else {
@@ -94,6 +127,124 @@ class CookieService {
     }
   }
 
+  /**
+   * Fetches content with the user's own subscription cookies
+   * The Cookie header is only sent to the session's domain; it is dropped on
+   * redirects elsewhere. A 401/403, a redirect to a login page or a paywalled
+   * page means the publisher did not accept the session.
+   * @param {string} url - URL to fetch
+   * @param {object} session - {domain, cookie} from SessionStore.find
+   * @param {object} options - Options (timeout, userAgent, signal)
+   * @returns {Promise<{html: string, statusCode: number, headers: object}>}
+   * @throws {Error} - SESSION_INVALID api error (403) if the publisher rejected the session,
+   *   UNSAFE_URL if the URL or a redirect targets an internal host
+   */
+  async fetchWithSession(url, session, options = {}) {
+    assertSafeUrl(url);
+    const safety = safeRequestConfig();
+
+    const client = axios.create({
+      timeout: options.timeout || 10000,
+      signal: options.signal,
+      headers: {
+        'User-Agent': options.userAgent ||
+          'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.9',
+        'Cookie': session.cookie
+      },
+      maxRedirects: 5,
+      validateStatus: (status) => status < 500,
+      ...safety,
+      beforeRedirect: (redirect, response) => {
+        safety.beforeRedirect(redirect, response);
+        if (!matchesDomain(redirect.href, [session.domain])) {
+          Object.keys(redirect.headers || {})
+            .filter(name => name.toLowerCase() === 'cookie')
+            .forEach(name => delete redirect.headers[name]);
+        }
+      }
+    });
+
+    let response;
+    try {
+      response = await client.get(url);
+    } catch (error) {
+      const unsafe = unsafeCause(error);
+      if (unsafe) {
+        throw unsafe;
+      }
+      throw new Error(`Network error: ${error.message}`);
+    }
+
+    const finalUrl = (response.request && response.request.res && response.request.res.responseUrl) || url;
+    let reason = null;
+    if (response.status === 401 || response.status === 403) {
+      reason = `publisher answered HTTP ${response.status}`;
+    } else if (LOGIN_PATH.test(new URL(finalUrl).pathname)) {
+      reason = 'publisher redirected to its login page';
+    } else if (this.hasPaywall(response.data)) {
+      reason = 'publisher served the paywalled page';
+    }
+
+    if (reason) {
+      throw createApiError('SESSION_INVALID', `Your ${session.domain} session was not accepted: ${reason}`, 403, {
+        domain: session.domain,
+        statusCode: response.status
+      });
+    }
+
+    return {
+      html: response.data,
+      statusCode: response.status,
+      headers: response.headers || {}
+    };
+  }
+
+  /**
+   * Asks the origin whether a previously fetched page has changed
+   * Sends a conditional GET with If-None-Match / If-Modified-Since
+   * @param {string} url - URL to check
+   * @param {object} validators - {etag, lastModified} from the earlier response
+   * @param {object} options - Options (timeout, userAgent)
+   * @returns {Promise<boolean>} - True if the origin answered 304 Not Modified
+   */
+  async isNotModified(url, validators = {}, options = {}) {
+    const headers = {};
+    if (validators.etag) {
+      headers['If-None-Match'] = validators.etag;
+    }
+    if (validators.lastModified) {
+      headers['If-Modified-Since'] = validators.lastModified;
+    }
+    if (Object.keys(headers).length === 0) {
+      return false;
+    }
+    assertSafeUrl(url);
+
+    const client = axios.create({
+      timeout: options.timeout || 10000,
+      withCredentials: false,
+      headers: {
+        'User-Agent': options.userAgent ||
+          'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+        ...headers
+      },
+      maxRedirects: 0,
+      validateStatus: () => true,
+      ...safeRequestConfig()
+    });
+
+    try {
+      const response = await client.get(url);
+      return response.status === 304;
+    } catch (error) {
+      // Treat network failures as "changed" so the caller refetches
+      return false;
+    }
+  }
+
   /**
    * Detects if HTML content contains paywall indicators
    * @param {string} html - HTML content to check
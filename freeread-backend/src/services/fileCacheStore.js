@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_MAX_BYTES = 512 * 1024 * 1024;
+const DEFAULT_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * File Cache Store - Persists cache entries as JSON files on disk
+ * One file per key, named by the SHA-256 of the key
+ * Writes start a sweep (at most once per sweepIntervalMs) that deletes entries
+ * not written for maxAgeSeconds and keeps the directory under maxBytes.
+ */
+class FileCacheStore {
+  /**
+   * @param {string} directory - Directory to store cache files in (created on first write)
+   * @param {object} options - Eviction options
+   * @param {number} options.maxAgeSeconds - Delete entries not written for this long (default: never)
+   * @param {number} options.maxBytes - Size cap; the least recently written entries go first (default 512 MB)
+   * @param {number} options.sweepIntervalMs - Minimum time between sweeps (default 10 minutes)
+   */
+  constructor(directory, options = {}) {
+    this.directory = directory || path.join(__dirname, '../../cache');
+    this.maxAgeMs = options.maxAgeSeconds > 0 ? options.maxAgeSeconds * 1000 : null;
+    this.maxBytes = options.maxBytes > 0 ? options.maxBytes : DEFAULT_MAX_BYTES;
+    this.sweepIntervalMs = options.sweepIntervalMs ?? DEFAULT_SWEEP_INTERVAL_MS;
+    this.lastSweepAt = 0;
+    this.sweeping = null;
+  }
+
+  /**
+   * Gets file path for a cache key
+   * @private
+   */
+  filePath(key) {
+    const hash = crypto.createHash('sha256').update(key).digest('hex');
+    return path.join(this.directory, `${hash}.json`);
+  }
+
+  /**
+   * Reads an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<object|null>} - Entry or null if missing/unreadable
+   */
+  async get(key) {
+    try {
+      const raw = await fs.promises.readFile(this.filePath(key), 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      // Missing or corrupt entries are treated as cache misses
+      return null;
+    }
+  }
+
+  /**
+   * Writes an entry atomically (write to temp file, then rename)
+   * @param {string} key - Cache key
+   * @param {object} entry - Serializable entry
+   */
+  async set(key, entry) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    const target = this.filePath(key);
+    const temp = `${target}.${process.pid}.${Date.now()}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify(entry), 'utf8');
+    await fs.promises.rename(temp, target);
+    this.scheduleSweep();
+  }
+
+  /**
+   * Removes an entry
+   * @param {string} key - Cache key
+   */
+  async delete(key) {
+    await this.removeFile(this.filePath(key));
+  }
+
+  /**
+   * Deletes entries older than maxAgeSeconds, then the least recently written
+   * entries until the cache fits in maxBytes
+   * @returns {Promise<{removed: number, bytes: number}>} - Entries deleted and bytes left
+   */
+  async sweep() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.directory);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      return { removed: 0, bytes: 0 };
+    }
+
+    const files = [];
+    for (const name of names.filter(candidate => candidate.endsWith('.json'))) {
+      try {
+        const stats = await fs.promises.stat(path.join(this.directory, name));
+        files.push({ name, size: stats.size, mtimeMs: stats.mtimeMs });
+      } catch (error) {
+        // Deleted since readdir
+      }
+    }
+
+    // Oldest first, so expired entries come before any evicted for size
+    files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    const now = Date.now();
+    let bytes = files.reduce((total, file) => total + file.size, 0);
+    let removed = 0;
+    for (const file of files) {
+      const expired = this.maxAgeMs !== null && now - file.mtimeMs > this.maxAgeMs;
+      if (!expired && bytes <= this.maxBytes) {
+        break;
+      }
+      await this.removeFile(path.join(this.directory, file.name));
+      bytes -= file.size;
+      removed += 1;
+    }
+
+    return { removed, bytes };
+  }
+
+  /**
+   * Starts a background sweep when the last one is at least sweepIntervalMs old
+   * @private
+   */
+  scheduleSweep() {
+    const now = Date.now();
+    if (now - this.lastSweepAt < this.sweepIntervalMs) {
+      return;
+    }
+    this.lastSweepAt = now;
+    // A failed sweep only means the cache stays larger until the next one
+    this.sweeping = this.sweep().catch(() => null);
+  }
+
+  /**
+   * Deletes a file, ignoring files that are already gone
+   * @private
+   */
+  async removeFile(file) {
+    try {
+      await fs.promises.unlink(file);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = FileCacheStore;
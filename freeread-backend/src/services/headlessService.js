@@ -1,215 +1,223 @@
-const puppeteer = require('puppeteer');
-
+const BrowserPool = require('./browserPool');
+const RequestBlocker = require('./requestBlocker');
+const { assertPublicTarget } = require('../utils/urlSafety');
+const { resolveWaitConfig, waitForConditions, isChallengePage } = require('./waitConditions');
+
+/**
+ * Headless Service - Renders pages in a pooled headless browser
+ * Browsers are shared through BrowserPool; each fetch gets its own incognito context
+ */
 class HeadlessService {
+  /**
+   * @param {object} options - Service options
+   * @param {BrowserPool} options.pool - Browser pool (default: shared pool)
+   */
+  constructor(options = {}) {
+    this.pool = options.pool || BrowserPool.getDefault();
+  }
+
+  /**
+   * Renders a URL and returns the resulting HTML
+   * @param {string} url - URL to render
+   * @param {object} options - Options, see render()
+   * @returns {Promise<string>} - Rendered HTML
+   * @throws {Error} - If the browser cannot be acquired or navigation fails
+   */
   async fetchRenderedHtml(url, options = {}) {
-    const launchOptions = {
-      headless: 'new',
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu',
-        '--disable-blink-features=AutomationControlled',
-        '--disable-features=IsolateOrigins,site-per-process',
-        '--window-size=1920,1080'
-      ]
-    };
+    const result = await this.render(url, options);
+    return result.html;
+  }
 
+  /**
+   * Renders a URL and reports how the render went
+   * @param {string} url - URL to render
+   * @param {object} options - Options (timeout, userAgent, wait, blocking, signal)
+   * @param {object} options.wait - Render wait config, merged over the defaults (see waitConditions)
+   * @param {object} options.blocking - Request blocking config (see RequestBlocker)
+   * @param {AbortSignal} options.signal - Aborting closes the page and frees its pool slot
+   * @returns {Promise<{html: string, wait: object, requests: object}>}
+   *   wait: {met, durationMs, budgetMs, challenge, conditions, settle}; challenge is null unless
+   *   a bot protection page was shown ({met, durationMs, conditions})
+   *   requests: RequestBlocker report {enabled, blocked, allowed, bytesSaved, byType, byDomain}
+   * @throws {Error} - If the browser cannot be acquired, navigation fails or the URL
+   *   (or any redirect/subresource) targets an internal host
+   */
+  async render(url, options = {}) {
     const navigationTimeoutMs = options.timeout || 20000;
+    const wait = resolveWaitConfig(options.wait);
 
-    let browser;
     try {
-      browser = await puppeteer.launch(launchOptions);
-      const page = await browser.newPage();
-      
-      // Remove webdriver property to avoid detection
-      await page.evaluateOnNewDocument(() => {
-        Object.defineProperty(navigator, 'webdriver', {
-          get: () => false,
-        });
-      });
+      return await this.pool.withPage(
+        page => this.renderPage(page, url, { ...options, wait }, navigationTimeoutMs),
+        { signal: options.signal }
+      );
+    } catch (err) {
+      throw new Error(`Headless fetch failed: ${err.message}`);
+    }
+  }
 
-      // Set realistic viewport
-      await page.setViewport({ width: 1920, height: 1080 });
-      
-      await page.setUserAgent(options.userAgent || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-      await page.setExtraHTTPHeaders({
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'Connection': 'keep-alive',
-        'Upgrade-Insecure-Requests': '1',
-        'Sec-Fetch-Dest': 'document',
-        'Sec-Fetch-Mode': 'navigate',
-        'Sec-Fetch-Site': 'none',
-        'Cache-Control': 'max-age=0'
+  /**
+   * Navigates a pooled page and waits for the article to render
+   * @private
+   */
+  async renderPage(page, url, options, navigationTimeoutMs) {
+    // The wait budget covers everything from navigation on
+    const startedAt = Date.now();
+    const deadline = startedAt + options.wait.budgetMs;
+
+    // Refuse internal targets up front, then vet every request the page makes
+    // (redirect hops included); skip images, fonts, media and trackers
+    await assertPublicTarget(url);
+    const blocker = new RequestBlocker(options.blocking, { guard: assertPublicTarget });
+    await blocker.attach(page);
+
+    // Remove webdriver property to avoid detection
+    await page.evaluateOnNewDocument(() => {
+      Object.defineProperty(navigator, 'webdriver', {
+        get: () => false,
       });
+    });
+
+    // Set realistic viewport
+    await page.setViewport({ width: 1920, height: 1080 });
+    
+    await page.setUserAgent(options.userAgent || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+    await page.setExtraHTTPHeaders({
+      'Accept-Language': 'en-US,en;q=0.9',
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+      'Accept-Encoding': 'gzip, deflate, br',
+      'Connection': 'keep-alive',
+      'Upgrade-Insecure-Requests': '1',
+      'Sec-Fetch-Dest': 'document',
+      'Sec-Fetch-Mode': 'navigate',
+      'Sec-Fetch-Site': 'none',
+      'Cache-Control': 'max-age=0'
+    });
 
-      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: navigationTimeoutMs });
+    try {
+      const timeout = Math.max(1, Math.min(navigationTimeoutMs, deadline - Date.now()));
+      await page.goto(url, { waitUntil: 'domcontentloaded', timeout });
+    } catch (error) {
+      // A redirect to an internal host shows up as an aborted navigation
+      throw blocker.unsafeError || error;
+    }
 
-      // Check for bot protection/CAPTCHA
-      let initialContent = await page.content();
-      let hasBotProtection = initialContent.includes('captcha-delivery.com') || 
-                             initialContent.includes('cf-browser-verification') ||
-                             initialContent.includes('checking your browser') ||
-                             initialContent.includes('just a moment') ||
-                             initialContent.includes('DataDome CAPTCHA');
+    // Bot protection (DataDome can take 10-20 seconds) is waited out within the same budget
+    const challenge = isChallengePage(await page.content(), options.wait.challenge)
+      ? await waitForConditions(page, options.wait.challenge.conditions, deadline - Date.now())
+      : null;
 
-      if (hasBotProtection) {
-        // Wait for bot protection to complete (DataDome can take 10-20 seconds)
-        await new Promise(resolve => setTimeout(resolve, 15000));
-        
-        // Check if page has changed
-        try {
-          await page.waitForFunction(
-            () => {
-              const body = document.body;
-              return body && !body.innerHTML.includes('captcha-delivery.com') && body.innerHTML.length > 5000;
-            },
-            { timeout: 20000 }
-          );
-        } catch (e) {
-          // Page might not change, continue anyway
-        }
-        
-        // Try to wait for navigation
-        try {
-          await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 20000 });
-        } catch (e) {
-          // Navigation might not happen, continue anyway
-        }
-        
-        // Re-check content
-        initialContent = await page.content();
-        hasBotProtection = initialContent.includes('captcha-delivery.com') || 
-                          initialContent.includes('DataDome CAPTCHA');
+    // Wait for JavaScript to render, within the wait budget
+    const rendered = await waitForConditions(page, options.wait.conditions, deadline - Date.now());
+
+    // Try to remove paywall overlays and unlock content
+    try {
+      await page.evaluate(() => {
+        // Remove common paywall overlays
+        const paywallSelectors = [
+          '[class*="paywall"]',
+          '[id*="paywall"]',
+          '[data-module="paywall"]',
+          '.paywall-overlay',
+          '.subscription-wall',
+          '.article-lock'
+        ];
         
-        if (hasBotProtection) {
-          // Still has bot protection - try to interact with it
+        paywallSelectors.forEach(selector => {
           try {
-            // Try to find and interact with CAPTCHA iframe
-            const iframe = await page.$('iframe[title*="CAPTCHA"], iframe[src*="captcha"]');
-            if (iframe) {
-              // Switch to iframe and try to interact
-              const frame = await iframe.contentFrame();
-              if (frame) {
-                // Wait a bit more for CAPTCHA to load
-                await new Promise(resolve => setTimeout(resolve, 5000));
+            const elements = document.querySelectorAll(selector);
+            elements.forEach(el => {
+              if (el) {
+                el.style.display = 'none';
+                el.remove();
               }
-            }
-          } catch (e) {
-            // Iframe interaction failed, continue
+            });
+          } catch (e) {}
+        });
+
+        // Unlock article content by removing locked classes
+        const lockedElements = document.querySelectorAll('[class*="locked"], [class*="premium"], [class*="subscriber"]');
+        lockedElements.forEach(el => {
+          if (el) {
+            el.classList.remove('locked', 'premium', 'subscriber-only');
+            el.style.display = '';
           }
-        }
-      }
-
-      // Wait for JavaScript to render
-      await new Promise(resolve => setTimeout(resolve, 5000));
-
-      // Try to remove paywall overlays and unlock content
-      try {
-        await page.evaluate(() => {
-          // Remove common paywall overlays
-          const paywallSelectors = [
-            '[class*="paywall"]',
-            '[id*="paywall"]',
-            '[data-module="paywall"]',
-            '.paywall-overlay',
-            '.subscription-wall',
-            '.article-lock'
-          ];
-          
-          paywallSelectors.forEach(selector => {
-            try {
-              const elements = document.querySelectorAll(selector);
-              elements.forEach(el => {
-                if (el) {
-                  el.style.display = 'none';
-                  el.remove();
-                }
-              });
-            } catch (e) {}
-          });
-
-          // Unlock article content by removing locked classes
-          const lockedElements = document.querySelectorAll('[class*="locked"], [class*="premium"], [class*="subscriber"]');
-          lockedElements.forEach(el => {
-            if (el) {
-              el.classList.remove('locked', 'premium', 'subscriber-only');
-              el.style.display = '';
-            }
-          });
-
-          // Try to click "Continue reading" or similar buttons
-          const continueButtons = [
-            'button:contains("Continue reading")',
-            'button:contains("Read more")',
-            'a:contains("Continue reading")',
-            '[data-testid*="continue"]',
-            '[class*="continue-reading"]'
-          ];
-          
-          continueButtons.forEach(selector => {
-            try {
-              const buttons = Array.from(document.querySelectorAll('button, a')).filter(el => 
-                el.textContent && el.textContent.toLowerCase().includes('continue')
-              );
-              buttons.forEach(btn => {
-                if (btn) {
-                  btn.click();
-                }
-              });
-            } catch (e) {}
-          });
         });
-      } catch (e) {
-        // Continue even if paywall removal fails
-      }
-
-      // Wait a bit more for content to unlock
-      await new Promise(resolve => setTimeout(resolve, 2000));
-
-      // Scroll to trigger lazy loading
-      try {
-        await page.evaluate(async () => {
-          await new Promise((resolve) => {
-            let total = 0;
-            const step = () => {
-              const { scrollHeight } = document.documentElement;
-              window.scrollBy(0, 500);
-              total += 500;
-              if (total < scrollHeight * 1.5) {
-                setTimeout(step, 200);
-              } else {
-                resolve();
+
+        // Try to click "Continue reading" or similar buttons
+        const continueButtons = [
+          'button:contains("Continue reading")',
+          'button:contains("Read more")',
+          'a:contains("Continue reading")',
+          '[data-testid*="continue"]',
+          '[class*="continue-reading"]'
+        ];
+        
+        continueButtons.forEach(selector => {
+          try {
+            const buttons = Array.from(document.querySelectorAll('button, a')).filter(el => 
+              el.textContent && el.textContent.toLowerCase().includes('continue')
+            );
+            buttons.forEach(btn => {
+              if (btn) {
+                btn.click();
               }
-            };
-            step();
-          });
+            });
+          } catch (e) {}
         });
-      } catch (_) {}
+      });
+    } catch (e) {
+      // Continue even if paywall removal fails
+    }
 
-      // Wait for article content to load
-      await new Promise(resolve => setTimeout(resolve, 2000));
+    // Scroll to trigger lazy loading
+    if (options.wait.scroll) {
+      await this.scrollPage(page, deadline);
+    }
 
-      // Try to wait for article content specifically
-      try {
-        await page.waitForSelector('article, [data-testid="article-body"], section[name="articleBody"], main article, .wsj-article-body, .article-body, [class*="article-body"], p', { timeout: 10000 });
-      } catch (_) {}
+    // Let unlocked and lazy-loaded content settle
+    const settled = await waitForConditions(page, options.wait.settle, deadline - Date.now());
+
+    // Try to extract content even if paywall is present
+    const html = await page.content();
+    return {
+      html,
+      wait: {
+        met: rendered.met && settled.met && (!challenge || challenge.met),
+        durationMs: Date.now() - startedAt,
+        budgetMs: options.wait.budgetMs,
+        challenge,
+        conditions: rendered.conditions,
+        settle: settled.conditions
+      },
+      requests: blocker.getReport()
+    };
+  }
 
-      // Try to extract content even if paywall is present
-      const html = await page.content();
-      return html;
-    } catch (err) {
-      throw new Error(`Headless fetch failed: ${err.message}`);
-    } finally {
-      if (browser) {
-        try { await browser.close(); } catch (_) {}
-      }
-    }
+  /**
+   * Scrolls to the bottom of the page, stopping at the deadline
+   * @private
+   */
+  async scrollPage(page, deadline) {
+    try {
+      await page.evaluate(async (stopAt) => {
+        await new Promise((resolve) => {
+          let total = 0;
+          const step = () => {
+            const { scrollHeight } = document.documentElement;
+            window.scrollBy(0, 500);
+            total += 500;
+            if (total < scrollHeight * 1.5 && Date.now() < stopAt) {
+              setTimeout(step, 200);
+            } else {
+              resolve();
+            }
+          };
+          step();
+        });
+      }, deadline);
+    } catch (_) {}
   }
 }
 
 module.exports = HeadlessService;
-
-
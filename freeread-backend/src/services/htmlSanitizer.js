@@ -0,0 +1,228 @@
+const { JSDOM } = require('jsdom');
+
+/**
+ * Tags kept in article HTML; anything else is unwrapped (its content kept)
+ */
+const DEFAULT_TAGS = [
+  'article', 'section', 'header', 'div', 'span', 'p', 'br', 'hr',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'ul', 'ol', 'li', 'dl', 'dt', 'dd',
+  'blockquote', 'q', 'cite', 'pre', 'code', 'kbd', 'samp', 'var',
+  'a', 'em', 'strong', 'b', 'i', 'u', 's', 'sub', 'sup', 'small', 'mark', 'abbr', 'time', 'ins', 'del',
+  'figure', 'figcaption', 'picture', 'source', 'img',
+  'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'colgroup', 'col'
+];
+
+/**
+ * Attributes kept per tag; '*' applies to every tag
+ */
+const DEFAULT_ATTRIBUTES = {
+  '*': ['class', 'title', 'lang', 'dir'],
+  a: ['href'],
+  img: ['src', 'srcset', 'sizes', 'alt', 'width', 'height'],
+  source: ['srcset', 'sizes', 'type', 'media'],
+  blockquote: ['cite'],
+  q: ['cite'],
+  ins: ['cite', 'datetime'],
+  del: ['cite', 'datetime'],
+  time: ['datetime'],
+  ol: ['start', 'reversed', 'type'],
+  li: ['value'],
+  th: ['colspan', 'rowspan', 'scope'],
+  td: ['colspan', 'rowspan'],
+  col: ['span'],
+  colgroup: ['span']
+};
+
+/**
+ * Removed with their content whatever the allowlist says: script and style
+ * content is never article text, and SVG/MathML/noscript/template parse
+ * differently in browsers (mutation XSS)
+ */
+const DROPPED_TAGS = [
+  'script', 'style', 'noscript', 'template', 'svg', 'math', 'iframe', 'frame', 'frameset', 'object', 'embed',
+  'applet', 'base', 'meta', 'link', 'title', 'head', 'form', 'input', 'button', 'select', 'option', 'textarea'
+];
+
+/**
+ * Attributes holding URLs; they are made absolute and must use an allowed scheme
+ */
+const URL_ATTRIBUTES = ['href', 'src', 'cite', 'poster', 'action', 'formaction', 'background', 'longdesc'];
+const SRCSET_ATTRIBUTES = ['srcset'];
+
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+/**
+ * HTML Sanitizer - Allowlist sanitizer for extracted article HTML
+ *
+ * Article HTML comes from publishers (and archives) and is shown with innerHTML,
+ * so everything ContentProcessor returns is passed through here:
+ *   - tags outside the allowlist are unwrapped; DROPPED_TAGS are removed with their content
+ *   - attributes outside the allowlist, event handlers (on*) and style are removed
+ *   - URLs are made absolute; only http(s) (and mailto: for links) survive
+ *   - links get rel="noopener noreferrer"
+ *   - comments are removed
+ *
+ * Config (every field optional; lists replace the defaults, so extend
+ * HtmlSanitizer.DEFAULT_TAGS / DEFAULT_ATTRIBUTES rather than repeating them):
+ * {
+ *   tags: ['p', 'a', ...],
+ *   attributes: { '*': ['class'], a: ['href'], ... }
+ * }
+ * Event handlers and DROPPED_TAGS cannot be allowed.
+ */
+class HtmlSanitizer {
+  /**
+   * @param {object} config - Allowlist config
+   */
+  constructor(config = {}) {
+    this.tags = new Set((config.tags || DEFAULT_TAGS).map(tag => tag.toLowerCase()));
+    this.attributes = config.attributes || DEFAULT_ATTRIBUTES;
+  }
+
+  /**
+   * Creates a sanitizer configured from environment variables
+   *   SANITIZER_ALLOW_TAGS       - Comma-separated tags allowed on top of the defaults (e.g. 'video,details')
+   *   SANITIZER_ALLOW_ATTRIBUTES - Comma-separated tag:attribute pairs allowed on top of the defaults
+   *                                (e.g. 'img:loading,*:id')
+   * @param {object} env - Environment (default: process.env)
+   * @returns {HtmlSanitizer}
+   */
+  static fromEnv(env = process.env) {
+    const tags = splitList(env.SANITIZER_ALLOW_TAGS);
+    const attributes = { ...DEFAULT_ATTRIBUTES };
+    splitList(env.SANITIZER_ALLOW_ATTRIBUTES).forEach((pair) => {
+      const [tag, attribute] = pair.split(':').map(part => part.trim().toLowerCase());
+      if (tag && attribute) {
+        attributes[tag] = [...(attributes[tag] || []), attribute];
+      }
+    });
+    return new HtmlSanitizer({ tags: [...DEFAULT_TAGS, ...tags], attributes });
+  }
+
+  /**
+   * Sanitizes an HTML fragment
+   * @param {string} html - Untrusted HTML
+   * @param {string} baseUrl - Page URL, for making relative URLs absolute
+   * @returns {string} - Sanitized HTML
+   */
+  sanitize(html, baseUrl) {
+    if (!html || typeof html !== 'string') {
+      return '';
+    }
+
+    const { document } = new JSDOM('<!DOCTYPE html><body></body>').window;
+    const container = document.createElement('div');
+    container.innerHTML = html;
+    this.sanitizeChildren(container, baseUrl);
+    return container.innerHTML;
+  }
+
+  /**
+   * @private
+   */
+  sanitizeChildren(parent, baseUrl) {
+    Array.from(parent.childNodes).forEach((node) => {
+      if (node.nodeType === 3) {
+        return;
+      }
+      if (node.nodeType !== 1) {
+        node.remove(); // Comments, processing instructions
+        return;
+      }
+
+      const tag = node.localName.toLowerCase();
+      if (node.namespaceURI !== HTML_NAMESPACE || DROPPED_TAGS.includes(tag)) {
+        node.remove();
+        return;
+      }
+
+      this.sanitizeChildren(node, baseUrl);
+      if (!this.tags.has(tag)) {
+        node.replaceWith(...Array.from(node.childNodes));
+        return;
+      }
+      this.sanitizeAttributes(node, tag, baseUrl);
+      if (tag === 'img' && !node.hasAttribute('src') && !node.hasAttribute('srcset')) {
+        node.remove();
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  sanitizeAttributes(element, tag, baseUrl) {
+    const allowed = [...(this.attributes['*'] || []), ...(this.attributes[tag] || [])];
+
+    Array.from(element.attributes).forEach(({ name, value }) => {
+      const attribute = name.toLowerCase();
+      if (attribute.startsWith('on') || attribute === 'style' || !allowed.includes(attribute)) {
+        element.removeAttribute(name);
+        return;
+      }
+
+      let safe = value;
+      if (URL_ATTRIBUTES.includes(attribute)) {
+        safe = safeUrl(value, baseUrl, tag === 'a' && attribute === 'href');
+      } else if (SRCSET_ATTRIBUTES.includes(attribute)) {
+        safe = safeSrcset(value, baseUrl);
+      }
+      if (safe === null) {
+        element.removeAttribute(name);
+      } else if (safe !== value) {
+        element.setAttribute(name, safe);
+      }
+    });
+
+    if (tag === 'a' && element.hasAttribute('href')) {
+      element.setAttribute('rel', 'noopener noreferrer');
+    }
+  }
+}
+
+/**
+ * Absolute http(s) URL (mailto: too for links); in-page #fragments are kept as they are
+ * @private
+ * @returns {string|null} - null if the URL is unsafe or unusable
+ */
+function safeUrl(value, baseUrl, allowMailto) {
+  const trimmed = String(value).trim();
+  if (/^#[^\s]*$/.test(trimmed)) {
+    return trimmed;
+  }
+  try {
+    const url = baseUrl ? new URL(trimmed, baseUrl) : new URL(trimmed);
+    if (url.protocol === 'http:' || url.protocol === 'https:' || (allowMailto && url.protocol === 'mailto:')) {
+      return url.href;
+    }
+  } catch (error) {
+    // Unparsable URLs are dropped
+  }
+  return null;
+}
+
+/**
+ * srcset with every candidate made safe; unsafe candidates are dropped
+ * @private
+ */
+function safeSrcset(value, baseUrl) {
+  const candidates = String(value).split(/,\s+/).map((candidate) => {
+    const [url, ...descriptors] = candidate.trim().split(/\s+/);
+    const safe = url ? safeUrl(url, baseUrl, false) : null;
+    return safe && !safe.startsWith('#') ? [safe, ...descriptors].join(' ') : null;
+  }).filter(Boolean);
+  return candidates.length > 0 ? candidates.join(', ') : null;
+}
+
+/**
+ * @private
+ */
+function splitList(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+HtmlSanitizer.DEFAULT_TAGS = DEFAULT_TAGS;
+HtmlSanitizer.DEFAULT_ATTRIBUTES = DEFAULT_ATTRIBUTES;
+
+module.exports = HtmlSanitizer;
@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const { createApiError, toErrorResponse } = require('../utils/apiError');
+
+const TERMINAL_STATUSES = ['completed', 'failed'];
+
+/**
+ * Job Queue - Runs long fetches in the background with bounded concurrency
+ * Jobs live in memory. Each job keeps an ordered event log so clients can poll
+ * its status or replay/stream progress (see GET /api/jobs/:id/events).
+ * A job belongs to the API key that enqueued it: results may hold articles
+ * fetched with that key's subscription session, so other keys cannot see it.
+ * Queued (not yet running) jobs are capped per API key and in total.
+ *
+ * Job events: {id, type, data, timestamp}
+ *   queued, running, progress, completed (data.result), failed (data.error)
+ */
+class JobQueue {
+  /**
+   * @param {object} options - Queue options
+   * @param {number} options.concurrency - Max jobs running at once (default 2)
+   * @param {number} options.retentionMs - How long finished jobs are kept (default 1 hour)
+   * @param {number} options.maxPending - Max queued jobs in total (default 100)
+   * @param {number} options.maxPendingPerKey - Max queued jobs per API key (default 10)
+   */
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || 2;
+    this.retentionMs = options.retentionMs || 60 * 60 * 1000;
+    this.maxPending = options.maxPending || 100;
+    this.maxPendingPerKey = options.maxPendingPerKey || 10;
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+  }
+
+  /**
+   * Enqueues work
+   * @param {string} type - Job type (e.g. 'fetch')
+   * @param {object} input - Job input, stored on the job for status reporting
+   * @param {function(function(object)): Promise<object>} work - Receives a progress reporter, resolves with the result
+   * @param {object} options - Job options
+   * @param {string} options.apiKeyId - Id of the API key the job belongs to (default: none, auth disabled)
+   * @returns {object} - Public view of the new job
+   * @throws {Error} - TOO_MANY_JOBS (429) if the key has maxPendingPerKey jobs queued,
+   *   QUEUE_FULL (503) if maxPending jobs are queued in total
+   */
+  enqueue(type, input, work, options = {}) {
+    const apiKeyId = options.apiKeyId || null;
+    this.assertCapacity(apiKeyId);
+
+    const job = {
+      id: crypto.randomUUID(),
+      apiKeyId,
+      type,
+      input,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      events: [],
+      listeners: new Set(),
+      work
+    };
+
+    this.jobs.set(job.id, job);
+    this.emit(job, 'queued', {});
+    this.pending.push(job);
+    this.drain();
+    return this.toJSON(job);
+  }
+
+  /**
+   * Gets a job's public view
+   * @param {string} id - Job id
+   * @param {string} apiKeyId - Id of the requesting API key (default: none, auth disabled)
+   * @returns {object|null} - Job or null if unknown/expired or owned by another key
+   */
+  get(id, apiKeyId = null) {
+    const job = this.find(id, apiKeyId);
+    return job ? this.toJSON(job) : null;
+  }
+
+  /**
+   * Gets events recorded after a given event id
+   * @param {string} id - Job id
+   * @param {number} afterEventId - Last event id the client has seen (default: none)
+   * @param {string} apiKeyId - Id of the requesting API key (default: none, auth disabled)
+   * @returns {Array<object>} - Events in order
+   */
+  getEvents(id, afterEventId = 0, apiKeyId = null) {
+    const job = this.find(id, apiKeyId);
+    if (!job) {
+      return [];
+    }
+    return job.events.filter(event => event.id > afterEventId);
+  }
+
+  /**
+   * Subscribes to new events for a job
+   * @param {string} id - Job id
+   * @param {function(object)} listener - Called with each new event
+   * @param {string} apiKeyId - Id of the requesting API key (default: none, auth disabled)
+   * @returns {function()} - Unsubscribe function
+   */
+  subscribe(id, listener, apiKeyId = null) {
+    const job = this.find(id, apiKeyId);
+    if (!job) {
+      return () => {};
+    }
+    job.listeners.add(listener);
+    return () => job.listeners.delete(listener);
+  }
+
+  /**
+   * Checks whether a job status is final
+   * @param {string} status - Job status
+   * @returns {boolean}
+   */
+  static isFinished(status) {
+    return TERMINAL_STATUSES.includes(status);
+  }
+
+  /**
+   * Refuses new jobs once the key's or the whole queue's backlog is full
+   * Only queued jobs count; running ones are already bounded by concurrency.
+   * @private
+   */
+  assertCapacity(apiKeyId) {
+    const queuedForKey = this.pending.filter(job => job.apiKeyId === apiKeyId).length;
+    if (queuedForKey >= this.maxPendingPerKey) {
+      throw createApiError('TOO_MANY_JOBS', `At most ${this.maxPendingPerKey} jobs can wait per API key; wait for some to start`, 429, {
+        maxPendingPerKey: this.maxPendingPerKey
+      });
+    }
+    if (this.pending.length >= this.maxPending) {
+      throw createApiError('QUEUE_FULL', 'The job queue is full, try again later', 503, { maxPending: this.maxPending });
+    }
+  }
+
+  /**
+   * Job with an id, if it belongs to the API key
+   * @private
+   */
+  find(id, apiKeyId) {
+    const job = this.jobs.get(id);
+    return job && job.apiKeyId === (apiKeyId || null) ? job : null;
+  }
+
+  /**
+   * Starts queued jobs while below the concurrency limit
+   * @private
+   */
+  drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      this.run(job);
+    }
+  }
+
+  /**
+   * Runs a single job and records its outcome
+   * @private
+   */
+  async run(job) {
+    this.running++;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this.emit(job, 'running', {});
+
+    try {
+      const result = await job.work((progress) => this.emit(job, 'progress', progress));
+      job.status = 'completed';
+      job.result = result;
+      this.emit(job, 'completed', { result });
+    } catch (error) {
+      job.status = 'failed';
+      job.error = toErrorResponse(error).error;
+      this.emit(job, 'failed', { error: job.error });
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      job.work = null;
+      this.running--;
+      this.scheduleRemoval(job);
+      this.drain();
+    }
+  }
+
+  /**
+   * Records an event and notifies subscribers
+   * @private
+   */
+  emit(job, type, data) {
+    const event = {
+      id: job.events.length + 1,
+      type,
+      data,
+      timestamp: new Date().toISOString()
+    };
+    job.events.push(event);
+
+    for (const listener of job.listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        // A broken subscriber must not affect the job
+      }
+    }
+  }
+
+  /**
+   * Forgets a finished job after the retention period
+   * @private
+   */
+  scheduleRemoval(job) {
+    const timer = setTimeout(() => this.jobs.delete(job.id), this.retentionMs);
+    if (timer.unref) {
+      timer.unref();
+    }
+  }
+
+  /**
+   * Public job representation (no listeners or work function)
+   * @private
+   */
+  toJSON(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      input: job.input,
+      status: job.status,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      progress: job.events.filter(event => event.type === 'progress').map(event => event.data),
+      result: job.result,
+      error: job.error
+    };
+  }
+}
+
+module.exports = JobQueue;
@@ -0,0 +1,80 @@
+const DEFAULT_MAX_ENTRIES = 1000;
+
+/**
+ * Memory Cache Store - Keeps cache entries in process memory
+ * Entries are lost on restart; useful for tests and single-process development
+ * Entries not written for maxAgeSeconds are dropped, and past maxEntries the
+ * least recently written entries go first.
+ */
+class MemoryCacheStore {
+  /**
+   * @param {object} options - Eviction options
+   * @param {number} options.maxAgeSeconds - Drop entries not written for this long (default: never)
+   * @param {number} options.maxEntries - Max entries kept (default 1000)
+   */
+  constructor(options = {}) {
+    this.maxAgeMs = options.maxAgeSeconds > 0 ? options.maxAgeSeconds * 1000 : null;
+    this.maxEntries = options.maxEntries > 0 ? options.maxEntries : DEFAULT_MAX_ENTRIES;
+    // Map order is write order: set() re-inserts, so the oldest write is always first
+    this.entries = new Map();
+  }
+
+  /**
+   * Reads an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<object|null>} - Entry or null if missing or expired
+   */
+  async get(key) {
+    const stored = this.entries.get(key);
+    if (!stored) {
+      return null;
+    }
+    if (this.isExpired(stored, Date.now())) {
+      this.entries.delete(key);
+      return null;
+    }
+    return stored.entry;
+  }
+
+  /**
+   * Writes an entry, evicting expired and excess entries
+   * @param {string} key - Cache key
+   * @param {object} entry - Entry to store
+   */
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, { entry, writtenAt: Date.now() });
+    this.evict();
+  }
+
+  /**
+   * Removes an entry
+   * @param {string} key - Cache key
+   */
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Drops expired entries, then the oldest until at most maxEntries remain
+   * @private
+   */
+  evict() {
+    const now = Date.now();
+    for (const [key, stored] of this.entries) {
+      if (!this.isExpired(stored, now) && this.entries.size <= this.maxEntries) {
+        break;
+      }
+      this.entries.delete(key);
+    }
+  }
+
+  /**
+   * @private
+   */
+  isExpired(stored, now) {
+    return this.maxAgeMs !== null && now - stored.writtenAt > this.maxAgeMs;
+  }
+}
+
+module.exports = MemoryCacheStore;
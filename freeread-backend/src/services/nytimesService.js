@@ -1,21 +1,57 @@
 const CookieService = require('./cookieService');
 const SearchEngineService = require('./searchEngineService');
 const HeadlessService = require('./headlessService');
+const StrategyPipeline = require('./strategyPipeline');
 
 /**
  * NYTimes Service - Handles NYTimes-specific article fetching
  * Uses multiple methods to bypass NYT's paywall
  */
 class NYTimesService {
-  constructor() {
+  /**
+   * @param {object} options - Service options
+   * @param {Array<string>} options.strategies - Ordered strategy names to try
+   * @param {object} options.headless - HeadlessService options for this site (e.g. wait conditions)
+   * @param {object} options.share - Share-link parameters {access, tracking}, used by gift-link and cookie-clearing
+   */
+  constructor(options = {}) {
+    this.strategies = options.strategies || ['subscription', 'gift-link', 'cookie-clearing', 'search-engine', 'headless'];
+    this.headlessOptions = options.headless || {};
+    this.share = options.share || {};
     this.cookieService = new CookieService();
     this.searchEngineService = new SearchEngineService();
     this.headlessService = new HeadlessService();
+    this.pipeline = new StrategyPipeline({
+      label: 'NYT',
+      strategies: this.buildStrategies(),
+      hasPaywall: (html) => this.hasPaywall(html)
+    });
+  }
+
+  /**
+   * Builds pipeline strategies for the configured strategy names
+   * @private
+   */
+  buildStrategies() {
+    const definitions = {
+      ...StrategyPipeline.pageStrategies({
+        cookieService: this.cookieService,
+        searchEngineService: this.searchEngineService,
+        share: this.share
+      }),
+      // If headless produced HTML, return it and let extraction decide
+      'headless': {
+        fn: (url, options) => this.tryHeadless(url, options),
+        accept: { allowPaywall: true, allowJsBlock: true }
+      }
+    };
+
+    return StrategyPipeline.select(this.strategies, definitions);
   }
 
   /**
    * Fetches article from NYTimes with paywall bypass
-   * Tries multiple methods: cookie clearing -> search engine referrer
+   * Tries the configured strategies in order (default: own subscription -> gift link -> cookie clearing -> search engine -> headless)
    * 
    * @param {string} url - NYT article URL
    * @param {object} options - Fetch options (timeout, userAgent, etc.)
@@ -23,62 +59,19 @@ class NYTimesService {
    * @throws {Error} - If all methods fail or paywall detected
    */
   async fetchArticle(url, options = {}) {
-    const methods = [
-      { name: 'cookie-clearing', fn: () => this.tryCookieClearing(url, options) },
-      { name: 'search-engine', fn: () => this.trySearchEngine(url, options) },
-      { name: 'headless', fn: () => this.tryHeadless(url, options) }
-    ];
-
-    let lastError = null;
-
-    for (const method of methods) {
-      try {
-        const html = await method.fn();
-        const isEmpty = !html || typeof html !== 'string' || html.length === 0;
-        const jsBlock = html && html.toLowerCase().includes('please enable js');
-        const isPaywalled = html && this.hasPaywall(html);
-
-        // If headless produced HTML, return it and let extraction decide.
-        if (method.name === 'headless' && !isEmpty) {
-          return html;
-        }
-
-        if (!isEmpty && !jsBlock && !isPaywalled) {
-          return html;
-        }
-
-        lastError = new Error(
-          isEmpty
-            ? `Empty HTML received (method: ${method.name})`
-            : jsBlock
-              ? `JS rendering required (method: ${method.name})`
-              : `Paywall detected (method: ${method.name})`
-        );
-      } catch (error) {
-        lastError = error;
-        continue; // Try next method
-      }
-    }
-
-    // All methods failed
-    throw new Error(`NYT fetch failed: ${lastError?.message || 'All methods failed'}`);
-  }
-
-  /**
-   * Try cookie clearing method
-   * @private
-   */
-  async tryCookieClearing(url, options) {
-    return await this.cookieService.fetchWithClearedCookies(url, options);
+    const result = await this.fetchArticleResult(url, options);
+    return result.html;
   }
 
   /**
-   * Try search engine referrer method
-   * @private
+   * Fetches article and reports which strategy succeeded
+   * @param {string} url - NYT article URL
+   * @param {object} options - Fetch options
+   * @returns {Promise<{html: string, strategy: string, attempts: Array<object>, headers: object}>}
+   * @throws {Error} - If all methods fail; error.attempts holds the attempt log
    */
-  async trySearchEngine(url, options) {
-    const result = await this.searchEngineService.fetchWithSearchReferrer(url, options);
-    return result.html;
+  async fetchArticleResult(url, options = {}) {
+    return await this.pipeline.run(url, options);
   }
 
   /**
@@ -86,7 +79,8 @@ class NYTimesService {
    * @private
    */
   async tryHeadless(url, options) {
-    return await this.headlessService.fetchRenderedHtml(url, options);
+    const result = await this.headlessService.render(url, { ...this.headlessOptions, ...options });
+    return { html: result.html, details: { wait: result.wait, requests: result.requests } };
   }
 
   /**
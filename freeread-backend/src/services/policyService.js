@@ -0,0 +1,297 @@
+const fs = require('fs');
+const axios = require('axios');
+const { getDomain, matchesDomain } = require('../utils/urlUtils');
+const { createApiError } = require('../utils/apiError');
+const { safeRequestConfig } = require('../utils/urlSafety');
+const { parseRobotsTxt, isAllowedByRobots } = require('../utils/robotsTxt');
+
+// Directives that take a value, so "name: value" in X-Robots-Tag is not a user-agent scope
+const VALUE_DIRECTIVES = ['max-snippet', 'max-image-preview', 'max-video-preview', 'unavailable_after'];
+
+/**
+ * Policy Service - Decides whether we may fetch and serve a publisher's page
+ *
+ * Before fetching:
+ *   1. Local publisher denylist (POLICY_DENYLIST / POLICY_DENYLIST_FILE)
+ *   2. The site's robots.txt, for our user agent (cached per origin)
+ * After fetching:
+ *   3. noarchive in X-Robots-Tag headers or robots meta tags
+ *
+ * Site adapters can override checks with adapter.policy:
+ *   { robots: false }    - Do not consult robots.txt for this site
+ *   { noarchive: false } - Ignore noarchive signals for this site
+ * Every decision lists the checks that ran, so it can be audited (GET /api/policy).
+ */
+class PolicyService {
+  /**
+   * @param {object} options - Policy options
+   * @param {boolean} options.enabled - Set false to allow everything (default true)
+   * @param {string} options.userAgent - Product token matched in robots.txt (default 'FreeRead')
+   * @param {Array<string>} options.denylist - Publisher domains we never fetch
+   * @param {number} options.cacheTtlMs - How long robots.txt is cached (default 1 hour)
+   * @param {function(string): Promise<{statusCode: number, body: string}>} options.fetchRobots - robots.txt loader
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.userAgent = options.userAgent || 'FreeRead';
+    this.denylist = options.denylist || [];
+    this.cacheTtlMs = options.cacheTtlMs || 60 * 60 * 1000;
+    this.fetchRobots = options.fetchRobots || (robotsUrl => this.downloadRobots(robotsUrl));
+    this.robotsCache = new Map();
+  }
+
+  /**
+   * Creates a policy configured from environment variables
+   *   POLICY_ENFORCEMENT  - 'off' disables all checks (default: on)
+   *   POLICY_DENYLIST     - Comma-separated publisher domains
+   *   POLICY_DENYLIST_FILE - JSON file with an array of domains (or {domains: [...]})
+   *   ROBOTS_USER_AGENT   - Product token for robots.txt (default 'FreeRead')
+   *   ROBOTS_CACHE_TTL_SECONDS - robots.txt cache lifetime (default 3600)
+   * @param {object} env - Environment (default: process.env)
+   * @returns {PolicyService}
+   */
+  static fromEnv(env = process.env) {
+    const denylist = (env.POLICY_DENYLIST || '').split(',').map(domain => domain.trim()).filter(Boolean);
+    if (env.POLICY_DENYLIST_FILE) {
+      const data = JSON.parse(fs.readFileSync(env.POLICY_DENYLIST_FILE, 'utf8'));
+      denylist.push(...(Array.isArray(data) ? data : data.domains || []));
+    }
+
+    const ttlSeconds = parseInt(env.ROBOTS_CACHE_TTL_SECONDS, 10);
+    return new PolicyService({
+      enabled: env.POLICY_ENFORCEMENT !== 'off',
+      userAgent: env.ROBOTS_USER_AGENT,
+      denylist,
+      cacheTtlMs: ttlSeconds > 0 ? ttlSeconds * 1000 : undefined
+    });
+  }
+
+  /**
+   * Evaluates the pre-fetch policy for a URL
+   * @param {string} url - Article URL
+   * @param {object} adapter - Site adapter (for adapter.policy overrides)
+   * @returns {Promise<object>} - {allowed, reason, message, domain, checks}
+   *   reason: null, 'denylist' or 'robots'
+   *   checks: {denylist: {listed}, robots: {skipped, status, allowed, group, rule, fetchedAt}}
+   */
+  async check(url, adapter = {}) {
+    const overrides = adapter.policy || {};
+    const domain = getDomain(url);
+    const decision = {
+      allowed: true,
+      reason: null,
+      message: null,
+      domain,
+      userAgent: this.userAgent,
+      overrides,
+      checks: {}
+    };
+
+    if (!this.enabled) {
+      decision.checks.enforcement = 'off';
+      return decision;
+    }
+
+    const listed = matchesDomain(url, this.denylist);
+    decision.checks.denylist = { listed };
+    if (listed) {
+      return this.block(decision, 'denylist', `${domain} has opted out of FreeRead`);
+    }
+
+    if (overrides.robots === false) {
+      decision.checks.robots = { skipped: true };
+      return decision;
+    }
+
+    const robots = await this.getRobots(url);
+    const verdict = robots.disallowAll
+      ? { allowed: false, group: null, rule: null }
+      : isAllowedByRobots(robots.groups, this.userAgent, url);
+    decision.checks.robots = {
+      skipped: false,
+      status: robots.status,
+      allowed: verdict.allowed,
+      group: verdict.group,
+      rule: verdict.rule,
+      fetchedAt: new Date(robots.fetchedAt).toISOString()
+    };
+
+    if (!verdict.allowed) {
+      const why = robots.disallowAll
+        ? `robots.txt for ${domain} is unavailable (${robots.status})`
+        : `robots.txt for ${domain} disallows this path for ${this.userAgent}`;
+      return this.block(decision, 'robots', why);
+    }
+    return decision;
+  }
+
+  /**
+   * Throws unless the pre-fetch policy allows the URL
+   * @param {string} url - Article URL
+   * @param {object} adapter - Site adapter
+   * @returns {Promise<object>} - The decision
+   * @throws {Error} - POLICY_BLOCKED api error (403)
+   */
+  async assertAllowed(url, adapter = {}) {
+    const decision = await this.check(url, adapter);
+    if (!decision.allowed) {
+      throw this.toError(decision);
+    }
+    return decision;
+  }
+
+  /**
+   * Throws if a fetched page asks not to be archived
+   * @param {string} url - Article URL
+   * @param {object} response - {html, headers} from the winning strategy
+   * @param {object} adapter - Site adapter
+   * @throws {Error} - POLICY_BLOCKED api error (403) with reason 'noarchive'
+   */
+  assertResponseAllowed(url, response = {}, adapter = {}) {
+    const overrides = adapter.policy || {};
+    if (!this.enabled || overrides.noarchive === false) {
+      return;
+    }
+
+    const source = this.findNoArchive(response.headers || {}, response.html || '');
+    if (source) {
+      const decision = this.block(
+        { allowed: true, domain: getDomain(url), userAgent: this.userAgent, overrides, checks: { noarchive: { source } } },
+        'noarchive',
+        `${getDomain(url)} marks this page noarchive (${source})`
+      );
+      throw this.toError(decision);
+    }
+  }
+
+  /**
+   * Forgets cached robots.txt rules
+   */
+  clearCache() {
+    this.robotsCache.clear();
+  }
+
+  /**
+   * Finds a noarchive signal that applies to us
+   * @private
+   * @returns {string|null} - 'X-Robots-Tag' or 'meta robots' / 'meta <ua>', or null
+   */
+  findNoArchive(headers, html) {
+    const headerValue = Object.entries(headers)
+      .filter(([name]) => name.toLowerCase() === 'x-robots-tag')
+      .map(([, value]) => (Array.isArray(value) ? value.join(', ') : String(value)))
+      .join(', ');
+    if (headerValue && this.headerHasNoArchive(headerValue)) {
+      return 'X-Robots-Tag';
+    }
+
+    const token = this.userAgent.toLowerCase();
+    const metaTags = html.match(/<meta\b[^>]*>/gi) || [];
+    for (const tag of metaTags) {
+      const name = (this.attribute(tag, 'name') || '').toLowerCase();
+      if (name !== 'robots' && name !== token) {
+        continue;
+      }
+      const directives = (this.attribute(tag, 'content') || '').toLowerCase().split(',').map(d => d.trim());
+      if (directives.includes('noarchive')) {
+        return `meta ${name}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Parses X-Robots-Tag, honouring "useragent: directives" scoping
+   * @private
+   */
+  headerHasNoArchive(value) {
+    const token = this.userAgent.toLowerCase();
+    let scope = null;
+
+    return value.split(',').some((segment) => {
+      let directive = segment.trim().toLowerCase();
+      const scoped = directive.match(/^([a-z0-9_-]+)\s*:\s*(.*)$/);
+      if (scoped && !VALUE_DIRECTIVES.includes(scoped[1])) {
+        scope = scoped[1];
+        directive = scoped[2].trim();
+      }
+      return directive === 'noarchive' && (scope === null || scope === token);
+    });
+  }
+
+  /**
+   * @private
+   */
+  attribute(tag, name) {
+    const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+    return match ? (match[1] ?? match[2] ?? match[3]) : null;
+  }
+
+  /**
+   * Gets robots.txt rules for the URL's origin, from cache when fresh
+   * Per RFC 9309: 4xx means no restrictions; 5xx or unreachable means disallow all
+   * @private
+   */
+  async getRobots(url) {
+    const origin = new URL(url).origin;
+    const cached = this.robotsCache.get(origin);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached;
+    }
+
+    let entry;
+    try {
+      const { statusCode, body } = await this.fetchRobots(`${origin}/robots.txt`);
+      if (statusCode >= 200 && statusCode < 300) {
+        entry = { status: statusCode, groups: parseRobotsTxt(body), disallowAll: false };
+      } else if (statusCode >= 400 && statusCode < 500) {
+        entry = { status: statusCode, groups: [], disallowAll: false };
+      } else {
+        entry = { status: statusCode, groups: [], disallowAll: true };
+      }
+    } catch (error) {
+      entry = { status: 'unreachable', groups: [], disallowAll: true };
+    }
+
+    entry.fetchedAt = Date.now();
+    entry.expiresAt = entry.fetchedAt + this.cacheTtlMs;
+    this.robotsCache.set(origin, entry);
+    return entry;
+  }
+
+  /**
+   * Downloads robots.txt
+   * @private
+   */
+  async downloadRobots(robotsUrl) {
+    const response = await axios.get(robotsUrl, {
+      timeout: 5000,
+      headers: { 'User-Agent': `${this.userAgent}/1.0` },
+      responseType: 'text',
+      maxRedirects: 5,
+      validateStatus: () => true,
+      ...safeRequestConfig()
+    });
+    return { statusCode: response.status, body: typeof response.data === 'string' ? response.data : '' };
+  }
+
+  /**
+   * @private
+   */
+  block(decision, reason, message) {
+    return { ...decision, allowed: false, reason, message };
+  }
+
+  /**
+   * @private
+   */
+  toError(decision) {
+    return createApiError('POLICY_BLOCKED', decision.message, 403, {
+      reason: decision.reason,
+      domain: decision.domain,
+      checks: decision.checks
+    });
+  }
+}
+
+module.exports = PolicyService;
@@ -0,0 +1,161 @@
+const QUOTA_PERIODS = ['day', 'month'];
+
+/**
+ * Rate Limiter - Per-key token buckets and request quotas
+ *
+ * Each key gets a bucket of `burst` tokens refilled at `perMinute` tokens per
+ * minute; a request takes one token. Keys with a quota ({limit, period}) may
+ * also make at most `limit` requests per UTC day or month. Counters live in
+ * memory and reset when the server restarts.
+ */
+class RateLimiter {
+  /**
+   * @param {object} options - Default limits, used for keys without their own
+   * @param {number} options.burst - Bucket size (default 10)
+   * @param {number} options.perMinute - Refill rate (default 30)
+   * @param {function(): number} options.now - Clock (default Date.now)
+   */
+  constructor(options = {}) {
+    this.burst = options.burst || 10;
+    this.perMinute = options.perMinute || 30;
+    this.now = options.now || Date.now;
+    this.buckets = new Map();
+    this.usage = new Map();
+  }
+
+  /**
+   * Creates a limiter configured from environment variables
+   *   RATE_LIMIT_BURST      - Default bucket size (default 10)
+   *   RATE_LIMIT_PER_MINUTE - Default refill rate (default 30)
+   * @param {object} env - Environment (default: process.env)
+   * @returns {RateLimiter}
+   */
+  static fromEnv(env = process.env) {
+    return new RateLimiter({
+      burst: parseInt(env.RATE_LIMIT_BURST, 10) || undefined,
+      perMinute: parseInt(env.RATE_LIMIT_PER_MINUTE, 10) || undefined
+    });
+  }
+
+  /**
+   * Checks whether a quota period name is supported
+   * @param {string} period - Period name
+   * @returns {boolean}
+   */
+  static isValidPeriod(period) {
+    return QUOTA_PERIODS.includes(period);
+  }
+
+  /**
+   * Takes requests from a key's bucket and quota
+   * Nothing is consumed when the request is refused.
+   * @param {object} key - Key record ({id, rateLimit, quota})
+   * @param {number} cost - Requests charged, e.g. one per article in a batch (default 1)
+   * @returns {object} - {allowed, reason, limit, remaining, resetSeconds, retryAfterSeconds, policy, quota}
+   *   reason is null, 'rate' or 'quota'
+   *   quota is null or {limit, remaining, period, resetSeconds}
+   */
+  consume(key, cost = 1) {
+    const now = this.now();
+    const { burst, perMinute } = this.limitsFor(key);
+    const bucket = this.refill(key.id, burst, perMinute, now);
+    const quota = this.quotaFor(key, now);
+
+    const result = {
+      allowed: false,
+      reason: null,
+      limit: burst,
+      remaining: Math.floor(bucket.tokens),
+      resetSeconds: 0,
+      retryAfterSeconds: 0,
+      policy: `${burst};w=${Math.ceil((burst / perMinute) * 60)}`,
+      quota: null
+    };
+
+    if (quota && quota.usage.used + cost > quota.limit) {
+      result.reason = 'quota';
+      result.retryAfterSeconds = quota.resetSeconds;
+    } else if (bucket.tokens < cost) {
+      result.reason = 'rate';
+      result.retryAfterSeconds = Math.ceil(((Math.min(cost, burst) - bucket.tokens) / perMinute) * 60);
+    } else {
+      bucket.tokens -= cost;
+      if (quota) {
+        quota.usage.used += cost;
+      }
+      result.allowed = true;
+    }
+
+    result.remaining = Math.floor(bucket.tokens);
+    result.resetSeconds = Math.ceil(((burst - bucket.tokens) / perMinute) * 60);
+    if (quota) {
+      result.quota = {
+        limit: quota.limit,
+        remaining: Math.max(0, quota.limit - quota.usage.used),
+        period: quota.period,
+        resetSeconds: quota.resetSeconds
+      };
+    }
+    return result;
+  }
+
+  /**
+   * @private
+   */
+  limitsFor(key) {
+    const limits = key.rateLimit || {};
+    return {
+      burst: limits.burst || this.burst,
+      perMinute: limits.perMinute || this.perMinute
+    };
+  }
+
+  /**
+   * Tops a bucket up for the time elapsed since it was last used
+   * @private
+   */
+  refill(id, burst, perMinute, now) {
+    let bucket = this.buckets.get(id);
+    if (!bucket) {
+      bucket = { tokens: burst, updatedAt: now };
+      this.buckets.set(id, bucket);
+    }
+
+    const elapsedMs = Math.max(0, now - bucket.updatedAt);
+    bucket.tokens = Math.min(burst, bucket.tokens + (elapsedMs / 60000) * perMinute);
+    bucket.updatedAt = now;
+    return bucket;
+  }
+
+  /**
+   * Gets the usage counter for the key's current quota window
+   * @private
+   * @returns {object|null} - {usage, limit, period, resetSeconds} or null if the key has no quota
+   */
+  quotaFor(key, now) {
+    if (!key.quota || !key.quota.limit) {
+      return null;
+    }
+
+    const period = key.quota.period || 'day';
+    const date = new Date(now);
+    const windowEnd = period === 'month'
+      ? Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)
+      : Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+
+    let usage = this.usage.get(key.id);
+    if (!usage || usage.windowEnd !== windowEnd) {
+      usage = { windowEnd, used: 0 };
+      this.usage.set(key.id, usage);
+    }
+
+    return {
+      usage,
+      limit: key.quota.limit,
+      period,
+      resetSeconds: Math.ceil((windowEnd - now) / 1000)
+    };
+  }
+}
+
+module.exports = RateLimiter;
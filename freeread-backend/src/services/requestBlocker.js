@@ -0,0 +1,202 @@
+const { getDomain, matchesDomain } = require('../utils/urlUtils');
+
+/**
+ * Resource types ContentProcessor never needs (Puppeteer resourceType values)
+ */
+const DEFAULT_RESOURCE_TYPES = ['image', 'media', 'font'];
+
+/**
+ * Analytics, tag managers and ad networks
+ */
+const DEFAULT_DOMAINS = [
+  'google-analytics.com',
+  'googletagmanager.com',
+  'googletagservices.com',
+  'googlesyndication.com',
+  'doubleclick.net',
+  'adservice.google.com',
+  'amazon-adsystem.com',
+  'adnxs.com',
+  'criteo.com',
+  'criteo.net',
+  'taboola.com',
+  'outbrain.com',
+  'moatads.com',
+  'scorecardresearch.com',
+  'quantserve.com',
+  'chartbeat.com',
+  'chartbeat.net',
+  'krxd.net',
+  'facebook.net',
+  'hotjar.com',
+  'segment.io'
+];
+
+/**
+ * Typical transfer sizes (bytes) used to estimate what blocking saved,
+ * since blocked responses are never downloaded
+ */
+const ESTIMATED_BYTES = {
+  image: 45000,
+  media: 500000,
+  font: 30000,
+  script: 25000,
+  stylesheet: 15000,
+  other: 5000
+};
+
+/**
+ * Request Blocker - Aborts unneeded requests while a headless page renders
+ *
+ * Blocking config (every field optional; lists replace the defaults, so extend
+ * RequestBlocker.DEFAULT_DOMAINS rather than repeating it):
+ * {
+ *   enabled: true,
+ *   resourceTypes: ['image', 'media', 'font'],  // Puppeteer resource types to block
+ *   domains: ['doubleclick.net', ...],          // Block any request to these domains (and subdomains)
+ *   allowDomains: []                            // Never block these, even if listed above
+ * }
+ *
+ * The top-level document is never blocked by these lists. A guard, if given,
+ * vets every request (documents and redirect hops included) and aborts those
+ * it rejects - HeadlessService uses it for SSRF protection.
+ */
+class RequestBlocker {
+  /**
+   * @param {object} config - Blocking config
+   * @param {object} options - Blocker options
+   * @param {function(string): Promise<void>} options.guard - Rejects URLs that must not be requested
+   */
+  constructor(config = {}, options = {}) {
+    this.enabled = config.enabled !== false;
+    this.resourceTypes = config.resourceTypes || DEFAULT_RESOURCE_TYPES;
+    this.domains = config.domains || DEFAULT_DOMAINS;
+    this.allowDomains = config.allowDomains || [];
+    this.guard = options.guard || null;
+    this.guardResults = new Map();
+    this.unsafeError = null;
+    this.report = { enabled: this.enabled, blocked: 0, allowed: 0, unsafe: 0, bytesSaved: 0, byType: {}, byDomain: {} };
+  }
+
+  /**
+   * Starts intercepting a page's requests
+   * @param {Page} page - Puppeteer page (before navigation)
+   */
+  async attach(page) {
+    if (!this.enabled && !this.guard) {
+      return;
+    }
+    await page.setRequestInterception(true);
+    page.on('request', request => this.handle(request));
+  }
+
+  /**
+   * Decides whether a request should be blocked
+   * @param {string} url - Request URL
+   * @param {string} resourceType - Puppeteer resource type
+   * @returns {{blocked: boolean, reason: string|null}} - reason is 'type' or 'domain'
+   */
+  check(url, resourceType) {
+    if (resourceType === 'document' || matchesDomain(url, this.allowDomains)) {
+      return { blocked: false, reason: null };
+    }
+    if (matchesDomain(url, this.domains)) {
+      return { blocked: true, reason: 'domain' };
+    }
+    if (this.resourceTypes.includes(resourceType)) {
+      return { blocked: true, reason: 'type' };
+    }
+    return { blocked: false, reason: null };
+  }
+
+  /**
+   * Blocking summary for this page
+   * @returns {{enabled: boolean, blocked: number, allowed: number, unsafe: number, bytesSaved: number, byType: object, byDomain: object}}
+   *   unsafe counts requests the guard rejected
+   *   bytesSaved is an estimate based on typical sizes per resource type
+   */
+  getReport() {
+    return {
+      ...this.report,
+      byType: { ...this.report.byType },
+      byDomain: { ...this.report.byDomain }
+    };
+  }
+
+  /**
+   * Aborts or continues an intercepted request and updates the report
+   * @private
+   */
+  handle(request) {
+    if (request.isInterceptResolutionHandled && request.isInterceptResolutionHandled()) {
+      return;
+    }
+
+    const url = request.url();
+    const resourceType = request.resourceType();
+    const verdict = this.enabled ? this.check(url, resourceType) : { blocked: false, reason: null };
+
+    if (!verdict.blocked) {
+      if (!this.guard) {
+        this.allow(request);
+        return;
+      }
+      this.checkTarget(url).then(() => this.allow(request), (error) => {
+        this.report.unsafe++;
+        this.unsafeError = this.unsafeError || error;
+        request.abort('addressunreachable').catch(() => {});
+      });
+      return;
+    }
+
+    this.report.blocked++;
+    this.report.bytesSaved += ESTIMATED_BYTES[resourceType] || ESTIMATED_BYTES.other;
+    this.report.byType[resourceType] = (this.report.byType[resourceType] || 0) + 1;
+    if (verdict.reason === 'domain') {
+      const host = getDomain(url) || 'unknown';
+      this.report.byDomain[host] = (this.report.byDomain[host] || 0) + 1;
+    }
+    request.abort('blockedbyclient').catch(() => {});
+  }
+
+  /**
+   * Lets a request through
+   * @private
+   */
+  allow(request) {
+    this.report.allowed++;
+    request.continue().catch(() => {});
+  }
+
+  /**
+   * Runs the guard once per origin; non-network schemes (data:, blob:) pass, file: never does
+   * @private
+   */
+  checkTarget(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return Promise.resolve();
+    }
+
+    const schemes = { 'http:': 'http:', 'https:': 'https:', 'ws:': 'http:', 'wss:': 'https:' };
+    if (parsed.protocol === 'file:') {
+      return Promise.reject(new Error(`Refusing to load ${url}`));
+    }
+    if (!schemes[parsed.protocol]) {
+      return Promise.resolve();
+    }
+
+    const origin = `${schemes[parsed.protocol]}//${parsed.host}`;
+    if (!this.guardResults.has(origin)) {
+      this.guardResults.set(origin, Promise.resolve().then(() => this.guard(`${origin}/`)));
+    }
+    return this.guardResults.get(origin);
+  }
+}
+
+RequestBlocker.DEFAULT_RESOURCE_TYPES = DEFAULT_RESOURCE_TYPES;
+RequestBlocker.DEFAULT_DOMAINS = DEFAULT_DOMAINS;
+
+module.exports = RequestBlocker;
@@ -0,0 +1,119 @@
+const { JSDOM } = require('jsdom');
+const { diffWords, diffParagraphs } = require('../utils/textDiff');
+const { blockTexts } = require('../utils/textBlocks');
+
+// Elements whose text is one paragraph of the article body
+
+/**
+ * Revision Differ - Compares two archived captures of an article
+ * Both captures are read through ArticleFetcher's point-in-time (asOf) path, so
+ * they are extracted exactly like /api/fetch results, then title, byline and
+ * body are diffed paragraph by paragraph (and word by word within edited paragraphs).
+ */
+class RevisionDiffer {
+  /**
+   * @param {object} deps - Dependencies
+   * @param {ArticleFetcher} deps.articleFetcher - Fetcher used for the asOf reads
+   */
+  constructor(deps = {}) {
+    this.articleFetcher = deps.articleFetcher;
+  }
+
+  /**
+   * Diffs the captures nearest two points in time
+   * @param {string} url - Article URL (already validated)
+   * @param {object} options - Options
+   * @param {Date} options.from - Time of the old revision
+   * @param {Date} options.to - Time of the new revision
+   * @param {string} options.apiKeyId - Requesting API key
+   * @returns {Promise<object>} - {url, from, to, sameCapture, changed, summary, diff}
+   *   from/to: {requested, capturedAt, timestamp, archive} of the capture that was used
+   *   diff: {title, byline, body}; title and byline are {from, to, changed, words},
+   *   body is the entries of textDiff.diffParagraphs
+   * @throws {Error} - ArticleFetcher errors (e.g. ARCHIVE_NOT_FOUND); details.revision says which side failed
+   */
+  async diff(url, options) {
+    const [before, after] = await Promise.all([
+      this.read(url, options.from, 'from', options.apiKeyId),
+      this.read(url, options.to, 'to', options.apiKeyId)
+    ]);
+
+    const title = this.diffField(before.content.title, after.content.title);
+    const byline = this.diffField(before.content.author, after.content.author);
+    const body = diffParagraphs(this.toParagraphs(before.content), this.toParagraphs(after.content));
+    const { paragraphs } = body.summary;
+
+    return {
+      url,
+      from: this.describeCapture(before.metadata.capture),
+      to: this.describeCapture(after.metadata.capture),
+      sameCapture: before.metadata.capture.timestamp === after.metadata.capture.timestamp &&
+        before.metadata.capture.archive === after.metadata.capture.archive,
+      changed: title.changed || byline.changed || paragraphs.changed + paragraphs.added + paragraphs.removed > 0,
+      summary: body.summary,
+      diff: {
+        title,
+        byline,
+        body: body.entries
+      }
+    };
+  }
+
+  /**
+   * Splits extracted content into paragraph texts
+   * Uses the block elements of content.html; falls back to blank-line separated content.text
+   * @param {object} content - ContentProcessor result
+   * @returns {Array<string>}
+   */
+  toParagraphs(content) {
+    const { document } = new JSDOM(`<body>${content.html || ''}</body>`).window;
+    const paragraphs = blockTexts(document);
+
+    if (paragraphs.length > 0) {
+      return paragraphs;
+    }
+    return String(content.text || '').split(/\n\s*\n/).map(text => text.replace(/\s+/g, ' ').trim()).filter(Boolean);
+  }
+
+  /**
+   * Reads one revision, tagging errors with the side that failed
+   * @private
+   */
+  async read(url, asOf, revision, apiKeyId) {
+    try {
+      return await this.articleFetcher.fetch(url, { asOf, apiKeyId });
+    } catch (error) {
+      error.details = { ...error.details, revision };
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  diffField(before, after) {
+    const from = before || null;
+    const to = after || null;
+    const words = diffWords(from || '', to || '');
+    return {
+      from,
+      to,
+      changed: words.added + words.removed > 0,
+      words: words.segments
+    };
+  }
+
+  /**
+   * @private
+   */
+  describeCapture(capture) {
+    return {
+      requested: capture.asOf,
+      capturedAt: capture.capturedAt,
+      timestamp: capture.timestamp,
+      archive: capture.archive
+    };
+  }
+}
+
+module.exports = RevisionDiffer;
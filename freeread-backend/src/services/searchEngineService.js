@@ -1,5 +1,6 @@
 const axios = require('axios');
 const { getDomain } = require('../utils/urlUtils');
+const { assertSafeUrl, safeRequestConfig, unsafeCause } = require('../utils/urlSafety');
 
 /**
  * Search Engine Service - Fetches content by pretending to be a search engine crawler
@@ -12,7 +13,7 @@ class SearchEngineService {
    * Simulates arriving from Google search results
    * 
    * @param {string} url - URL to fetch
-   * @param {object} options - Options (timeout, etc.)
+   * @param {object} options - Options (timeout, signal)
    * @returns {Promise<object>} - HTML content with metadata
    */
   async fetchWithSearchReferrer(url, options = {}) {
@@ -21,10 +22,12 @@ class SearchEngineService {
     if (!domain) {
       throw new Error('Invalid URL: cannot extract domain');
     }
+    assertSafeUrl(url);
 
     // Create axios instance with search engine headers
     const client = axios.create({
       timeout: options.timeout || 10000,
+      signal: options.signal,
       withCredentials: false, // Don't send cookies
       headers: {
         'User-Agent': 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)',
@@ -41,7 +44,8 @@ class SearchEngineService {
         'Cache-Control': 'max-age=0'
       },
       maxRedirects: 5,
-      validateStatus: (status) => status < 500
+      validateStatus: (status) => status < 500,
+      ...safeRequestConfig()
     });
 
     try {
@@ -50,11 +54,19 @@ class SearchEngineService {
       return {
         html: response.data,
         source: 'search-engine',
-        statusCode: response.status
+        statusCode: response.status,
+        headers: response.headers || {}
       };
     } catch (error) {
+      // Redirects to internal hosts are the caller's fault, not a network failure
+      const unsafe = unsafeCause(error);
+      if (unsafe) {
+        throw unsafe;
+      }
       if (error.response) {
-        throw new Error(`HTTP ${error.response.status}: ${error.message}`);
+        const httpError = new Error(`HTTP ${error.response.status}: ${error.message}`);
+        httpError.statusCode = error.response.status;
+        throw httpError;
       } else if (error.request) {
         throw new Error(`Network error: ${error.message}`);
       } else {
@@ -0,0 +1,309 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { matchesDomain } = require('../utils/urlUtils');
+
+const CIPHER = 'aes-256-gcm';
+
+/**
+ * Session Store - Keeps users' own publisher session cookies, encrypted at rest
+ * Sessions are scoped to the API key that registered them and are never
+ * returned to, or used for, any other key. Cookie values are encrypted with
+ * AES-256-GCM; the key id and domain are bound as additional authenticated
+ * data, so a record copied to another key or domain fails to decrypt.
+ *
+ * Record: {apiKeyId, domain, cookies: {iv, tag, data}, cookieNames, createdAt, updatedAt, expiresAt, invalidatedAt, invalidReason}
+ *   expiresAt: ISO time after which the session is not used (null: until the publisher rejects it)
+ *   invalidatedAt: set when the publisher rejected the session; cleared by registering it again
+ */
+class SessionStore {
+  /**
+   * @param {object} options - Store options
+   * @param {string} options.filePath - JSON file holding the sessions (created on first write)
+   * @param {string|Buffer} options.secret - Encryption secret (default: key file next to the sessions)
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(__dirname, '../../data/sessions.json');
+    this.secret = options.secret || null;
+    this.keyPromise = null;
+    this.records = null;
+  }
+
+  /**
+   * Creates a store configured from environment variables
+   *   SESSIONS_FILE          - Session file (default: ./data/sessions.json)
+   *   SESSION_ENCRYPTION_KEY - Secret used to encrypt cookies; without it a random key is
+   *                            generated in <sessions file dir>/session.key (mode 0600)
+   * @param {object} env - Environment (default: process.env)
+   * @returns {SessionStore}
+   */
+  static fromEnv(env = process.env) {
+    return new SessionStore({ filePath: env.SESSIONS_FILE, secret: env.SESSION_ENCRYPTION_KEY });
+  }
+
+  /**
+   * Normalizes a domain as users type it (drops scheme, path and "www.")
+   * @param {string} domain - e.g. 'https://www.nytimes.com/' or 'nytimes.com'
+   * @returns {string|null} - e.g. 'nytimes.com', or null if it is not a hostname
+   */
+  static normalizeDomain(domain) {
+    const host = String(domain || '').trim().toLowerCase()
+      .replace(/^[a-z]+:\/\//, '')
+      .replace(/[/?#].*$/, '')
+      .replace(/^www\./, '');
+    return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(host) ? host : null;
+  }
+
+  /**
+   * Normalizes cookies to a Cookie header value
+   * @param {string|object|Array<{name: string, value: string}>} cookies - "a=1; b=2", {a: '1'} or [{name, value}]
+   * @returns {string} - Cookie header value ('' if nothing usable)
+   */
+  static toCookieHeader(cookies) {
+    let pairs;
+    if (typeof cookies === 'string') {
+      pairs = cookies.split(';').map(part => part.trim()).filter(part => part.includes('='))
+        .map(part => [part.slice(0, part.indexOf('=')).trim(), part.slice(part.indexOf('=') + 1).trim()]);
+    } else if (Array.isArray(cookies)) {
+      pairs = cookies.filter(cookie => cookie && cookie.name).map(cookie => [cookie.name, cookie.value]);
+    } else if (cookies && typeof cookies === 'object') {
+      pairs = Object.entries(cookies);
+    } else {
+      pairs = [];
+    }
+
+    return pairs
+      .filter(([name, value]) => /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name) && value !== undefined && value !== null)
+      .map(([name, value]) => `${name}=${String(value).replace(/[;\r\n]/g, '')}`)
+      .join('; ');
+  }
+
+  /**
+   * Registers (or replaces) the session for a domain
+   * @param {string} apiKeyId - Owning API key id
+   * @param {string} domain - Publisher domain (normalized)
+   * @param {object} session - Session data
+   * @param {string} session.cookie - Cookie header value (see toCookieHeader)
+   * @param {string} session.expiresAt - Optional ISO expiry time
+   * @returns {Promise<object>} - Public record (no cookie values)
+   */
+  async set(apiKeyId, domain, session) {
+    const records = await this.load();
+    const now = new Date().toISOString();
+    const existing = records.find(record => record.apiKeyId === apiKeyId && record.domain === domain);
+    const record = {
+      apiKeyId,
+      domain,
+      cookies: await this.encrypt(session.cookie, apiKeyId, domain),
+      cookieNames: session.cookie.split('; ').map(pair => pair.split('=')[0]),
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+      expiresAt: session.expiresAt || null,
+      invalidatedAt: null,
+      invalidReason: null
+    };
+
+    await this.save([...records.filter(candidate => candidate !== existing), record]);
+    return this.toPublic(record);
+  }
+
+  /**
+   * Finds the session that applies to a URL
+   * @param {string} apiKeyId - Requesting API key id
+   * @param {string} url - Article URL
+   * @returns {Promise<object|null>} - {domain, cookie, status, expiresAt, invalidReason} or null
+   *   status: 'active', 'expired' or 'invalid'; cookie is only set when active
+   */
+  async find(apiKeyId, url) {
+    if (!apiKeyId) {
+      return null;
+    }
+
+    const records = await this.load();
+    const record = records.find(candidate => candidate.apiKeyId === apiKeyId && matchesDomain(url, [candidate.domain]));
+    if (!record) {
+      return null;
+    }
+
+    const status = this.statusOf(record);
+    return {
+      domain: record.domain,
+      status,
+      expiresAt: record.expiresAt,
+      invalidReason: record.invalidReason,
+      cookie: status === 'active' ? await this.decrypt(record.cookies, apiKeyId, record.domain) : null
+    };
+  }
+
+  /**
+   * Lists a key's sessions (without cookie values)
+   * @param {string} apiKeyId - API key id
+   * @returns {Promise<Array<object>>}
+   */
+  async list(apiKeyId) {
+    const records = await this.load();
+    return records.filter(record => record.apiKeyId === apiKeyId).map(record => this.toPublic(record));
+  }
+
+  /**
+   * Deletes a key's session for a domain
+   * @returns {Promise<boolean>} - False if there was none
+   */
+  async delete(apiKeyId, domain) {
+    const records = await this.load();
+    const remaining = records.filter(record => !(record.apiKeyId === apiKeyId && record.domain === domain));
+    if (remaining.length === records.length) {
+      return false;
+    }
+    await this.save(remaining);
+    return true;
+  }
+
+  /**
+   * Marks a session as rejected by the publisher so it is not used again
+   * @param {string} apiKeyId - API key id
+   * @param {string} domain - Session domain
+   * @param {string} reason - Why the publisher rejected it
+   */
+  async invalidate(apiKeyId, domain, reason) {
+    const records = await this.load();
+    const record = records.find(candidate => candidate.apiKeyId === apiKeyId && candidate.domain === domain);
+    if (!record) {
+      return;
+    }
+    record.invalidatedAt = new Date().toISOString();
+    record.invalidReason = reason;
+    await this.save(records);
+  }
+
+  /**
+   * @private
+   */
+  statusOf(record) {
+    if (record.invalidatedAt) {
+      return 'invalid';
+    }
+    if (record.expiresAt && Date.parse(record.expiresAt) <= Date.now()) {
+      return 'expired';
+    }
+    return 'active';
+  }
+
+  /**
+   * @private
+   */
+  async encrypt(plaintext, apiKeyId, domain) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, await this.getEncryptionKey(), iv);
+    cipher.setAAD(Buffer.from(`${apiKeyId}\n${domain}`));
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  /**
+   * @private
+   */
+  async decrypt(encrypted, apiKeyId, domain) {
+    const decipher = crypto.createDecipheriv(CIPHER, await this.getEncryptionKey(), Buffer.from(encrypted.iv, 'base64'));
+    decipher.setAAD(Buffer.from(`${apiKeyId}\n${domain}`));
+    decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(encrypted.data, 'base64')), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Derives the 256-bit key from the secret, creating a key file if no secret is configured
+   * Concurrent first calls share one load; a failed load is retried on the next call.
+   * @private
+   */
+  getEncryptionKey() {
+    if (!this.keyPromise) {
+      this.keyPromise = this.loadEncryptionKey().catch((error) => {
+        this.keyPromise = null;
+        throw error;
+      });
+    }
+    return this.keyPromise;
+  }
+
+  /**
+   * @private
+   */
+  async loadEncryptionKey() {
+    const secret = this.secret || await this.readOrCreateKeyFile(path.join(path.dirname(this.filePath), 'session.key'));
+    return crypto.createHash('sha256').update(String(secret).trim()).digest();
+  }
+
+  /**
+   * Reads the key file, generating it if missing
+   * If another process creates it first (EEXIST), its key is read back and used.
+   * @private
+   */
+  async readOrCreateKeyFile(keyFile) {
+    try {
+      return await fs.promises.readFile(keyFile, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    const secret = crypto.randomBytes(32).toString('base64');
+    await fs.promises.mkdir(path.dirname(keyFile), { recursive: true });
+    try {
+      await fs.promises.writeFile(keyFile, secret, { encoding: 'utf8', mode: 0o600, flag: 'wx' });
+      return secret;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      return await fs.promises.readFile(keyFile, 'utf8');
+    }
+  }
+
+  /**
+   * Reads the session file once
+   * @private
+   */
+  async load() {
+    if (this.records) {
+      return this.records;
+    }
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+      this.records = Array.isArray(data.sessions) ? data.sessions : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      this.records = [];
+    }
+    return this.records;
+  }
+
+  /**
+   * Writes all records atomically (write to temp file, then rename)
+   * @private
+   */
+  async save(records) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    const temp = `${this.filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify({ sessions: records }, null, 2), { encoding: 'utf8', mode: 0o600 });
+    await fs.promises.rename(temp, this.filePath);
+    this.records = records;
+  }
+
+  /**
+   * Record without the encrypted cookies
+   * @private
+   */
+  toPublic(record) {
+    const { cookies, apiKeyId, ...rest } = record;
+    return { ...rest, status: this.statusOf(record) };
+  }
+}
+
+module.exports = SessionStore;
@@ -0,0 +1,264 @@
+/**
+ * Strategy Pipeline - Runs ordered retrieval strategies until one yields usable HTML
+ *
+ * A strategy is a plain object:
+ * {
+ *   name: 'cookie-clearing',
+ *   fn: (url, options) => Promise<string|{html, statusCode, headers, details}>, // Fetches HTML
+ *   accept: {                                // Acceptance rules (all optional)
+ *     allowPaywall: false,                   // Accept HTML with paywall indicators
+ *     allowJsBlock: false,                   // Accept "please enable JS" pages
+ *     minLength: 1                           // Minimum HTML length
+ *   },
+ *   timeout: 30000,                          // Optional per-strategy timeout (ms)
+ *   skip: (url, options) => boolean          // Optional skip condition
+ * }
+ *
+ * A strategy with a timeout gets options.signal, an AbortSignal aborted when the timeout
+ * fires; strategies hand it to their requests and browser pages so the work stops with it.
+ *
+ * A result's details object (e.g. headless render stats) is copied onto its attempt.
+ *
+ * Callers can also skip strategies per request with options.skipStrategies,
+ * and follow progress with options.onProgress(event), which receives
+ * {type: 'strategy-start', strategy} and {type: 'strategy-end', strategy, attempt}.
+ */
+
+const { isGiftLink, canonicalUrl } = require('../utils/urlUtils');
+
+const DEFAULT_ACCEPT = {
+  allowPaywall: false,
+  allowJsBlock: false,
+  minLength: 1
+};
+
+class StrategyPipeline {
+  /**
+   * @param {object} config - Pipeline configuration
+   * @param {string} config.label - Site label used in error messages (e.g. 'NYT')
+   * @param {Array<object>} config.strategies - Ordered strategies
+   * @param {function(string): boolean} config.hasPaywall - Paywall detector
+   * @param {string} config.failureMessage - Message used when no strategy produced an error
+   */
+  constructor(config = {}) {
+    this.label = config.label || 'Site';
+    this.strategies = config.strategies || [];
+    this.hasPaywall = config.hasPaywall || (() => false);
+    this.failureMessage = config.failureMessage || 'All methods failed';
+  }
+
+  /**
+   * Strategies that fetch the article page directly, shared by the site services
+   * @param {object} services - Fetchers the strategies use
+   * @param {CookieService} services.cookieService - Fetches pages with a user session or cleared cookies
+   * @param {SearchEngineService} services.searchEngineService - Fetches pages with a search referrer
+   * @param {object} services.share - The site's share-link parameters {access, tracking} (see SiteRegistry)
+   * @returns {object} - Definitions keyed by name: subscription, gift-link, cookie-clearing, search-engine
+   */
+  static pageStrategies({ cookieService, searchEngineService, share }) {
+    const toResult = page => ({ html: page.html, statusCode: page.statusCode, headers: page.headers });
+
+    return {
+      // Only runs when the requesting API key registered its own session for this site
+      'subscription': {
+        fn: async (url, options) => toResult(await cookieService.fetchWithSession(url, options.session, options)),
+        skip: (url, options) => !options.session
+      },
+      // Publisher gift/share links grant full access on their own, so they are fetched as shared
+      'gift-link': {
+        fn: async (url, options) => toResult(await cookieService.fetchPage(url, options)),
+        skip: (url) => !isGiftLink(url, share)
+      },
+      // Share tokens are left to gift-link; a failed gift link is not sent again
+      'cookie-clearing': {
+        fn: async (url, options) => toResult(await cookieService.fetchPage(canonicalUrl(url, share), options))
+      },
+      'search-engine': {
+        fn: async (url, options) => toResult(await searchEngineService.fetchWithSearchReferrer(url, options))
+      }
+    };
+  }
+
+  /**
+   * Picks the configured strategies, in order, from a table of definitions
+   * @param {Array<string>} names - Ordered strategy names; unknown names are ignored
+   * @param {object} definitions - Strategy definitions keyed by name (without the name field)
+   * @returns {Array<object>} - Strategies for the pipeline
+   */
+  static select(names, definitions) {
+    return names
+      .filter(name => definitions[name])
+      .map(name => ({ name, ...definitions[name] }));
+  }
+
+  /**
+   * Runs strategies in order until one is accepted
+   * @param {string} url - Article URL
+   * @param {object} options - Fetch options, passed through to each strategy
+   * @param {Array<string>} options.skipStrategies - Strategy names to skip for this request
+   * @param {function(object)} options.onProgress - Optional progress listener
+   * @returns {Promise<{html: string, strategy: string, attempts: Array<object>, headers: object}>}
+   *   headers are the winning strategy's response headers ({} if it has none)
+   *   Each attempt: {strategy, outcome, durationMs, statusCode, htmlLength, paywalled, jsBlocked, error, code, details}
+   *   code is the thrown error's code, when it has one (e.g. SESSION_INVALID)
+   *   outcome is one of: success, empty, js-block, paywall, error, timeout, skipped
+   * @throws {Error} - If no strategy succeeds; error.attempts holds the attempt log
+   */
+  async run(url, options = {}) {
+    const attempts = [];
+    let lastError = null;
+
+    for (const strategy of this.strategies) {
+      if (this.shouldSkip(strategy, url, options)) {
+        this.record(attempts, { strategy: strategy.name, outcome: 'skipped' }, options);
+        continue;
+      }
+
+      this.notify(options, { type: 'strategy-start', strategy: strategy.name });
+      const startedAt = Date.now();
+      try {
+        const { html, statusCode, headers, details } = this.normalizeResult(await this.invoke(strategy, url, options));
+        const verdict = this.evaluate(strategy, html);
+
+        this.record(attempts, {
+          strategy: strategy.name,
+          outcome: verdict.outcome,
+          durationMs: Date.now() - startedAt,
+          statusCode,
+          htmlLength: typeof html === 'string' ? html.length : 0,
+          paywalled: verdict.paywalled,
+          jsBlocked: verdict.jsBlocked,
+          ...(details && { details })
+        }, options);
+
+        if (verdict.accepted) {
+          return { html, strategy: strategy.name, attempts, headers };
+        }
+
+        lastError = new Error(verdict.message);
+      } catch (error) {
+        this.record(attempts, {
+          strategy: strategy.name,
+          outcome: error.timedOut ? 'timeout' : 'error',
+          durationMs: Date.now() - startedAt,
+          statusCode: error.statusCode || null,
+          htmlLength: 0,
+          error: error.message,
+          ...(error.code && { code: error.code })
+        }, options);
+        lastError = error;
+      }
+    }
+
+    const error = new Error(`${this.label} fetch failed: ${lastError?.message || this.failureMessage}`);
+    error.attempts = attempts;
+    throw error;
+  }
+
+  /**
+   * Appends an attempt to the log and reports it to the progress listener
+   * @private
+   */
+  record(attempts, attempt, options) {
+    attempts.push(attempt);
+    this.notify(options, { type: 'strategy-end', strategy: attempt.strategy, attempt });
+  }
+
+  /**
+   * Sends a progress event; listener errors never break the pipeline
+   * @private
+   */
+  notify(options, event) {
+    if (typeof options.onProgress !== 'function') {
+      return;
+    }
+    try {
+      options.onProgress(event);
+    } catch (error) {
+      // Ignore listener failures
+    }
+  }
+
+  /**
+   * Checks whether a strategy should be skipped for this request
+   * @private
+   */
+  shouldSkip(strategy, url, options) {
+    if (Array.isArray(options.skipStrategies) && options.skipStrategies.includes(strategy.name)) {
+      return true;
+    }
+    return typeof strategy.skip === 'function' && !!strategy.skip(url, options);
+  }
+
+  /**
+   * Normalizes a strategy result to {html, statusCode, headers, details}
+   * Strategies may return a plain HTML string or an object with status details
+   * @private
+   */
+  normalizeResult(result) {
+    if (result && typeof result === 'object') {
+      return {
+        html: result.html,
+        statusCode: result.statusCode || null,
+        headers: result.headers || {},
+        details: result.details || null
+      };
+    }
+    return { html: result, statusCode: null, headers: {}, details: null };
+  }
+
+  /**
+   * Calls the strategy, enforcing its timeout if configured
+   * On timeout the strategy's signal is aborted, so its requests and browser page are released.
+   * @private
+   */
+  async invoke(strategy, url, options) {
+    if (!strategy.timeout) {
+      return await strategy.fn(url, options);
+    }
+
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`Timed out after ${strategy.timeout}ms (method: ${strategy.name})`);
+        error.timedOut = true;
+        controller.abort(error);
+        reject(error);
+      }, strategy.timeout);
+    });
+
+    try {
+      return await Promise.race([strategy.fn(url, { ...options, signal: controller.signal }), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Applies the strategy's acceptance rules to fetched HTML
+   * @private
+   * @returns {{accepted: boolean, outcome: string, message: string, paywalled: boolean, jsBlocked: boolean}}
+   */
+  evaluate(strategy, html) {
+    const accept = { ...DEFAULT_ACCEPT, ...(strategy.accept || {}) };
+    const isEmpty = !html || typeof html !== 'string' || html.length < accept.minLength;
+    const jsBlock = !isEmpty && html.toLowerCase().includes('please enable js');
+    const isPaywalled = !isEmpty && this.hasPaywall(html);
+
+    const verdict = { paywalled: !!isPaywalled, jsBlocked: !!jsBlock };
+
+    if (isEmpty) {
+      return { ...verdict, accepted: false, outcome: 'empty', message: `Empty HTML received (method: ${strategy.name})` };
+    }
+    if (jsBlock && !accept.allowJsBlock) {
+      return { ...verdict, accepted: false, outcome: 'js-block', message: `JS rendering required (method: ${strategy.name})` };
+    }
+    if (isPaywalled && !accept.allowPaywall) {
+      return { ...verdict, accepted: false, outcome: 'paywall', message: `Paywall detected (method: ${strategy.name})` };
+    }
+    return { ...verdict, accepted: true, outcome: 'success', message: null };
+  }
+}
+
+module.exports = StrategyPipeline;
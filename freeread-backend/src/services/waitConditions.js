@@ -0,0 +1,249 @@
+/**
+ * Wait Conditions - Decides when a headless page has finished rendering
+ *
+ * A wait config is a plain object (every field optional):
+ * {
+ *   budgetMs: 20000,                 // Total time allowed for navigation and all waiting
+ *   challenge: {                     // Bot protection interstitials (DataDome, Cloudflare)
+ *     markers: ['captcha-delivery.com'], // Page HTML containing any of these is a challenge
+ *     conditions: [...]              // Conditions meaning the challenge was passed
+ *   },
+ *   conditions: [                    // Render conditions, all must hold (see below)
+ *     { type: 'selector', selector: 'article' },
+ *     { type: 'networkIdle', idleMs: 500 }
+ *   ],
+ *   scroll: true,                    // Scroll the page to trigger lazy loading
+ *   settle: [{ type: 'domQuiet', quietMs: 300 }] // Conditions checked after overlays are removed
+ * }
+ *
+ * Condition types:
+ *   { type: 'selector', selector }                 - Element matching selector exists
+ *   { type: 'selectorAbsent', selector }           - No visible element matches selector
+ *   { type: 'contentAbsent', text: [...] }         - Page HTML contains none of the strings (case-insensitive)
+ *   { type: 'networkIdle', idleMs }                - No network requests for idleMs
+ *   { type: 'textLength', minLength, selector }    - Text of selector (default body) is at least minLength
+ *   { type: 'domQuiet', quietMs }                  - No DOM mutations for quietMs
+ *   { type: 'all', conditions: [...] }             - Every nested condition holds
+ *   { type: 'any', conditions: [...] }             - At least one nested condition holds
+ *
+ * A condition that is not met before the budget runs out is reported as unmet and
+ * the page is captured as-is; only an unknown condition type is an error.
+ */
+
+const DEFAULT_ARTICLE_SELECTOR = 'article, [data-testid="article-body"], section[name="articleBody"], main article, .wsj-article-body, .article-body, [class*="article-body"], p';
+
+// Strings only found on bot protection interstitials
+const CHALLENGE_MARKERS = ['captcha-delivery.com', 'cf-browser-verification', 'checking your browser', 'just a moment', 'DataDome CAPTCHA'];
+
+const DEFAULT_WAIT = {
+  budgetMs: 20000,
+  challenge: {
+    markers: CHALLENGE_MARKERS,
+    // Passed once the interstitial is gone and the real page has rendered some text
+    conditions: [
+      { type: 'contentAbsent', text: CHALLENGE_MARKERS },
+      { type: 'textLength', minLength: 500 }
+    ]
+  },
+  conditions: [
+    { type: 'selector', selector: DEFAULT_ARTICLE_SELECTOR },
+    { type: 'networkIdle', idleMs: 500 },
+    { type: 'domQuiet', quietMs: 500 }
+  ],
+  scroll: true,
+  settle: [{ type: 'domQuiet', quietMs: 300 }]
+};
+
+const POLL_INTERVAL_MS = 200;
+
+/**
+ * Merges a wait config over the defaults
+ * @param {object} config - Partial wait config (e.g. from a site adapter)
+ * @returns {object} - Complete wait config
+ * @throws {Error} - If a condition type is unknown
+ */
+function resolveWaitConfig(config = {}) {
+  const resolved = { ...DEFAULT_WAIT, ...config };
+  validateConditions(resolved.conditions);
+  validateConditions(resolved.settle);
+  validateConditions(resolved.challenge && resolved.challenge.conditions);
+  return resolved;
+}
+
+/**
+ * Checks condition types, including nested all/any groups
+ * @private
+ */
+function validateConditions(conditions = []) {
+  conditions.forEach((condition) => {
+    if (!condition || !RUNNERS[condition.type]) {
+      throw new Error(`Unknown wait condition: ${condition && condition.type}`);
+    }
+    if (condition.conditions) {
+      validateConditions(condition.conditions);
+    }
+  });
+}
+
+/**
+ * Waits until all conditions hold or the time budget runs out
+ * @param {Page} page - Puppeteer page
+ * @param {Array<object>} conditions - Conditions to satisfy
+ * @param {number} budgetMs - Time allowed (ms)
+ * @returns {Promise<{met: boolean, durationMs: number, conditions: Array<object>}>}
+ *   conditions holds one report per top-level condition: {type, met, durationMs}
+ */
+async function waitForConditions(page, conditions, budgetMs) {
+  const startedAt = Date.now();
+  const deadline = startedAt + Math.max(0, budgetMs);
+  const reports = [];
+
+  for (const condition of conditions || []) {
+    const conditionStartedAt = Date.now();
+    const met = await checkCondition(page, condition, deadline);
+    reports.push({ type: condition.type, met, durationMs: Date.now() - conditionStartedAt });
+  }
+
+  return {
+    met: reports.every(report => report.met),
+    durationMs: Date.now() - startedAt,
+    conditions: reports
+  };
+}
+
+/**
+ * Condition runners: (page, condition, timeout, deadline) => Promise<boolean>
+ * Runners may reject when the condition times out; that counts as unmet
+ * @private
+ */
+const RUNNERS = {
+  selector: async (page, condition, timeout) => {
+    await page.waitForSelector(condition.selector, { timeout });
+    return true;
+  },
+  selectorAbsent: async (page, condition, timeout) => {
+    await page.waitForSelector(condition.selector, { hidden: true, timeout });
+    return true;
+  },
+  contentAbsent: async (page, condition, timeout) => {
+    await page.waitForFunction(
+      (texts) => {
+        const html = document.documentElement ? document.documentElement.outerHTML.toLowerCase() : '';
+        return texts.every(text => !html.includes(text));
+      },
+      { timeout, polling: POLL_INTERVAL_MS },
+      (condition.text || []).map(text => text.toLowerCase())
+    );
+    return true;
+  },
+  networkIdle: async (page, condition, timeout) => {
+    await page.waitForNetworkIdle({ idleTime: condition.idleMs || 500, timeout });
+    return true;
+  },
+  textLength: async (page, condition, timeout) => {
+    await page.waitForFunction(
+      (selector, minLength) => {
+        const element = document.querySelector(selector);
+        return !!element && (element.innerText || '').trim().length >= minLength;
+      },
+      { timeout, polling: POLL_INTERVAL_MS },
+      condition.selector || 'body',
+      condition.minLength || 0
+    );
+    return true;
+  },
+  domQuiet: (page, condition, timeout) => waitForDomQuiet(page, condition.quietMs || 500, timeout),
+  all: async (page, condition, timeout) => (await waitForConditions(page, condition.conditions, timeout)).met,
+  any: (page, condition, timeout, deadline) => waitForAny(page, condition.conditions || [], deadline)
+};
+
+/**
+ * Evaluates one condition against the remaining budget
+ * @private
+ * @returns {Promise<boolean>} - Whether the condition was met in time
+ * @throws {Error} - If the condition type is unknown
+ */
+async function checkCondition(page, condition, deadline) {
+  const runner = RUNNERS[condition.type];
+  if (!runner) {
+    throw new Error(`Unknown wait condition: ${condition.type}`);
+  }
+
+  const timeout = deadline - Date.now();
+  if (timeout <= 0) {
+    return false;
+  }
+
+  try {
+    return await runner(page, condition, timeout, deadline);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Resolves true as soon as any nested condition is met, false if none are
+ * @private
+ */
+function waitForAny(page, conditions, deadline) {
+  if (conditions.length === 0) {
+    return Promise.resolve(true);
+  }
+
+  return new Promise((resolve, reject) => {
+    let pending = conditions.length;
+    conditions.forEach((condition) => {
+      checkCondition(page, condition, deadline).then((met) => {
+        pending--;
+        if (met) {
+          resolve(true);
+        } else if (pending === 0) {
+          resolve(false);
+        }
+      }, reject);
+    });
+  });
+}
+
+/**
+ * Waits in the page until no DOM mutations happen for quietMs
+ * @private
+ */
+function waitForDomQuiet(page, quietMs, timeout) {
+  return page.evaluate((quiet, limit) => new Promise((resolve) => {
+    let quietTimer = null;
+    let limitTimer = null;
+    const observer = new MutationObserver(() => {
+      clearTimeout(quietTimer);
+      quietTimer = setTimeout(() => done(true), quiet);
+    });
+    const done = (met) => {
+      observer.disconnect();
+      clearTimeout(quietTimer);
+      clearTimeout(limitTimer);
+      resolve(met);
+    };
+
+    observer.observe(document, { subtree: true, childList: true, attributes: true, characterData: true });
+    quietTimer = setTimeout(() => done(true), quiet);
+    limitTimer = setTimeout(() => done(false), limit);
+  }), quietMs, timeout);
+}
+
+/**
+ * Checks whether page HTML is a bot protection interstitial
+ * @param {string} html - Page HTML
+ * @param {object} challenge - Challenge config ({markers})
+ * @returns {boolean}
+ */
+function isChallengePage(html, challenge) {
+  const lower = String(html || '').toLowerCase();
+  return !!challenge && (challenge.markers || []).some(marker => lower.includes(marker.toLowerCase()));
+}
+
+module.exports = {
+  DEFAULT_WAIT,
+  isChallengePage,
+  resolveWaitConfig,
+  waitForConditions
+};
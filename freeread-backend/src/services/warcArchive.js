@@ -0,0 +1,338 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const { canonicalUrl } = require('../utils/urlUtils');
+const { dateToTimestamp, timestampToDate } = require('../utils/memento');
+const {
+  CDX_HEADER,
+  formatRecord,
+  parseRecord,
+  formatHttpResponse,
+  parseHttpResponse,
+  warcDate,
+  recordId,
+  sha1Digest,
+  toSurt,
+  formatCdxLine,
+  parseCdxLine
+} = require('../utils/warc');
+
+// The stored body is the decoded HTML, so transfer headers no longer describe it
+const DROPPED_HEADERS = ['content-encoding', 'transfer-encoding', 'content-length', 'connection'];
+
+const DEFAULT_DIRECTORY = path.join(__dirname, '../../data/warc');
+
+// One writer per directory, so every service appends through the same queue and file
+const writers = new Map();
+
+/**
+ * WARC Archive - Our own archive of every article we fetch, in standard WARC files
+ *
+ * Each fetch appends two gzip-compressed records (one gzip member each, so the
+ * files are valid .warc.gz) to the current file:
+ *   response - the publisher's HTTP status, headers and HTML
+ *   metadata - the extracted article as JSON (WARC-Concurrent-To the response)
+ * Files roll over at maxFileSize and start with a warcinfo record. Response
+ * records are listed in an 11-field CDX index (index.cdx): entries are appended
+ * as they are written and the index is sorted each time a WARC file is completed.
+ * Lookups stream the index, so it is never held in memory. The directory can be
+ * replayed with standard tools, e.g.
+ *   wb-manager init freeread && wb-manager add freeread data/warc/*.warc.gz
+ *
+ * Captures are keyed by normalized URL. Callers record canonical URLs
+ * (SiteRegistry#canonicalUrl), so publisher share tokens are never stored.
+ */
+class WarcArchive {
+  /**
+   * @param {object} options - Archive options
+   * @param {boolean} options.enabled - Set false to neither write nor read (default true)
+   * @param {string} options.directory - Directory for WARC files and index.cdx (default ./data/warc)
+   * @param {number} options.maxFileSize - Bytes after which a new WARC file is started (default 100 MB)
+   * @param {string} options.prefix - WARC file name prefix (default 'FREEREAD')
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.directory = options.directory || DEFAULT_DIRECTORY;
+    this.maxFileSize = options.maxFileSize || 100 * 1024 * 1024;
+    this.prefix = options.prefix || 'FREEREAD';
+    this.indexPath = path.join(this.directory, 'index.cdx');
+    this.current = null;
+    this.serial = 0;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Creates an archive configured from environment variables
+   *   WARC_ARCHIVE          - 'off' disables writing and reading local captures (default: on)
+   *   WARC_DIR              - Directory for WARC files and the CDX index (default: ./data/warc)
+   *   WARC_MAX_FILE_SIZE_MB - Size at which a new WARC file is started (default 100)
+   * Archives are shared per directory: every caller gets the instance created first.
+   * @param {object} env - Environment (default: process.env)
+   * @returns {WarcArchive}
+   */
+  static fromEnv(env = process.env) {
+    if (env.WARC_ARCHIVE === 'off') {
+      return new WarcArchive({ enabled: false, directory: env.WARC_DIR });
+    }
+
+    const directory = path.resolve(env.WARC_DIR || DEFAULT_DIRECTORY);
+    if (!writers.has(directory)) {
+      const maxMb = parseFloat(env.WARC_MAX_FILE_SIZE_MB);
+      writers.set(directory, new WarcArchive({
+        directory,
+        maxFileSize: maxMb > 0 ? Math.round(maxMb * 1024 * 1024) : undefined
+      }));
+    }
+    return writers.get(directory);
+  }
+
+  /**
+   * Archives a fetched page and its extracted article
+   * Writes are serialized, so concurrent fetches never interleave records.
+   * @param {string} url - Article URL
+   * @param {object} capture - What was fetched
+   * @param {string} capture.html - Page HTML
+   * @param {number} capture.statusCode - HTTP status (default 200)
+   * @param {object} capture.headers - Response headers
+   * @param {object} capture.content - Extracted article (ContentProcessor result)
+   * @param {string} capture.method - Strategy that fetched the page
+   * @returns {Promise<{filename: string, offset: number, timestamp: string}|null>} - Where the response
+   *   record was written, or null when the archive is disabled
+   */
+  record(url, capture) {
+    if (!this.enabled) {
+      return Promise.resolve(null);
+    }
+    const task = this.queue.then(() => this.write(url, capture));
+    this.queue = task.catch(() => {});
+    return task;
+  }
+
+  /**
+   * Lists the archived captures of a URL
+   * @param {string} url - Article URL
+   * @returns {Promise<Array<object>>} - CDX entries {urlkey, timestamp, url, mime, status, digest,
+   *   length, offset, filename}, oldest first
+   */
+  async list(url) {
+    if (!this.enabled) {
+      return [];
+    }
+    const prefix = `${toSurt(canonicalUrl(url))} `;
+    const entries = [];
+    try {
+      const lines = readline.createInterface({ input: fs.createReadStream(this.indexPath, 'utf8'), crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (line.startsWith(prefix)) {
+          entries.push(parseCdxLine(line));
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+    return entries.filter(Boolean).sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  }
+
+  /**
+   * Finds and reads a capture of a URL
+   * @param {string} url - Article URL
+   * @param {object} options - Options
+   * @param {Date|string} options.asOf - Prefer the capture nearest this time (default: the latest)
+   * @param {number} options.maxDistanceMs - With asOf, ignore captures further away than this
+   * @returns {Promise<{html: string, statusCode: number, headers: object, entry: object}|null>}
+   */
+  async find(url, options = {}) {
+    const captures = (await this.list(url)).filter(entry => entry.status >= 200 && entry.status < 300);
+    if (captures.length === 0) {
+      return null;
+    }
+
+    let entry = captures[captures.length - 1];
+    if (options.asOf) {
+      const target = new Date(options.asOf).getTime();
+      const distance = candidate => Math.abs(timestampToDate(candidate.timestamp).getTime() - target);
+      entry = captures.reduce((best, candidate) => (distance(candidate) < distance(best) ? candidate : best));
+      if (options.maxDistanceMs !== undefined && distance(entry) > options.maxDistanceMs) {
+        return null;
+      }
+    }
+
+    return { ...(await this.read(entry)), entry };
+  }
+
+  /**
+   * Reads the response record a CDX entry points to
+   * @param {object} entry - CDX entry
+   * @returns {Promise<{html: string, statusCode: number, headers: object}>}
+   */
+  async read(entry) {
+    const handle = await fs.promises.open(path.join(this.directory, path.basename(entry.filename)), 'r');
+    try {
+      const buffer = Buffer.alloc(entry.length);
+      await handle.read(buffer, 0, entry.length, entry.offset);
+      const record = parseRecord(zlib.gunzipSync(buffer));
+      const response = parseHttpResponse(record.block);
+      return {
+        html: response.body.toString('utf8'),
+        statusCode: response.statusCode,
+        headers: response.headers
+      };
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * @private
+   */
+  async write(url, capture) {
+    const target = canonicalUrl(url);
+    const fetchedAt = new Date();
+    const statusCode = capture.statusCode || 200;
+    const body = Buffer.from(capture.html, 'utf8');
+    const headers = this.responseHeaders(capture.headers || {}, body.length);
+    const payloadDigest = sha1Digest(body);
+    const block = formatHttpResponse({ statusCode, headers, body });
+    const responseId = recordId();
+
+    const response = zlib.gzipSync(formatRecord({
+      'WARC-Type': 'response',
+      'WARC-Record-ID': responseId,
+      'WARC-Date': warcDate(fetchedAt),
+      'WARC-Target-URI': target,
+      'WARC-Payload-Digest': payloadDigest,
+      'WARC-Block-Digest': sha1Digest(block),
+      'Content-Type': 'application/http; msgtype=response'
+    }, block));
+    const metadata = zlib.gzipSync(formatRecord({
+      'WARC-Type': 'metadata',
+      'WARC-Record-ID': recordId(),
+      'WARC-Date': warcDate(fetchedAt),
+      'WARC-Target-URI': target,
+      'WARC-Concurrent-To': responseId,
+      'Content-Type': 'application/json'
+    }, Buffer.from(JSON.stringify({ method: capture.method || null, article: capture.content || null }), 'utf8')));
+
+    const file = await this.openFile(response.length + metadata.length, fetchedAt);
+    const offset = file.size;
+    await fs.promises.appendFile(path.join(this.directory, file.filename), Buffer.concat([response, metadata]));
+    file.size += response.length + metadata.length;
+
+    const contentType = headers.find(([name]) => name.toLowerCase() === 'content-type');
+    const entry = {
+      urlkey: toSurt(target),
+      timestamp: dateToTimestamp(fetchedAt),
+      url: target,
+      mime: contentType ? contentType[1].split(';')[0].trim().toLowerCase() : 'text/html',
+      status: statusCode,
+      digest: payloadDigest.slice('sha1:'.length),
+      length: response.length,
+      offset,
+      filename: file.filename
+    };
+    await this.addToIndex(entry);
+
+    return { filename: file.filename, offset, timestamp: entry.timestamp };
+  }
+
+  /**
+   * Returns the file to append to, starting a new one (with a warcinfo record) when needed
+   * @private
+   */
+  async openFile(bytes, now) {
+    if (this.current && (this.current.size === 0 || this.current.size + bytes <= this.maxFileSize)) {
+      return this.current;
+    }
+    if (this.current) {
+      await this.sortIndex();
+    }
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    const filename = `${this.prefix}-${dateToTimestamp(now)}-${String(this.serial++).padStart(5, '0')}-${process.pid}.warc.gz`;
+    const fields = [
+      'software: FreeRead/1.0',
+      'format: WARC File Format 1.1',
+      'conformsTo: https://iipc.github.io/warc-specifications/specifications/warc-format/warc-1.1/',
+      `hostname: ${os.hostname()}`
+    ].join('\r\n') + '\r\n';
+    const warcinfo = zlib.gzipSync(formatRecord({
+      'WARC-Type': 'warcinfo',
+      'WARC-Record-ID': recordId(),
+      'WARC-Date': warcDate(now),
+      'WARC-Filename': filename,
+      'Content-Type': 'application/warc-fields'
+    }, Buffer.from(fields, 'utf8')));
+
+    await fs.promises.writeFile(path.join(this.directory, filename), warcinfo, { flag: 'wx' });
+    this.current = { filename, size: warcinfo.length };
+    return this.current;
+  }
+
+  /**
+   * Header pairs to store with the HTML (transfer headers dropped, Content-Length recomputed)
+   * @private
+   */
+  responseHeaders(headers, length) {
+    const pairs = [];
+    Object.entries(headers).forEach(([name, value]) => {
+      if (DROPPED_HEADERS.includes(name.toLowerCase()) || value === undefined || value === null) {
+        return;
+      }
+      (Array.isArray(value) ? value : [value]).forEach((item) => {
+        let text = String(item).replace(/[\r\n]+/g, ' ');
+        if (name.toLowerCase() === 'content-type') {
+          // The HTML was decoded to a string and is stored as UTF-8
+          text = text.replace(/charset=[^;]*/i, 'charset=utf-8');
+        }
+        pairs.push([name, text]);
+      });
+    });
+    if (!pairs.some(([name]) => name.toLowerCase() === 'content-type')) {
+      pairs.push(['Content-Type', 'text/html; charset=utf-8']);
+    }
+    pairs.push(['Content-Length', String(length)]);
+    return pairs;
+  }
+
+  /**
+   * Appends an entry to index.cdx, starting the file with the CDX header
+   * @private
+   */
+  async addToIndex(entry) {
+    try {
+      await fs.promises.writeFile(this.indexPath, `${CDX_HEADER}\n`, { flag: 'wx' });
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+    await fs.promises.appendFile(this.indexPath, `${formatCdxLine(entry)}\n`, 'utf8');
+  }
+
+  /**
+   * Sorts index.cdx atomically (write to temp file, then rename)
+   * @private
+   */
+  async sortIndex() {
+    let text;
+    try {
+      text = await fs.promises.readFile(this.indexPath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      return;
+    }
+
+    const lines = text.split('\n').filter(line => parseCdxLine(line)).sort();
+    const temp = `${this.indexPath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.promises.writeFile(temp, [CDX_HEADER, ...lines].join('\n') + '\n', 'utf8');
+    await fs.promises.rename(temp, this.indexPath);
+  }
+}
+
+module.exports = WarcArchive;
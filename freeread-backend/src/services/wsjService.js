@@ -2,18 +2,65 @@ const ArchiveService = require('./archiveService');
 const CookieService = require('./cookieService');
 const SearchEngineService = require('./searchEngineService');
 const HeadlessService = require('./headlessService');
+const StrategyPipeline = require('./strategyPipeline');
 
 /**
  * WSJ Service - Handles Wall Street Journal article fetching
- * Tries multiple methods: cookie clearing -> search engine -> headless -> archive
+ * Tries multiple methods: own subscription -> gift link -> cookie clearing -> search engine -> headless -> archive
  * WSJ has hard paywall, but we try all methods for recent articles
  */
 class WSJService {
-  constructor() {
-    this.archiveService = new ArchiveService();
+  /**
+   * @param {object} options - Service options
+   * @param {Array<string>} options.strategies - Ordered strategy names to try
+   * @param {object} options.headless - HeadlessService options for this site (e.g. wait conditions)
+   * @param {object} options.share - Share-link parameters {access, tracking}, used by gift-link and cookie-clearing
+   * @param {object} options.extraction - Extraction hints, used to score archived captures
+   * @param {object} options.archive - ArchiveService.fetchFromArchive options for the archive strategy
+   *   (default: { preferOlder: true }, since WSJ blocks archiving of new articles)
+   */
+  constructor(options = {}) {
+    this.strategies = options.strategies || ['subscription', 'gift-link', 'cookie-clearing', 'search-engine', 'headless', 'archive'];
+    this.headlessOptions = options.headless || {};
+    this.share = options.share || {};
+    this.extraction = options.extraction || {};
+    this.archiveOptions = options.archive || { preferOlder: true };
+    this.archiveService = ArchiveService.fromEnv();
     this.cookieService = new CookieService();
     this.searchEngineService = new SearchEngineService();
     this.headlessService = new HeadlessService();
+    this.pipeline = new StrategyPipeline({
+      label: 'WSJ',
+      strategies: this.buildStrategies(),
+      hasPaywall: (html) => this.hasPaywall(html),
+      failureMessage: 'All methods failed. WSJ has a hard paywall - try an archived version with asOf.'
+    });
+  }
+
+  /**
+   * Builds pipeline strategies for the configured strategy names
+   * @private
+   */
+  buildStrategies() {
+    const definitions = {
+      ...StrategyPipeline.pageStrategies({
+        cookieService: this.cookieService,
+        searchEngineService: this.searchEngineService,
+        share: this.share
+      }),
+      // If headless produced HTML, return it and let extraction decide
+      'headless': {
+        fn: (url, options) => this.tryHeadless(url, options),
+        accept: { allowPaywall: true, allowJsBlock: true }
+      },
+      // Archived content might have paywall indicators but still contain readable content
+      'archive': {
+        fn: (url, options) => this.tryArchive(url, options),
+        accept: { allowPaywall: true }
+      }
+    };
+
+    return StrategyPipeline.select(this.strategies, definitions);
   }
 
   /**
@@ -26,76 +73,24 @@ class WSJService {
    * @throws {Error} - If all methods fail
    */
   async fetchArticle(url, options = {}) {
-    // Try multiple methods in order of likelihood
-    const methods = [
-      { name: 'cookie-clearing', fn: () => this.tryCookieClearing(url, options) },
-      { name: 'search-engine', fn: () => this.trySearchEngine(url, options) },
-      { name: 'headless', fn: () => this.tryHeadless(url, options) },
-      { name: 'archive', fn: () => this.tryArchive(url, options) }
-    ];
-
-    let lastError = null;
-
-    for (const method of methods) {
-      try {
-        const html = await method.fn();
-        const isEmpty = !html || typeof html !== 'string' || html.length === 0;
-        const jsBlock = html && html.toLowerCase().includes('please enable js');
-        const isPaywalled = html && this.hasPaywall(html);
-
-        // If headless produced HTML, return it and let extraction decide
-        if (method.name === 'headless' && !isEmpty) {
-          return html;
-        }
-
-        // For archive, be more lenient - archived content might have paywall indicators
-        // but still contain readable content
-        if (method.name === 'archive' && !isEmpty && !jsBlock) {
-          return html;
-        }
-
-        if (!isEmpty && !jsBlock && !isPaywalled) {
-          return html;
-        }
-
-        lastError = new Error(
-          isEmpty
-            ? `Empty HTML received (method: ${method.name})`
-            : jsBlock
-              ? `JS rendering required (method: ${method.name})`
-              : `Paywall detected (method: ${method.name})`
-        );
-      } catch (error) {
-        lastError = error;
-        continue; // Try next method
-      }
-    }
-
-    // All methods failed
-    const errorMsg = lastError?.message || 'All methods failed. WSJ has a hard paywall - try an older article (>6 months) for archive access.';
-    throw new Error(`WSJ fetch failed: ${errorMsg}`);
-  }
-
-  /**
-   * Try cookie clearing method
-   * @private
-   */
-  async tryCookieClearing(url, options) {
-    return await this.cookieService.fetchWithClearedCookies(url, options);
+    const result = await this.fetchArticleResult(url, options);
+    return result.html;
   }
 
   /**
-   * Try search engine referrer method
-   * @private
+   * Fetches article and reports which strategy succeeded
+   * @param {string} url - WSJ article URL
+   * @param {object} options - Fetch options
+   * @returns {Promise<{html: string, strategy: string, attempts: Array<object>, headers: object}>}
+   * @throws {Error} - If all methods fail; error.attempts holds the attempt log
    */
-  async trySearchEngine(url, options) {
-    const result = await this.searchEngineService.fetchWithSearchReferrer(url, options);
-    return result.html;
+  async fetchArticleResult(url, options = {}) {
+    return await this.pipeline.run(url, options);
   }
 
   /**
    * Try headless browser method
-   * Tries multiple user agents and strategies
+   * Tries multiple user agents and strategies; stops once options.signal is aborted
    * @private
    */
   async tryHeadless(url, options) {
@@ -108,15 +103,17 @@ class WSJService {
     ];
 
     for (const userAgent of userAgents) {
+      options.signal?.throwIfAborted();
       try {
-        const html = await this.headlessService.fetchRenderedHtml(url, {
+        const result = await this.headlessService.render(url, {
+          ...this.headlessOptions,
           ...options,
           userAgent: userAgent,
           timeout: 45000
         });
         
-        if (html && html.length > 1000) {
-          return html;
+        if (result.html && result.html.length > 1000) {
+          return this.headlessResult(result);
         }
       } catch (error) {
         // Try next user agent
@@ -125,23 +122,38 @@ class WSJService {
     }
 
     // If all user agents failed, try one more time with default
-    return await this.headlessService.fetchRenderedHtml(url, {
+    options.signal?.throwIfAborted();
+    const result = await this.headlessService.render(url, {
+      ...this.headlessOptions,
       ...options,
       timeout: 45000
     });
+    return this.headlessResult(result);
+  }
+
+  /**
+   * Shapes a headless render as a pipeline result with render stats as details
+   * @private
+   */
+  headlessResult(result) {
+    return { html: result.html, details: { wait: result.wait, requests: result.requests } };
   }
 
   /**
-   * Try archive method (for older articles)
+   * Try archive method (older captures first, see options.archive)
    * @private
    */
   async tryArchive(url, options) {
-    const archiveResult = await this.archiveService.fetchFromArchive(url, {
-      preferOlder: true // WSJ blocks new archiving, older articles more likely
-    });
+    const archiveResult = await this.archiveService.fetchFromArchive(url, { ...this.archiveOptions, extraction: this.extraction });
 
     if (archiveResult && archiveResult.html) {
-      return archiveResult.html;
+      return {
+        html: archiveResult.html,
+        details: {
+          capture: { archive: archiveResult.archive, timestamp: archiveResult.timestamp, capturedAt: archiveResult.capturedAt },
+          ...(archiveResult.selection && { selection: archiveResult.selection })
+        }
+      };
     }
 
     throw new Error('Article not available in archive');
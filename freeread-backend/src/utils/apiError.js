@@ -0,0 +1,45 @@
+/**
+ * API error helpers
+ * Errors carry a machine-readable code, an HTTP status and optional details,
+ * and are rendered in the standard {success:false, error:{code,message,details}} envelope
+ */
+
+/**
+ * Creates an error for the API envelope
+ * @param {string} code - Error code (e.g. 'FETCH_FAILED')
+ * @param {string} message - Human-readable message
+ * @param {number} status - HTTP status code (default 500)
+ * @param {object} details - Optional details object
+ * @returns {Error} - Error with code, status and details properties
+ */
+function createApiError(code, message, status = 500, details) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
+
+/**
+ * Converts any error to the API error envelope
+ * Errors without a code are reported as INTERNAL_ERROR
+ * @param {Error} error - Error to convert
+ * @returns {{success: false, error: {code: string, message: string, details?: object}}}
+ */
+function toErrorResponse(error) {
+  const body = {
+    code: (error && error.code && error.status) ? error.code : 'INTERNAL_ERROR',
+    message: (error && error.message) || 'An unexpected error occurred'
+  };
+  if (error && error.details) {
+    body.details = error.details;
+  }
+  return { success: false, error: body };
+}
+
+module.exports = {
+  createApiError,
+  toErrorResponse
+};
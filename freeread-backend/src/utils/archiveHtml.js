@@ -0,0 +1,147 @@
+const { JSDOM } = require('jsdom');
+
+/**
+ * Archived HTML normalization
+ *
+ * Replay archives (Wayback Machine, pywb) serve a capture with playback chrome
+ * added - a banner, rewrite scripts and stylesheets, trailing comments - and
+ * every URL rewritten to point back into the archive:
+ *   https://web.archive.org/web/20240115123456/https://www.wsj.com/articles/x
+ *   /web/20240115123456im_/https://images.wsj.net/photo.jpg
+ * normalizeArchivedHtml removes the chrome and restores the original URLs, so
+ * the capture is extracted like the page the publisher served.
+ */
+
+// Chrome delimited by comments (Wayback toolbar and rewrite includes, pywb insert)
+const CHROME_BLOCKS = [
+  /<!--\s*BEGIN WAYBACK TOOLBAR INSERT\s*-->[\s\S]*?<!--\s*END WAYBACK TOOLBAR INSERT\s*-->/gi,
+  /<script[^>]*>[^<]*__wm\.[\s\S]*?<!--\s*End Wayback Rewrite JS Include\s*-->/gi,
+  /<!--\s*WB Insert\s*-->[\s\S]*?<!--\s*End WB Insert\s*-->/gi
+];
+
+// Archive notes appended after </html> ("FILE ARCHIVED ON ...", "playback timings ...")
+const TRAILING_COMMENTS = /<!--\s*(?:FILE ARCHIVED ON|playback timings)[\s\S]*?-->/gi;
+
+// Chrome left when the comment markers are missing
+const CHROME_SELECTOR = [
+  '#wm-ipp-base', '#wm-ipp', '#wm-ipp-print', '#donato', '#_wb_plain_banner', '#_wb_frame_top_banner',
+  'script[src*="/_static/"]', 'link[href*="/_static/"]',
+  'script[src*="wombat"]', 'script[src*="bundle-playback"]', 'script[src*="ruffle"]',
+  'script[src*="archive_analytics"]', 'link[href*="banner-styles"]', 'link[href*="iconochive"]'
+].join(', ');
+
+// Inline scripts that only drive playback
+const PLAYBACK_SCRIPT = /__wm\.|_WBWombat|RufflePlayer|wbinfo\s*=|archive_analytics/;
+
+// Attributes holding one URL, and attributes holding a srcset list
+const LINK_ATTRIBUTES = [['a', 'href'], ['area', 'href'], ['link', 'href'], ['form', 'action'], ['iframe', 'src'], ['script', 'src']];
+const IMAGE_ATTRIBUTES = [
+  ['img', 'src'], ['img', 'data-src'], ['source', 'src'], ['source', 'data-src'],
+  ['video', 'poster'], ['video', 'src'], ['audio', 'src'], ['input', 'src']
+];
+const SRCSET_ATTRIBUTES = [['img', 'srcset'], ['img', 'data-srcset'], ['source', 'srcset'], ['source', 'data-srcset']];
+
+// <archive path>/<timestamp (YYYY to YYYYMMDDHHmmss)><optional modifier like im_ or id_>/<original URL>
+const REPLAY_URL = /^(?:[a-z][a-z0-9+.-]*:)?(?:\/\/[^/]+)?\/(?:[^/?#]+\/)*?(\d{4,14})(?:[a-z]{2}_)?\/(https?:\/+.*)$/i;
+
+/**
+ * Recovers the original URL from an archive replay URL
+ * @param {string} url - URL as found in archived HTML
+ * @returns {{original: string, timestamp: string}|null} - null if the URL is not a replay URL
+ */
+function parseReplayUrl(url) {
+  const match = String(url || '').trim().match(REPLAY_URL);
+  if (!match) {
+    return null;
+  }
+
+  // Replay paths may collapse "https://" to "https:/"
+  const original = match[2].replace(/^(https?:)\/+/i, '$1//');
+  try {
+    return { original: new URL(original).href, timestamp: match[1] };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Removes playback chrome from archived HTML and restores original URLs
+ * @param {string} html - HTML as served by the archive
+ * @param {object} options - Options
+ * @param {string} options.captureUrl - Replay URL of the capture; relative archive URLs are resolved against it
+ * @param {boolean} options.keepArchivedImages - Leave image URLs pointing into the archive (made absolute),
+ *   for images the publisher no longer serves (default false)
+ * @returns {string} - Normalized HTML
+ */
+function normalizeArchivedHtml(html, options = {}) {
+  if (!html || typeof html !== 'string') {
+    return html;
+  }
+
+  let cleaned = html;
+  CHROME_BLOCKS.forEach((pattern) => {
+    cleaned = cleaned.replace(pattern, '');
+  });
+  cleaned = cleaned.replace(TRAILING_COMMENTS, '');
+
+  const dom = new JSDOM(cleaned);
+  const { document } = dom.window;
+
+  document.querySelectorAll(CHROME_SELECTOR).forEach(element => element.remove());
+  document.querySelectorAll('script:not([src])').forEach((script) => {
+    if (PLAYBACK_SCRIPT.test(script.textContent)) {
+      script.remove();
+    }
+  });
+
+  const restore = url => restoreUrl(url, options.captureUrl, false);
+  const restoreImage = url => restoreUrl(url, options.captureUrl, options.keepArchivedImages === true);
+
+  LINK_ATTRIBUTES.forEach(([tag, attribute]) => rewriteAttribute(document, tag, attribute, restore));
+  IMAGE_ATTRIBUTES.forEach(([tag, attribute]) => rewriteAttribute(document, tag, attribute, restoreImage));
+  SRCSET_ATTRIBUTES.forEach(([tag, attribute]) => {
+    rewriteAttribute(document, tag, attribute, srcset => srcset.split(',').map((candidate) => {
+      const [url, ...descriptors] = candidate.trim().split(/\s+/);
+      return [restoreImage(url), ...descriptors].join(' ');
+    }).join(', '));
+  });
+
+  return dom.serialize();
+}
+
+/**
+ * @private
+ */
+function rewriteAttribute(document, tag, attribute, rewrite) {
+  document.querySelectorAll(`${tag}[${attribute}]`).forEach((element) => {
+    const value = element.getAttribute(attribute);
+    const rewritten = rewrite(value);
+    if (rewritten !== value) {
+      element.setAttribute(attribute, rewritten);
+    }
+  });
+}
+
+/**
+ * Original URL for a replay URL; other URLs are returned unchanged
+ * @private
+ */
+function restoreUrl(url, captureUrl, keepArchived) {
+  const replay = parseReplayUrl(url);
+  if (!replay) {
+    return url;
+  }
+  if (!keepArchived) {
+    return replay.original;
+  }
+  try {
+    return captureUrl ? new URL(url.trim(), captureUrl).href : url;
+  } catch (error) {
+    return url;
+  }
+}
+
+module.exports = {
+  parseReplayUrl,
+  normalizeArchivedHtml
+};
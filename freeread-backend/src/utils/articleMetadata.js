@@ -0,0 +1,220 @@
+/**
+ * Structured article metadata
+ *
+ * Publishers describe their articles in several overlapping vocabularies:
+ *   schema.org JSON-LD      <script type="application/ld+json">{"@type": "NewsArticle", ...}</script>
+ *   Open Graph / article:*  <meta property="og:image">, <meta property="article:published_time">
+ *   Twitter cards           <meta name="twitter:image">
+ *   Plain meta tags         <meta name="author">, <meta name="keywords">, NYT's <meta name="byl">
+ * Each field is taken from the first vocabulary that has it, in that order
+ * (the canonical URL prefers <link rel="canonical">).
+ */
+
+// schema.org types that describe an article (NewsArticle, ReportageNewsArticle, BlogPosting, ...)
+const ARTICLE_TYPE = /(Article|BlogPosting)$/;
+
+/**
+ * Extracts metadata from a parsed page
+ * Call before Readability runs, which rewrites the document.
+ * @param {Document} document - Parsed page
+ * @param {string} url - Page URL, for resolving relative URLs
+ * @returns {{canonicalUrl: string|null, publishedAt: string|null, modifiedAt: string|null, section: string|null,
+ *   keywords: Array<string>, authors: Array<string>, publisher: string|null, language: string|null,
+ *   image: string|null, wordCount: number|null}} - Dates are ISO 8601, URLs absolute;
+ *   wordCount is the publisher's count, null when the page does not give one
+ */
+function extractMetadata(document, url) {
+  const ld = findArticleJsonLd(document) || {};
+  const meta = name => metaValues(document, name)[0] || null;
+  const link = document.querySelector('link[rel~="canonical"][href]');
+
+  const ldAuthors = toArray(ld.author).map(nameOf).filter(Boolean);
+  const ogAuthors = metaValues(document, 'article:author').filter(value => !/^https?:\/\//i.test(value));
+  const byline = meta('byl');
+
+  const keywords = toArray(ld.keywords).flatMap(splitList);
+  const tags = metaValues(document, 'article:tag').flatMap(splitList);
+  const metaKeywords = splitList(meta('news_keywords') || meta('keywords') || '');
+
+  const wordCount = parseInt(ld.wordCount, 10);
+
+  return {
+    canonicalUrl: absoluteUrl((link && link.getAttribute('href')) || meta('og:url') || idOf(ld.mainEntityOfPage) || ld.url, url),
+    publishedAt: toIsoDate(ld.datePublished || meta('article:published_time') || meta('pubdate') || meta('ptime')),
+    modifiedAt: toIsoDate(ld.dateModified || meta('article:modified_time') || meta('og:updated_time')),
+    section: toArray(ld.articleSection)[0] || meta('article:section') || null,
+    keywords: unique(keywords.length > 0 ? keywords : tags.length > 0 ? tags : metaKeywords),
+    authors: unique(
+      ldAuthors.length > 0 ? ldAuthors
+        : ogAuthors.length > 0 ? ogAuthors
+          : byline ? splitByline(byline)
+            : splitByline(meta('author') || '')
+    ),
+    publisher: nameOf(ld.publisher) || meta('og:site_name') || null,
+    language: ld.inLanguage || document.documentElement.getAttribute('lang') || localeToLanguage(meta('og:locale')),
+    image: absoluteUrl(imageOf(ld.image) || meta('og:image') || meta('twitter:image') || meta('twitter:image:src'), url),
+    wordCount: wordCount > 0 ? wordCount : null
+  };
+}
+
+/**
+ * Counts the words of a text
+ * @param {string} text - Text
+ * @returns {number}
+ */
+function countWords(text) {
+  return String(text || '').split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * First JSON-LD item with an article type, searching arrays and @graph
+ * @private
+ */
+function findArticleJsonLd(document) {
+  const queue = [];
+  document.querySelectorAll('script[type="application/ld+json"]').forEach((script) => {
+    try {
+      queue.push(JSON.parse(script.textContent));
+    } catch (error) {
+      // Publishers ship broken JSON-LD now and then; the other vocabularies still apply
+    }
+  });
+
+  while (queue.length > 0) {
+    const item = queue.shift();
+    if (Array.isArray(item)) {
+      queue.push(...item);
+    } else if (item && typeof item === 'object') {
+      if (toArray(item['@type']).some(type => ARTICLE_TYPE.test(String(type)))) {
+        return item;
+      }
+      if (item['@graph']) {
+        queue.push(item['@graph']);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Values of all <meta> tags with a property or name
+ * @private
+ */
+function metaValues(document, name) {
+  return Array.from(document.querySelectorAll('meta[property], meta[name]'))
+    .filter(element => (element.getAttribute('property') || element.getAttribute('name')).toLowerCase() === name)
+    .map(element => (element.getAttribute('content') || '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Splits a byline such as "By Jane Doe, John Roe and Ann Poe"
+ * @private
+ */
+function splitByline(byline) {
+  return byline.replace(/^\s*by\s+/i, '')
+    .split(/\s*(?:,|&|\band\b|\|)\s*/i)
+    .map(name => name.trim())
+    .filter(Boolean);
+}
+
+/**
+ * @private
+ */
+function splitList(value) {
+  return String(value || '').split(/[,;]/).map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * @private
+ */
+function nameOf(value) {
+  if (typeof value === 'string') {
+    return value.trim() || null;
+  }
+  return value && typeof value.name === 'string' ? value.name.trim() || null : null;
+}
+
+/**
+ * @private
+ */
+function idOf(value) {
+  if (typeof value === 'string') {
+    return value;
+  }
+  return value && typeof value === 'object' ? value['@id'] || value.url || null : null;
+}
+
+/**
+ * @private
+ */
+function imageOf(value) {
+  const image = toArray(value)[0];
+  if (typeof image === 'string') {
+    return image;
+  }
+  return image && typeof image === 'object' ? image.url || image.contentUrl || null : null;
+}
+
+/**
+ * @private
+ */
+function toArray(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * @private
+ */
+function unique(values) {
+  const seen = new Set();
+  return values.filter((value) => {
+    const key = value.toLowerCase();
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * @private
+ */
+function toIsoDate(value) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * @private
+ */
+function absoluteUrl(value, base) {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+  try {
+    return new URL(value.trim(), base).href;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Open Graph locales are en_US; language tags are en-US
+ * @private
+ */
+function localeToLanguage(locale) {
+  return locale ? locale.replace('_', '-') : null;
+}
+
+module.exports = {
+  extractMetadata,
+  countWords
+};
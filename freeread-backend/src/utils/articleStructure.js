@@ -0,0 +1,233 @@
+const { blockTexts } = require('./textBlocks');
+
+/**
+ * Structure-preserving article serialization
+ *
+ * Rebuilds an article container from a whitelist of semantic elements, so
+ * fallback extractions keep headings, lists, quotes, tables and figures
+ * instead of bare paragraphs. Everything else is unwrapped (layout wrappers,
+ * spans) or dropped (scripts, forms, navigation). Lazy-loaded images are
+ * resolved to their real, absolute URLs, and image credits printed outside
+ * <figcaption> are moved into it so they stay with their image.
+ */
+
+// Elements kept (with only the attributes listed)
+const ALLOWED = {
+  p: [], h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  ul: [], ol: [], li: [], dl: [], dt: [], dd: [],
+  blockquote: [], pre: [], code: [], hr: [], br: [],
+  table: [], thead: [], tbody: [], tfoot: [], tr: [], th: ['colspan', 'rowspan'], td: ['colspan', 'rowspan'], caption: [],
+  figure: [], figcaption: [], img: ['alt', 'width', 'height'],
+  a: [], em: [], strong: [], b: [], i: [], u: [], s: [], sub: [], sup: [], small: [], cite: [], q: [], mark: [], time: ['datetime']
+};
+
+// Elements dropped with their content
+const DROPPED = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed', 'svg', 'canvas', 'video', 'audio',
+  'form', 'input', 'button', 'select', 'textarea', 'nav', 'aside', 'footer', 'dialog'
+];
+
+// Inline wrappers unwrapped without separating their content
+const INLINE = ['span', 'font', 'abbr', 'label', 'picture', 'source', 'bdi', 'bdo', 'data', 'var', 'kbd', 'samp', 'ins', 'del'];
+
+// Attributes lazy loaders keep the real image URL in, in order of preference
+const LAZY_SRC = ['data-src', 'data-lazy-src', 'data-original', 'data-url', 'data-hi-res-src'];
+const LAZY_SRCSET = ['data-srcset', 'data-lazy-srcset', 'srcset'];
+
+// Placeholder images shown until a lazy image loads
+const PLACEHOLDER = /^data:|blank\.gif|spacer\.gif|placeholder|transparent\.(?:gif|png)/i;
+
+// Image credits outside <figcaption>
+const CREDIT_SELECTOR = '[class*="credit" i], [class*="byline" i], [itemprop="copyrightHolder"], [itemprop="creator"]';
+
+// Paragraphs that are subscription prompts, not article text
+const PROMPT = /subscribe|cookie/i;
+
+/**
+ * Serializes an article container, keeping its structure
+ * @param {Element} container - Article container in a parsed page
+ * @param {string} baseUrl - Page URL, for resolving relative links and images
+ * @returns {{html: string, text: string}} - Whitelisted HTML, and text with one block per paragraph
+ */
+function extractStructure(container, baseUrl) {
+  const html = serializeChildren(container, baseUrl).trim();
+  const rebuilt = container.ownerDocument.createElement('div');
+  rebuilt.innerHTML = html;
+
+  const text = blockTexts(rebuilt).join('\n\n');
+
+  return { html, text };
+}
+
+/**
+ * Real URL of a (possibly lazy-loaded) image
+ * @param {Element} image - <img> element
+ * @param {string} baseUrl - Page URL
+ * @returns {string|null} - Absolute http(s) URL, or null if the image has none
+ */
+function resolveImageSource(image, baseUrl) {
+  const lazy = LAZY_SRC.map(name => image.getAttribute(name)).find(value => value && !PLACEHOLDER.test(value));
+  const src = image.getAttribute('src');
+  const sources = image.parentElement && image.parentElement.tagName === 'PICTURE'
+    ? Array.from(image.parentElement.querySelectorAll('source')).flatMap(source => LAZY_SRCSET.map(name => source.getAttribute(name)))
+    : [];
+  const srcset = [...LAZY_SRCSET.map(name => image.getAttribute(name)), ...sources]
+    .filter(Boolean)
+    .map(largestCandidate)
+    .find(Boolean);
+
+  return absoluteUrl(lazy || (src && !PLACEHOLDER.test(src) ? src : null) || srcset, baseUrl);
+}
+
+/**
+ * @private
+ */
+function serializeChildren(element, baseUrl) {
+  return Array.from(element.childNodes).map(node => serializeNode(node, baseUrl)).join('');
+}
+
+/**
+ * @private
+ */
+function serializeNode(node, baseUrl) {
+  if (node.nodeType === 3) {
+    return escapeHtml(node.textContent);
+  }
+  if (node.nodeType !== 1) {
+    return '';
+  }
+
+  const tag = node.tagName.toLowerCase();
+  if (DROPPED.includes(tag) || node.getAttribute('aria-hidden') === 'true' || node.hidden) {
+    return '';
+  }
+  if (tag === 'img') {
+    return serializeImage(node, baseUrl);
+  }
+  if (tag === 'figure') {
+    return serializeFigure(node, baseUrl);
+  }
+  if (tag === 'p' && PROMPT.test(node.textContent)) {
+    return '';
+  }
+  if (tag === 'a') {
+    const href = absoluteUrl(node.getAttribute('href'), baseUrl);
+    const content = serializeChildren(node, baseUrl);
+    return href ? `<a href="${escapeHtml(href)}">${content}</a>` : content;
+  }
+  if (!ALLOWED[tag]) {
+    // Layout wrappers become whitespace, so the text of adjacent blocks does not run together
+    const content = serializeChildren(node, baseUrl);
+    return INLINE.includes(tag) ? content : `\n${content}\n`;
+  }
+
+  const attributes = ALLOWED[tag]
+    .filter(name => node.hasAttribute(name))
+    .map(name => ` ${name}="${escapeHtml(node.getAttribute(name))}"`)
+    .join('');
+  if (tag === 'br' || tag === 'hr') {
+    return `<${tag}>`;
+  }
+  const content = serializeChildren(node, baseUrl);
+  if (!content.trim() && ['p', 'li', 'blockquote', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'].includes(tag)) {
+    return '';
+  }
+  return `<${tag}${attributes}>${content}</${tag}>`;
+}
+
+/**
+ * @private
+ */
+function serializeImage(image, baseUrl) {
+  const src = resolveImageSource(image, baseUrl);
+  if (!src) {
+    return '';
+  }
+  const attributes = ALLOWED.img
+    .filter(name => image.hasAttribute(name))
+    .map(name => ` ${name}="${escapeHtml(image.getAttribute(name))}"`)
+    .join('');
+  return `<img src="${escapeHtml(src)}"${attributes}>`;
+}
+
+/**
+ * Figure with its media first and every caption and credit in one <figcaption>
+ * @private
+ */
+function serializeFigure(figure, baseUrl) {
+  const captions = Array.from(figure.querySelectorAll('figcaption'));
+  const marked = Array.from(figure.querySelectorAll(CREDIT_SELECTOR));
+  const credits = marked.filter(credit => !captions.some(caption => caption.contains(credit)) &&
+    !marked.some(other => other !== credit && other.contains(credit)));
+
+  const media = Array.from(figure.childNodes)
+    .filter(node => !captions.includes(node) && !credits.includes(node))
+    .map((node) => {
+      if (node.nodeType !== 1) {
+        return serializeNode(node, baseUrl);
+      }
+      const clone = node.cloneNode(true);
+      clone.querySelectorAll('figcaption').forEach(element => element.remove());
+      clone.querySelectorAll(CREDIT_SELECTOR).forEach(element => element.remove());
+      return serializeNode(clone, baseUrl);
+    })
+    .join('')
+    .trim();
+  if (!media.includes('<img')) {
+    // A figure without an image (e.g. a pull quote) keeps its content as is
+    return serializeChildren(figure, baseUrl);
+  }
+
+  const caption = [
+    ...captions.map(element => serializeChildren(element, baseUrl).trim()),
+    ...credits.map(element => `<small>${serializeChildren(element, baseUrl).trim()}</small>`)
+  ].filter(part => part && part !== '<small></small>').join(' ');
+
+  return `<figure>${media}${caption ? `<figcaption>${caption}</figcaption>` : ''}</figure>`;
+}
+
+/**
+ * URL of the widest (or highest density) srcset candidate
+ * @private
+ */
+function largestCandidate(srcset) {
+  const candidates = String(srcset).split(/,\s+/).map((candidate) => {
+    const [url, descriptor = '1x'] = candidate.trim().split(/\s+/);
+    return { url, size: parseFloat(descriptor) || 1 };
+  }).filter(candidate => candidate.url && !PLACEHOLDER.test(candidate.url));
+  if (candidates.length === 0) {
+    return null;
+  }
+  return candidates.reduce((best, candidate) => (candidate.size > best.size ? candidate : best)).url;
+}
+
+/**
+ * @private
+ */
+function absoluteUrl(value, baseUrl) {
+  if (!value) {
+    return null;
+  }
+  try {
+    const url = new URL(value.trim(), baseUrl);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * @private
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  extractStructure,
+  resolveImageSource
+};
@@ -0,0 +1,32 @@
+/**
+ * Concurrency helpers
+ */
+
+/**
+ * Maps items through an async function with at most `limit` calls in flight
+ * Results keep the input order. The mapper should handle its own errors;
+ * a rejection rejects the whole map.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls (>= 1)
+ * @param {function(*, number): Promise<*>} mapper - Async mapper (item, index)
+ * @returns {Promise<Array>} - Mapped results in input order
+ */
+async function mapWithConcurrency(items, limit, mapper) {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await mapper(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
@@ -0,0 +1,78 @@
+/**
+ * Memento (RFC 7089) helpers
+ *
+ * TimeMaps are served as application/link-format (RFC 6690):
+ *   <http://a.example/>; rel="original",
+ *   <http://arc.example/20240115123456/http://a.example/>; rel="first memento"; datetime="Mon, 15 Jan 2024 12:34:56 GMT"
+ * TimeGates take an Accept-Datetime header and redirect to the closest memento.
+ */
+
+/**
+ * Parses a link-format document (a TimeMap body or a Link header)
+ * @param {string} text - Link-format text
+ * @returns {Array<{uri: string, rel: Array<string>, datetime: string|null}>}
+ *   datetime is ISO 8601 (converted from the HTTP date), or null when absent or unparsable
+ */
+function parseLinkFormat(text) {
+  const links = [];
+  const entryPattern = /<([^>]*)>([^<]*)/g;
+  let entry;
+
+  while ((entry = entryPattern.exec(String(text || ''))) !== null) {
+    const params = {};
+    const paramPattern = /;\s*([a-z-]+)\s*=\s*(?:"([^"]*)"|([^;,\s]+))/gi;
+    let param;
+    while ((param = paramPattern.exec(entry[2])) !== null) {
+      params[param[1].toLowerCase()] = param[2] !== undefined ? param[2] : param[3];
+    }
+
+    const parsed = params.datetime ? new Date(params.datetime) : null;
+    links.push({
+      uri: entry[1].trim(),
+      rel: (params.rel || '').toLowerCase().split(/\s+/).filter(Boolean),
+      datetime: parsed && !Number.isNaN(parsed.getTime()) ? parsed.toISOString() : null
+    });
+  }
+
+  return links;
+}
+
+/**
+ * Formats a date for the Accept-Datetime / Memento-Datetime headers
+ * @param {Date|string|number} date - Date
+ * @returns {string} - RFC 1123 date, e.g. 'Mon, 15 Jan 2024 12:34:56 GMT'
+ */
+function toHttpDate(date) {
+  return new Date(date).toUTCString();
+}
+
+/**
+ * Converts a 14-digit archive timestamp to a Date
+ * @param {string} timestamp - YYYYMMDDHHmmss (shorter prefixes are padded with the earliest values)
+ * @returns {Date|null} - Date, or null if the timestamp is malformed
+ */
+function timestampToDate(timestamp) {
+  const match = String(timestamp || '').match(/^(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?$/);
+  if (!match) {
+    return null;
+  }
+  const [year, month = '01', day = '01', hour = '00', minute = '00', second = '00'] = match.slice(1);
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Converts a date to a 14-digit archive timestamp
+ * @param {Date|string|number} date - Date
+ * @returns {string} - YYYYMMDDHHmmss (UTC)
+ */
+function dateToTimestamp(date) {
+  return new Date(date).toISOString().replace(/[-:T]/g, '').substring(0, 14);
+}
+
+module.exports = {
+  parseLinkFormat,
+  toHttpDate,
+  timestampToDate,
+  dateToTimestamp
+};
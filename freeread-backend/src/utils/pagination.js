@@ -0,0 +1,150 @@
+const { JSDOM } = require('jsdom');
+const { innermostBlocks } = require('./textBlocks');
+
+/**
+ * Multi-page article helpers
+ *
+ * Articles split across pages link the next page with rel="next" or with a
+ * ?page=N query. findNextPage only follows links that stay within the article
+ * (same host, and the article's path or a path below it), so a rel="next"
+ * pointing at the next story is not mistaken for page two. mergePages joins
+ * the extracted pages, dropping the headers and boilerplate every page repeats.
+ */
+
+// Query parameters publishers use for the page number
+const PAGE_PARAMS = ['page', 'pg', 'pagenum'];
+
+/**
+ * Finds the link to an article's next page
+ * @param {string} html - Page HTML
+ * @param {string} url - Page URL
+ * @param {string} articleUrl - URL of the article's first page (default: url)
+ * @returns {string|null} - Absolute URL of the next page, or null
+ */
+function findNextPage(html, url, articleUrl = url) {
+  if (!html || typeof html !== 'string') {
+    return null;
+  }
+
+  const current = new URL(url);
+  const article = new URL(articleUrl);
+  const { document } = new JSDOM(html).window;
+  const hrefs = element => resolve(element.getAttribute('href'), current);
+
+  const rel = Array.from(document.querySelectorAll('link[rel~="next" i][href], a[rel~="next" i][href]'))
+    .map(hrefs)
+    .find(next => next && isWithinArticle(next, current, article));
+  if (rel) {
+    return rel.href;
+  }
+
+  const param = PAGE_PARAMS.find(name => current.searchParams.has(name)) || PAGE_PARAMS[0];
+  const page = parseInt(current.searchParams.get(param), 10) || 1;
+  const numbered = Array.from(document.querySelectorAll('a[href]'))
+    .map(hrefs)
+    .find(next => next && next.pathname === current.pathname && isWithinArticle(next, current, article) &&
+      parseInt(next.searchParams.get(param), 10) === page + 1);
+  return numbered ? numbered.href : null;
+}
+
+/**
+ * Merges the extracted pages of an article
+ * Blocks (paragraphs, headings, list items, ...) already seen on an earlier page are dropped.
+ * @param {Array<object>} pages - ContentProcessor results, first page first
+ * @returns {object} - The first page's article with html, text and length covering every page,
+ *   and pages set to the number of pages merged (pages adding nothing new are not counted)
+ */
+function mergePages(pages) {
+  const [first, ...rest] = pages;
+  const seen = new Set(innermostBlocks(parse(first.html)).map(block => block.text));
+  String(first.text || '').split(/\n+/).map(normalize).filter(Boolean).forEach(line => seen.add(line));
+
+  let html = first.html || '';
+  let text = first.text || '';
+  let count = 1;
+
+  rest.forEach((page) => {
+    const document = parse(page.html);
+    const blocks = innermostBlocks(document);
+    const kept = [];
+    blocks.forEach((block) => {
+      if (seen.has(block.text)) {
+        block.element.remove();
+      } else {
+        kept.push(block.text);
+        seen.add(block.text);
+      }
+    });
+    // Fallback extractions without block elements are compared line by line
+    if (blocks.length === 0) {
+      String(page.text || '').split(/\n+/).map(normalize).filter(line => line && !seen.has(line)).forEach((line) => {
+        kept.push(line);
+        seen.add(line);
+      });
+    }
+    if (kept.length === 0) {
+      return;
+    }
+
+    count++;
+    // Readability names its wrapper readability-page-1; later pages continue the numbering
+    const wrapper = document.getElementById('readability-page-1');
+    if (wrapper) {
+      wrapper.id = `readability-page-${count}`;
+    }
+    html += document.body.innerHTML;
+    text += `\n\n${kept.join('\n\n')}`;
+  });
+
+  return {
+    ...first,
+    html,
+    text,
+    length: text.length,
+    pages: count
+  };
+}
+
+/**
+ * Parses extracted article HTML
+ * @private
+ */
+function parse(html) {
+  return new JSDOM(`<body>${html || ''}</body>`).window.document;
+}
+
+/**
+ * Same host (ignoring www.) and the article's path or one below it, but not the current page
+ * @private
+ */
+function isWithinArticle(next, current, article) {
+  const host = url => url.hostname.replace(/^www\./, '');
+  const base = article.pathname.replace(/\/+$/, '');
+  return host(next) === host(article) &&
+    (next.pathname === article.pathname || next.pathname === current.pathname || (base && next.pathname.startsWith(`${base}/`))) &&
+    `${next.pathname}${next.search}` !== `${current.pathname}${current.search}`;
+}
+
+/**
+ * @private
+ */
+function resolve(href, base) {
+  try {
+    const resolved = new URL(href, base);
+    return resolved.protocol === 'http:' || resolved.protocol === 'https:' ? resolved : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * @private
+ */
+function normalize(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+module.exports = {
+  findNextPage,
+  mergePages
+};
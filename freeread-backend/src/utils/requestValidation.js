@@ -0,0 +1,93 @@
+const { isValidUrl } = require('./urlUtils');
+const { createApiError } = require('./apiError');
+const { assertSafeUrl } = require('./urlSafety');
+const { timestampToDate } = require('./memento');
+
+/**
+ * Validates the article URL supplied in a request
+ * @param {*} url - Value from the request body or query
+ * @returns {Error|null} - API error (MISSING_URL / INVALID_URL / UNSAFE_URL, status 400) or null if valid
+ */
+function validateArticleUrl(url) {
+  if (!url) {
+    return createApiError('MISSING_URL', 'URL is required', 400);
+  }
+
+  if (!isValidUrl(url)) {
+    return createApiError('INVALID_URL', 'Invalid URL format', 400);
+  }
+
+  try {
+    assertSafeUrl(url);
+  } catch (error) {
+    return error;
+  }
+
+  return null;
+}
+
+/**
+ * Parses the optional asOf point in time supplied in a request
+ * Accepts an ISO 8601 date or an archive timestamp (YYYYMMDD, up to YYYYMMDDHHmmss)
+ * @param {*} value - Value from the request body
+ * @returns {{asOf: Date|null, error: Error|null}} - asOf is null when no value was given;
+ *   error is an INVALID_AS_OF API error (status 400) for unparsable values
+ */
+function parseAsOf(value) {
+  if (value === undefined || value === null || value === '') {
+    return { asOf: null, error: null };
+  }
+
+  const asOf = parsePointInTime(value);
+  if (!asOf) {
+    return {
+      asOf: null,
+      error: createApiError('INVALID_AS_OF', 'asOf must be an ISO 8601 date or a YYYYMMDDHHmmss timestamp', 400)
+    };
+  }
+  return { asOf, error: null };
+}
+
+/**
+ * Parses the from/to revision times of a diff request (same formats as asOf)
+ * @param {*} from - Time of the old revision
+ * @param {*} to - Time of the new revision
+ * @returns {{from: Date|null, to: Date|null, error: Error|null}} - error is a MISSING_DIFF_RANGE or
+ *   INVALID_DIFF_RANGE API error (status 400) when either is missing, unparsable, or from is after to
+ */
+function parseDiffRange(from, to) {
+  if ([from, to].some(value => value === undefined || value === null || value === '')) {
+    return { from: null, to: null, error: createApiError('MISSING_DIFF_RANGE', 'from and to are required', 400) };
+  }
+
+  const fromDate = parsePointInTime(from);
+  const toDate = parsePointInTime(to);
+  if (!fromDate || !toDate) {
+    return {
+      from: null,
+      to: null,
+      error: createApiError('INVALID_DIFF_RANGE', 'from and to must be ISO 8601 dates or YYYYMMDDHHmmss timestamps', 400)
+    };
+  }
+  if (fromDate > toDate) {
+    return { from: null, to: null, error: createApiError('INVALID_DIFF_RANGE', 'from must not be later than to', 400) };
+  }
+  return { from: fromDate, to: toDate, error: null };
+}
+
+/**
+ * Parses an ISO 8601 date or an archive timestamp
+ * @private
+ * @returns {Date|null}
+ */
+function parsePointInTime(value) {
+  const text = String(value);
+  const date = /^\d{8,14}$/.test(text) ? timestampToDate(text) : new Date(text);
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+module.exports = {
+  validateArticleUrl,
+  parseAsOf,
+  parseDiffRange
+};
@@ -0,0 +1,126 @@
+/**
+ * robots.txt parsing and matching (RFC 9309)
+ *
+ * Groups start with one or more user-agent lines followed by allow/disallow
+ * rules. A crawler obeys the groups naming its product token (merged), or the
+ * "*" groups when none do. The longest matching pattern wins; on a tie, allow
+ * wins. Patterns support "*" (any characters) and a trailing "$" (end of URL).
+ */
+
+/**
+ * Parses robots.txt content
+ * @param {string} text - robots.txt body
+ * @returns {Array<{userAgents: Array<string>, rules: Array<{type: string, pattern: string}>}>}
+ */
+function parseRobotsTxt(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  String(text || '').split(/\r\n|\r|\n/).forEach((rawLine) => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+      return;
+    }
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      if (!lastWasAgent) {
+        current = { userAgents: [], rules: [] };
+        groups.push(current);
+      }
+      current.userAgents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+
+    if ((field === 'allow' || field === 'disallow') && current) {
+      // An empty disallow matches nothing
+      if (value) {
+        current.rules.push({ type: field, pattern: value });
+      }
+    }
+    lastWasAgent = false;
+  });
+
+  return groups;
+}
+
+/**
+ * Decides whether a user agent may fetch a URL
+ * @param {Array<object>} groups - Parsed groups from parseRobotsTxt
+ * @param {string} userAgent - Product token (e.g. 'FreeRead')
+ * @param {string} url - URL to check
+ * @returns {{allowed: boolean, group: string|null, rule: {type: string, pattern: string}|null}}
+ *   group is the user-agent line that applied ('*' for the default group)
+ */
+function isAllowedByRobots(groups, userAgent, url) {
+  const parsed = new URL(url);
+  const target = `${parsed.pathname}${parsed.search}`;
+
+  if (parsed.pathname === '/robots.txt') {
+    return { allowed: true, group: null, rule: null };
+  }
+
+  const token = String(userAgent).split('/')[0].trim().toLowerCase();
+  let matching = groups.filter(group => group.userAgents.includes(token));
+  let groupName = token;
+  if (matching.length === 0) {
+    matching = groups.filter(group => group.userAgents.includes('*'));
+    groupName = '*';
+  }
+  if (matching.length === 0) {
+    return { allowed: true, group: null, rule: null };
+  }
+
+  let best = null;
+  matching.forEach((group) => {
+    group.rules.forEach((rule) => {
+      if (!matchesPattern(rule.pattern, target)) {
+        return;
+      }
+      const better = !best ||
+        rule.pattern.length > best.pattern.length ||
+        (rule.pattern.length === best.pattern.length && rule.type === 'allow');
+      if (better) {
+        best = rule;
+      }
+    });
+  });
+
+  return {
+    allowed: !best || best.type === 'allow',
+    group: groupName,
+    rule: best
+  };
+}
+
+/**
+ * Matches a robots.txt path pattern against a path (+ query)
+ * @private
+ */
+function matchesPattern(pattern, target) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const source = body
+    .split('*')
+    .map(part => encodePath(part).replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`).test(target);
+}
+
+/**
+ * Percent-encodes characters the URL parser would encode, so patterns and paths compare alike
+ * @private
+ */
+function encodePath(part) {
+  return part.replace(/[^\x21-\x7e]/g, char => encodeURIComponent(char));
+}
+
+module.exports = {
+  parseRobotsTxt,
+  isAllowedByRobots
+};
@@ -0,0 +1,36 @@
+/**
+ * Article text blocks
+ *
+ * A block is an element whose text is one paragraph of the article: a paragraph,
+ * heading, list item, quote, caption or table cell. Only the innermost blocks
+ * count, so a <p> inside a <blockquote> is one paragraph, not two.
+ */
+
+// Elements whose text is one block of the article
+const BLOCK_SELECTOR = 'p, h1, h2, h3, h4, h5, h6, li, dt, dd, blockquote, pre, figcaption, caption, th, td';
+
+/**
+ * Innermost block elements with their whitespace-normalized text
+ * @param {Document|Element} root - Parsed page or container to search
+ * @returns {Array<{element: Element, text: string}>} - Blocks in document order; empty ones are left out
+ */
+function innermostBlocks(root) {
+  return Array.from(root.querySelectorAll(BLOCK_SELECTOR))
+    .filter(element => !element.querySelector(BLOCK_SELECTOR))
+    .map(element => ({ element, text: element.textContent.replace(/\s+/g, ' ').trim() }))
+    .filter(block => block.text);
+}
+
+/**
+ * Texts of the innermost blocks, one per paragraph
+ * @param {Document|Element} root - Parsed page or container to search
+ * @returns {Array<string>}
+ */
+function blockTexts(root) {
+  return innermostBlocks(root).map(block => block.text);
+}
+
+module.exports = {
+  innermostBlocks,
+  blockTexts
+};
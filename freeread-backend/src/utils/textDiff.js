@@ -0,0 +1,214 @@
+/**
+ * Text diffing for article revisions
+ *
+ * diffSequences is a longest-common-subsequence diff over arrays of tokens;
+ * diffWords and diffParagraphs build on it. Operation types are 'equal',
+ * 'delete' (only in the old text) and 'insert' (only in the new text);
+ * diffParagraphs also reports 'change' for a paragraph that was edited in place.
+ */
+
+// Larger middle sections (after trimming the common prefix/suffix) are reported as replaced wholesale
+const MAX_LCS_CELLS = 4000000;
+
+// Share of words two paragraphs must have in common to count as an edit of the same paragraph
+const CHANGE_SIMILARITY = 0.5;
+
+/**
+ * Diffs two token sequences
+ * @param {Array} before - Old tokens
+ * @param {Array} after - New tokens
+ * @param {function(*, *): boolean} equals - Token comparison (default ===)
+ * @returns {Array<{type: string, value: *}>} - Operations in order; deletions precede insertions at the same position
+ */
+function diffSequences(before, after, equals = (a, b) => a === b) {
+  let start = 0;
+  while (start < before.length && start < after.length && equals(before[start], after[start])) {
+    start++;
+  }
+
+  let endBefore = before.length;
+  let endAfter = after.length;
+  while (endBefore > start && endAfter > start && equals(before[endBefore - 1], after[endAfter - 1])) {
+    endBefore--;
+    endAfter--;
+  }
+
+  return [
+    ...before.slice(0, start).map(value => ({ type: 'equal', value })),
+    ...diffMiddle(before.slice(start, endBefore), after.slice(start, endAfter), equals),
+    ...before.slice(endBefore).map(value => ({ type: 'equal', value }))
+  ];
+}
+
+/**
+ * Word-level diff of two strings (whitespace is not significant)
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {{segments: Array<{type: string, text: string}>, added: number, removed: number}}
+ *   segments join runs of words with the same type; added/removed count words
+ */
+function diffWords(before, after) {
+  const operations = diffSequences(toWords(before), toWords(after));
+  const segments = [];
+  let added = 0;
+  let removed = 0;
+
+  operations.forEach(({ type, value }) => {
+    if (type === 'insert') {
+      added++;
+    } else if (type === 'delete') {
+      removed++;
+    }
+
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) {
+      last.text += ` ${value}`;
+    } else {
+      segments.push({ type, text: value });
+    }
+  });
+
+  return { segments, added, removed };
+}
+
+/**
+ * Paragraph-level diff, with a word-level diff for paragraphs edited in place
+ * A deleted and an inserted paragraph at the same position are reported as one
+ * 'change' when they share enough words; otherwise as a deletion and an insertion.
+ * @param {Array<string>} before - Old paragraphs
+ * @param {Array<string>} after - New paragraphs
+ * @returns {{entries: Array<object>, summary: object}}
+ *   entries: {type: 'equal'|'delete'|'insert', text} or {type: 'change', from, to, words}
+ *   summary: {paragraphs: {unchanged, changed, added, removed}, words: {added, removed}}
+ */
+function diffParagraphs(before, after) {
+  const operations = diffSequences(before.map(normalizeSpace), after.map(normalizeSpace));
+  const entries = [];
+  const summary = {
+    paragraphs: { unchanged: 0, changed: 0, added: 0, removed: 0 },
+    words: { added: 0, removed: 0 }
+  };
+
+  const flush = (deleted, inserted) => {
+    const pairs = Math.max(deleted.length, inserted.length);
+    for (let i = 0; i < pairs; i++) {
+      const words = i < deleted.length && i < inserted.length ? diffWords(deleted[i], inserted[i]) : null;
+      if (words && similarity(words) >= CHANGE_SIMILARITY) {
+        entries.push({ type: 'change', from: deleted[i], to: inserted[i], words: words.segments });
+        summary.paragraphs.changed++;
+        summary.words.added += words.added;
+        summary.words.removed += words.removed;
+        continue;
+      }
+      if (i < deleted.length) {
+        entries.push({ type: 'delete', text: deleted[i] });
+        summary.paragraphs.removed++;
+        summary.words.removed += toWords(deleted[i]).length;
+      }
+      if (i < inserted.length) {
+        entries.push({ type: 'insert', text: inserted[i] });
+        summary.paragraphs.added++;
+        summary.words.added += toWords(inserted[i]).length;
+      }
+    }
+  };
+
+  let deleted = [];
+  let inserted = [];
+  operations.forEach(({ type, value }) => {
+    if (type === 'delete') {
+      deleted.push(value);
+    } else if (type === 'insert') {
+      inserted.push(value);
+    } else {
+      flush(deleted, inserted);
+      deleted = [];
+      inserted = [];
+      entries.push({ type: 'equal', text: value });
+      summary.paragraphs.unchanged++;
+    }
+  });
+  flush(deleted, inserted);
+
+  return { entries, summary };
+}
+
+/**
+ * LCS diff of the differing middle section
+ * @private
+ */
+function diffMiddle(before, after, equals) {
+  const rows = before.length;
+  const columns = after.length;
+  if (rows === 0 || columns === 0 || (rows + 1) * (columns + 1) > MAX_LCS_CELLS) {
+    return [
+      ...before.map(value => ({ type: 'delete', value })),
+      ...after.map(value => ({ type: 'insert', value }))
+    ];
+  }
+
+  // lengths[i * width + j] = LCS length of before[i..] and after[j..]
+  const width = columns + 1;
+  const lengths = new Uint32Array((rows + 1) * width);
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = columns - 1; j >= 0; j--) {
+      lengths[i * width + j] = equals(before[i], after[j])
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < columns) {
+    if (equals(before[i], after[j])) {
+      operations.push({ type: 'equal', value: before[i] });
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      operations.push({ type: 'delete', value: before[i++] });
+    } else {
+      operations.push({ type: 'insert', value: after[j++] });
+    }
+  }
+  while (i < rows) {
+    operations.push({ type: 'delete', value: before[i++] });
+  }
+  while (j < columns) {
+    operations.push({ type: 'insert', value: after[j++] });
+  }
+  return operations;
+}
+
+/**
+ * Share of words kept between the two sides of a word diff (0..1)
+ * @private
+ */
+function similarity(words) {
+  const kept = words.segments
+    .filter(segment => segment.type === 'equal')
+    .reduce((count, segment) => count + toWords(segment.text).length, 0);
+  const total = 2 * kept + words.added + words.removed;
+  return total === 0 ? 1 : (2 * kept) / total;
+}
+
+/**
+ * @private
+ */
+function toWords(text) {
+  return String(text || '').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * @private
+ */
+function normalizeSpace(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+module.exports = {
+  diffSequences,
+  diffWords,
+  diffParagraphs
+};
@@ -0,0 +1,259 @@
+const dns = require('dns');
+const net = require('net');
+const { createApiError } = require('./apiError');
+
+/**
+ * URL Safety - Keeps user-supplied URLs from reaching internal hosts (SSRF)
+ *
+ * Requests may not target loopback, private (RFC 1918 / unique-local),
+ * link-local (incl. cloud metadata at 169.254.169.254), carrier-grade NAT,
+ * multicast or reserved addresses. Checks run on the initial URL, on every
+ * DNS resolution (so hostnames pointing inward are caught at connect time)
+ * and on every redirect hop.
+ *
+ * For local testing, SSRF_ALLOWLIST can list hosts or IPs that are always
+ * allowed (comma separated, e.g. "localhost,127.0.0.1").
+ */
+
+const IPV4_BLOCKED_RANGES = [
+  ['0.0.0.0', 8],        // "This" network
+  ['10.0.0.0', 8],       // Private
+  ['100.64.0.0', 10],    // Carrier-grade NAT
+  ['127.0.0.0', 8],      // Loopback
+  ['169.254.0.0', 16],   // Link-local / cloud metadata
+  ['172.16.0.0', 12],    // Private
+  ['192.0.0.0', 24],     // IETF protocol assignments
+  ['192.168.0.0', 16],   // Private
+  ['198.18.0.0', 15],    // Benchmarking
+  ['224.0.0.0', 4],      // Multicast
+  ['240.0.0.0', 4]       // Reserved + broadcast
+];
+
+/**
+ * Hosts allowed despite resolving to blocked addresses (SSRF_ALLOWLIST)
+ * @returns {Array<string>} - Lowercased hosts/IPs
+ */
+function getAllowlist() {
+  return (process.env.SSRF_ALLOWLIST || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Checks whether a host is on the allowlist
+ * @param {string} hostname - Hostname or IP (IPv6 with or without brackets)
+ * @returns {boolean}
+ */
+function isAllowedHost(hostname) {
+  const host = stripBrackets(String(hostname || '').toLowerCase());
+  return getAllowlist().some(allowed => stripBrackets(allowed) === host);
+}
+
+/**
+ * Checks whether an IP address is loopback, private, link-local or otherwise internal
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - True if the address must not be fetched
+ */
+function isPrivateAddress(address) {
+  const ip = stripBrackets(String(address || ''));
+  const version = net.isIP(ip);
+
+  if (version === 4) {
+    const value = ipv4ToNumber(ip);
+    return IPV4_BLOCKED_RANGES.some(([base, bits]) => {
+      const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+      return ((value & mask) >>> 0) === ((ipv4ToNumber(base) & mask) >>> 0);
+    });
+  }
+
+  if (version === 6) {
+    const groups = expandIPv6(ip);
+    const embeddedV4 = `${groups[6] >> 8}.${groups[6] & 255}.${groups[7] >> 8}.${groups[7] & 255}`;
+    const leadingZeros = groups.slice(0, 5).every(group => group === 0);
+
+    if (groups.every(group => group === 0)) return true;                        // ::
+    if (leadingZeros && groups[5] === 0 && groups[6] === 0 && groups[7] === 1) return true; // ::1
+    if (leadingZeros && groups[5] === 0xffff) return isPrivateAddress(embeddedV4); // IPv4-mapped
+    if (groups[0] === 0x64 && groups[1] === 0xff9b) return isPrivateAddress(embeddedV4); // NAT64
+    if ((groups[0] & 0xfe00) === 0xfc00) return true;                          // Unique local fc00::/7
+    if ((groups[0] & 0xffc0) === 0xfe80) return true;                          // Link-local fe80::/10
+    if ((groups[0] & 0xff00) === 0xff00) return true;                          // Multicast ff00::/8
+    return false;
+  }
+
+  return false;
+}
+
+/**
+ * Checks a URL before any network access: scheme, localhost names and IP literals
+ * Hostnames are checked again when they are resolved (see lookup)
+ * @param {string} url - URL to check
+ * @throws {Error} - UNSAFE_URL api error (400) if the URL targets an internal host
+ */
+function assertSafeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw createApiError('UNSAFE_URL', 'URL could not be parsed', 400);
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw createApiError('UNSAFE_URL', `Protocol ${parsed.protocol} is not allowed`, 400);
+  }
+
+  const hostname = stripBrackets(parsed.hostname.toLowerCase()).replace(/\.$/, '');
+  if (isAllowedHost(hostname)) {
+    return;
+  }
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+    throw unsafeTarget(hostname, hostname);
+  }
+  if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+    throw unsafeTarget(hostname, hostname);
+  }
+}
+
+/**
+ * Resolves a URL's hostname and rejects internal targets
+ * DNS failures are not treated as unsafe - the request itself will fail
+ * @param {string} url - URL to check
+ * @returns {Promise<void>}
+ * @throws {Error} - UNSAFE_URL api error (400) if any resolved address is internal
+ */
+async function assertPublicTarget(url) {
+  assertSafeUrl(url);
+
+  const hostname = stripBrackets(new URL(url).hostname.toLowerCase());
+  if (net.isIP(hostname) || isAllowedHost(hostname)) {
+    return;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    return;
+  }
+
+  const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+  if (blocked) {
+    throw unsafeTarget(hostname, blocked.address);
+  }
+}
+
+/**
+ * dns.lookup replacement that refuses internal addresses
+ * Used as the connect-time lookup for HTTP clients, so it also covers
+ * DNS rebinding and redirects to hostnames that resolve inward
+ * @param {string} hostname - Hostname to resolve
+ * @param {object|number} options - dns.lookup options
+ * @param {function} callback - dns.lookup callback
+ */
+function lookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    const blocked = isAllowedHost(hostname) ? null : addresses.find(isPrivateAddress);
+    if (blocked) {
+      return callback(unsafeTarget(hostname, blocked));
+    }
+    return callback(null, address, family);
+  });
+}
+
+/**
+ * axios config that enforces these checks on connect and on every redirect hop
+ * Spread into axios.create() or per-request config
+ * @returns {{lookup: function, beforeRedirect: function}}
+ */
+function safeRequestConfig() {
+  return {
+    lookup,
+    beforeRedirect: (options) => assertSafeUrl(options.href)
+  };
+}
+
+/**
+ * Finds the UNSAFE_URL error behind a failed request
+ * HTTP clients wrap errors thrown from redirect hooks (e.g. follow-redirects'
+ * "Redirected request failed"), so the cause chain is searched.
+ * @param {Error} error - Error thrown by the request
+ * @returns {Error|null} - The UNSAFE_URL api error, or null if the request failed for another reason
+ */
+function unsafeCause(error) {
+  for (let current = error, depth = 0; current && depth < 5; current = current.cause, depth++) {
+    if (current.code === 'UNSAFE_URL') {
+      return current;
+    }
+  }
+  return null;
+}
+
+/**
+ * @private
+ */
+function unsafeTarget(hostname, address) {
+  const message = hostname === address
+    ? `Refusing to fetch internal address ${address}`
+    : `Refusing to fetch ${hostname}: resolves to internal address ${address}`;
+  return createApiError('UNSAFE_URL', message, 400);
+}
+
+/**
+ * @private
+ */
+function stripBrackets(host) {
+  return host.startsWith('[') && host.endsWith(']') ? host.slice(1, -1) : host;
+}
+
+/**
+ * @private
+ */
+function ipv4ToNumber(ip) {
+  return ip.split('.').reduce((value, octet) => ((value << 8) + parseInt(octet, 10)) >>> 0, 0);
+}
+
+/**
+ * Expands an IPv6 address to eight 16-bit groups
+ * @private
+ */
+function expandIPv6(ip) {
+  let address = ip.split('%')[0];
+
+  // Convert a trailing dotted IPv4 part (e.g. ::ffff:127.0.0.1) to two hex groups
+  const dotted = address.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const value = ipv4ToNumber(dotted[1]);
+    address = address.slice(0, -dotted[1].length) + `${(value >>> 16).toString(16)}:${(value & 0xffff).toString(16)}`;
+  }
+
+  const [head, tail] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail !== undefined && tail ? tail.split(':') : [];
+  const missing = 8 - headGroups.length - tailGroups.length;
+  const groups = tail !== undefined
+    ? [...headGroups, ...new Array(missing).fill('0'), ...tailGroups]
+    : headGroups;
+
+  return groups.map(group => parseInt(group, 16) || 0);
+}
+
+module.exports = {
+  isPrivateAddress,
+  isAllowedHost,
+  assertSafeUrl,
+  assertPublicTarget,
+  lookup,
+  safeRequestConfig,
+  unsafeCause
+};
@@ -64,14 +64,87 @@ function normalizeUrl(url) {
   }
 }
 
+/**
+ * Splits a share link into its canonical article URL and its share tokens
+ * The publisher's share parameters come from its site adapter (see SiteRegistry.getShareParams)
+ * @param {string} url - Article URL, possibly a gift/share link
+ * @param {object} share - Share-link parameters {access, tracking}; without them the URL is only normalized
+ * @returns {{canonicalUrl: string, accessTokens: object, isGiftLink: boolean}}
+ *   accessTokens maps each access parameter present to its value
+ * @throws {Error} - If the URL cannot be normalized
+ */
+function parseShareLink(url, share = {}) {
+  const urlObj = new URL(normalizeUrl(url));
+  const access = share.access || [];
+  const tracking = share.tracking || [];
+
+  const accessTokens = {};
+  access.forEach((name) => {
+    const value = urlObj.searchParams.get(name);
+    if (value) {
+      accessTokens[name] = value;
+    }
+  });
+  [...access, ...tracking].forEach(name => urlObj.searchParams.delete(name));
+
+  return {
+    canonicalUrl: urlObj.toString(),
+    accessTokens,
+    isGiftLink: Object.keys(accessTokens).length > 0
+  };
+}
+
+/**
+ * Canonical article URL: normalized, without share-link parameters
+ * Used as the cache and library key, so a gift link and the plain article share one entry
+ * @param {string} url - Article URL
+ * @param {object} share - Share-link parameters {access, tracking} (see parseShareLink)
+ * @returns {string} - Canonical URL
+ */
+function canonicalUrl(url, share) {
+  return parseShareLink(url, share).canonicalUrl;
+}
+
+/**
+ * Checks whether a URL carries a publisher access token (e.g. an NYT gift link)
+ * @param {string} url - Article URL
+ * @param {object} share - Share-link parameters {access, tracking} (see parseShareLink)
+ * @returns {boolean} - True for gift links
+ */
+function isGiftLink(url, share) {
+  try {
+    return parseShareLink(url, share).isGiftLink;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Checks if URL belongs to one of the given domains (or their subdomains)
+ * @param {string} url - URL to check
+ * @param {Array<string>} domains - Registrable domains (e.g. ['nytimes.com'])
+ * @returns {boolean} - True if hostname is a domain or subdomain in the list
+ */
+function matchesDomain(url, domains) {
+  const hostname = getDomain(url);
+  if (hostname === null || !Array.isArray(domains)) {
+    return false;
+  }
+
+  const host = hostname.toLowerCase();
+  return domains.some(domain => {
+    const d = String(domain).toLowerCase();
+    return host === d || host.endsWith('.' + d);
+  });
+}
+
 /**
  * Detects if URL is from NYTimes
  * @param {string} url - URL to check
  * @returns {boolean} - True if NYTimes URL
  */
 function isNYTimes(url) {
-  const domain = getDomain(url);
-  return domain !== null && domain.includes('nytimes.com');
+  return matchesDomain(url, ['nytimes.com']);
 }
 
 /**
@@ -80,14 +153,17 @@ function isNYTimes(url) {
  * @returns {boolean} - True if WSJ URL
  */
 function isWSJ(url) {
-  const domain = getDomain(url);
-  return domain !== null && domain.includes('wsj.com');
+  return matchesDomain(url, ['wsj.com']);
 }
 
 module.exports = {
   isValidUrl,
   getDomain,
   normalizeUrl,
+  parseShareLink,
+  canonicalUrl,
+  isGiftLink,
+  matchesDomain,
   isNYTimes,
   isWSJ
 };
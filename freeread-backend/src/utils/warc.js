@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+
+/**
+ * WARC (ISO 28500, WARC/1.1) and CDX helpers
+ *
+ * A record is a "WARC/1.1" version line, named header fields, a blank line,
+ * the content block and two CRLFs. Response records hold the HTTP response
+ * (status line, headers, body) as their block.
+ *
+ * CDX is the classic 11-field index used by Wayback replay tools (pywb, OpenWayback):
+ *   N b a m s k r M S V g = urlkey, timestamp, original URL, mime type, status,
+ *   payload digest, redirect, meta tags, compressed record length, offset, file name
+ */
+
+const CDX_HEADER = ' CDX N b a m s k r M S V g';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Serializes a WARC record
+ * @param {object} headers - WARC named fields (Content-Length is added)
+ * @param {Buffer} block - Content block
+ * @returns {Buffer}
+ */
+function formatRecord(headers, block) {
+  const fields = Object.entries({ ...headers, 'Content-Length': block.length })
+    .map(([name, value]) => `${name}: ${value}`);
+  return Buffer.concat([
+    Buffer.from(['WARC/1.1', ...fields].join('\r\n') + '\r\n\r\n', 'utf8'),
+    block,
+    Buffer.from('\r\n\r\n', 'utf8')
+  ]);
+}
+
+/**
+ * Parses a single (uncompressed) WARC record
+ * @param {Buffer} buffer - Record bytes
+ * @returns {{version: string, headers: object, block: Buffer}} - headers keyed by lower-case name
+ * @throws {Error} - If the buffer is not a WARC record
+ */
+function parseRecord(buffer) {
+  const end = buffer.indexOf('\r\n\r\n');
+  if (end === -1) {
+    throw new Error('Malformed WARC record: no header terminator');
+  }
+
+  const [version, ...lines] = buffer.subarray(0, end).toString('utf8').split('\r\n');
+  if (!/^WARC\/\d+\.\d+$/.test(version)) {
+    throw new Error(`Malformed WARC record: unexpected version line "${version}"`);
+  }
+
+  const headers = parseFields(lines);
+  const length = parseInt(headers['content-length'], 10) || 0;
+  return {
+    version,
+    headers,
+    block: buffer.subarray(end + 4, end + 4 + length)
+  };
+}
+
+/**
+ * Serializes an HTTP response as a response record block
+ * @param {object} response - Response
+ * @param {number} response.statusCode - HTTP status
+ * @param {Array<[string, string]>} response.headers - Header name/value pairs
+ * @param {Buffer} response.body - Body bytes
+ * @returns {Buffer}
+ */
+function formatHttpResponse({ statusCode, headers, body }) {
+  const lines = [`HTTP/1.1 ${statusCode} ${STATUS_TEXT[statusCode] || ''}`.trimEnd()]
+    .concat(headers.map(([name, value]) => `${name}: ${value}`));
+  return Buffer.concat([Buffer.from(lines.join('\r\n') + '\r\n\r\n', 'utf8'), body]);
+}
+
+/**
+ * Parses a response record block
+ * @param {Buffer} block - HTTP response bytes
+ * @returns {{statusCode: number, headers: object, body: Buffer}} - headers keyed by lower-case name
+ */
+function parseHttpResponse(block) {
+  const end = block.indexOf('\r\n\r\n');
+  const head = (end === -1 ? block : block.subarray(0, end)).toString('utf8').split('\r\n');
+  const status = head[0].match(/^HTTP\/[\d.]+\s+(\d{3})/);
+  return {
+    statusCode: status ? parseInt(status[1], 10) : null,
+    headers: parseFields(head.slice(1)),
+    body: end === -1 ? Buffer.alloc(0) : block.subarray(end + 4)
+  };
+}
+
+/**
+ * Formats a date for WARC-Date (UTC, second precision)
+ * @param {Date} date - Date
+ * @returns {string} - e.g. '2024-01-15T12:34:56Z'
+ */
+function warcDate(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Creates a WARC-Record-ID
+ * @returns {string} - '<urn:uuid:...>'
+ */
+function recordId() {
+  return `<urn:uuid:${crypto.randomUUID()}>`;
+}
+
+/**
+ * SHA-1 digest in the base32 form used by WARC-*-Digest fields and CDX
+ * @param {Buffer} buffer - Bytes to digest
+ * @returns {string} - e.g. 'sha1:3I42H3S6NNFQ2MSVX7XZKYAYSCX5QBYJ'
+ */
+function sha1Digest(buffer) {
+  return `sha1:${base32(crypto.createHash('sha1').update(buffer).digest())}`;
+}
+
+/**
+ * Converts a URL to its SURT form, the CDX sort key
+ * Scheme, "www." and the fragment are dropped, the host is reversed and query parameters are sorted.
+ * @param {string} url - URL
+ * @returns {string} - e.g. 'com,nytimes)/2024/01/15/article.html'
+ */
+function toSurt(url) {
+  const parsed = new URL(url);
+  const host = parsed.hostname.toLowerCase().replace(/^www\d*\./, '').split('.').reverse().join(',');
+  const port = parsed.port ? `:${parsed.port}` : '';
+  const query = [...parsed.searchParams.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`)
+    .join('&');
+  return `${host}${port})${parsed.pathname}${query ? `?${query}` : ''}`.toLowerCase();
+}
+
+/**
+ * Formats a CDX entry as an 11-field line
+ * @param {object} entry - {urlkey, timestamp, url, mime, status, digest, length, offset, filename}
+ * @returns {string}
+ */
+function formatCdxLine(entry) {
+  return [
+    entry.urlkey,
+    entry.timestamp,
+    entry.url,
+    entry.mime || '-',
+    entry.status || '-',
+    entry.digest || '-',
+    '-',
+    '-',
+    entry.length,
+    entry.offset,
+    entry.filename
+  ].join(' ');
+}
+
+/**
+ * Parses an 11-field CDX line
+ * @param {string} line - CDX line
+ * @returns {object|null} - {urlkey, timestamp, url, mime, status, digest, length, offset, filename},
+ *   or null for the header and malformed lines
+ */
+function parseCdxLine(line) {
+  const fields = String(line).trim().split(' ');
+  if (fields.length !== 11 || fields[0] === 'CDX') {
+    return null;
+  }
+  const [urlkey, timestamp, url, mime, status, digest, , , length, offset, filename] = fields;
+  return {
+    urlkey,
+    timestamp,
+    url,
+    mime,
+    status: parseInt(status, 10) || null,
+    digest,
+    length: parseInt(length, 10),
+    offset: parseInt(offset, 10),
+    filename
+  };
+}
+
+/**
+ * @private
+ */
+function parseFields(lines) {
+  const fields = {};
+  lines.forEach((line) => {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      fields[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    }
+  });
+  return fields;
+}
+
+/**
+ * RFC 4648 base32 without padding
+ * @private
+ */
+function base32(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+const STATUS_TEXT = {
+  200: 'OK',
+  203: 'Non-Authoritative Information',
+  206: 'Partial Content',
+  301: 'Moved Permanently',
+  302: 'Found',
+  304: 'Not Modified'
+};
+
+module.exports = {
+  CDX_HEADER,
+  formatRecord,
+  parseRecord,
+  formatHttpResponse,
+  parseHttpResponse,
+  warcDate,
+  recordId,
+  sha1Digest,
+  toSurt,
+  formatCdxLine,
+  parseCdxLine
+};